@@ -518,6 +518,87 @@ CRS Platform - Secure Communication Solutions
   }
 };
 
+// Send account locked notification after repeated failed logins
+const sendAccountLockedEmail = async (email, username, lockedUntil) => {
+  try {
+    console.log(`🔒 Preparing account locked email for ${email}...`);
+
+    const transporter = createTransporter();
+    const resetUrl = `${process.env.FRONTEND_URL}/forgot-password`;
+    const unlockTime = new Date(lockedUntil).toUTCString();
+
+    const emailContent = `
+      <h2>Hi ${username},</h2>
+      <p>Your CRS Platform account has been temporarily locked after several failed login attempts.</p>
+      <div class="alert">
+        <p><strong>🔒 Locked until:</strong> ${unlockTime}</p>
+      </div>
+      <p>You can try again once the lock expires, or contact support to have it lifted sooner.</p>
+      <p><strong>If this wasn't you:</strong></p>
+      <p>Someone may be trying to access your account. We recommend resetting your password using the button below.</p>
+      <div class="divider"></div>
+      <p><strong>Security Tip:</strong> Always use a strong, unique password for your CRS Platform account.</p>
+    `;
+
+    const htmlContent = createEmailTemplate(
+      "Account Temporarily Locked - CRS Platform",
+      emailContent,
+      resetUrl,
+      "Reset Password"
+    );
+
+    const textContent = `
+Account Temporarily Locked - CRS Platform
+
+Hi ${username},
+
+Your CRS Platform account has been temporarily locked after several failed login attempts.
+
+Locked until: ${unlockTime}
+
+You can try again once the lock expires, or contact support to have it lifted sooner.
+
+If this wasn't you:
+Someone may be trying to access your account. We recommend resetting your password:
+${resetUrl}
+
+Best regards,
+The CRS Platform Team
+
+---
+CRS Platform - Secure Communication Solutions
+    `;
+
+    const mailOptions = {
+      from: {
+        name: "CRS Platform",
+        address: process.env.EMAIL_USER,
+      },
+      to: email,
+      subject: "Account Temporarily Locked - CRS Platform",
+      html: htmlContent,
+      text: textContent,
+      headers: {
+        "X-Priority": "1",
+        "X-MSMail-Priority": "High",
+        Importance: "high",
+      },
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Account locked email sent successfully to ${email}`);
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      email: email,
+    };
+  } catch (error) {
+    console.error("❌ Error sending account locked email:", error);
+    throw new Error(`Failed to send account locked email: ${error.message}`);
+  }
+};
+
 // Test email configuration
 const testEmailConfiguration = async () => {
   try {
@@ -646,11 +727,13 @@ const sendSubscriptionQueuedEmail = async (
 };
 
 // Send subscription approved email
+// `attachments` are nodemailer attachments, e.g. the invoice PDF
 const sendSubscriptionApprovedEmail = async (
   email,
   username,
   plan,
-  activationToken
+  activationToken,
+  attachments = []
 ) => {
   try {
     console.log(`🎉 Preparing subscription approved email for ${email}...`);
@@ -742,6 +825,7 @@ const sendSubscriptionApprovedEmail = async (
       subject: "🎉 Subscription Approved - Ready to Activate!",
       html: htmlContent,
       text: textContent,
+      attachments,
       headers: {
         "X-Priority": "1",
         "X-MSMail-Priority": "High",
@@ -889,14 +973,559 @@ const sendSubscriptionRejectedEmail = async (
   }
 };
 
+// Send trial ending reminder email
+const sendTrialEndingEmail = async (
+  email,
+  username,
+  plan,
+  trialEndsAt,
+  { willConvert, price, currency = "USD" }
+) => {
+  try {
+    console.log(`⏳ Preparing trial ending email for ${email}...`);
+
+    const transporter = createTransporter();
+    const subscriptionsUrl = `${process.env.FRONTEND_URL}/subscriptions`;
+    const endDate = new Date(trialEndsAt).toUTCString();
+    const nextStep = willConvert
+      ? `Your subscription will continue on the ${plan} plan at ${price} ${currency} when the trial ends.`
+      : `Your access will stop when the trial ends unless you choose to continue on the ${plan} plan.`;
+
+    const emailContent = `
+      <h2>Hi ${username},</h2>
+      <p>Your free trial of the ${plan} plan is ending soon.</p>
+      <div class="alert">
+        <p><strong>⏳ Trial ends:</strong> ${endDate}</p>
+      </div>
+      <p>${nextStep}</p>
+      <p>You can change this at any time from your subscriptions page.</p>
+    `;
+
+    const htmlContent = createEmailTemplate(
+      "Your Free Trial Is Ending - CRS Platform",
+      emailContent,
+      subscriptionsUrl,
+      "Manage Subscription"
+    );
+
+    const textContent = `
+Your Free Trial Is Ending - CRS Platform
+
+Hi ${username},
+
+Your free trial of the ${plan} plan is ending soon.
+
+Trial ends: ${endDate}
+
+${nextStep}
+
+You can change this at any time from your subscriptions page:
+${subscriptionsUrl}
+
+Best regards,
+The CRS Platform Team
+
+---
+CRS Platform - Secure Communication Solutions
+    `;
+
+    const mailOptions = {
+      from: {
+        name: "CRS Platform",
+        address: process.env.EMAIL_USER,
+      },
+      to: email,
+      subject: "Your Free Trial Is Ending - CRS Platform",
+      html: htmlContent,
+      text: textContent,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Trial ending email sent successfully to ${email}`);
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      email: email,
+    };
+  } catch (error) {
+    console.error("❌ Error sending trial ending email:", error);
+    throw new Error(`Failed to send trial ending email: ${error.message}`);
+  }
+};
+
+// Send trial converted/expired email
+const sendTrialEndedEmail = async (
+  email,
+  username,
+  plan,
+  { converted, endDate, price, currency = "USD" }
+) => {
+  try {
+    console.log(`📭 Preparing trial ended email for ${email}...`);
+
+    const transporter = createTransporter();
+    const subscriptionsUrl = `${process.env.FRONTEND_URL}/subscriptions`;
+    const summary = converted
+      ? `Your free trial has ended and your ${plan} subscription is now active until ${new Date(
+          endDate
+        ).toUTCString()}. A charge of ${price} ${currency} has been raised for this period.`
+      : `Your free trial of the ${plan} plan has ended. Subscribe at any time to restore access.`;
+
+    const emailContent = `
+      <h2>Hi ${username},</h2>
+      <div class="alert${converted ? " alert-success" : ""}">
+        <p>${summary}</p>
+      </div>
+      <p>Thank you for trying CRS Platform.</p>
+    `;
+
+    const htmlContent = createEmailTemplate(
+      converted
+        ? "Your Subscription Has Started - CRS Platform"
+        : "Your Free Trial Has Ended - CRS Platform",
+      emailContent,
+      subscriptionsUrl,
+      converted ? "View Subscription" : "Choose a Plan"
+    );
+
+    const textContent = `
+${converted ? "Your Subscription Has Started" : "Your Free Trial Has Ended"} - CRS Platform
+
+Hi ${username},
+
+${summary}
+
+${subscriptionsUrl}
+
+Best regards,
+The CRS Platform Team
+
+---
+CRS Platform - Secure Communication Solutions
+    `;
+
+    const mailOptions = {
+      from: {
+        name: "CRS Platform",
+        address: process.env.EMAIL_USER,
+      },
+      to: email,
+      subject: converted
+        ? "Your Subscription Has Started - CRS Platform"
+        : "Your Free Trial Has Ended - CRS Platform",
+      html: htmlContent,
+      text: textContent,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Trial ended email sent successfully to ${email}`);
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      email: email,
+    };
+  } catch (error) {
+    console.error("❌ Error sending trial ended email:", error);
+    throw new Error(`Failed to send trial ended email: ${error.message}`);
+  }
+};
+
+// Send payment failed email (dunning). nextRetryAt is the next automatic
+// attempt; attemptsLeft 0 means this was the last one.
+const sendPaymentFailedEmail = async (
+  email,
+  username,
+  plan,
+  { amount, currency = "USD", reason, nextRetryAt, attemptsLeft }
+) => {
+  try {
+    console.log(`💳 Preparing payment failed email for ${email}...`);
+
+    const transporter = createTransporter();
+    const billingUrl = `${process.env.FRONTEND_URL}/subscriptions`;
+    const retryDate = new Date(nextRetryAt).toUTCString();
+    const retryNote =
+      attemptsLeft > 1
+        ? `We will try again on ${retryDate} (${attemptsLeft} attempts left).`
+        : `We will make a final attempt on ${retryDate}. If it fails, your subscription will be suspended.`;
+
+    const emailContent = `
+      <h2>Hi ${username},</h2>
+      <p>We could not collect your payment of ${amount} ${currency} for the ${plan} plan.</p>
+      <div class="alert">
+        <p><strong>💳 Reason:</strong> ${reason || "Payment declined"}</p>
+      </div>
+      <p>${retryNote}</p>
+      <p>Please make sure your payment method is up to date.</p>
+    `;
+
+    const htmlContent = createEmailTemplate(
+      "Payment Failed - CRS Platform",
+      emailContent,
+      billingUrl,
+      "Update Payment Method"
+    );
+
+    const textContent = `
+Payment Failed - CRS Platform
+
+Hi ${username},
+
+We could not collect your payment of ${amount} ${currency} for the ${plan} plan.
+
+Reason: ${reason || "Payment declined"}
+
+${retryNote}
+
+Please make sure your payment method is up to date:
+${billingUrl}
+
+Best regards,
+The CRS Platform Team
+
+---
+CRS Platform - Secure Communication Solutions
+    `;
+
+    const mailOptions = {
+      from: {
+        name: "CRS Platform",
+        address: process.env.EMAIL_USER,
+      },
+      to: email,
+      subject: "Payment Failed - CRS Platform",
+      html: htmlContent,
+      text: textContent,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Payment failed email sent successfully to ${email}`);
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      email: email,
+    };
+  } catch (error) {
+    console.error("❌ Error sending payment failed email:", error);
+    throw new Error(`Failed to send payment failed email: ${error.message}`);
+  }
+};
+
+// Send payment recovered email after a successful dunning retry
+const sendPaymentRecoveredEmail = async (
+  email,
+  username,
+  plan,
+  { amount, currency = "USD" }
+) => {
+  try {
+    console.log(`💳 Preparing payment recovered email for ${email}...`);
+
+    const transporter = createTransporter();
+    const subscriptionsUrl = `${process.env.FRONTEND_URL}/subscriptions`;
+
+    const emailContent = `
+      <h2>Hi ${username},</h2>
+      <div class="alert alert-success">
+        <p>Your payment of ${amount} ${currency} for the ${plan} plan went through on our latest attempt.</p>
+      </div>
+      <p>No further action is needed. Thank you!</p>
+    `;
+
+    const htmlContent = createEmailTemplate(
+      "Payment Received - CRS Platform",
+      emailContent,
+      subscriptionsUrl,
+      "View Subscription"
+    );
+
+    const textContent = `
+Payment Received - CRS Platform
+
+Hi ${username},
+
+Your payment of ${amount} ${currency} for the ${plan} plan went through on our latest attempt.
+
+No further action is needed. Thank you!
+
+${subscriptionsUrl}
+
+Best regards,
+The CRS Platform Team
+
+---
+CRS Platform - Secure Communication Solutions
+    `;
+
+    const mailOptions = {
+      from: {
+        name: "CRS Platform",
+        address: process.env.EMAIL_USER,
+      },
+      to: email,
+      subject: "Payment Received - CRS Platform",
+      html: htmlContent,
+      text: textContent,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Payment recovered email sent successfully to ${email}`);
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      email: email,
+    };
+  } catch (error) {
+    console.error("❌ Error sending payment recovered email:", error);
+    throw new Error(
+      `Failed to send payment recovered email: ${error.message}`
+    );
+  }
+};
+
+// Send subscription suspended email when dunning gives up
+const sendSubscriptionSuspendedEmail = async (
+  email,
+  username,
+  plan,
+  { amount, currency = "USD" }
+) => {
+  try {
+    console.log(`⛔ Preparing subscription suspended email for ${email}...`);
+
+    const transporter = createTransporter();
+    const subscriptionsUrl = `${process.env.FRONTEND_URL}/subscriptions`;
+
+    const emailContent = `
+      <h2>Hi ${username},</h2>
+      <p>We were unable to collect your payment of ${amount} ${currency} for the ${plan} plan after several attempts.</p>
+      <div class="alert">
+        <p><strong>⛔ Your subscription has been suspended.</strong></p>
+      </div>
+      <p>Please contact support or purchase a new plan to restore access.</p>
+    `;
+
+    const htmlContent = createEmailTemplate(
+      "Subscription Suspended - CRS Platform",
+      emailContent,
+      subscriptionsUrl,
+      "Restore Access"
+    );
+
+    const textContent = `
+Subscription Suspended - CRS Platform
+
+Hi ${username},
+
+We were unable to collect your payment of ${amount} ${currency} for the ${plan} plan after several attempts.
+
+Your subscription has been suspended.
+
+Please contact support or purchase a new plan to restore access:
+${subscriptionsUrl}
+
+Best regards,
+The CRS Platform Team
+
+---
+CRS Platform - Secure Communication Solutions
+    `;
+
+    const mailOptions = {
+      from: {
+        name: "CRS Platform",
+        address: process.env.EMAIL_USER,
+      },
+      to: email,
+      subject: "Subscription Suspended - CRS Platform",
+      html: htmlContent,
+      text: textContent,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Subscription suspended email sent successfully to ${email}`);
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      email: email,
+    };
+  } catch (error) {
+    console.error("❌ Error sending subscription suspended email:", error);
+    throw new Error(
+      `Failed to send subscription suspended email: ${error.message}`
+    );
+  }
+};
+
+// Send plan changed email when a scheduled plan change has been applied at
+// the end of a period. `paid` is false while the charge is still pending.
+const sendPlanChangedEmail = async (
+  email,
+  username,
+  { previousPlan, newPlan, endDate, amount, currency = "USD", paid }
+) => {
+  try {
+    console.log(`🔀 Preparing plan changed email for ${email}...`);
+
+    const transporter = createTransporter();
+    const subscriptionsUrl = `${process.env.FRONTEND_URL}/subscriptions`;
+    const summary = `As you requested, your subscription has moved from the ${previousPlan} plan to the ${newPlan} plan${
+      paid
+        ? ` and now runs until ${new Date(endDate).toUTCString()}`
+        : ""
+    }.`;
+    const chargeNote = paid
+      ? `A charge of ${amount} ${currency} has been made for the new period.`
+      : `We are collecting the payment of ${amount} ${currency} for the new period; the new period starts once it is received.`;
+
+    const emailContent = `
+      <h2>Hi ${username},</h2>
+      <div class="alert alert-success">
+        <p>${summary}</p>
+      </div>
+      <p>${chargeNote}</p>
+    `;
+
+    const htmlContent = createEmailTemplate(
+      "Your Plan Has Changed - CRS Platform",
+      emailContent,
+      subscriptionsUrl,
+      "View Subscription"
+    );
+
+    const textContent = `
+Your Plan Has Changed - CRS Platform
+
+Hi ${username},
+
+${summary}
+
+${chargeNote}
+
+${subscriptionsUrl}
+
+Best regards,
+The CRS Platform Team
+
+---
+CRS Platform - Secure Communication Solutions
+    `;
+
+    const mailOptions = {
+      from: {
+        name: "CRS Platform",
+        address: process.env.EMAIL_USER,
+      },
+      to: email,
+      subject: "Your Plan Has Changed - CRS Platform",
+      html: htmlContent,
+      text: textContent,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Plan changed email sent successfully to ${email}`);
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      email: email,
+    };
+  } catch (error) {
+    console.error("❌ Error sending plan changed email:", error);
+    throw new Error(`Failed to send plan changed email: ${error.message}`);
+  }
+};
+
+const sendSubscriptionResumedEmail = async (
+  email,
+  username,
+  { plan, endDate }
+) => {
+  try {
+    console.log(`▶️ Preparing subscription resumed email for ${email}...`);
+
+    const transporter = createTransporter();
+    const subscriptionsUrl = `${process.env.FRONTEND_URL}/subscriptions`;
+    const summary = `The pause on your ${plan} subscription has ended and service has resumed. With the days you had left, it now runs until ${new Date(endDate).toUTCString()}.`;
+
+    const emailContent = `
+      <h2>Hi ${username},</h2>
+      <div class="alert alert-success">
+        <p>${summary}</p>
+      </div>
+    `;
+
+    const htmlContent = createEmailTemplate(
+      "Your Subscription Has Resumed - CRS Platform",
+      emailContent,
+      subscriptionsUrl,
+      "View Subscription"
+    );
+
+    const textContent = `
+Your Subscription Has Resumed - CRS Platform
+
+Hi ${username},
+
+${summary}
+
+${subscriptionsUrl}
+
+Best regards,
+The CRS Platform Team
+
+---
+CRS Platform - Secure Communication Solutions
+    `;
+
+    const mailOptions = {
+      from: {
+        name: "CRS Platform",
+        address: process.env.EMAIL_USER,
+      },
+      to: email,
+      subject: "Your Subscription Has Resumed - CRS Platform",
+      html: htmlContent,
+      text: textContent,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Subscription resumed email sent successfully to ${email}`);
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      email: email,
+    };
+  } catch (error) {
+    console.error("❌ Error sending subscription resumed email:", error);
+    throw new Error(
+      `Failed to send subscription resumed email: ${error.message}`
+    );
+  }
+};
+
 module.exports = {
   generateVerificationToken,
   sendVerificationEmail,
   sendWelcomeEmail,
   sendPasswordResetEmail,
+  sendAccountLockedEmail,
   testEmailConfiguration,
   createTransporter,
   sendSubscriptionQueuedEmail,
   sendSubscriptionApprovedEmail,
   sendSubscriptionRejectedEmail,
+  sendTrialEndingEmail,
+  sendTrialEndedEmail,
+  sendPaymentFailedEmail,
+  sendPaymentRecoveredEmail,
+  sendSubscriptionSuspendedEmail,
+  sendPlanChangedEmail,
+  sendSubscriptionResumedEmail,
 };
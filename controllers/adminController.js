@@ -9,7 +9,7 @@ const User = require("../models/user");
 const {
   getSubscriptionPrice,
   getSubscriptionDuration,
-} = require("../utils/helpers");
+} = require("../utils/planCatalog");
 const {
   generateVerificationToken,
   sendVerificationEmail,
@@ -18,7 +18,19 @@ const {
   sendSubscriptionApprovedEmail,
   sendSubscriptionRejectedEmail,
 } = require("../config/emailService");
+const { confirmOfflinePayment } = require("../utils/paymentService");
+const { getInvoiceAttachments } = require("../utils/invoiceService");
+const {
+  LEDGER_GROUPS,
+  summarizeLedger,
+  getLedgerTotals,
+} = require("../utils/ledger");
 const CustomError = require("../utils/customError");
+const {
+  getReportingCurrency,
+  getExchangeRate,
+  convertExpression,
+} = require("../utils/currencyService");
 
 const getPendingSubscriptions = async (req, res, next) => {
   try {
@@ -207,13 +219,24 @@ const approveSubscription = async (req, res, next) => {
       throw new CustomError(400, "Only pending subscriptions can be approved");
     }
 
+    if (subscription.isAwaitingPayment()) {
+      await session.abortTransaction();
+      throw new CustomError(
+        400,
+        "Subscription cannot be approved until its payment has completed"
+      );
+    }
+
     // Store original status for logging
     const originalStatus = subscription.status;
 
     // Update subscription within transaction
     if (activateNow) {
       // Activate immediately
-      const subscriptionDuration = getSubscriptionDuration(subscription.plan);
+      const subscriptionDuration = await getSubscriptionDuration(
+        subscription.plan,
+        subscription.planVersion
+      );
       subscription.status = "ACTIVE";
       subscription.startDate = new Date();
       subscription.endDate = new Date(
@@ -272,15 +295,21 @@ const approveSubscription = async (req, res, next) => {
       } successfully`
     );
 
+    // Approval confirms an offline payment; this posts it to the ledger
+    const purchase = await confirmOfflinePayment(subscription._id, adminId);
+
     // Send email notification (outside transaction to avoid rollback on email failure)
     try {
+      const attachments = await getInvoiceAttachments(purchase);
+
       if (activateNow) {
         // Send activation confirmation email
         await sendSubscriptionApprovedEmail(
           subscription.user.email,
           subscription.user.username,
           subscription.plan,
-          null // No activation token needed since it's already active
+          null, // No activation token needed since it's already active
+          attachments
         );
         console.log(`✅ Activation email sent to ${subscription.user.email}`);
       } else {
@@ -289,7 +318,8 @@ const approveSubscription = async (req, res, next) => {
           subscription.user.email,
           subscription.user.username,
           subscription.plan,
-          subscription._id // Can use subscription ID for activation
+          subscription._id, // Can use subscription ID for activation
+          attachments
         );
         console.log(`✅ Approval email sent to ${subscription.user.email}`);
       }
@@ -475,7 +505,10 @@ const activateSubscription = async (req, res, next) => {
     }
 
     // Activate subscription
-    const subscriptionDuration = getSubscriptionDuration(subscription.plan);
+    const subscriptionDuration = await getSubscriptionDuration(
+      subscription.plan,
+      subscription.planVersion
+    );
     subscription.status = "ACTIVE";
     subscription.startDate = new Date();
     subscription.endDate = new Date(
@@ -551,6 +584,14 @@ const bulkUpdateSubscriptions = async (req, res, next) => {
                 "user",
                 "username email"
               );
+              if (sub && sub.isAwaitingPayment()) {
+                return {
+                  id,
+                  status: "failed",
+                  reason: "Payment has not completed",
+                  success: false,
+                };
+              }
               if (sub && sub.status === "PENDING") {
                 sub.status = data.activateNow ? "ACTIVE" : "APPROVED";
                 sub.adminNotes = data.comments || "";
@@ -558,7 +599,10 @@ const bulkUpdateSubscriptions = async (req, res, next) => {
                 sub.reviewedAt = new Date();
 
                 if (data.activateNow) {
-                  const duration = getSubscriptionDuration(sub.plan);
+                  const duration = await getSubscriptionDuration(
+                    sub.plan,
+                    sub.planVersion
+                  );
                   sub.startDate = new Date();
                   sub.endDate = new Date(
                     Date.now() + duration * 24 * 60 * 60 * 1000
@@ -566,6 +610,7 @@ const bulkUpdateSubscriptions = async (req, res, next) => {
                 }
 
                 await sub.save();
+                await confirmOfflinePayment(sub._id, adminId);
 
                 // Log transaction
                 await logTransactionUpdate(
@@ -716,15 +761,20 @@ const getAdminDashboard = async (req, res, next) => {
       .limit(10)
       .select("plan status price createdAt reviewedAt user reviewedBy");
 
-    // Transaction statistics
+    // Transaction statistics, in the reporting currency
+    const currency = getReportingCurrency();
+    const { rate: reportingRate } = await getExchangeRate(currency);
     const transactionStats = await Transaction.aggregate([
       {
         $group: {
           _id: "$status",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
+          totalAmount: {
+            $sum: convertExpression("$amount", reportingRate),
+          },
         },
       },
+      { $addFields: { totalAmount: { $round: ["$totalAmount", 2] } } },
     ]);
 
     // Recent transactions
@@ -737,28 +787,12 @@ const getAdminDashboard = async (req, res, next) => {
         "transactionId type status amount plan createdAt user processedBy"
       );
 
-    // Monthly revenue
-    const monthlyRevenue = await Transaction.aggregate([
-      {
-        $match: {
-          status: "COMPLETED",
-          createdAt: {
-            $gte: new Date(new Date().setMonth(new Date().getMonth() - 12)),
-          },
-        },
-      },
-      {
-        $group: {
-          _id: {
-            year: { $year: "$createdAt" },
-            month: { $month: "$createdAt" },
-          },
-          revenue: { $sum: "$amount" },
-          count: { $sum: 1 },
-        },
-      },
-      { $sort: { "_id.year": 1, "_id.month": 1 } },
-    ]);
+    // Revenue from the ledger, so lifecycle rows are not counted as money
+    const revenueSummary = await getLedgerTotals();
+    const monthlyRevenue = await summarizeLedger({
+      startDate: new Date(new Date().setMonth(new Date().getMonth() - 12)),
+      groupBy: LEDGER_GROUPS.month,
+    });
 
     // Queue analysis (pending subscriptions)
     const queueAnalysis = await Subscription.aggregate([
@@ -782,8 +816,10 @@ const getAdminDashboard = async (req, res, next) => {
         subscriptionStatistics: subscriptionStats,
         planDistribution: planStats,
         recentSubscriptions,
+        currency,
         transactionStatistics: transactionStats,
         recentTransactions,
+        revenueSummary,
         monthlyRevenue,
         queueAnalysis: queueAnalysis[0] || {
           totalPending: 0,
@@ -913,7 +949,7 @@ const queueSubscriptionForUser = async (req, res, next) => {
     }
 
     // Calculate subscription price
-    const subscriptionPrice = getSubscriptionPrice(plan);
+    const subscriptionPrice = await getSubscriptionPrice(plan);
 
     // Get next queue position
     const queuePosition = await Subscription.getNextQueuePosition(imei);
@@ -1048,6 +1084,13 @@ const moveSubscriptionToQueue = async (req, res, next) => {
       );
     }
 
+    if (subscription.isAwaitingPayment()) {
+      throw new CustomError(
+        400,
+        "Subscription cannot be queued until its payment has completed"
+      );
+    }
+
     // Move to queue
     subscription.status = "QUEUED";
     subscription.queuedBy = adminId;
@@ -1065,6 +1108,7 @@ const moveSubscriptionToQueue = async (req, res, next) => {
     }
 
     await subscription.save();
+    await confirmOfflinePayment(subscription._id, adminId);
 
     // Reorder queue
     await Subscription.reorderDeviceQueue(subscription.imei);
@@ -1152,6 +1196,43 @@ const getDeviceQueueStatus = async (req, res, next) => {
   }
 };
 
+// Let a device's owner replace its authenticator without a code from the
+// current one, e.g. after losing the phone it was on. The current secret
+// keeps working until the replacement is verified.
+const resetDeviceAuthenticator = async (req, res, next) => {
+  try {
+    const { imei } = req.params;
+    const adminId = req.user._id;
+
+    const device = await Device.findOneAndUpdate(
+      { imei, isOnboarded: true },
+      {
+        $set: {
+          authenticatorResetAt: new Date(),
+          authenticatorResetBy: adminId,
+        },
+      },
+      { new: true }
+    );
+
+    if (!device) {
+      throw new CustomError(404, "Onboarded device not found");
+    }
+
+    res.json({
+      success: true,
+      message:
+        "Authenticator reset. The owner can now set up a new authenticator for this device.",
+      data: {
+        imei: device.imei,
+        authenticatorResetAt: device.authenticatorResetAt,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // Update queue position
 const updateQueuePosition = async (req, res, next) => {
   try {
@@ -1294,11 +1375,20 @@ const bulkQueueOperations = async (req, res, next) => {
           subscriptionIds.map(async (id) => {
             try {
               const sub = await Subscription.findById(id);
+              if (sub && sub.isAwaitingPayment()) {
+                return {
+                  id,
+                  status: "failed",
+                  reason: "Payment has not completed",
+                  success: false,
+                };
+              }
               if (sub && sub.status === "PENDING") {
                 await sub.moveToQueue(
                   adminId,
                   data.adminNotes || "Bulk queue operation"
                 );
+                await confirmOfflinePayment(sub._id, adminId);
                 return { id, status: "queued", success: true };
               }
               return {
@@ -1476,6 +1566,7 @@ module.exports = {
   queueSubscriptionForUser,
   moveSubscriptionToQueue,
   getDeviceQueueStatus,
+  resetDeviceAuthenticator,
   bulkQueueOperations,
   getQueueDashboard,
 };
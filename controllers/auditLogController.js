@@ -0,0 +1,178 @@
+// controllers/auditLogController.js
+const AuditLog = require("../models/auditLog");
+
+// Shared filter builder for querying and exporting
+const buildAuditFilter = (query) => {
+  const {
+    actorId,
+    action,
+    entityType,
+    entityId,
+    success,
+    startDate,
+    endDate,
+  } = query;
+
+  const filter = {};
+
+  if (actorId) filter["actor.userId"] = actorId;
+  if (action) {
+    const escaped = action.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    filter.action = { $regex: escaped, $options: "i" };
+  }
+  if (entityType) filter["target.entityType"] = entityType;
+  if (entityId) filter["target.entityId"] = entityId;
+  if (success !== undefined) filter.success = success === "true";
+
+  if (startDate || endDate) {
+    filter.timestamp = {};
+    if (startDate) filter.timestamp.$gte = new Date(startDate);
+    if (endDate) filter.timestamp.$lte = new Date(endDate);
+  }
+
+  return filter;
+};
+
+// Query the audit log (super admin only)
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = buildAuditFilter(req.query);
+
+    const logs = await AuditLog.find(filter)
+      .sort({ sequence: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalItems: total,
+          itemsPerPage: limitNum,
+          hasNext: pageNum < Math.ceil(total / limitNum),
+          hasPrev: pageNum > 1,
+        },
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Export the audit log as CSV or JSON (super admin only)
+const exportAuditLogs = async (req, res, next) => {
+  try {
+    const { format = "csv" } = req.query;
+
+    const logs = await AuditLog.find(buildAuditFilter(req.query))
+      .sort({ sequence: 1 })
+      .lean();
+
+    if (format === "csv") {
+      const escapeCsv = (value) => {
+        if (value === undefined || value === null) return "";
+        const text =
+          typeof value === "object" ? JSON.stringify(value) : String(value);
+        return `"${text.replace(/"/g, '""')}"`;
+      };
+
+      const csvHeader = [
+        "Sequence",
+        "Timestamp",
+        "Actor ID",
+        "Actor Role",
+        "Actor Email",
+        "Action",
+        "Entity Type",
+        "Entity ID",
+        "Status Code",
+        "Success",
+        "IP Address",
+        "User Agent",
+        "Diff",
+        "Previous Hash",
+        "Hash",
+      ].join(",");
+
+      const csvRows = logs.map((log) =>
+        [
+          log.sequence,
+          log.timestamp?.toISOString() || "",
+          log.actor?.userId,
+          log.actor?.role,
+          log.actor?.email,
+          log.action,
+          log.target?.entityType,
+          log.target?.entityId,
+          log.statusCode,
+          log.success,
+          log.ipAddress,
+          log.userAgent,
+          log.diff,
+          log.previousHash,
+          log.hash,
+        ]
+          .map(escapeCsv)
+          .join(",")
+      );
+
+      const csvContent = [csvHeader, ...csvRows].join("\n");
+
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=audit-log-${
+          new Date().toISOString().split("T")[0]
+        }.csv`
+      );
+      res.send(csvContent);
+    } else {
+      res.json({
+        success: true,
+        data: { logs },
+        exportInfo: {
+          format,
+          totalRecords: logs.length,
+          exportedAt: new Date(),
+        },
+      });
+    }
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Recompute the hash chain and report the first tampered entry, if any
+const verifyAuditLogChain = async (req, res, next) => {
+  try {
+    const result = await AuditLog.verifyChain();
+
+    res.json({
+      success: true,
+      message: result.valid
+        ? "Audit log chain is intact"
+        : `Audit log chain is broken at entry ${result.brokenAt}`,
+      data: result,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  exportAuditLogs,
+  verifyAuditLogChain,
+};
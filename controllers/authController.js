@@ -7,16 +7,61 @@ const User = require("../models/user");
 const Device = require("../models/device");
 const Subscription = require("../models/subscription");
 const Transaction = require("../models/transaction"); // Add this import
+const Session = require("../models/session");
 const CustomError = require("../utils/customError");
 const {
-  getSubscriptionPrice,
+  reserveLoginAttempt,
+  recordFailedLogin,
+  releaseLoginAttempt,
+  clearFailedLogins,
+} = require("../utils/loginProtection");
+const {
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeRefreshTokenSession,
+  revokeUserRefreshTokens,
+} = require("../utils/tokenService");
+const {
+  startEnrollment,
+  confirmEnrollment,
+  verifyAuthenticatorCode,
+  regenerateRecoveryCodes,
+} = require("../utils/authenticatorService");
+const {
+  getPlan,
+  getPlanPrice,
   getSubscriptionDuration,
-} = require("../utils/helpers");
+} = require("../utils/planCatalog");
+const {
+  quoteCoupon,
+  redeemCoupon,
+  toTransactionDiscount,
+} = require("../utils/couponService");
+const {
+  billingFromBody,
+  resolveTaxLocation,
+  calculateTax,
+  toTransactionTax,
+  toTaxSummary,
+  saveBillingDetails,
+} = require("../utils/taxService");
+const {
+  resolveBuyerCurrency,
+  toTransactionFx,
+} = require("../utils/currencyService");
+const {
+  resolvePaymentMethod,
+  requiresProviderPayment,
+  collectPurchasePayment,
+  toPaymentSummary,
+} = require("../utils/paymentService");
 const {
   generateVerificationToken,
   sendVerificationEmail,
   sendWelcomeEmail,
   sendSubscriptionQueuedEmail,
+  sendPasswordResetEmail,
 } = require("../config/emailService");
 
 // Helper function to extract request metadata
@@ -41,7 +86,6 @@ const calculateQueuePosition = async (imei, session) => {
 };
 
 const register = async (req, res, next) => {
-  console.log("[REGISTER SERVER]:", req.body);
   const {
     username,
     email,
@@ -52,6 +96,9 @@ const register = async (req, res, next) => {
     plan,
     files,
     submissionNotes,
+    couponCode,
+    paymentMethod = "ADMIN_APPROVAL",
+    paymentMethodToken,
   } = req.body;
 
   // Extract request metadata for transaction logging
@@ -106,19 +153,8 @@ const register = async (req, res, next) => {
       throw new CustomError(400, "Password must be at least 8 characters long");
     }
 
-    const validSubscriptionTypes = [
-      "mobile-v4-basic",
-      "mobile-v4-premium",
-      "mobile-v4-enterprise",
-      "mobile-v5-basic",
-      "mobile-v5-premium",
-      "full-suite-basic",
-      "full-suite-premium",
-    ];
-
-    if (!validSubscriptionTypes.includes(plan)) {
-      throw new CustomError(400, "Invalid encryption plan");
-    }
+    await getPlan(plan);
+    resolvePaymentMethod(paymentMethod, paymentMethodToken);
 
     // Start transaction
     await session.startTransaction();
@@ -260,7 +296,33 @@ const register = async (req, res, next) => {
     const queuePosition = await calculateQueuePosition(imei, session);
 
     // Create subscription with PENDING status within transaction
-    const subscriptionPrice = getSubscriptionPrice(plan);
+    // Where the buyer is taxed also picks the currency they pay in
+    const location = await resolveTaxLocation({
+      billing: billingFromBody(req.body),
+      ipAddress: requestMetadata.ipAddress,
+    });
+    await saveBillingDetails(newUser._id, location, session);
+    const { price: subscriptionPrice, currency } = await getPlanPrice(
+      plan,
+      await resolveBuyerCurrency({
+        requested: req.body.currency,
+        country: location.country,
+      })
+    );
+    const fx = await toTransactionFx(currency);
+    const pricing = await quoteCoupon({
+      couponCode,
+      userId: newUser._id,
+      plan,
+      amount: subscriptionPrice,
+      currency,
+      session,
+    });
+    const tax = await calculateTax({ amount: pricing.finalAmount, location });
+    const awaitingPayment = requiresProviderPayment(
+      paymentMethod,
+      tax.grossAmount
+    );
 
     newSubscription = new Subscription({
       user: newUser._id.toString(),
@@ -269,7 +331,9 @@ const register = async (req, res, next) => {
       phone: phoneNumber,
       email,
       plan,
-      price: subscriptionPrice,
+      price: pricing.finalAmount,
+      currency,
+      paymentStatus: awaitingPayment ? "PENDING" : "NOT_REQUIRED",
       cards: files,
       queuePosition,
       status: "PENDING",
@@ -288,9 +352,14 @@ const register = async (req, res, next) => {
         device: device._id,
         transactionId: Transaction.generateTransactionId(),
         type: "SUBSCRIPTION_CREATED",
-        amount: subscriptionPrice,
+        amount: tax.grossAmount,
+        currency,
+        fx,
         plan,
+        discount: toTransactionDiscount(pricing),
+        ...toTransactionTax(tax),
         status: "PENDING",
+        paymentMethod,
         queuePosition,
         queuedAt: new Date(),
         metadata: {
@@ -314,13 +383,33 @@ const register = async (req, res, next) => {
       );
     } catch (transactionError) {
       console.error("Failed to create transaction record:", transactionError);
+      // A paid checkout cannot be charged without its transaction
+      if (awaitingPayment) throw transactionError;
       // Don't fail the registration for transaction logging errors
     }
 
+    await redeemCoupon(pricing, {
+      userId: newUser._id,
+      plan,
+      currency,
+      subscriptionId: newSubscription._id,
+      transactionId: transaction?._id,
+      session,
+    });
+
     // Commit transaction - all operations succeeded
     await session.commitTransaction();
     console.log("✅ Transaction committed successfully");
 
+    // Paid checkouts are charged once the records exist. A declined payment
+    // cancels the subscription and is reported as 402.
+    if (awaitingPayment) {
+      ({ transaction } = await collectPurchasePayment(transaction, {
+        paymentMethodToken,
+        customer: { id: newUser._id.toString(), email },
+      }));
+    }
+
     // Send verification email (outside transaction since it's not critical for data consistency)
     let emailSent = false;
     try {
@@ -350,6 +439,13 @@ const register = async (req, res, next) => {
         status: newSubscription.status,
         queuePosition: newSubscription.queuePosition,
         estimatedReviewTime: "2-3 business days",
+        price: pricing.finalAmount,
+        currency,
+        originalPrice: pricing.originalAmount,
+        discount: pricing.discountAmount,
+        couponCode: pricing.coupon?.code || null,
+        tax: toTaxSummary(tax),
+        total: tax.grossAmount,
       },
       device: {
         id: device._id,
@@ -363,6 +459,7 @@ const register = async (req, res, next) => {
             transactionId: transaction.transactionId,
             amount: transaction.amount,
             status: transaction.status,
+            payment: toPaymentSummary(transaction),
           }
         : null,
       message: emailSent
@@ -505,7 +602,10 @@ const updateSubscriptionStatus = async (req, res, next) => {
 
       if (status === "ACTIVE") {
         // Set start and end dates when activating
-        const subscriptionDuration = getSubscriptionDuration(subscription.plan);
+        const subscriptionDuration = await getSubscriptionDuration(
+          subscription.plan,
+          subscription.planVersion
+        );
         subscription.startDate = new Date();
         subscription.endDate = new Date(
           Date.now() + subscriptionDuration * 24 * 60 * 60 * 1000
@@ -803,7 +903,7 @@ const activateSubscription = async (req, res, next) => {
     const isAuthenticatorValid = await verifyAuthenticator(
       authenticatorProvider,
       authenticatorCode,
-      req.user.email
+      userId
     );
 
     if (!isAuthenticatorValid) {
@@ -856,24 +956,17 @@ const activateSubscription = async (req, res, next) => {
   }
 };
 
-// Placeholder for authenticator verification - implement based on your chosen providers
-const verifyAuthenticator = async (provider, code, userEmail) => {
-  // Implement verification logic for Google, Microsoft, or Entrust
-  // This would involve API calls to the respective authenticator services
-
-  switch (provider) {
-    case "google":
-      // Implement Google Authenticator verification
-      return true; // Placeholder
-    case "microsoft":
-      // Implement Microsoft Authenticator verification
-      return true; // Placeholder
-    case "entrust":
-      // Implement Entrust verification
-      return true; // Placeholder
-    default:
-      return false;
+// Google, Microsoft and Entrust authenticator apps all implement RFC 6238
+// TOTP, so codes are checked against the user's enrolled secret. Recovery
+// codes are accepted in place of a TOTP code.
+const SUPPORTED_AUTHENTICATOR_PROVIDERS = ["google", "microsoft", "entrust"];
+
+const verifyAuthenticator = async (provider, code, userId) => {
+  if (!SUPPORTED_AUTHENTICATOR_PROVIDERS.includes(provider)) {
+    return false;
   }
+
+  return await verifyAuthenticatorCode(userId, code);
 };
 
 // Keep other methods the same but add similar error handling
@@ -881,17 +974,25 @@ const login = async (req, res, next) => {
   const { username, password } = req.body;
 
   try {
+    const { ipAddress } = extractRequestMetadata(req);
+
     // Find user by username or email
     let user = await User.findOne({
       $or: [{ email: username }, { username: username }],
     });
 
+    // Count the attempt up front; refuses while the IP or account is locked
+    // out or backing off
+    const attempt = await reserveLoginAttempt({ ipAddress, user });
+
     if (!user) {
+      await recordFailedLogin(attempt);
       throw new CustomError(401, "Invalid credentials");
     }
 
     // Check if email is verified
     if (!user.isEmailVerified) {
+      await releaseLoginAttempt(attempt);
       return res.status(403).json({
         success: false,
         message:
@@ -905,18 +1006,31 @@ const login = async (req, res, next) => {
 
     // Check if account is active
     if (!user.isActive) {
+      await releaseLoginAttempt(attempt);
       throw new CustomError(
         403,
         "Account is not active. Please contact support."
       );
     }
 
+    if (user.isSuspended) {
+      await releaseLoginAttempt(attempt);
+      throw new CustomError(
+        403,
+        "Account is suspended. Please contact support."
+      );
+    }
+
     // Compare passwords
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await recordFailedLogin(attempt);
       throw new CustomError(401, "Invalid credentials");
     }
 
+    await releaseLoginAttempt(attempt);
+    await clearFailedLogins(user._id);
+
     // Update login tracking (don't fail login if this fails)
     try {
       user.lastLoginAt = new Date();
@@ -928,26 +1042,18 @@ const login = async (req, res, next) => {
       // Continue with login
     }
 
-    // Create payload for JWT
-    const payload = {
-      user: {
-        id: user.id,
-      },
-    };
-
-    // Sign tokens
-    const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: "12h",
-    });
-
-    const refreshToken = jwt.sign(payload, process.env.REFRESH_SECRET, {
-      expiresIn: "30d",
-    });
+    // Sign tokens (refresh token is persisted for rotation/revocation)
+    const { accessToken, refreshToken } = await issueAuthTokens(
+      user._id,
+      extractRequestMetadata(req)
+    );
 
     const userResponse = user.toObject();
     delete userResponse.password;
     delete userResponse.emailVerificationToken;
     delete userResponse.emailVerificationExpires;
+    delete userResponse.passwordResetToken;
+    delete userResponse.passwordResetExpires;
 
     // Send response with token and user info
     res.json({
@@ -1079,11 +1185,115 @@ const resendVerificationEmail = async (req, res, next) => {
   }
 };
 
+// Request a password reset email. Always responds the same way so the
+// endpoint cannot be used to discover which emails are registered.
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    // A non-string (e.g. { "$ne": null }) would be run as a query operator
+    if (!email || typeof email !== "string") {
+      throw new CustomError(400, "Email is required");
+    }
+
+    const user = await User.findOne({ email });
+
+    if (user && user.isActive) {
+      const resetToken = user.generatePasswordResetToken();
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user.email, resetToken, user.username);
+      } catch (emailError) {
+        console.error("Failed to send password reset email:", emailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If an account exists for this email, a password reset link has been sent.",
+    });
+  } catch (err) {
+    console.error("Forgot password error:", err);
+
+    if (err instanceof CustomError) {
+      next(err);
+    } else {
+      next(
+        new CustomError(500, "Password reset request failed. Please try again.")
+      );
+    }
+  }
+};
+
+// Confirm a password reset with the emailed token
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (
+      !token ||
+      !password ||
+      typeof token !== "string" ||
+      typeof password !== "string"
+    ) {
+      throw new CustomError(400, "Token and new password are required");
+    }
+
+    if (password.length < 8) {
+      throw new CustomError(400, "Password must be at least 8 characters long");
+    }
+
+    const user = await User.findByValidPasswordResetToken(token);
+
+    if (!user) {
+      throw new CustomError(400, "Invalid or expired password reset token");
+    }
+
+    const salt = await bcrypt.genSalt(12);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // Clears the reset token (single use) and stamps passwordChangedAt,
+    // which invalidates access tokens issued before now
+    user.setPassword(hashedPassword);
+    user.isOnline = false;
+    await user.save();
+
+    // Revoke all refresh tokens so existing sessions cannot be renewed
+    await revokeUserRefreshTokens(user._id, "PASSWORD_CHANGED");
+
+    // A successful reset proves ownership, so lift any login lockout
+    await clearFailedLogins(user._id);
+
+    res.json({
+      success: true,
+      message:
+        "Password reset successfully. Please log in with your new password.",
+    });
+  } catch (err) {
+    console.error("Reset password error:", err);
+
+    if (err instanceof CustomError) {
+      next(err);
+    } else if (err.name === "MongoNetworkError") {
+      next(
+        new CustomError(
+          500,
+          "Database connection failed. Please try again later."
+        )
+      );
+    } else {
+      next(new CustomError(500, "Password reset failed. Please try again."));
+    }
+  }
+};
+
 // Updated getUser function
 const getUserOld = async (req, res, next) => {
   try {
     let user = await User.findById(req.user._id).select(
-      "-password -emailVerificationToken -encryptionCards"
+      "-password -emailVerificationToken -passwordResetToken -encryptionCards"
     );
 
     if (!user) {
@@ -1165,7 +1375,7 @@ const getUserOld = async (req, res, next) => {
 const getUser = async (req, res, next) => {
   try {
     let user = await User.findById(req.user._id).select(
-      "-password -emailVerificationToken -encryptionCards"
+      "-password -emailVerificationToken -passwordResetToken -encryptionCards"
     );
 
     if (!user) {
@@ -1310,19 +1520,184 @@ const passUser = async (req, res, next) => {
   }
 };
 
+// Exchange a refresh token for a new access/refresh token pair
+const refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    if (!token) {
+      throw new CustomError(400, "Refresh token is required");
+    }
+
+    const tokens = await rotateRefreshToken(token, extractRequestMetadata(req));
+
+    const user = await User.findById(tokens.userId).select(
+      "isActive isSuspended"
+    );
+
+    if (!user || !user.isActive || user.isSuspended) {
+      await revokeUserRefreshTokens(tokens.userId, "ADMIN");
+      throw new CustomError(401, "Account is not active");
+    }
+
+    res.json({
+      success: true,
+      message: "Token refreshed successfully",
+      data: {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+      },
+    });
+  } catch (err) {
+    console.error("Token refresh error:", err);
+
+    if (err instanceof CustomError) {
+      next(err);
+    } else if (err.name === "MongoNetworkError") {
+      next(
+        new CustomError(
+          500,
+          "Database connection failed. Please try again later."
+        )
+      );
+    } else {
+      next(new CustomError(500, "Token refresh failed. Please try again."));
+    }
+  }
+};
+
+// Start authenticator enrollment - returns a QR code for the authenticator app
+const setupAuthenticator = async (req, res, next) => {
+  try {
+    const { qrCode, secret } = await startEnrollment(
+      req.user,
+      req.body?.currentCode
+    );
+
+    res.json({
+      success: true,
+      message:
+        "Scan the QR code with your authenticator app, then confirm with a code",
+      data: {
+        qrCode,
+        secret,
+      },
+    });
+  } catch (err) {
+    console.error("Authenticator setup error:", err);
+
+    if (err instanceof CustomError) {
+      next(err);
+    } else {
+      next(
+        new CustomError(500, "Authenticator setup failed. Please try again.")
+      );
+    }
+  }
+};
+
+// Confirm enrollment with the first code; recovery codes are only shown here
+const confirmAuthenticator = async (req, res, next) => {
+  try {
+    const { code, currentCode } = req.body;
+
+    if (!code) {
+      throw new CustomError(400, "Authenticator code is required");
+    }
+
+    // currentCode is only needed when replacing an enrolled authenticator,
+    // and must be newer than the one used for setup
+    const recoveryCodes = await confirmEnrollment(
+      req.user._id,
+      code,
+      currentCode
+    );
+
+    res.json({
+      success: true,
+      message:
+        "Authenticator enabled. Store these recovery codes somewhere safe - they will not be shown again.",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (err) {
+    console.error("Authenticator confirmation error:", err);
+
+    if (err instanceof CustomError) {
+      next(err);
+    } else {
+      next(
+        new CustomError(
+          500,
+          "Authenticator confirmation failed. Please try again."
+        )
+      );
+    }
+  }
+};
+
+const resetRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      throw new CustomError(400, "Authenticator code is required");
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id, code);
+
+    res.json({
+      success: true,
+      message:
+        "Recovery codes regenerated. Previous recovery codes no longer work.",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (err) {
+    console.error("Recovery code regeneration error:", err);
+
+    if (err instanceof CustomError) {
+      next(err);
+    } else {
+      next(
+        new CustomError(
+          500,
+          "Recovery code regeneration failed. Please try again."
+        )
+      );
+    }
+  }
+};
+
 const logout = async (req, res, next) => {
   try {
-    // Update user status if user is authenticated (don't fail logout if this fails)
-    if (req.user) {
-      try {
-        await User.findByIdAndUpdate(req.user._id, {
-          isOnline: false,
-          lastSeen: new Date(),
-        });
-      } catch (updateError) {
-        console.error("Failed to update logout status:", updateError);
-        // Continue with logout
-      }
+    const { refreshToken: token } = req.body;
+
+    if (!token || typeof token !== "string") {
+      throw new CustomError(400, "Refresh token is required");
+    }
+
+    // Identified by the refresh token rather than the access token, so a
+    // client whose access token has expired can still end its session
+    const userId = await revokeRefreshTokenSession(token, "LOGOUT");
+
+    // Update user status (don't fail logout if this fails)
+    try {
+      const activeSessions = await Session.countDocuments({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      });
+
+      await User.findByIdAndUpdate(userId, {
+        isOnline: activeSessions > 0,
+        lastSeen: new Date(),
+      });
+    } catch (updateError) {
+      console.error("Failed to update logout status:", updateError);
+      // Continue with logout
     }
 
     res.json({ success: true, message: "Logged out successfully" });
@@ -1331,6 +1706,61 @@ const logout = async (req, res, next) => {
   }
 };
 
+// List the caller's active sessions (one per logged-in device/browser)
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id)
+      .select("userAgent ipAddress createdAt lastUsedAt expiresAt")
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          ...session,
+          isCurrent: session._id.toString() === req.sessionId,
+        })),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// End one of the caller's sessions
+const deleteSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new CustomError(404, "Session not found");
+    }
+
+    const session = await Session.findOne({
+      _id: id,
+      user: req.user._id.toString(),
+      revokedAt: null,
+    });
+
+    if (!session) {
+      throw new CustomError(404, "Session not found");
+    }
+
+    await revokeSession(session, "LOGOUT");
+
+    res.json({
+      success: true,
+      message:
+        id === req.sessionId
+          ? "Current session ended. Please log in again."
+          : "Session ended successfully",
+      data: { sessionId: session._id },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 module.exports = {
   login,
   register,
@@ -1340,9 +1770,17 @@ module.exports = {
   activateSubscription,
   verifyEmail,
   resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
   getUser,
   passUser,
+  refreshToken,
+  setupAuthenticator,
+  confirmAuthenticator,
+  resetRecoveryCodes,
   logout,
+  getSessions,
+  deleteSession,
   getDeviceQueueStatus,
   updateSubscriptionStatus,
   cancelSubscription,
@@ -0,0 +1,327 @@
+// controllers/couponController.js
+const mongoose = require("mongoose");
+const Coupon = require("../models/coupon");
+const CouponRedemption = require("../models/couponRedemption");
+const CustomError = require("../utils/customError");
+const { getPlanPrice } = require("../utils/planCatalog");
+const { resolveBuyerCurrency } = require("../utils/currencyService");
+const { quoteCoupon } = require("../utils/couponService");
+
+// The code is printed on campaigns and stored on redemptions, so it is fixed
+// once created
+const EDITABLE_FIELDS = [
+  "description",
+  "discountType",
+  "discountValue",
+  "currency",
+  "applicablePlans",
+  "maxRedemptions",
+  "perUserLimit",
+  "firstPurchaseOnly",
+  "validFrom",
+  "expiresAt",
+  "isActive",
+];
+
+const handleCouponError = (err, next) => {
+  if (err.code === 11000) {
+    next(new CustomError(400, "A coupon with this code already exists"));
+  } else if (err.name === "ValidationError") {
+    const messages = Object.values(err.errors).map((e) => e.message);
+    next(new CustomError(400, messages.join(", ")));
+  } else if (err.name === "CastError") {
+    next(new CustomError(400, "Invalid coupon id"));
+  } else {
+    next(err);
+  }
+};
+
+// Preview the price of a plan with a coupon before checking out
+const validateCoupon = async (req, res, next) => {
+  try {
+    const { couponCode, plan } = req.body;
+
+    if (!couponCode || !plan) {
+      throw new CustomError(400, "Please provide couponCode and plan");
+    }
+
+    const { price, currency } = await getPlanPrice(
+      plan,
+      await resolveBuyerCurrency({
+        requested: req.body.currency,
+        userId: req.user._id,
+      })
+    );
+    const quote = await quoteCoupon({
+      couponCode,
+      userId: req.user._id,
+      plan,
+      amount: price,
+      currency,
+    });
+
+    res.json({
+      success: true,
+      message: "Coupon is valid",
+      data: {
+        couponCode: quote.coupon.code,
+        description: quote.coupon.description,
+        plan,
+        currency,
+        originalAmount: quote.originalAmount,
+        discountAmount: quote.discountAmount,
+        finalAmount: quote.finalAmount,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// List coupons (?active=true|false&search=)
+const getCoupons = async (req, res, next) => {
+  try {
+    const { active, search } = req.query;
+
+    const filter = {};
+    if (active !== undefined) filter.isActive = active === "true";
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.code = { $regex: escaped, $options: "i" };
+    }
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      data: { coupons },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const createCoupon = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      throw new CustomError(400, "Coupon code is required");
+    }
+
+    const fields = { code, createdBy: req.user._id.toString() };
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    }
+
+    const coupon = await Coupon.create(fields);
+
+    // New coupons have no id to audit until now
+    if (req.auditTarget) {
+      req.auditTarget.entityId = coupon._id;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Coupon created successfully",
+      data: { coupon },
+    });
+  } catch (err) {
+    handleCouponError(err, next);
+  }
+};
+
+const updateCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      throw new CustomError(404, "Coupon not found");
+    }
+
+    if (
+      req.body.code !== undefined &&
+      String(req.body.code).toUpperCase() !== coupon.code
+    ) {
+      throw new CustomError(400, "Coupon code cannot be changed");
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    }
+
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: "Coupon updated successfully",
+      data: { coupon },
+    });
+  } catch (err) {
+    handleCouponError(err, next);
+  }
+};
+
+// Redeemed coupons are deactivated rather than deleted to keep reporting intact
+const deleteCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      throw new CustomError(404, "Coupon not found");
+    }
+
+    if (coupon.redemptionCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+
+      return res.json({
+        success: true,
+        message: `Coupon has ${coupon.redemptionCount} redemption(s) and has been deactivated instead of deleted`,
+        data: { coupon },
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Coupon deleted successfully",
+    });
+  } catch (err) {
+    handleCouponError(err, next);
+  }
+};
+
+// Redemptions of one coupon, most recent first
+const getCouponRedemptions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const coupon = await Coupon.findById(req.params.id).lean();
+
+    if (!coupon) {
+      throw new CustomError(404, "Coupon not found");
+    }
+
+    const filter = { coupon: coupon._id };
+
+    const redemptions = await CouponRedemption.find(filter)
+      .populate("user", "username email")
+      .populate("transaction", "transactionId status")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    const total = await CouponRedemption.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        coupon,
+        redemptions,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalItems: total,
+          itemsPerPage: limitNum,
+          hasNext: pageNum < Math.ceil(total / limitNum),
+          hasPrev: pageNum > 1,
+        },
+      },
+    });
+  } catch (err) {
+    handleCouponError(err, next);
+  }
+};
+
+// Redemption totals per coupon (?startDate=&endDate=&couponId=)
+const getCouponReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate, couponId } = req.query;
+
+    const match = {};
+    if (couponId) {
+      if (!mongoose.Types.ObjectId.isValid(couponId)) {
+        throw new CustomError(400, "Invalid coupon id");
+      }
+      match.coupon = new mongoose.Types.ObjectId(couponId);
+    }
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const coupons = await CouponRedemption.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$coupon",
+          code: { $first: "$code" },
+          redemptions: { $sum: 1 },
+          uniqueUsers: { $addToSet: "$user" },
+          totalOriginalAmount: { $sum: "$originalAmount" },
+          totalDiscount: { $sum: "$discountAmount" },
+          totalRevenue: { $sum: "$finalAmount" },
+          firstRedeemedAt: { $min: "$createdAt" },
+          lastRedeemedAt: { $max: "$createdAt" },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          couponId: "$_id",
+          code: 1,
+          redemptions: 1,
+          uniqueUsers: { $size: "$uniqueUsers" },
+          totalOriginalAmount: { $round: ["$totalOriginalAmount", 2] },
+          totalDiscount: { $round: ["$totalDiscount", 2] },
+          totalRevenue: { $round: ["$totalRevenue", 2] },
+          firstRedeemedAt: 1,
+          lastRedeemedAt: 1,
+        },
+      },
+      { $sort: { redemptions: -1 } },
+    ]);
+
+    const totals = coupons.reduce(
+      (sum, c) => ({
+        redemptions: sum.redemptions + c.redemptions,
+        totalDiscount: sum.totalDiscount + c.totalDiscount,
+        totalRevenue: sum.totalRevenue + c.totalRevenue,
+      }),
+      { redemptions: 0, totalDiscount: 0, totalRevenue: 0 }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        totals: {
+          redemptions: totals.redemptions,
+          totalDiscount: Math.round(totals.totalDiscount * 100) / 100,
+          totalRevenue: Math.round(totals.totalRevenue * 100) / 100,
+        },
+        dateRange: { startDate: startDate || null, endDate: endDate || null },
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  validateCoupon,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getCouponRedemptions,
+  getCouponReport,
+};
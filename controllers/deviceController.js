@@ -6,13 +6,37 @@ const Transaction = require("../models/transaction");
 const Device = require("../models/device");
 const Subscription = require("../models/subscription");
 const {
-  getSubscriptionPrice,
+  getPlan,
+  getPlanPrice,
   getSubscriptionDuration,
-} = require("../utils/helpers");
+} = require("../utils/planCatalog");
 const CustomError = require("../utils/customError");
 const crypto = require("crypto");
 const User = require("../models/user");
 const { sendSubscriptionQueuedEmail } = require("../config/emailService");
+const {
+  quoteCoupon,
+  redeemCoupon,
+  toTransactionDiscount,
+} = require("../utils/couponService");
+const {
+  billingFromBody,
+  resolveTaxLocation,
+  calculateTax,
+  toTransactionTax,
+  toTaxSummary,
+  saveBillingDetails,
+} = require("../utils/taxService");
+const {
+  resolveBuyerCurrency,
+  toTransactionFx,
+} = require("../utils/currencyService");
+const {
+  resolvePaymentMethod,
+  requiresProviderPayment,
+  collectPurchasePayment,
+  toPaymentSummary,
+} = require("../utils/paymentService");
 
 // Helper function to extract request metadata
 const extractRequestMetadata = (req) => ({
@@ -104,356 +128,18 @@ const searchDevices = async (req, res, next) => {
   }
 };
 
-// Add new subscription to existing or new device
-const addNewDeviceToExisitingUser = async (req, res, next) => {
-  console.log("[ADD DEVICE SUBSCRIPTION]:", req.body);
-  console.log("[ADD DEVICE SUBSCRIPTION]:", req.user);
-
-  const { deviceName, imei, plan, files } = req.body;
-  const userId = req.user._id;
-  const { username, email } = req.user;
-
-  // Extract request metadata for transaction logging
-  const requestMetadata = extractRequestMetadata(req);
-
-  // Start a database session for transaction
-  const session = await mongoose.startSession();
-
-  try {
-    // Input validation
-    if (!deviceName || !imei || !plan) {
-      throw new CustomError(
-        400,
-        "Please provide all required fields: deviceName, imei, phoneNumber, plan"
-      );
-    }
-
-    // File validation
-    if (!files || files.length === 0) {
-      if (req.body.uploadErrors && req.body.uploadErrors.length > 0) {
-        return res.status(400).json({
-          success: false,
-          message: "File upload failed. Please try uploading your files again.",
-          error: "FILE_UPLOAD_REQUIRED",
-          uploadErrors: req.body.uploadErrors,
-        });
-      }
-      throw new CustomError(
-        400,
-        "Please upload at least one encryption card file"
-      );
-    }
-
-    // Plan validation
-    const validSubscriptionTypes = [
-      "mobile-v4-basic",
-      "mobile-v4-premium",
-      "mobile-v4-enterprise",
-      "mobile-v5-basic",
-      "mobile-v5-premium",
-      "full-suite-basic",
-      "full-suite-premium",
-    ];
-
-    if (!validSubscriptionTypes.includes(plan)) {
-      throw new CustomError(400, "Invalid encryption plan");
-    }
-
-
-    // Start transaction
-    await session.startTransaction();
-
-    // let targetUser;
-
-
-      // Using existing user scenario
-      if (!userId) {
-        throw new CustomError(400, "User ID is required for existing user");
-      }
-
-      const targetUser = await User.findById(userId).session(session);
-      if (!targetUser) {
-        await session.abortTransaction();
-        throw new CustomError(404, "User not found");
-      }
-      console.log(`✅ Using existing user: ${targetUser._id}`);
-    
-
-    // Check for active subscriptions on phone number
-    const hasActiveSubscription = await Subscription.findOne({
-      imei,
-      user: userId,
-      status: "ACTIVE",
-    }).session(session);
-
-    if (hasActiveSubscription) {
-      await session.abortTransaction();
-      throw new CustomError(
-        400,
-        "Device already has an active subscription"
-      );
-    }
-
-    // Handle device creation/retrieval
-    let device = await Device.findOne({ imei }).session(session);
-    let isNewDevice = false;
-
-    if (device) {
-      // Device exists - check ownership
-      if (device.user && device.user.toString() !== targetUser._id.toString()) {
-        await session.abortTransaction();
-        throw new CustomError(
-          400,
-          "Device is already registered to another user"
-        );
-      }
-
-      // Update device if not associated with user yet
-      if (!device.user) {
-        device.user = targetUser._id;
-        device.deviceName = deviceName;
-        await device.save({ session });
-        console.log(`✅ Updated existing device: ${device._id}`);
-      } else {
-        console.log(`✅ Using existing device: ${device._id}`);
-      }
-    } else {
-      // Create new device
-      const totpSecret = generateRandomString(32);
-      device = new Device({
-        user: targetUser._id,
-        imei,
-        totpSecret,
-        deviceName,
-      });
-
-      await device.save({ session });
-      isNewDevice = true;
-      console.log(`✅ New device created: ${device._id}`);
-    }
-
-    // Calculate next queue position for this device
-    const queuePosition = await calculateNextQueuePosition(imei, session);
-
-    // Get subscription pricing
-    const subscriptionPrice = getSubscriptionPrice(plan);
-
-    // Create new subscription
-    const newSubscription = new Subscription({
-      user: targetUser._id.toString(),
-      imei,
-      deviceName,
-      phone: phoneNumber,
-      email: targetUser.email,
-      plan,
-      price: subscriptionPrice,
-      cards: files,
-      queuePosition,
-      status: "PENDING",
-      // startDate and endDate will be set when subscription is activated
-    });
-
-    await newSubscription.save({ session });
-    console.log(
-      `✅ Subscription created with PENDING status: ${newSubscription._id}`
-    );
-
-    // Create transaction record
-    let transaction;
-    try {
-      transaction = new Transaction({
-        user: targetUser._id.toString(),
-        subscription: newSubscription._id,
-        device: device._id,
-        transactionId: Transaction.generateTransactionId(),
-        type: "SUBSCRIPTION_CREATED",
-        amount: subscriptionPrice,
-        plan,
-        status: "PENDING",
-        queuePosition,
-        queuedAt: new Date(),
-        metadata: {
-          userAgent: requestMetadata.userAgent || "Unknown",
-          ipAddress: requestMetadata.ipAddress || "Unknown",
-          deviceInfo: {
-            imei: imei || "",
-            deviceName: deviceName || "",
-          },
-          submissionNotes: submissionNotes || "",
-          encryptionCards: files || [],
-          phoneNumber: phoneNumber || "",
-          email: targetUser.email || "",
-          isNewUser,
-          isNewDevice,
-        },
-      });
-
-      await transaction.save({ session });
-      console.log(
-        `✅ Transaction record created: ${transaction.transactionId}`
-      );
-    } catch (transactionError) {
-      console.error("Failed to create transaction record:", transactionError);
-      // Don't fail the subscription creation for transaction logging errors
-    }
-
-    // Commit transaction - all operations succeeded
-    await session.commitTransaction();
-    console.log("✅ Transaction committed successfully");
-
-    // Send verification email for new users (outside transaction)
-    let emailSent = false;
-    if (isNewUser) {
-      try {
-        await sendVerificationEmail(
-          targetUser.email,
-          targetUser.emailVerificationToken,
-          targetUser.username
-        );
-        console.log(`✅ Verification email sent to ${targetUser.email}`);
-        emailSent = true;
-      } catch (emailError) {
-        console.error("Failed to send verification email:", emailError);
-        emailSent = false;
-      }
-    }
-
-    // Send subscription queued notification email (outside transaction)
-    try {
-      await sendSubscriptionQueuedEmail(
-        targetUser.email,
-        targetUser.username,
-        plan,
-        queuePosition
-      );
-    } catch (emailError) {
-      console.error("Failed to send subscription queued email:", emailError);
-    }
-
-    // Populate response data
-    await newSubscription.populate([
-      { path: "user", select: "username email phoneNumber isEmailVerified" },
-    ]);
-
-    // Get device queue information
-    const deviceQueueInfo = await Subscription.find({
-      imei,
-      status: { $in: ["PENDING", "QUEUED", "APPROVED"] },
-    }).sort({ queuePosition: 1 });
-
-    // Prepare response
-    const responseData = {
-      user: {
-        id: targetUser._id,
-        username: targetUser.username,
-        email: targetUser.email,
-        isEmailVerified: targetUser.isEmailVerified,
-        isNewUser,
-        requiresVerification: isNewUser && !targetUser.isEmailVerified,
-      },
-      subscription: {
-        id: newSubscription._id,
-        plan: newSubscription.plan,
-        status: newSubscription.status,
-        queuePosition: newSubscription.queuePosition,
-        estimatedReviewTime: "2-3 business days",
-        price: newSubscription.price,
-      },
-      device: {
-        id: device._id,
-        imei: device.imei,
-        deviceName: device.deviceName,
-        isNewDevice,
-        totalInQueue: deviceQueueInfo.length,
-        queuePosition: parseInt(queuePosition),
-      },
-      transaction: transaction
-        ? {
-            id: transaction._id,
-            transactionId: transaction.transactionId,
-            amount: transaction.amount,
-            status: transaction.status,
-          }
-        : null,
-      queueInfo: {
-        position: queuePosition,
-        totalInDeviceQueue: deviceQueueInfo.length,
-        estimatedWaitTime: `${deviceQueueInfo.length * 2}-${
-          deviceQueueInfo.length * 3
-        } business days`,
-      },
-    };
-
-    // Add upload warnings if any
-    if (req.body.uploadWarnings && req.body.uploadWarnings.length > 0) {
-      responseData.uploadWarnings = req.body.uploadWarnings;
-    }
-
-    // Success message based on scenario
-    let message =
-      "Subscription added successfully and queued for admin review.";
-    if (isNewUser) {
-      message += emailSent
-        ? " Please verify your email to complete account setup."
-        : " Please contact support to verify your account.";
-    }
-
-    res.status(201).json({
-      success: true,
-      message,
-      data: responseData,
-    });
-  } catch (err) {
-    // Abort transaction on any error
-    if (session.inTransaction()) {
-      await session.abortTransaction();
-      console.log("❌ Transaction aborted due to error");
-    }
-
-    console.error("Add subscription error:", err);
-
-    if (err instanceof CustomError) {
-      next(err);
-    } else if (err.code === 11000) {
-      const field = Object.keys(err.keyPattern)[0];
-      next(new CustomError(400, `${field} already exists`));
-    } else if (err.name === "ValidationError") {
-      const messages = Object.values(err.errors).map((e) => e.message);
-      next(new CustomError(400, messages.join(", ")));
-    } else if (err.name === "MongoNetworkError") {
-      next(
-        new CustomError(
-          500,
-          "Database connection failed. Please try again later."
-        )
-      );
-    } else if (err.code === "ENOTFOUND" || err.code === "ETIMEDOUT") {
-      next(
-        new CustomError(
-          500,
-          "Network error. Please check your connection and try again."
-        )
-      );
-    } else {
-      next(
-        new CustomError(
-          500,
-          "Failed to add subscription due to server error. Please try again."
-        )
-      );
-    }
-  } finally {
-    // End session
-    await session.endSession();
-  }
-};
-
 const addNewDeviceForUser = async (req, res, next) => {
-  console.log("[ADD NEW DEVICE FOR USER]:", req.body);
-  console.log("[USER INFO]:", req.user);
-
-  const { deviceName, imei, phoneNumber, plan, files, submissionNotes } =
-    req.body;
+  const {
+    deviceName,
+    imei,
+    phoneNumber,
+    plan,
+    files,
+    submissionNotes,
+    couponCode,
+    paymentMethod = "ADMIN_APPROVAL",
+    paymentMethodToken,
+  } = req.body;
 
   const userId = req.user._id.toString();
   const userEmail = req.user.email;
@@ -491,19 +177,8 @@ const addNewDeviceForUser = async (req, res, next) => {
     }
 
     // Plan validation
-    const validSubscriptionTypes = [
-      "mobile-v4-basic",
-      "mobile-v4-premium",
-      "mobile-v4-enterprise",
-      "mobile-v5-basic",
-      "mobile-v5-premium",
-      "full-suite-basic",
-      "full-suite-premium",
-    ];
-
-    if (!validSubscriptionTypes.includes(plan)) {
-      throw new CustomError(400, "Invalid encryption plan");
-    }
+    await getPlan(plan);
+    resolvePaymentMethod(paymentMethod, paymentMethodToken);
 
     // Phone number validation
     const phoneNumberRegex = /^\+?[\d\s\-()]{10,}$/;
@@ -617,8 +292,35 @@ const addNewDeviceForUser = async (req, res, next) => {
     // Calculate next queue position for this device
     const queuePosition = await calculateNextQueuePosition(imei, session);
 
-    // Get subscription pricing
-    const subscriptionPrice = getSubscriptionPrice(plan);
+    // Where the buyer is taxed also picks the currency they pay in
+    const location = await resolveTaxLocation({
+      billing: billingFromBody(req.body),
+      userId,
+      ipAddress: requestMetadata.ipAddress,
+    });
+    await saveBillingDetails(userId, location, session);
+    const { price: subscriptionPrice, currency } = await getPlanPrice(
+      plan,
+      await resolveBuyerCurrency({
+        requested: req.body.currency,
+        userId,
+        country: location.country,
+      })
+    );
+    const fx = await toTransactionFx(currency);
+    const pricing = await quoteCoupon({
+      couponCode,
+      userId,
+      plan,
+      amount: subscriptionPrice,
+      currency,
+      session,
+    });
+    const tax = await calculateTax({ amount: pricing.finalAmount, location });
+    const awaitingPayment = requiresProviderPayment(
+      paymentMethod,
+      tax.grossAmount
+    );
 
     // Create new subscription
     const newSubscription = new Subscription({
@@ -628,11 +330,13 @@ const addNewDeviceForUser = async (req, res, next) => {
       phone: phoneNumber,
       email: userEmail,
       plan,
-      price: subscriptionPrice,
+      price: pricing.finalAmount,
+      currency,
+      paymentStatus: awaitingPayment ? "PENDING" : "NOT_REQUIRED",
       cards: files,
       queuePosition,
       status: "PENDING",
-      originalDuration: getSubscriptionDuration(plan),
+      originalDuration: await getSubscriptionDuration(plan),
       totalPaid: 0,
       // startDate and endDate will be set when subscription is activated
     });
@@ -651,9 +355,14 @@ const addNewDeviceForUser = async (req, res, next) => {
         device: device._id,
         transactionId: Transaction.generateTransactionId(),
         type: "SUBSCRIPTION_CREATED",
-        amount: subscriptionPrice,
+        amount: tax.grossAmount,
+        currency,
+        fx,
         plan,
+        discount: toTransactionDiscount(pricing),
+        ...toTransactionTax(tax),
         status: "PENDING",
+        paymentMethod,
         queuePosition,
         queuedAt: new Date(),
         metadata: {
@@ -679,13 +388,33 @@ const addNewDeviceForUser = async (req, res, next) => {
       );
     } catch (transactionError) {
       console.error("Failed to create transaction record:", transactionError);
+      // A paid checkout cannot be charged without its transaction
+      if (awaitingPayment) throw transactionError;
       // Don't fail the device addition for transaction logging errors
     }
 
+    await redeemCoupon(pricing, {
+      userId,
+      plan,
+      currency,
+      subscriptionId: newSubscription._id,
+      transactionId: transaction?._id,
+      session,
+    });
+
     // Commit transaction - all operations succeeded
     await session.commitTransaction();
     console.log("✅ Transaction committed successfully");
 
+    // Paid checkouts are charged once the records exist. A declined payment
+    // cancels the subscription and is reported as 402.
+    if (awaitingPayment) {
+      ({ transaction } = await collectPurchasePayment(transaction, {
+        paymentMethodToken,
+        customer: { id: userId, email: userEmail },
+      }));
+    }
+
     // Send subscription queued notification email (outside transaction)
     let emailSent = false;
     try {
@@ -728,6 +457,12 @@ const addNewDeviceForUser = async (req, res, next) => {
         queuePosition: newSubscription.queuePosition,
         estimatedReviewTime: "2-3 business days",
         price: newSubscription.price,
+        currency,
+        originalPrice: pricing.originalAmount,
+        discount: pricing.discountAmount,
+        couponCode: pricing.coupon?.code || null,
+        tax: toTaxSummary(tax),
+        total: tax.grossAmount,
         createdAt: newSubscription.createdAt,
       },
       transaction: transaction
@@ -736,6 +471,7 @@ const addNewDeviceForUser = async (req, res, next) => {
             transactionId: transaction.transactionId,
             amount: transaction.amount,
             status: transaction.status,
+            payment: toPaymentSummary(transaction),
           }
         : null,
       queueInfo: {
@@ -0,0 +1,116 @@
+// controllers/exchangeRateController.js
+const ExchangeRate = require("../models/exchangeRate");
+const Plan = require("../models/plan");
+const CustomError = require("../utils/customError");
+const {
+  RATE_BASE_CURRENCY,
+  normalizeCurrency,
+} = require("../utils/currencyService");
+
+const handleExchangeRateError = (err, next) => {
+  if (err.code === 11000) {
+    next(new CustomError(400, "An exchange rate for this currency exists"));
+  } else if (err.name === "ValidationError") {
+    const messages = Object.values(err.errors).map((e) => e.message);
+    next(new CustomError(400, messages.join(", ")));
+  } else {
+    next(err);
+  }
+};
+
+// List exchange rates against the base currency
+const getExchangeRates = async (req, res, next) => {
+  try {
+    const exchangeRates = await ExchangeRate.find()
+      .sort({ currency: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { baseCurrency: RATE_BASE_CURRENCY, exchangeRates },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Set the rate (and optionally the countries) of a currency, creating it if
+// needed. Transactions keep the rate they were made at.
+const setExchangeRate = async (req, res, next) => {
+  try {
+    const currency = normalizeCurrency(req.params.currency);
+    const { rate, countries } = req.body;
+
+    if (currency === RATE_BASE_CURRENCY) {
+      throw new CustomError(
+        400,
+        `${RATE_BASE_CURRENCY} is the base currency and has no rate`
+      );
+    }
+
+    if (rate === undefined) {
+      throw new CustomError(400, "Please provide rate");
+    }
+
+    const fields = { rate, updatedBy: req.user._id.toString() };
+    if (countries !== undefined) {
+      if (!Array.isArray(countries)) {
+        throw new CustomError(400, "countries must be a list of ISO codes");
+      }
+      fields.countries = countries.map((country) =>
+        String(country).trim().toUpperCase()
+      );
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { $set: fields, $setOnInsert: { currency } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: `Exchange rate for ${currency} saved successfully`,
+      data: { exchangeRate },
+    });
+  } catch (err) {
+    handleExchangeRateError(err, next);
+  }
+};
+
+// Currencies that plans are still priced in cannot be removed
+const deleteExchangeRate = async (req, res, next) => {
+  try {
+    const currency = normalizeCurrency(req.params.currency);
+
+    const planCount = await Plan.countDocuments({
+      $or: [{ currency }, { "prices.currency": currency }],
+    });
+
+    if (planCount > 0) {
+      throw new CustomError(
+        400,
+        `${planCount} plan(s) are priced in ${currency}; remove those prices first`
+      );
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ currency });
+
+    if (!exchangeRate) {
+      throw new CustomError(404, "Exchange rate not found");
+    }
+
+    res.json({
+      success: true,
+      message: "Exchange rate deleted successfully",
+    });
+  } catch (err) {
+    handleExchangeRateError(err, next);
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate,
+};
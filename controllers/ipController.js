@@ -10,10 +10,17 @@ const Device = require("../models/device");
 const Subscription = require("../models/subscription");
 const Transaction = require("../models/transaction"); // Add this import
 const CustomError = require("../utils/customError");
+const {
+  reserveLoginAttempt,
+  recordFailedLogin,
+  releaseLoginAttempt,
+  clearFailedLogins,
+} = require("../utils/loginProtection");
+const { issueAuthTokens } = require("../utils/tokenService");
 const {
   getSubscriptionPrice,
   getSubscriptionDuration,
-} = require("../utils/helpers");
+} = require("../utils/planCatalog");
 const {
   generateVerificationToken,
   sendVerificationEmail,
@@ -55,6 +62,7 @@ const fetchIpInfo = async (ip) => {
       city: data.city,
       region: data.region,
       country: data.country,
+      countryCode: data.country_code,
       latitude: data.latitude,
       longitude: data.longitude,
       connection: data.connection,
@@ -110,6 +118,7 @@ const checkEncryptionByIP = async (req, res, next) => {
       city: ipInfo?.city,
       region: ipInfo?.region,
       country: ipInfo?.country,
+      countryCode: ipInfo?.countryCode,
       latitude: ipInfo?.latitude,
       longitude: ipInfo?.longitude,
       isp: ipInfo?.connection?.isp,
@@ -253,17 +262,25 @@ const login = async (req, res, next) => {
   const { username, password } = req.body;
 
   try {
+    const { ipAddress } = extractRequestMetadata(req);
+
     // Find user by username or email
     let user = await User.findOne({
       $or: [{ email: username }, { username: username }],
     });
 
+    // Count the attempt up front; refuses while the IP or account is locked
+    // out or backing off
+    const attempt = await reserveLoginAttempt({ ipAddress, user });
+
     if (!user) {
+      await recordFailedLogin(attempt);
       throw new CustomError(401, "Invalid credentials");
     }
 
     // Check if email is verified
     if (!user.isEmailVerified) {
+      await releaseLoginAttempt(attempt);
       return res.status(403).json({
         success: false,
         message:
@@ -277,18 +294,31 @@ const login = async (req, res, next) => {
 
     // Check if account is active
     if (!user.isActive) {
+      await releaseLoginAttempt(attempt);
       throw new CustomError(
         403,
         "Account is not active. Please contact support."
       );
     }
 
+    if (user.isSuspended) {
+      await releaseLoginAttempt(attempt);
+      throw new CustomError(
+        403,
+        "Account is suspended. Please contact support."
+      );
+    }
+
     // Compare passwords
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await recordFailedLogin(attempt);
       throw new CustomError(401, "Invalid credentials");
     }
 
+    await releaseLoginAttempt(attempt);
+    await clearFailedLogins(user._id);
+
     // Update login tracking (don't fail login if this fails)
     try {
       user.lastLoginAt = new Date();
@@ -300,21 +330,11 @@ const login = async (req, res, next) => {
       // Continue with login
     }
 
-    // Create payload for JWT
-    const payload = {
-      user: {
-        id: user.id,
-      },
-    };
-
-    // Sign tokens
-    const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: "12h",
-    });
-
-    const refreshToken = jwt.sign(payload, process.env.REFRESH_SECRET, {
-      expiresIn: "30d",
-    });
+    // Sign tokens (refresh token is persisted for rotation/revocation)
+    const { accessToken, refreshToken } = await issueAuthTokens(
+      user._id,
+      extractRequestMetadata(req)
+    );
 
     const userResponse = user.toObject();
     delete userResponse.password;
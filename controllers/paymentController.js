@@ -0,0 +1,173 @@
+// controllers/paymentController.js
+const PaymentEvent = require("../models/paymentEvent");
+const CustomError = require("../utils/customError");
+const {
+  hasPaymentProvider,
+  getPaymentProvider,
+} = require("../utils/paymentProvider");
+const { processPaymentEvent } = require("../utils/paymentService");
+
+// Events that reached a final outcome are acknowledged without reprocessing
+const SETTLED_EVENT_STATUSES = ["PROCESSED", "IGNORED"];
+
+const toEventSummary = (event) => ({
+  id: event._id,
+  provider: event.provider,
+  eventId: event.eventId,
+  type: event.type,
+  processingStatus: event.processingStatus,
+  transaction: event.transaction || null,
+  lastError: event.lastError || null,
+});
+
+// Inbound provider callback. Verifies the signature, stores the event once
+// per provider event id and settles the linked transaction. Failed events
+// answer 500 so the provider redelivers them.
+const handlePaymentWebhook = async (req, res, next) => {
+  try {
+    const { provider: providerName } = req.params;
+
+    if (!hasPaymentProvider(providerName)) {
+      throw new CustomError(404, "Unknown payment provider");
+    }
+
+    const provider = getPaymentProvider(providerName);
+    const parsed = await provider.parseWebhook(req.rawBody || "", req.headers);
+
+    let event = await PaymentEvent.findOne({
+      provider: provider.name,
+      eventId: parsed.eventId,
+    });
+
+    if (event && SETTLED_EVENT_STATUSES.includes(event.processingStatus)) {
+      return res.json({
+        success: true,
+        message: "Event already processed",
+        data: { ...toEventSummary(event), duplicate: true },
+      });
+    }
+
+    if (!event) {
+      try {
+        event = await PaymentEvent.create({
+          provider: provider.name,
+          eventId: parsed.eventId,
+          type: parsed.type,
+          externalId: parsed.externalId,
+          status: parsed.status,
+          amount: parsed.amount,
+          failureCode: parsed.failureCode,
+          failureMessage: parsed.failureMessage,
+          payload: JSON.parse(req.rawBody),
+        });
+      } catch (err) {
+        // A concurrent delivery of the same event got there first
+        if (err.code === 11000) {
+          return res.json({
+            success: true,
+            message: "Event already received",
+            data: { eventId: parsed.eventId, duplicate: true },
+          });
+        }
+        throw err;
+      }
+    }
+
+    event = await processPaymentEvent(event);
+
+    if (event.processingStatus === "FAILED") {
+      throw new CustomError(500, `Failed to process event: ${event.lastError}`);
+    }
+
+    res.json({
+      success: true,
+      message: "Event processed",
+      data: toEventSummary(event),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// List received webhook events (?provider=&processingStatus=&externalId=)
+const getPaymentEvents = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      provider,
+      processingStatus,
+      externalId,
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = {};
+    if (provider) filter.provider = provider;
+    if (processingStatus) filter.processingStatus = processingStatus;
+    if (externalId) filter.externalId = externalId;
+
+    const events = await PaymentEvent.find(filter)
+      .populate("transaction", "transactionId type status amount")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    const total = await PaymentEvent.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalItems: total,
+          itemsPerPage: limitNum,
+          hasNext: pageNum < Math.ceil(total / limitNum),
+          hasPrev: pageNum > 1,
+        },
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Run a stored event through processing again, e.g. after fixing the data
+// that made it fail. Already-settled transactions are left untouched.
+const replayPaymentEvent = async (req, res, next) => {
+  try {
+    let event = await PaymentEvent.findById(req.params.id);
+
+    if (!event) {
+      throw new CustomError(404, "Payment event not found");
+    }
+
+    event = await processPaymentEvent(event);
+
+    res.json({
+      success: event.processingStatus !== "FAILED",
+      message:
+        event.processingStatus === "FAILED"
+          ? `Replay failed: ${event.lastError}`
+          : "Event replayed",
+      data: toEventSummary(event),
+    });
+  } catch (err) {
+    if (err.name === "CastError") {
+      next(new CustomError(400, "Invalid payment event id"));
+    } else {
+      next(err);
+    }
+  }
+};
+
+module.exports = {
+  handlePaymentWebhook,
+  getPaymentEvents,
+  replayPaymentEvent,
+};
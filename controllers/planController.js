@@ -0,0 +1,227 @@
+// controllers/planController.js
+const Plan = require("../models/plan");
+const Subscription = require("../models/subscription");
+const CustomError = require("../utils/customError");
+const { getExchangeRate } = require("../utils/currencyService");
+
+// planId is referenced by existing subscriptions and transactions, so it is
+// fixed at creation time
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "price",
+  "currency",
+  "prices",
+  "duration",
+  "features",
+  "tier",
+  "category",
+  "productVersion",
+  "isActive",
+  "sortOrder",
+  "trialDays",
+  "maxPauses",
+  "maxPauseDays",
+];
+
+const RENEWAL_PRICING = ["GRANDFATHERED", "CURRENT"];
+
+// Buyers paying in another currency need its exchange rate for reporting,
+// so a plan is only priced in currencies that have one
+const checkPriceCurrencies = async (prices) => {
+  if (!Array.isArray(prices)) {
+    return;
+  }
+
+  for (const { currency } of prices) {
+    await getExchangeRate(currency);
+  }
+};
+
+const handlePlanError = (err, next) => {
+  if (err.code === 11000) {
+    next(new CustomError(400, "A plan with this id already exists"));
+  } else if (err.name === "ValidationError") {
+    const messages = Object.values(err.errors).map((e) => e.message);
+    next(new CustomError(400, messages.join(", ")));
+  } else if (err.name === "CastError") {
+    next(new CustomError(400, "Invalid plan id"));
+  } else {
+    next(err);
+  }
+};
+
+// List the full catalog, including retired plans (?active=true|false)
+const getPlans = async (req, res, next) => {
+  try {
+    const { active } = req.query;
+
+    const filter = {};
+    if (active !== undefined) filter.isActive = active === "true";
+
+    const plans = await Plan.find(filter)
+      .sort({ sortOrder: 1, planId: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { plans },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const createPlan = async (req, res, next) => {
+  try {
+    const { planId } = req.body;
+
+    if (!planId) {
+      throw new CustomError(400, "Plan id is required");
+    }
+
+    const fields = { planId };
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    }
+
+    await checkPriceCurrencies(fields.prices);
+
+    const plan = await Plan.create(fields);
+
+    res.status(201).json({
+      success: true,
+      message: "Plan created successfully",
+      data: { plan },
+    });
+  } catch (err) {
+    handlePlanError(err, next);
+  }
+};
+
+const updatePlan = async (req, res, next) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+
+    if (!plan) {
+      throw new CustomError(404, "Plan not found");
+    }
+
+    if (req.body.planId !== undefined && req.body.planId !== plan.planId) {
+      throw new CustomError(400, "Plan id cannot be changed");
+    }
+
+    await checkPriceCurrencies(req.body.prices);
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) plan[field] = req.body[field];
+    }
+
+    // New terms never rewrite what existing subscribers were sold
+    const versionPublished = plan.hasPricingChanges();
+    if (versionPublished) {
+      plan.publishVersion();
+    }
+
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: versionPublished
+        ? `Plan updated successfully. Version ${plan.version} is now current.`
+        : "Plan updated successfully",
+      data: { plan },
+    });
+  } catch (err) {
+    handlePlanError(err, next);
+  }
+};
+
+// Choose whether subscribers on a version renew at their original terms
+// (GRANDFATHERED) or at the plan's current terms (CURRENT)
+const updatePlanVersion = async (req, res, next) => {
+  try {
+    const { renewalPricing } = req.body;
+    const version = parseInt(req.params.version);
+
+    if (!RENEWAL_PRICING.includes(renewalPricing)) {
+      throw new CustomError(
+        400,
+        `renewalPricing must be one of: ${RENEWAL_PRICING.join(", ")}`
+      );
+    }
+
+    const plan = await Plan.findById(req.params.id);
+
+    if (!plan) {
+      throw new CustomError(404, "Plan not found");
+    }
+
+    const planVersion = plan.versions.find((v) => v.version === version);
+
+    if (!planVersion) {
+      throw new CustomError(404, "Plan version not found");
+    }
+
+    planVersion.renewalPricing = renewalPricing;
+    await plan.save();
+
+    const subscriberCount = await Subscription.countDocuments({
+      plan: plan.planId,
+      planVersion: version === 1 ? { $in: [1, null] } : version,
+      status: "ACTIVE",
+    });
+
+    res.json({
+      success: true,
+      message: `Version ${version} renewals now use ${renewalPricing.toLowerCase()} pricing`,
+      data: { plan, version: planVersion, activeSubscribers: subscriberCount },
+    });
+  } catch (err) {
+    handlePlanError(err, next);
+  }
+};
+
+// Plans that were ever sold are only deactivated, so existing subscriptions
+// keep resolving their price and duration
+const deletePlan = async (req, res, next) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+
+    if (!plan) {
+      throw new CustomError(404, "Plan not found");
+    }
+
+    const subscriptionCount = await Subscription.countDocuments({
+      plan: plan.planId,
+    });
+
+    if (subscriptionCount > 0) {
+      plan.isActive = false;
+      await plan.save();
+
+      return res.json({
+        success: true,
+        message: `Plan is used by ${subscriptionCount} subscription(s) and has been deactivated instead of deleted`,
+        data: { plan },
+      });
+    }
+
+    await plan.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Plan deleted successfully",
+    });
+  } catch (err) {
+    handlePlanError(err, next);
+  }
+};
+
+module.exports = {
+  getPlans,
+  createPlan,
+  updatePlan,
+  updatePlanVersion,
+  deletePlan,
+};
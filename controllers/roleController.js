@@ -0,0 +1,215 @@
+// controllers/roleController.js
+const Role = require("../models/role");
+const User = require("../models/user");
+const CustomError = require("../utils/customError");
+const {
+  ALL_PERMISSIONS,
+  getRoleDefinition,
+} = require("../utils/permissions");
+
+const ADMIN_INFO_FLAGS = [
+  "accessLevel",
+  "canApproveSubscriptions",
+  "canViewAnalytics",
+  "canManageUsers",
+  "maxApprovalAmount",
+];
+
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    throw new CustomError(400, "Permissions must be an array");
+  }
+
+  const unknown = permissions.filter((p) => !ALL_PERMISSIONS.includes(p));
+  if (unknown.length > 0) {
+    throw new CustomError(400, `Unknown permissions: ${unknown.join(", ")}`);
+  }
+};
+
+// List roles together with the permission catalogue
+const getRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: {
+        roles,
+        availablePermissions: ALL_PERMISSIONS,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const createRole = async (req, res, next) => {
+  try {
+    const { name, description, permissions = [], adminInfo = {} } = req.body;
+
+    if (!name) {
+      throw new CustomError(400, "Role name is required");
+    }
+
+    validatePermissions(permissions);
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      adminInfo,
+      isSystem: false,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Role created successfully",
+      data: { role },
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      next(new CustomError(400, "A role with this name already exists"));
+    } else if (err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map((e) => e.message);
+      next(new CustomError(400, messages.join(", ")));
+    } else {
+      next(err);
+    }
+  }
+};
+
+const updateRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { description, permissions, adminInfo } = req.body;
+
+    const role = await Role.findById(id);
+
+    if (!role) {
+      throw new CustomError(404, "Role not found");
+    }
+
+    if (permissions !== undefined) {
+      validatePermissions(permissions);
+      role.permissions = permissions;
+    }
+
+    if (description !== undefined) role.description = description;
+
+    if (adminInfo) {
+      for (const flag of ADMIN_INFO_FLAGS) {
+        if (adminInfo[flag] !== undefined) {
+          role.adminInfo[flag] = adminInfo[flag];
+        }
+      }
+    }
+
+    await role.save();
+
+    res.json({
+      success: true,
+      message:
+        "Role updated successfully. Re-assign the role to apply new adminInfo flags to existing users.",
+      data: { role },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const deleteRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const role = await Role.findById(id);
+
+    if (!role) {
+      throw new CustomError(404, "Role not found");
+    }
+
+    if (role.isSystem) {
+      throw new CustomError(400, "Built-in roles cannot be deleted");
+    }
+
+    const assignedCount = await User.countDocuments({ adminRole: role.name });
+    if (assignedCount > 0) {
+      throw new CustomError(
+        400,
+        `Role is assigned to ${assignedCount} user(s). Reassign them first.`
+      );
+    }
+
+    await role.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Role deleted successfully",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Assign a role template to an admin and copy its adminInfo flags
+const assignUserRole = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { roleName, permissions } = req.body;
+
+    if (!roleName) {
+      throw new CustomError(400, "Role name is required");
+    }
+
+    const role = await getRoleDefinition(roleName);
+
+    if (!role) {
+      throw new CustomError(404, "Role not found");
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new CustomError(404, "User not found");
+    }
+
+    if (user.role !== "admin") {
+      throw new CustomError(400, "Roles can only be assigned to admin users");
+    }
+
+    user.adminRole = role.name;
+
+    for (const flag of ADMIN_INFO_FLAGS) {
+      if (role.adminInfo?.[flag] !== undefined) {
+        user.adminInfo[flag] = role.adminInfo[flag];
+      }
+    }
+
+    if (permissions !== undefined) {
+      validatePermissions(permissions);
+      user.permissions = permissions;
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `Role "${role.name}" assigned successfully`,
+      data: {
+        userId: user._id,
+        adminRole: user.adminRole,
+        adminInfo: user.adminInfo,
+        permissions: user.permissions,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignUserRole,
+};
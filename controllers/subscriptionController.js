@@ -7,26 +7,56 @@ const Device = require("../models/device");
 const Subscription = require("../models/subscription");
 const User = require("../models/user");
 const {
-  getSubscriptionPrice,
+  getPlan,
+  listPlans,
+  getPlanPrice,
+  priceIn,
   getSubscriptionDuration,
-} = require("../utils/helpers");
+  resolveRenewalTerms,
+  getRenewalTerms,
+  getPauseLimits,
+} = require("../utils/planCatalog");
 const {
   generateVerificationToken,
   sendVerificationEmail,
   sendWelcomeEmail,
   sendSubscriptionQueuedEmail,
 } = require("../config/emailService");
+const {
+  quoteCoupon,
+  redeemCoupon,
+  toTransactionDiscount,
+} = require("../utils/couponService");
+const {
+  billingFromBody,
+  resolveTaxLocation,
+  calculateTax,
+  toTransactionTax,
+  toTaxSummary,
+  saveBillingDetails,
+} = require("../utils/taxService");
+const {
+  resolveBuyerCurrency,
+  toTransactionFx,
+} = require("../utils/currencyService");
+const {
+  resolvePaymentMethod,
+  resolveProviderPaymentMethod,
+  requiresProviderPayment,
+  collectPurchasePayment,
+  toPaymentSummary,
+} = require("../utils/paymentService");
+const { postToLedger } = require("../utils/ledger");
+const {
+  PLAN_CHANGE_TYPES,
+  getUnusedValue,
+  quotePlanChange,
+  isUpgrade,
+  toProrationSummary,
+  applyPlanChange,
+} = require("../utils/prorationService");
 const CustomError = require("../utils/customError");
-
-const SUBSCRIPTION_TYPES = {
-  "mobile-v4-basic": 30,
-  "mobile-v4-premium": 60,
-  "mobile-v4-enterprise": 90,
-  "mobile-v5-basic": 30,
-  "mobile-v5-premium": 60,
-  "full-suite-basic": 60,
-  "full-suite-premium": 90,
-};
+const { matchTotpStep } = require("../utils/authenticatorService");
 
 const checkDeviceIsOnboarded = async (req, res, next) => {
   console.log("[checkDeviceIsOnboarded SERVER]:", req.body);
@@ -102,7 +132,7 @@ const checkDeviceIsOnboarded = async (req, res, next) => {
 
 const setupDeviceOtp = async (req, res, next) => {
   console.log("[setupDeviceOtp SERVER]:", req.body);
-  const { imei, deviceName } = req.body;
+  const { imei, deviceName, currentTotpCode } = req.body;
   const userId = req.user._id;
 
   const session = await mongoose.startSession();
@@ -120,26 +150,73 @@ const setupDeviceOtp = async (req, res, next) => {
       length: 20,
     });
 
-    await Device.findOneAndUpdate(
-      { user: req.user._id, imei },
-      {
-        user: req.user._id,
-        imei,
-        totpSecret: secret.base32,
-        deviceName: deviceName || "Mobile Device",
-        isOnboarded: false,
-      },
-      { upsert: true, new: true, setDefaultsOnInsert: true }
-    );
+    const existingDevice = await Device.findOne({
+      user: req.user._id,
+      imei,
+    }).session(session);
+
+    // An onboarded device keeps its current secret until the new one is
+    // verified, so a lost authenticator can be replaced without downtime
+    const isReEnrollment = !!existingDevice?.isOnboarded;
+
+    // Replacing the authenticator needs a code from the current one, unless
+    // an admin has reset it for the owner
+    if (isReEnrollment && !existingDevice.authenticatorResetAt) {
+      if (!currentTotpCode) {
+        throw new CustomError(
+          403,
+          "Enter a code from the device's current authenticator, or ask support to reset it"
+        );
+      }
+
+      const step = matchTotpStep(existingDevice.totpSecret, currentTotpCode);
+      if (step === null) {
+        throw new CustomError(400, "Invalid OTP");
+      }
+
+      const claimed = await Device.updateOne(
+        { _id: existingDevice._id, lastTotpStep: { $lt: step } },
+        { $set: { lastTotpStep: step } },
+        { session }
+      );
+
+      if (claimed.modifiedCount !== 1) {
+        throw new CustomError(400, "OTP has already been used");
+      }
+    }
+
+    const deviceUpdate = isReEnrollment
+      ? { pendingTotpSecret: secret.base32 }
+      : {
+          user: req.user._id,
+          imei,
+          totpSecret: secret.base32,
+          pendingTotpSecret: null,
+          lastTotpStep: 0,
+          deviceName: deviceName || "Mobile Device",
+          isOnboarded: false,
+        };
+
+    await Device.findOneAndUpdate({ user: req.user._id, imei }, deviceUpdate, {
+      upsert: true,
+      new: true,
+      setDefaultsOnInsert: true,
+      session,
+    });
+
+    await session.commitTransaction();
 
     const qrCodeUrl = await QRCode.toDataURL(secret.otpauth_url);
 
     return res.status(200).json({
       success: true,
-      message: "Device Setup Initiated successfully",
+      message: isReEnrollment
+        ? "Device re-enrollment initiated. Verify a code to replace the old authenticator."
+        : "Device Setup Initiated successfully",
       data: {
         qrCode: qrCodeUrl,
         secret: secret.base32,
+        isReEnrollment,
       },
     });
   } catch (err) {
@@ -187,6 +264,104 @@ const setupDeviceOtp = async (req, res, next) => {
   }
 };
 
+// Verify the first code from the authenticator app and mark the device as
+// onboarded (or swap in the secret from a re-enrollment)
+const verifyDeviceOtp = async (req, res, next) => {
+  const { imei, totpCode } = req.body;
+  const userId = req.user._id;
+
+  try {
+    if (!imei || !totpCode) {
+      throw new CustomError(400, "Please provide all required fields");
+    }
+
+    const device = await Device.findOne({ user: userId, imei });
+
+    if (!device) {
+      throw new CustomError(
+        404,
+        "Device not found. Please set up the device first."
+      );
+    }
+
+    const isReEnrollment = !!device.pendingTotpSecret;
+    const secretToVerify = isReEnrollment
+      ? device.pendingTotpSecret
+      : device.totpSecret;
+
+    if (!isReEnrollment && device.isOnboarded) {
+      throw new CustomError(400, "Device is already onboarded");
+    }
+
+    const step = matchTotpStep(secretToVerify, totpCode);
+
+    if (step === null) {
+      throw new CustomError(400, "Invalid OTP");
+    }
+
+    const now = new Date();
+    const update = {
+      lastTotpStep: step,
+      isOnboarded: true,
+      onboardedAt: now,
+    };
+
+    if (isReEnrollment) {
+      update.totpSecret = device.pendingTotpSecret;
+      update.pendingTotpSecret = null;
+      update.authenticatorResetAt = null;
+      update.authenticatorResetBy = null;
+    }
+
+    // Only apply if the secret has not changed since it was read
+    const updatedDevice = await Device.findOneAndUpdate(
+      {
+        _id: device._id,
+        totpSecret: device.totpSecret,
+        pendingTotpSecret: device.pendingTotpSecret,
+      },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!updatedDevice) {
+      throw new CustomError(409, "Device setup changed. Please try again.");
+    }
+
+    res.json({
+      success: true,
+      message: isReEnrollment
+        ? "Authenticator replaced successfully"
+        : "Device onboarded successfully",
+      data: {
+        imei: updatedDevice.imei,
+        isOnboarded: updatedDevice.isOnboarded,
+        onboardedAt: updatedDevice.onboardedAt,
+      },
+    });
+  } catch (err) {
+    console.error("Device verification error:", err);
+
+    if (err instanceof CustomError) {
+      next(err);
+    } else if (err.name === "MongoNetworkError") {
+      next(
+        new CustomError(
+          500,
+          "Database connection failed. Please try again later."
+        )
+      );
+    } else {
+      next(
+        new CustomError(
+          500,
+          "Device verification failed due to server error. Please try again."
+        )
+      );
+    }
+  }
+};
+
 const queueSubscription = async (req, res, next) => {
   console.log("[queueSubscription SERVER]:", req.body);
   const { subscriptionId } = req.body;
@@ -313,27 +488,36 @@ const activateSubscription = async (req, res, next) => {
       throw new CustomError(404, "Device not found");
     }
 
-    const verified = speakeasy.totp.verify({
-      secret: device.totpSecret,
-      encoding: "base32",
-      token: totpCode,
-      window: 2, // Allow 2 time steps before/after current time
-    });
+    if (!device.isOnboarded) {
+      throw new CustomError(
+        403,
+        "Device is not onboarded. Please verify your authenticator first."
+      );
+    }
 
-    if (!verified) {
+    const step = matchTotpStep(device.totpSecret, totpCode);
+
+    if (step === null) {
       throw new CustomError(400, "Invalid OTP");
     }
 
-    const subscriptionType = subscription.plan;
-    const durationInDays = SUBSCRIPTION_TYPES[subscriptionType];
+    // Reject codes that were already used for this device
+    const claimed = await Device.updateOne(
+      { _id: device._id, lastTotpStep: { $lt: step } },
+      { $set: { lastTotpStep: step } },
+      { session }
+    );
 
-    if (!durationInDays) {
-      console.warn(
-        `Unknown subscription type: ${subscriptionType}, defaulting to 30 days`
-      );
+    if (claimed.modifiedCount !== 1) {
+      throw new CustomError(400, "OTP has already been used");
     }
 
-    const duration = durationInDays || 30;
+    const duration = subscription.isTrial
+      ? subscription.trialDays
+      : await getSubscriptionDuration(
+          subscription.plan,
+          subscription.planVersion
+        );
 
     const now = new Date();
     const endDate = new Date(now);
@@ -346,21 +530,12 @@ const activateSubscription = async (req, res, next) => {
         startDate: now,
         endDate: endDate,
         updatedAt: now,
-      }
-    );
-
-    const updatedDevice = await Device.findByIdAndUpdate(
-      device._id,
-      {
-        isOnboarded: true,
-        updatedAt: now,
+        ...(subscription.isTrial && { trialEndsAt: endDate }),
       },
-      { upsert: true, new: true, setDefaultsOnInsert: true }
+      { new: true, session }
     );
 
-    if (!updatedDevice) {
-      throw new CustomError(400, "Device not updated");
-    }
+    await session.commitTransaction();
 
     res.json({
       success: true,
@@ -368,7 +543,7 @@ const activateSubscription = async (req, res, next) => {
       data: {
         subscription: updatedSubscription,
         duration: `${duration} days`,
-        subscriptionType: subscriptionType,
+        subscriptionType: subscription.plan,
       },
     });
   } catch (err) {
@@ -439,154 +614,399 @@ const calculateNextQueuePosition = async (imei, session) => {
   return (queuedCount + 1).toString();
 };
 
-// Add new subscription to existing or new device
-const addDeviceSubscription = async (req, res, next) => {
-  console.log("[ADD DEVICE SUBSCRIPTION]:", req.body);
-  console.log("[ADD DEVICE SUBSCRIPTION]:", req.user);
-
-  const {
-    deviceName,
-    imei,
-    plan,
-    files,
-    // username,
-    // email,
-    password,
-    phoneNumber,
-    submissionNotes,
-    createNewUser = false, // Flag to determine if we should create a new user
-    // userId, // For existing users
-  } = req.body;
-  const userId = req.user._id;
-  const username = req.user.username;
-  const email = req.user.email;
-
-  // Extract request metadata for transaction logging
-  const requestMetadata = extractRequestMetadata(req);
+// Start a free trial on a trial-enabled plan. Trials skip admin review and
+// are queued straight away, then activated through the normal onboarding
+// flow (setup -> verify-device -> activate).
+const startTrial = async (req, res, next) => {
+  const { imei, plan, deviceName, phoneNumber } = req.body;
+  const userId = req.user._id.toString();
 
-  // Start a database session for transaction
   const session = await mongoose.startSession();
 
   try {
-    // Input validation
-    if (!deviceName || !imei || !phoneNumber || !plan) {
+    if (!imei || !plan) {
       throw new CustomError(
         400,
-        "Please provide all required fields: deviceName, imei, phoneNumber, plan"
+        "Please provide all required fields: imei, plan"
       );
     }
 
-    // File validation
-    if (!files || files.length === 0) {
-      if (req.body.uploadErrors && req.body.uploadErrors.length > 0) {
-        return res.status(400).json({
-          success: false,
-          message: "File upload failed. Please try uploading your files again.",
-          error: "FILE_UPLOAD_REQUIRED",
-          uploadErrors: req.body.uploadErrors,
-        });
-      }
-      throw new CustomError(
-        400,
-        "Please upload at least one encryption card file"
-      );
+    const planDetails = await getPlan(plan);
+
+    if (!planDetails.trialDays) {
+      throw new CustomError(400, "This plan does not offer a free trial");
     }
 
-    // Plan validation
-    const validSubscriptionTypes = [
-      "mobile-v4-basic",
-      "mobile-v4-premium",
-      "mobile-v4-enterprise",
-      "mobile-v5-basic",
-      "mobile-v5-premium",
-      "full-suite-basic",
-      "full-suite-premium",
-    ];
+    await session.startTransaction();
 
-    if (!validSubscriptionTypes.includes(plan)) {
-      throw new CustomError(400, "Invalid encryption plan");
+    const user = await User.findById(userId).session(session);
+    if (!user) {
+      throw new CustomError(404, "User not found");
     }
 
-    // Phone number validation
-    const phoneNumberRegex = /^\+?[\d\s\-()]{10,}$/;
-    if (!phoneNumberRegex.test(phoneNumber)) {
-      throw new CustomError(400, "Please provide a valid phone number");
+    if (!user.isEmailVerified) {
+      throw new CustomError(
+        403,
+        "Please verify your email before starting a free trial"
+      );
     }
 
-    // Start transaction
-    await session.startTransaction();
+    const phone = phoneNumber || user.phoneNumber;
+    if (!phone) {
+      throw new CustomError(400, "Please provide a phone number");
+    }
 
-    let targetUser;
-    let isNewUser = false;
+    const device = await Device.findOne({ imei }).session(session);
+    if (device && device.user.toString() !== userId) {
+      throw new CustomError(
+        403,
+        "This device is registered to another account"
+      );
+    }
 
-    // Handle user creation or selection
-    if (createNewUser) {
-      // Creating new user scenario
-      if (!username || !email || !password) {
-        throw new CustomError(
-          400,
-          "Username, email, and password required for new user"
-        );
-      }
+    const previousTrial = await Subscription.findOne({
+      isTrial: true,
+      $or: [{ user: userId }, { imei }],
+    }).session(session);
 
-      // Email validation for new users
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        throw new CustomError(400, "Please provide a valid email address");
-      }
+    if (previousTrial) {
+      throw new CustomError(
+        400,
+        previousTrial.user.toString() === userId
+          ? "You have already used your free trial"
+          : "A free trial has already been used on this device"
+      );
+    }
 
-      if (password.length < 8) {
-        throw new CustomError(
-          400,
-          "Password must be at least 8 characters long"
-        );
-      }
+    const activeOnDevice = await Subscription.exists({
+      imei,
+      status: { $in: ["ACTIVE", "PAUSED"] },
+    }).session(session);
 
-      // Check if user already exists
-      const existingUserByEmail = await User.findOne({ email }).session(
-        session
-      );
-      const existingUserByUsername = await User.findOne({ username }).session(
-        session
+    if (activeOnDevice) {
+      throw new CustomError(
+        400,
+        "This device already has an active subscription"
       );
+    }
 
-      if (existingUserByEmail) {
-        if (!existingUserByEmail.isEmailVerified) {
-          // Send new verification email for unverified user
-          try {
-            const verificationToken =
-              existingUserByEmail.generateVerificationToken();
-            await existingUserByEmail.save({ session });
+    const queuePosition = await calculateNextQueuePosition(imei, session);
+    const now = new Date();
 
-            await session.commitTransaction();
+    const trial = new Subscription({
+      user: userId,
+      imei,
+      deviceName: device?.deviceName || deviceName || "Device",
+      phone,
+      email: user.email,
+      plan,
+      price: 0,
+      queuePosition,
+      queuedAt: now,
+      status: "QUEUED",
+      isTrial: true,
+      trialDays: planDetails.trialDays,
+      originalDuration: planDetails.trialDays,
+    });
 
-            try {
-              await sendVerificationEmail(email, verificationToken, username);
-            } catch (emailError) {
-              console.error("Failed to send verification email:", emailError);
-            }
+    await trial.save({ session });
 
-            return res.status(200).json({
-              success: true,
-              message:
-                "Account already exists but email not verified. New verification email sent.",
-              data: {
-                requiresVerification: true,
-                email: existingUserByEmail.email,
-              },
-            });
-          } catch (dbError) {
-            await session.abortTransaction();
-            console.error("Database error during re-registration:", dbError);
-            throw new CustomError(
-              500,
-              "Failed to process registration. Please try again."
-            );
-          }
-        }
-        await session.abortTransaction();
-        throw new CustomError(
-          400,
+    const transaction = new Transaction({
+      user: userId,
+      subscription: trial._id,
+      device: device?._id,
+      transactionId: Transaction.generateTransactionId(),
+      type: "SUBSCRIPTION_CREATED",
+      amount: 0,
+      currency: planDetails.currency,
+      plan,
+      planVersion: trial.planVersion,
+      status: "COMPLETED",
+      paymentMethod: "FREE_TRIAL",
+      processedAt: now,
+      queuePosition,
+      queuedAt: now,
+      metadata: {
+        userAgent: req.get("User-Agent") || "Unknown",
+        ipAddress: req.ip || "Unknown",
+        deviceInfo: {
+          imei,
+          deviceName: trial.deviceName,
+        },
+        phoneNumber: phone,
+        email: user.email,
+      },
+    });
+
+    await transaction.save({ session });
+
+    await session.commitTransaction();
+
+    res.status(201).json({
+      success: true,
+      message: `Your ${planDetails.trialDays}-day free trial is ready. Onboard your device to activate it.`,
+      data: {
+        subscription: {
+          id: trial._id,
+          plan: trial.plan,
+          status: trial.status,
+          isTrial: true,
+          trialDays: trial.trialDays,
+          queuePosition: trial.queuePosition,
+        },
+        device: {
+          imei,
+          isOnboarded: device?.isOnboarded || false,
+        },
+        transaction: {
+          id: transaction._id,
+          transactionId: transaction.transactionId,
+          amount: transaction.amount,
+          status: transaction.status,
+        },
+      },
+    });
+  } catch (err) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+      console.log("❌ Transaction aborted due to error");
+    }
+
+    console.error("Start trial error:", err);
+
+    if (err instanceof CustomError) {
+      next(err);
+    } else if (err.code === 11000) {
+      // Concurrent request won the one-trial-per-user/IMEI index
+      next(
+        new CustomError(
+          400,
+          "A free trial has already been used for this account or device"
+        )
+      );
+    } else if (err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map((e) => e.message);
+      next(new CustomError(400, messages.join(", ")));
+    } else {
+      next(
+        new CustomError(
+          500,
+          "Failed to start free trial due to server error. Please try again."
+        )
+      );
+    }
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Choose whether a trial continues on the paid plan when it ends. The first
+// paid period is charged then with `paymentMethodToken`.
+const updateTrialConversion = async (req, res, next) => {
+  try {
+    const { convertAtTrialEnd, paymentMethod, paymentMethodToken } = req.body;
+
+    if (typeof convertAtTrialEnd !== "boolean") {
+      throw new CustomError(400, "convertAtTrialEnd must be true or false");
+    }
+
+    if (convertAtTrialEnd) {
+      if (!paymentMethod || !paymentMethodToken) {
+        throw new CustomError(
+          400,
+          "Please provide paymentMethod and paymentMethodToken"
+        );
+      }
+
+      resolveProviderPaymentMethod(paymentMethod, paymentMethodToken);
+    }
+
+    const subscription = await Subscription.findById(req.params.id);
+
+    if (!subscription) {
+      throw new CustomError(404, "Subscription not found");
+    }
+
+    if (subscription.user.toString() !== req.user._id.toString()) {
+      throw new CustomError(403, "Unauthorized access to subscription");
+    }
+
+    if (
+      !subscription.isTrial ||
+      subscription.convertedFromTrialAt ||
+      !["QUEUED", "ACTIVE"].includes(subscription.status)
+    ) {
+      throw new CustomError(400, "This subscription is not a running trial");
+    }
+
+    subscription.convertAtTrialEnd = convertAtTrialEnd;
+    subscription.conversionPayment = convertAtTrialEnd
+      ? { paymentMethod, paymentMethodToken: String(paymentMethodToken) }
+      : undefined;
+    await subscription.save();
+
+    const planDetails = await getPlan(subscription.plan, {
+      includeInactive: true,
+    });
+
+    res.json({
+      success: true,
+      message: convertAtTrialEnd
+        ? `Your subscription will continue on ${subscription.plan} when the trial ends`
+        : "Your trial will end without charge",
+      data: {
+        subscriptionId: subscription._id,
+        convertAtTrialEnd,
+        paymentMethod: convertAtTrialEnd ? paymentMethod : null,
+        trialEndsAt: subscription.trialEndsAt || null,
+        priceAfterTrial: planDetails.price,
+        currency: planDetails.currency,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Add new subscription to existing or new device
+const addDeviceSubscription = async (req, res, next) => {
+  console.log("[ADD DEVICE SUBSCRIPTION]:", req.user);
+
+  const {
+    deviceName,
+    imei,
+    plan,
+    files,
+    // username,
+    // email,
+    password,
+    phoneNumber,
+    submissionNotes,
+    couponCode,
+    paymentMethod = "ADMIN_APPROVAL",
+    paymentMethodToken,
+    createNewUser = false, // Flag to determine if we should create a new user
+    // userId, // For existing users
+  } = req.body;
+  const userId = req.user._id;
+  const username = req.user.username;
+  const email = req.user.email;
+
+  // Extract request metadata for transaction logging
+  const requestMetadata = extractRequestMetadata(req);
+
+  // Start a database session for transaction
+  const session = await mongoose.startSession();
+
+  try {
+    // Input validation
+    if (!deviceName || !imei || !phoneNumber || !plan) {
+      throw new CustomError(
+        400,
+        "Please provide all required fields: deviceName, imei, phoneNumber, plan"
+      );
+    }
+
+    // File validation
+    if (!files || files.length === 0) {
+      if (req.body.uploadErrors && req.body.uploadErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "File upload failed. Please try uploading your files again.",
+          error: "FILE_UPLOAD_REQUIRED",
+          uploadErrors: req.body.uploadErrors,
+        });
+      }
+      throw new CustomError(
+        400,
+        "Please upload at least one encryption card file"
+      );
+    }
+
+    // Plan validation
+    await getPlan(plan);
+    resolvePaymentMethod(paymentMethod, paymentMethodToken);
+
+    // Phone number validation
+    const phoneNumberRegex = /^\+?[\d\s\-()]{10,}$/;
+    if (!phoneNumberRegex.test(phoneNumber)) {
+      throw new CustomError(400, "Please provide a valid phone number");
+    }
+
+    // Start transaction
+    await session.startTransaction();
+
+    let targetUser;
+    let isNewUser = false;
+
+    // Handle user creation or selection
+    if (createNewUser) {
+      // Creating new user scenario
+      if (!username || !email || !password) {
+        throw new CustomError(
+          400,
+          "Username, email, and password required for new user"
+        );
+      }
+
+      // Email validation for new users
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        throw new CustomError(400, "Please provide a valid email address");
+      }
+
+      if (password.length < 8) {
+        throw new CustomError(
+          400,
+          "Password must be at least 8 characters long"
+        );
+      }
+
+      // Check if user already exists
+      const existingUserByEmail = await User.findOne({ email }).session(
+        session
+      );
+      const existingUserByUsername = await User.findOne({ username }).session(
+        session
+      );
+
+      if (existingUserByEmail) {
+        if (!existingUserByEmail.isEmailVerified) {
+          // Send new verification email for unverified user
+          try {
+            const verificationToken =
+              existingUserByEmail.generateVerificationToken();
+            await existingUserByEmail.save({ session });
+
+            await session.commitTransaction();
+
+            try {
+              await sendVerificationEmail(email, verificationToken, username);
+            } catch (emailError) {
+              console.error("Failed to send verification email:", emailError);
+            }
+
+            return res.status(200).json({
+              success: true,
+              message:
+                "Account already exists but email not verified. New verification email sent.",
+              data: {
+                requiresVerification: true,
+                email: existingUserByEmail.email,
+              },
+            });
+          } catch (dbError) {
+            await session.abortTransaction();
+            console.error("Database error during re-registration:", dbError);
+            throw new CustomError(
+              500,
+              "Failed to process registration. Please try again."
+            );
+          }
+        }
+        await session.abortTransaction();
+        throw new CustomError(
+          400,
           "User with this email already exists and is verified"
         );
       }
@@ -685,7 +1105,35 @@ const addDeviceSubscription = async (req, res, next) => {
     const queuePosition = await calculateNextQueuePosition(imei, session);
 
     // Get subscription pricing
-    const subscriptionPrice = getSubscriptionPrice(plan);
+    // Where the buyer is taxed also picks the currency they pay in
+    const location = await resolveTaxLocation({
+      billing: billingFromBody(req.body),
+      userId: targetUser._id,
+      ipAddress: requestMetadata.ipAddress,
+    });
+    await saveBillingDetails(targetUser._id, location, session);
+    const { price: subscriptionPrice, currency } = await getPlanPrice(
+      plan,
+      await resolveBuyerCurrency({
+        requested: req.body.currency,
+        userId: targetUser._id,
+        country: location.country,
+      })
+    );
+    const fx = await toTransactionFx(currency);
+    const pricing = await quoteCoupon({
+      couponCode,
+      userId: targetUser._id,
+      plan,
+      amount: subscriptionPrice,
+      currency,
+      session,
+    });
+    const tax = await calculateTax({ amount: pricing.finalAmount, location });
+    const awaitingPayment = requiresProviderPayment(
+      paymentMethod,
+      tax.grossAmount
+    );
 
     // Create new subscription
     const newSubscription = new Subscription({
@@ -695,7 +1143,9 @@ const addDeviceSubscription = async (req, res, next) => {
       phone: phoneNumber,
       email: targetUser.email,
       plan,
-      price: subscriptionPrice,
+      price: pricing.finalAmount,
+      currency,
+      paymentStatus: awaitingPayment ? "PENDING" : "NOT_REQUIRED",
       cards: files,
       queuePosition,
       status: "PENDING",
@@ -716,9 +1166,14 @@ const addDeviceSubscription = async (req, res, next) => {
         device: device._id,
         transactionId: Transaction.generateTransactionId(),
         type: "SUBSCRIPTION_CREATED",
-        amount: subscriptionPrice,
+        amount: tax.grossAmount,
+        currency,
+        fx,
         plan,
+        discount: toTransactionDiscount(pricing),
+        ...toTransactionTax(tax),
         status: "PENDING",
+        paymentMethod,
         queuePosition,
         queuedAt: new Date(),
         metadata: {
@@ -743,13 +1198,36 @@ const addDeviceSubscription = async (req, res, next) => {
       );
     } catch (transactionError) {
       console.error("Failed to create transaction record:", transactionError);
+      // A paid checkout cannot be charged without its transaction
+      if (awaitingPayment) throw transactionError;
       // Don't fail the subscription creation for transaction logging errors
     }
 
+    await redeemCoupon(pricing, {
+      userId: targetUser._id,
+      plan,
+      currency,
+      subscriptionId: newSubscription._id,
+      transactionId: transaction?._id,
+      session,
+    });
+
     // Commit transaction - all operations succeeded
     await session.commitTransaction();
     console.log("✅ Transaction committed successfully");
 
+    // Paid checkouts are charged once the records exist. A declined payment
+    // cancels the subscription and is reported as 402.
+    if (awaitingPayment) {
+      ({ transaction } = await collectPurchasePayment(transaction, {
+        paymentMethodToken,
+        customer: {
+          id: targetUser._id.toString(),
+          email: targetUser.email,
+        },
+      }));
+    }
+
     // Send verification email for new users (outside transaction)
     let emailSent = false;
     if (isNewUser) {
@@ -807,6 +1285,12 @@ const addDeviceSubscription = async (req, res, next) => {
         queuePosition: newSubscription.queuePosition,
         estimatedReviewTime: "2-3 business days",
         price: newSubscription.price,
+        currency,
+        originalPrice: pricing.originalAmount,
+        discount: pricing.discountAmount,
+        couponCode: pricing.coupon?.code || null,
+        tax: toTaxSummary(tax),
+        total: tax.grossAmount,
       },
       device: {
         id: device._id,
@@ -822,6 +1306,7 @@ const addDeviceSubscription = async (req, res, next) => {
             transactionId: transaction.transactionId,
             amount: transaction.amount,
             status: transaction.status,
+            payment: toPaymentSummary(transaction),
           }
         : null,
       queueInfo: {
@@ -897,15 +1382,15 @@ const addDeviceSubscription = async (req, res, next) => {
   }
 };
 
-const addSubscriptionToExtendExistingSubscription = async (req, res, next) => {
-  console.log("[addSubscriptionToMyDevice SERVER]:", req.body);
-
+const addSubscriptionToMyDevice = async (req, res, next) => {
   const {
     imei,
     plan,
     files,
     submissionNotes,
-    paymentMethod = "USER_ACTION",
+    couponCode,
+    paymentMethod = "ADMIN_APPROVAL",
+    paymentMethodToken,
   } = req.body;
 
   const userId = req.user._id.toString();
@@ -940,284 +1425,8 @@ const addSubscriptionToExtendExistingSubscription = async (req, res, next) => {
     }
 
     // Validate subscription plan
-    const validSubscriptionTypes = [
-      "mobile-v4-basic",
-      "mobile-v4-premium",
-      "mobile-v4-enterprise",
-      "mobile-v5-basic",
-      "mobile-v5-premium",
-      "full-suite-basic",
-      "full-suite-premium",
-    ];
-
-    if (!validSubscriptionTypes.includes(plan)) {
-      throw new CustomError(400, "Invalid subscription plan");
-    }
-
-    // Start transaction
-    await session.startTransaction();
-
-    // Get user information
-    const user = await User.findById(userId).session(session);
-    if (!user) {
-      throw new CustomError(404, "User not found");
-    }
-
-    // Check if user's email is verified
-    if (!user.isEmailVerified) {
-      await session.abortTransaction();
-      throw new CustomError(
-        403,
-        "Please verify your email address before adding a subscription"
-      );
-    }
-
-    // Verify device exists and belongs to user
-    const device = await Device.findOne({
-      imei,
-      user: userId,
-    }).session(session);
-
-    if (!device) {
-      await session.abortTransaction();
-      throw new CustomError(
-        404,
-        "Device not found or does not belong to you. Please ensure the device is registered to your account."
-      );
-    }
-
-    let subscription, queuePosition, subscriptionPrice, newSubscription;
-
-    subscription = await Subscription.findOne({
-      user: userId,
-      imei,
-      // status: "ACTIVE",
-      status: { $in: ["PENDING", "QUEUED", "APPROVED"] },
-    }).session(session);
-
-    queuePosition = await calculateNextQueuePosition(imei, session);
-
-    subscriptionPrice = getSubscriptionPrice(plan);
-
-    newSubscription = new Subscription({
-      user: userId,
-      imei,
-      deviceName: device.deviceName,
-      phone: subscription.phone || existingPendingSubscription.phone || "",
-      email: user.email,
-      plan,
-      price: subscriptionPrice,
-      cards: files,
-      queuePosition,
-      status: "PENDING",
-      originalDuration: getSubscriptionDuration(plan),
-      totalPaid: 0,
-      // Don't set startDate and endDate until subscription is activated
-    });
-
-    await newSubscription.save({ session });
-    console.log(
-      `✅ User subscription created with PENDING status: ${newSubscription._id}`
-    );
-
-    // Create transaction record
-    try {
-      const transaction = new Transaction({
-        user: userId,
-        subscription: newSubscription._id,
-        device: device._id,
-        transactionId: Transaction.generateTransactionId(),
-        type: "SUBSCRIPTION_CREATED",
-        amount: subscriptionPrice,
-        plan,
-        status: "PENDING",
-        queuePosition,
-        queuedAt: new Date(),
-        metadata: {
-          userAgent: requestMetadata.userAgent || "Unknown",
-          ipAddress: requestMetadata.ipAddress || "Unknown",
-          deviceInfo: {
-            imei: imei,
-            deviceName: device.deviceName,
-          },
-          submissionNotes: submissionNotes || "",
-          encryptionCards: files || [],
-          phoneNumber: user.phoneNumber || "",
-          email: user.email,
-          userInitiated: true,
-          existingDevice: true,
-        },
-      });
-
-      await transaction.save({ session });
-      console.log(
-        `✅ Transaction record created: ${transaction.transactionId}`
-      );
-    } catch (transactionError) {
-      console.error("Failed to create transaction record:", transactionError);
-      // Don't fail the subscription creation for transaction logging errors
-    }
-
-    // Commit transaction - all operations succeeded
-    await session.commitTransaction();
-    console.log("✅ Transaction committed successfully");
-
-    // await existingActiveSubscription.populate([
-    //   { path: "user", select: "username email phoneNumber" },
-    // ]);
-
-    // Send notification emails (outside transaction)
-    let emailSent = false;
-    try {
-      await sendSubscriptionQueuedEmail(
-        user.email,
-        user.username,
-        plan,
-        queuePosition
-      );
-      console.log(`✅ Subscription queued email sent to ${user.email}`);
-      emailSent = true;
-    } catch (emailError) {
-      console.error("Failed to send subscription queued email:", emailError);
-      emailSent = false;
-    }
-    const subscriptionToReturn = newSubscription || subscription;
-
-    // console.log("SUB TO RETURN", subscriptionToReturn);
-
-    const responseData = {
-      subscription: {
-        id: subscriptionToReturn._id,
-        plan: subscriptionToReturn.plan,
-        status: subscriptionToReturn.status,
-        queuePosition: subscriptionToReturn.queuePosition,
-        estimatedReviewTime: "2-3 business days",
-        price: subscriptionToReturn.price,
-        createdAt: subscriptionToReturn.createdAt,
-      },
-      device: {
-        id: device._id,
-        imei: device.imei,
-        deviceName: device.deviceName,
-        isOnboarded: device.isOnboarded,
-      },
-      queueInfo: {
-        position: queuePosition,
-        deviceHasActive: await Subscription.hasActiveSubscription(imei),
-        totalInQueue: await Subscription.countDocuments({
-          imei,
-          status: { $in: ["QUEUED", "PENDING"] },
-        }),
-      },
-      message: emailSent
-        ? "Subscription request submitted successfully! You will receive email updates on the status."
-        : "Subscription request submitted successfully! Please contact support for updates.",
-    };
-
-    if (req.body.uploadWarnings && req.body.uploadWarnings.length > 0) {
-      responseData.uploadWarnings = req.body.uploadWarnings;
-    }
-
-    res.status(201).json({
-      success: true,
-      message:
-        "Subscription added successfully to your device and queued for review.",
-      data: responseData,
-    });
-  } catch (err) {
-    // Abort transaction on any error
-    if (session.inTransaction()) {
-      await session.abortTransaction();
-      console.log("❌ Transaction aborted due to error");
-    }
-
-    console.error("Add subscription to device error:", err);
-
-    if (err instanceof CustomError) {
-      next(err);
-    } else if (err.code === 11000) {
-      const field = Object.keys(err.keyPattern)[0];
-      next(new CustomError(400, `${field} already exists`));
-    } else if (err.name === "ValidationError") {
-      const messages = Object.values(err.errors).map((e) => e.message);
-      next(new CustomError(400, messages.join(", ")));
-    } else if (err.name === "MongoNetworkError") {
-      next(
-        new CustomError(
-          500,
-          "Database connection failed. Please try again later."
-        )
-      );
-    } else {
-      next(
-        new CustomError(
-          500,
-          "Subscription request failed due to server error. Please try again."
-        )
-      );
-    }
-  } finally {
-    // End session
-    await session.endSession();
-  }
-};
-
-const addSubscriptionToMyDevice = async (req, res, next) => {
-  console.log("[addSubscriptionToMyDevice SERVER]:", req.body);
-
-  const {
-    imei,
-    plan,
-    files,
-    submissionNotes,
-    paymentMethod = "USER_ACTION",
-  } = req.body;
-
-  const userId = req.user._id.toString();
-  const requestMetadata = extractRequestMetadata(req);
-
-  // Start a database session for transaction
-  const session = await mongoose.startSession();
-
-  try {
-    // Input validation
-    if (!imei || !plan) {
-      throw new CustomError(
-        400,
-        "Please provide all required fields: imei, plan"
-      );
-    }
-
-    // File validation
-    if (!files || files.length === 0) {
-      if (req.body.uploadErrors && req.body.uploadErrors.length > 0) {
-        return res.status(400).json({
-          success: false,
-          message: "File upload failed. Please try uploading your files again.",
-          error: "FILE_UPLOAD_REQUIRED",
-          uploadErrors: req.body.uploadErrors,
-        });
-      }
-      throw new CustomError(
-        400,
-        "Please upload at least one encryption card file"
-      );
-    }
-
-    // Validate subscription plan
-    const validSubscriptionTypes = [
-      "mobile-v4-basic",
-      "mobile-v4-premium",
-      "mobile-v4-enterprise",
-      "mobile-v5-basic",
-      "mobile-v5-premium",
-      "full-suite-basic",
-      "full-suite-premium",
-    ];
-
-    if (!validSubscriptionTypes.includes(plan)) {
-      throw new CustomError(400, "Invalid subscription plan");
-    }
+    await getPlan(plan);
+    resolvePaymentMethod(paymentMethod, paymentMethodToken);
 
     // Start transaction
     await session.startTransaction();
@@ -1270,7 +1479,35 @@ const addSubscriptionToMyDevice = async (req, res, next) => {
     const queuePosition = await calculateNextQueuePosition(imei, session);
 
     // Create subscription with PENDING status
-    const subscriptionPrice = getSubscriptionPrice(plan);
+    // Where the buyer is taxed also picks the currency they pay in
+    const location = await resolveTaxLocation({
+      billing: billingFromBody(req.body),
+      userId,
+      ipAddress: requestMetadata.ipAddress,
+    });
+    await saveBillingDetails(userId, location, session);
+    const { price: subscriptionPrice, currency } = await getPlanPrice(
+      plan,
+      await resolveBuyerCurrency({
+        requested: req.body.currency,
+        userId,
+        country: location.country,
+      })
+    );
+    const fx = await toTransactionFx(currency);
+    const pricing = await quoteCoupon({
+      couponCode,
+      userId,
+      plan,
+      amount: subscriptionPrice,
+      currency,
+      session,
+    });
+    const tax = await calculateTax({ amount: pricing.finalAmount, location });
+    const awaitingPayment = requiresProviderPayment(
+      paymentMethod,
+      tax.grossAmount
+    );
 
     const newSubscription = new Subscription({
       user: userId,
@@ -1279,11 +1516,13 @@ const addSubscriptionToMyDevice = async (req, res, next) => {
       phone: existingPendingSubscription.phone || "",
       email: user.email,
       plan,
-      price: subscriptionPrice,
+      price: pricing.finalAmount,
+      currency,
+      paymentStatus: awaitingPayment ? "PENDING" : "NOT_REQUIRED",
       cards: files,
       queuePosition,
       status: "PENDING",
-      originalDuration: getSubscriptionDuration(plan),
+      originalDuration: await getSubscriptionDuration(plan),
       totalPaid: 0,
       // Don't set startDate and endDate until subscription is activated
     });
@@ -1302,9 +1541,14 @@ const addSubscriptionToMyDevice = async (req, res, next) => {
         device: device._id,
         transactionId: Transaction.generateTransactionId(),
         type: "SUBSCRIPTION_CREATED",
-        amount: subscriptionPrice,
+        amount: tax.grossAmount,
+        currency,
+        fx,
         plan,
+        discount: toTransactionDiscount(pricing),
+        ...toTransactionTax(tax),
         status: "PENDING",
+        paymentMethod,
         queuePosition,
         queuedAt: new Date(),
         metadata: {
@@ -1329,13 +1573,33 @@ const addSubscriptionToMyDevice = async (req, res, next) => {
       );
     } catch (transactionError) {
       console.error("Failed to create transaction record:", transactionError);
+      // A paid checkout cannot be charged without its transaction
+      if (awaitingPayment) throw transactionError;
       // Don't fail the subscription creation for transaction logging errors
     }
 
+    await redeemCoupon(pricing, {
+      userId,
+      plan,
+      currency,
+      subscriptionId: newSubscription._id,
+      transactionId: transaction?._id,
+      session,
+    });
+
     // Commit transaction - all operations succeeded
     await session.commitTransaction();
     console.log("✅ Transaction committed successfully");
 
+    // Paid checkouts are charged once the records exist. A declined payment
+    // cancels the subscription and is reported as 402.
+    if (awaitingPayment) {
+      ({ transaction } = await collectPurchasePayment(transaction, {
+        paymentMethodToken,
+        customer: { id: userId, email: user.email },
+      }));
+    }
+
     // Send notification emails (outside transaction)
     let emailSent = false;
     try {
@@ -1366,6 +1630,12 @@ const addSubscriptionToMyDevice = async (req, res, next) => {
         queuePosition: newSubscription.queuePosition,
         estimatedReviewTime: "2-3 business days",
         price: newSubscription.price,
+        currency,
+        originalPrice: pricing.originalAmount,
+        discount: pricing.discountAmount,
+        couponCode: pricing.coupon?.code || null,
+        tax: toTaxSummary(tax),
+        total: tax.grossAmount,
         createdAt: newSubscription.createdAt,
       },
       device: {
@@ -1388,6 +1658,7 @@ const addSubscriptionToMyDevice = async (req, res, next) => {
             transactionId: transaction.transactionId,
             amount: transaction.amount,
             status: transaction.status,
+            payment: toPaymentSummary(transaction),
           }
         : null,
       message: emailSent
@@ -1533,123 +1804,32 @@ const getMyDevices = async (req, res, next) => {
 // Get subscription plans and pricing
 const getSubscriptionPlans = async (req, res, next) => {
   try {
-    const plans = [
-      {
-        id: "mobile-v4-basic",
-        name: "Mobile V4 Basic",
-        price: getSubscriptionPrice("mobile-v4-basic"),
-        duration: getSubscriptionDuration("mobile-v4-basic"),
-        features: [
-          "Basic mobile encryption",
-          "30-day subscription",
-          "Standard support",
-          "Single device",
-        ],
-        category: "mobile",
-        version: "v4",
-        tier: "basic",
-      },
-      {
-        id: "mobile-v4-premium",
-        name: "Mobile V4 Premium",
-        price: getSubscriptionPrice("mobile-v4-premium"),
-        duration: getSubscriptionDuration("mobile-v4-premium"),
-        features: [
-          "Premium mobile encryption",
-          "60-day subscription",
-          "Priority support",
-          "Single device",
-          "Advanced security features",
-        ],
-        category: "mobile",
-        version: "v4",
-        tier: "premium",
-      },
-      {
-        id: "mobile-v4-enterprise",
-        name: "Mobile V4 Enterprise",
-        price: getSubscriptionPrice("mobile-v4-enterprise"),
-        duration: getSubscriptionDuration("mobile-v4-enterprise"),
-        features: [
-          "Enterprise mobile encryption",
-          "90-day subscription",
-          "24/7 support",
-          "Single device",
-          "Advanced security features",
-          "Custom configuration",
-        ],
-        category: "mobile",
-        version: "v4",
-        tier: "enterprise",
-      },
-      {
-        id: "mobile-v5-basic",
-        name: "Mobile V5 Basic",
-        price: getSubscriptionPrice("mobile-v5-basic"),
-        duration: getSubscriptionDuration("mobile-v5-basic"),
-        features: [
-          "Latest mobile encryption",
-          "30-day subscription",
-          "Standard support",
-          "Single device",
-          "Enhanced security",
-        ],
-        category: "mobile",
-        version: "v5",
-        tier: "basic",
-      },
-      {
-        id: "mobile-v5-premium",
-        name: "Mobile V5 Premium",
-        price: getSubscriptionPrice("mobile-v5-premium"),
-        duration: getSubscriptionDuration("mobile-v5-premium"),
-        features: [
-          "Latest premium mobile encryption",
-          "60-day subscription",
-          "Priority support",
-          "Single device",
-          "Advanced security features",
-          "Real-time monitoring",
-        ],
-        category: "mobile",
-        version: "v5",
-        tier: "premium",
-      },
-      {
-        id: "full-suite-basic",
-        name: "Full Suite Basic",
-        price: getSubscriptionPrice("full-suite-basic"),
-        duration: getSubscriptionDuration("full-suite-basic"),
-        features: [
-          "Complete encryption suite",
-          "60-day subscription",
-          "Standard support",
-          "Multi-platform support",
-          "Basic analytics",
-        ],
-        category: "full-suite",
-        version: "latest",
-        tier: "basic",
-      },
-      {
-        id: "full-suite-premium",
-        name: "Full Suite Premium",
-        price: getSubscriptionPrice("full-suite-premium"),
-        duration: getSubscriptionDuration("full-suite-premium"),
-        features: [
-          "Complete premium encryption suite",
-          "90-day subscription",
-          "24/7 priority support",
-          "Multi-platform support",
-          "Advanced analytics",
-          "Custom integrations",
-          "Dedicated account manager",
-        ],
-        category: "full-suite",
-        version: "latest",
-        tier: "premium",
-      },
-    ];
+    const catalog = await listPlans();
+
+    // Prices are shown in the caller's currency where plans offer it
+    // (?currency= overrides the profile and location)
+    const location = await resolveTaxLocation({
+      userId: req.user._id,
+      ipAddress: req.ip,
+    });
+    const currency = await resolveBuyerCurrency({
+      requested: req.query.currency,
+      userId: req.user._id,
+      country: location.country,
+    });
+
+    const plans = catalog.map((plan) => ({
+      id: plan.planId,
+      name: plan.name,
+      description: plan.description,
+      ...priceIn(plan, currency),
+      duration: plan.duration,
+      features: plan.features,
+      category: plan.category,
+      version: plan.productVersion,
+      tier: plan.tier,
+      trialDays: plan.trialDays || 0,
+    }));
 
     res.json({
       success: true,
@@ -1672,215 +1852,6 @@ const getSubscriptionPlans = async (req, res, next) => {
   }
 };
 
-// Add this function to controllers/adminController.js
-
-const addSubscriptionToExistingDevice = async (req, res, next) => {
-  const session = await mongoose.startSession();
-
-  try {
-    const {
-      userId,
-      imei,
-      plan,
-      paymentMethod = "ADMIN_APPROVAL",
-      adminNotes = "",
-      priority = 0,
-      cards = [], // Optional: admin can upload cards or use existing
-    } = req.body;
-
-    const adminId = req.user._id;
-
-    // Validation
-    if (!userId || !imei || !plan) {
-      throw new CustomError(400, "Missing required fields: userId, imei, plan");
-    }
-
-    // Validate plan
-    const validSubscriptionTypes = [
-      "mobile-v4-basic",
-      "mobile-v4-premium",
-      "mobile-v4-enterprise",
-      "mobile-v5-basic",
-      "mobile-v5-premium",
-      "full-suite-basic",
-      "full-suite-premium",
-    ];
-
-    if (!validSubscriptionTypes.includes(plan)) {
-      throw new CustomError(400, "Invalid subscription plan");
-    }
-
-    await session.startTransaction();
-
-    // Verify user exists
-    const user = await User.findById(userId).session(session);
-    if (!user) {
-      throw new CustomError(404, "User not found");
-    }
-
-    // Verify device exists and belongs to user
-    const device = await Device.findOne({
-      imei,
-      user: userId,
-    }).session(session);
-
-    if (!device) {
-      throw new CustomError(
-        404,
-        "Device not found or does not belong to this user"
-      );
-    }
-
-    // Check if user already has an active subscription for this device
-    const existingActiveSubscription = await Subscription.findOne({
-      user: userId,
-      imei,
-      status: "ACTIVE",
-    }).session(session);
-
-    if (existingActiveSubscription) {
-      throw new CustomError(
-        400,
-        "User already has an active subscription for this device"
-      );
-    }
-
-    // Check if user already has a pending subscription for this device
-    const existingPendingSubscription = await Subscription.findOne({
-      user: userId,
-      imei,
-      status: { $in: ["PENDING", "QUEUED", "APPROVED"] },
-    }).session(session);
-
-    if (existingPendingSubscription) {
-      throw new CustomError(
-        400,
-        "User already has a pending subscription for this device"
-      );
-    }
-
-    // Calculate subscription price
-    const subscriptionPrice = getSubscriptionPrice(plan);
-
-    // Get next queue position for this device
-    const queuePosition = await Subscription.getNextQueuePosition(imei);
-
-    // Create new subscription
-    const newSubscription = new Subscription({
-      user: userId,
-      imei,
-      deviceName: device.deviceName,
-      phone: user.phoneNumber || "",
-      email: user.email,
-      plan,
-      price: subscriptionPrice,
-      cards: cards.length > 0 ? cards : [], // Use provided cards or empty array
-      queuePosition,
-      status: "PENDING",
-      queuedBy: adminId,
-      queuedAt: new Date(),
-      adminNotes,
-      priority,
-      originalDuration: getSubscriptionDuration(plan),
-      totalPaid: 0, // Will be updated when payment is processed
-    });
-
-    await newSubscription.save({ session });
-    console.log(`✅ New subscription created: ${newSubscription._id}`);
-
-    // Create transaction record
-    const transaction = new Transaction({
-      user: userId,
-      subscription: newSubscription._id,
-      device: device._id,
-      transactionId: Transaction.generateTransactionId(),
-      type: "SUBSCRIPTION_CREATED",
-      amount: subscriptionPrice,
-      plan,
-      status: "PENDING",
-      queuePosition,
-      queuedAt: new Date(),
-      processedBy: adminId,
-      processedAt: new Date(),
-      adminNotes: `Admin added subscription: ${adminNotes}`,
-      paymentMethod,
-      metadata: {
-        userAgent: req.get("User-Agent") || "Admin Interface",
-        ipAddress: req.ip || "Unknown",
-        deviceInfo: {
-          imei: imei,
-          deviceName: device.deviceName,
-        },
-        adminAction: true,
-        addedByAdmin: adminId,
-        priority: priority,
-        existingDevice: true,
-      },
-    });
-
-    await transaction.save({ session });
-    console.log(`✅ Transaction created: ${transaction.transactionId}`);
-
-    // Reorder queue to ensure proper positioning based on priority
-    await Subscription.reorderDeviceQueue(imei);
-
-    await session.commitTransaction();
-
-    // Send notification email (outside transaction)
-    try {
-      await sendSubscriptionQueuedEmail(
-        user.email,
-        user.username,
-        plan,
-        queuePosition
-      );
-    } catch (emailError) {
-      console.error("Failed to send queue notification email:", emailError);
-    }
-
-    // Populate response data
-    await newSubscription.populate([
-      { path: "user", select: "username email phoneNumber" },
-      { path: "queuedBy", select: "username email" },
-    ]);
-
-    res.status(201).json({
-      success: true,
-      message: "Subscription added successfully to existing device",
-      data: {
-        subscription: newSubscription,
-        transaction: {
-          id: transaction._id,
-          transactionId: transaction.transactionId,
-          status: transaction.status,
-        },
-        queueInfo: {
-          position: queuePosition,
-          deviceHasActive: await Subscription.hasActiveSubscription(imei),
-          totalInQueue: await Subscription.countDocuments({
-            imei,
-            status: { $in: ["QUEUED", "PENDING"] },
-          }),
-        },
-        device: {
-          id: device._id,
-          imei: device.imei,
-          deviceName: device.deviceName,
-          isOnboarded: device.isOnboarded,
-        },
-      },
-    });
-  } catch (err) {
-    if (session.inTransaction()) {
-      await session.abortTransaction();
-    }
-    console.error("Add subscription to existing device error:", err);
-    next(err);
-  } finally {
-    await session.endSession();
-  }
-};
-
 // Helper function to get user's devices (useful for frontend)
 const getUserDevices = async (req, res, next) => {
   try {
@@ -2067,228 +2038,694 @@ const getDeviceSubscriptionSummary = async (req, res, next) => {
       summary.revenue.total += item.totalValue;
     });
 
-    // Calculate queue position if device has pending subscriptions
-    const nextInQueue = await Subscription.findOne({
-      imei,
-      status: { $in: ["PENDING", "QUEUED", "APPROVED"] },
-    }).sort({ queuePosition: 1 });
+    // Calculate queue position if device has pending subscriptions
+    const nextInQueue = await Subscription.findOne({
+      imei,
+      status: { $in: ["PENDING", "QUEUED", "APPROVED"] },
+    }).sort({ queuePosition: 1 });
+
+    if (nextInQueue) {
+      summary.queueInfo = {
+        nextPosition: nextInQueue.queuePosition,
+        totalInQueue:
+          summary.subscriptions.pending +
+          summary.subscriptions.queued +
+          summary.subscriptions.approved,
+      };
+    }
+
+    res.json({
+      success: true,
+      data: summary,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// A subscription of the caller, for plan changes and cancellations
+const findOwnSubscription = async (subscriptionId, userId, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(subscriptionId)) {
+    throw new CustomError(400, "Invalid subscription id");
+  }
+
+  const subscription = await Subscription.findById(subscriptionId).session(
+    session
+  );
+
+  if (!subscription) {
+    throw new CustomError(404, "Subscription not found");
+  }
+
+  if (subscription.user.toString() !== userId.toString()) {
+    throw new CustomError(403, "Unauthorized access to subscription");
+  }
+
+  return subscription;
+};
+
+// One plan change at a time: an upgrade waiting on its payment was priced
+// from the subscription as it is now
+const checkNoPendingPlanChange = async (subscription, session) => {
+  const pending = await Transaction.exists({
+    subscription: subscription._id,
+    type: { $in: PLAN_CHANGE_TYPES },
+    status: "PENDING",
+  }).session(session);
+
+  if (pending) {
+    throw new CustomError(
+      409,
+      "A plan change is waiting for its payment; try again once it settles"
+    );
+  }
+};
+
+// Preview switching plan now (?newPlan=), with the same billing fields as a
+// checkout for the tax on an upgrade. Nothing is saved.
+const previewPlanChange = async (req, res, next) => {
+  try {
+    const { newPlan } = req.query;
+    const userId = req.user._id;
+
+    if (!newPlan) {
+      throw new CustomError(400, "Please provide newPlan");
+    }
+
+    const subscription = await findOwnSubscription(req.params.id, userId);
+    const quote = await quotePlanChange({ subscription, newPlan });
+
+    const location = await resolveTaxLocation({
+      billing: billingFromBody(req.query),
+      userId,
+      ipAddress: req.ip,
+    });
+    const tax = await calculateTax({ amount: quote.amountDue, location });
+
+    res.json({
+      success: true,
+      data: {
+        change: isUpgrade(quote) ? "UPGRADE" : "DOWNGRADE",
+        proration: toProrationSummary(quote),
+        tax: toTaxSummary(tax),
+        total: tax.grossAmount,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Upgrade right away, paying the new plan's price for the days left less the
+// unused value of the current plan through the provider. The end date does
+// not change.
+const upgradeSubscription = async (req, res, next) => {
+  const { newPlan, paymentMethod, paymentMethodToken } = req.body;
+  const userId = req.user._id;
+
+  const session = await mongoose.startSession();
+
+  try {
+    if (!newPlan) {
+      throw new CustomError(400, "Please provide newPlan");
+    }
+
+    await session.startTransaction();
+
+    let subscription = await findOwnSubscription(
+      req.params.id,
+      userId,
+      session
+    );
+    await checkNoPendingPlanChange(subscription, session);
+    const quote = await quotePlanChange({ subscription, newPlan, session });
+
+    if (!isUpgrade(quote)) {
+      throw new CustomError(
+        400,
+        "The new plan costs less for the days left; downgrade instead"
+      );
+    }
+
+    const location = await resolveTaxLocation({
+      billing: billingFromBody(req.body),
+      userId,
+      ipAddress: req.ip,
+    });
+    await saveBillingDetails(userId, location, session);
+
+    const tax = await calculateTax({ amount: quote.amountDue, location });
+    // Self-service, so anything owed is paid online rather than approved
+    const awaitingPayment = tax.grossAmount > 0;
+    if (awaitingPayment) {
+      resolveProviderPaymentMethod(paymentMethod, paymentMethodToken);
+    }
+    const now = new Date();
+
+    const upgradeTransaction = new Transaction({
+      user: userId,
+      subscription: subscription._id,
+      transactionId: Transaction.generateTransactionId(),
+      type: "SUBSCRIPTION_UPGRADED",
+      amount: tax.grossAmount,
+      currency: quote.currency,
+      fx: await toTransactionFx(quote.currency),
+      plan: quote.toPlan,
+      planVersion: quote.planVersion,
+      ...toTransactionTax(tax),
+      // Upgrades with nothing to pay complete immediately
+      status: awaitingPayment ? "PENDING" : "COMPLETED",
+      completedAt: awaitingPayment ? undefined : now,
+      paymentMethod,
+      processedAt: now,
+      subscriptionPeriod: {
+        startDate: quote.periodStart,
+        endDate: quote.periodEnd,
+        duration: quote.remainingDays,
+      },
+      proration: quote,
+      metadata: {
+        userAgent: req.get("User-Agent") || "Unknown",
+        ipAddress: req.ip || "Unknown",
+        deviceInfo: {
+          imei: subscription.imei,
+          deviceName: subscription.deviceName,
+        },
+      },
+    });
+
+    await upgradeTransaction.save({ session });
+
+    // Paid upgrades switch the plan once the payment has succeeded
+    if (!awaitingPayment) {
+      applyPlanChange(subscription, upgradeTransaction);
+      await subscription.save({ session });
+    }
+
+    await session.commitTransaction();
+
+    let transaction = upgradeTransaction;
+    if (!awaitingPayment) {
+      await postToLedger(upgradeTransaction);
+    } else {
+      ({ transaction } = await collectPurchasePayment(upgradeTransaction, {
+        paymentMethodToken,
+        customer: { id: userId.toString(), email: subscription.email },
+      }));
+      subscription = await Subscription.findById(subscription._id);
+    }
+    const upgradePaid = transaction.status === "COMPLETED";
+
+    res.json({
+      success: true,
+      message: upgradePaid
+        ? "Subscription upgraded successfully"
+        : "Upgrade will be applied once the payment is confirmed",
+      data: {
+        subscription,
+        transaction: {
+          id: transaction._id,
+          transactionId: transaction.transactionId,
+          amount: transaction.amount,
+          status: transaction.status,
+          type: transaction.type,
+          payment: toPaymentSummary(transaction),
+        },
+        proration: toProrationSummary(quote),
+        tax: toTaxSummary(tax),
+        total: tax.grossAmount,
+      },
+    });
+  } catch (err) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    next(err);
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Downgrade right away. The unused value of the current plan is not paid
+// out: it buys days on the cheaper plan, which moves the end date.
+const downgradeSubscription = async (req, res, next) => {
+  const { newPlan } = req.body;
+  const userId = req.user._id;
+
+  const session = await mongoose.startSession();
+
+  try {
+    if (!newPlan) {
+      throw new CustomError(400, "Please provide newPlan");
+    }
+
+    await session.startTransaction();
+
+    const subscription = await findOwnSubscription(
+      req.params.id,
+      userId,
+      session
+    );
+    await checkNoPendingPlanChange(subscription, session);
+    const quote = await quotePlanChange({ subscription, newPlan, session });
+
+    if (isUpgrade(quote)) {
+      throw new CustomError(
+        400,
+        "The new plan costs more for the days left; upgrade instead"
+      );
+    }
+
+    const now = new Date();
+
+    const transaction = new Transaction({
+      user: userId,
+      subscription: subscription._id,
+      transactionId: Transaction.generateTransactionId(),
+      type: "SUBSCRIPTION_DOWNGRADED",
+      amount: 0, // Paid for with the credit from the current plan
+      currency: quote.currency,
+      fx: await toTransactionFx(quote.currency),
+      plan: quote.toPlan,
+      planVersion: quote.planVersion,
+      status: "COMPLETED",
+      completedAt: now,
+      processedAt: now,
+      subscriptionPeriod: {
+        startDate: quote.periodStart,
+        endDate: quote.periodEnd,
+        duration: quote.creditDays,
+      },
+      proration: quote,
+      metadata: {
+        userAgent: req.get("User-Agent") || "Unknown",
+        ipAddress: req.ip || "Unknown",
+        deviceInfo: {
+          imei: subscription.imei,
+          deviceName: subscription.deviceName,
+        },
+      },
+    });
+
+    await transaction.save({ session });
+
+    applyPlanChange(subscription, transaction);
+    await subscription.save({ session });
+
+    await session.commitTransaction();
+
+    res.json({
+      success: true,
+      message: "Subscription downgraded successfully",
+      data: {
+        subscription,
+        transaction,
+        proration: toProrationSummary(quote),
+      },
+    });
+  } catch (err) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    next(err);
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Move to another plan when the current period ends. The daily job renews
+// the subscription onto it then, charging `paymentMethodToken` through the
+// provider; nobody reviews the renewal, so offline methods are not accepted.
+const schedulePlanChange = async (req, res, next) => {
+  try {
+    const { newPlan, paymentMethod, paymentMethodToken } = req.body;
+
+    if (!newPlan || !paymentMethod || !paymentMethodToken) {
+      throw new CustomError(
+        400,
+        "Please provide newPlan, paymentMethod and paymentMethodToken"
+      );
+    }
+
+    resolveProviderPaymentMethod(paymentMethod, paymentMethodToken);
+
+    const subscription = await findOwnSubscription(
+      req.params.id,
+      req.user._id
+    );
+
+    if (subscription.status !== "ACTIVE") {
+      throw new CustomError(400, "Only active subscriptions can change plan");
+    }
+
+    if (subscription.isTrial && !subscription.convertedFromTrialAt) {
+      throw new CustomError(
+        400,
+        "Trials continue on their own plan; change plan after converting"
+      );
+    }
+
+    if (subscription.cancelledAt) {
+      throw new CustomError(
+        400,
+        "Subscription is set to end with the current period"
+      );
+    }
+
+    // Validates the plan and prices the next period
+    const plan = await getPlan(newPlan);
+
+    const requestedAt = new Date();
+    subscription.pendingPlanChange = {
+      plan: plan.planId,
+      paymentMethod,
+      paymentMethodToken: String(paymentMethodToken),
+      requestedAt,
+    };
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: `Plan change to ${plan.name} scheduled for the end of the current period`,
+      data: {
+        pendingPlanChange: { plan: plan.planId, paymentMethod, requestedAt },
+        effectiveDate: subscription.endDate,
+        nextPeriod: {
+          ...priceIn(plan, subscription.currency),
+          duration: plan.duration,
+        },
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Drop a scheduled plan change
+const cancelScheduledPlanChange = async (req, res, next) => {
+  try {
+    const subscription = await findOwnSubscription(
+      req.params.id,
+      req.user._id
+    );
 
-    if (nextInQueue) {
-      summary.queueInfo = {
-        nextPosition: nextInQueue.queuePosition,
-        totalInQueue:
-          summary.subscriptions.pending +
-          summary.subscriptions.queued +
-          summary.subscriptions.approved,
-      };
+    if (!subscription.pendingPlanChange?.plan) {
+      throw new CustomError(404, "No plan change is scheduled");
     }
 
+    subscription.pendingPlanChange = undefined;
+    await subscription.save();
+
     res.json({
       success: true,
-      data: summary,
+      message: "Scheduled plan change cancelled",
     });
   } catch (err) {
     next(err);
   }
 };
 
-// Upgrade subscription
-const upgradeSubscription = async (req, res, next) => {
+// Unused value a cancellation would give up, and when service would stop
+const previewCancellation = async (req, res, next) => {
   try {
-    const { subscriptionId } = req.params;
-    const { newPlan } = req.body;
-    const userId = req.user._id;
+    const subscription = await findOwnSubscription(
+      req.params.id,
+      req.user._id
+    );
 
-    const subscription = await Subscription.findOne({
-      _id: subscriptionId,
-      user: userId,
-      status: "ACTIVE",
+    if (subscription.status !== "ACTIVE") {
+      throw new CustomError(400, "Only active subscriptions can be cancelled");
+    }
+
+    res.json({
+      success: true,
+      data: {
+        currency: subscription.currency,
+        remainingDays: subscription.getDaysRemaining(),
+        unusedValue: await getUnusedValue(subscription),
+        endsAt: subscription.endDate,
+      },
     });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    if (!subscription) {
-      throw new CustomError(404, "Active subscription not found");
-    }
+// Cancel at the end of the paid period, or right away with `immediate`.
+// Unused value is recorded on the cancellation; refunds go through support.
+const cancelSubscription = async (req, res, next) => {
+  const { reason, immediate = false } = req.body;
+  const userId = req.user._id;
 
-    const oldPlan = subscription.plan;
-    const oldPrice = subscription.price;
-    const newPrice = getSubscriptionPrice(newPlan);
+  const session = await mongoose.startSession();
 
-    if (newPrice <= oldPrice) {
-      throw new CustomError(400, "New plan must be higher tier");
-    }
+  try {
+    await session.startTransaction();
 
-    // Calculate prorated amount
-    const remainingDays = Math.ceil(
-      (subscription.endDate - new Date()) / (1000 * 60 * 60 * 24)
+    const subscription = await findOwnSubscription(
+      req.params.id,
+      userId,
+      session
     );
-    const proratedAmount = newPrice - oldPrice;
 
-    // Create upgrade transaction
+    if (subscription.status !== "ACTIVE") {
+      throw new CustomError(400, "Only active subscriptions can be cancelled");
+    }
+
+    if (subscription.cancelledAt && !immediate) {
+      throw new CustomError(
+        400,
+        "Subscription is already set to end with the current period"
+      );
+    }
+
+    const now = new Date();
+    const remainingDays = subscription.getDaysRemaining();
+    const unusedValue = await getUnusedValue(subscription, {
+      at: now,
+      session,
+    });
+
     const transaction = new Transaction({
       user: userId,
-      subscription: subscriptionId,
+      subscription: subscription._id,
       transactionId: Transaction.generateTransactionId(),
-      type: "SUBSCRIPTION_UPGRADED",
-      amount: proratedAmount,
-      plan: newPlan,
-      status: "PENDING",
-      metadata: {
-        oldPlan,
-        newPlan,
-        proratedDays: remainingDays,
-        fullNewPrice: newPrice,
-        oldPrice,
+      type: "SUBSCRIPTION_CANCELLED",
+      amount: 0,
+      currency: subscription.currency,
+      plan: subscription.plan,
+      status: "COMPLETED",
+      completedAt: now,
+      proration: {
+        fromPlan: subscription.plan,
+        periodStart: immediate ? now : subscription.endDate,
+        periodEnd: subscription.endDate,
+        remainingDays: immediate ? remainingDays : 0,
+        unusedCredit: immediate ? unusedValue : 0,
       },
     });
 
-    await transaction.save();
-
-    // Update subscription
-    subscription.plan = newPlan;
-    subscription.price = newPrice;
+    await transaction.save({ session });
 
-    // Extend end date based on new plan duration
-    const newDuration = getSubscriptionDuration(newPlan);
-    subscription.endDate = new Date(
-      subscription.startDate.getTime() + newDuration * 24 * 60 * 60 * 1000
-    );
+    subscription.cancelledAt = now;
+    subscription.cancellationReason = reason;
+    subscription.pendingPlanChange = undefined;
+    if (immediate) {
+      subscription.status = "CANCELLED";
+      subscription.endDate = now;
+    }
 
-    await subscription.save();
+    await subscription.save({ session });
 
-    // Mark transaction as completed
-    await transaction.updateStatus("COMPLETED", {
-      completedAt: new Date(),
-    });
+    await session.commitTransaction();
 
     res.json({
       success: true,
-      message: "Subscription upgraded successfully",
-      subscription,
-      transaction,
-      proratedAmount,
+      message: immediate
+        ? "Subscription cancelled immediately"
+        : "Subscription will end at the current billing cycle",
+      data: {
+        subscription,
+        transaction,
+        unusedValue: immediate ? unusedValue : 0,
+      },
     });
   } catch (err) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     next(err);
+  } finally {
+    await session.endSession();
   }
 };
 
-// Downgrade subscription
-const downgradeSubscription = async (req, res, next) => {
+// Pause service for `days`, or for as long as the plan still allows. The days
+// left are frozen until the user resumes, or until the daily job does when
+// the pause runs out.
+const pauseSubscription = async (req, res, next) => {
+  const { days } = req.body;
+  const userId = req.user._id;
+
+  const session = await mongoose.startSession();
+
   try {
-    const { subscriptionId } = req.params;
-    const { newPlan } = req.body;
-    const userId = req.user._id;
+    if (days !== undefined && !(Number.isInteger(days) && days > 0)) {
+      throw new CustomError(400, "days must be a positive whole number");
+    }
 
-    const subscription = await Subscription.findOne({
-      _id: subscriptionId,
-      user: userId,
-      status: "ACTIVE",
-    });
+    await session.startTransaction();
 
-    if (!subscription) {
-      throw new CustomError(404, "Active subscription not found");
+    const subscription = await findOwnSubscription(
+      req.params.id,
+      userId,
+      session
+    );
+
+    if (subscription.status !== "ACTIVE") {
+      throw new CustomError(400, "Only active subscriptions can be paused");
+    }
+
+    if (subscription.isTrial && !subscription.convertedFromTrialAt) {
+      throw new CustomError(400, "Free trials cannot be paused");
+    }
+
+    if (subscription.cancelledAt) {
+      throw new CustomError(
+        400,
+        "Subscription is set to end with the current period"
+      );
+    }
+
+    const remainingDays = subscription.getDaysRemaining();
+    if (remainingDays === 0) {
+      throw new CustomError(400, "The subscription has no days left to pause");
+    }
+
+    const plan = await getPlan(subscription.plan, { includeInactive: true });
+    const { maxPauses, maxPauseDays } = getPauseLimits(plan);
+    const pauseDaysLeft = maxPauseDays - subscription.pausedDays;
+
+    if (subscription.pauseCount >= maxPauses) {
+      throw new CustomError(
+        400,
+        maxPauses === 0
+          ? "This plan cannot be paused"
+          : `This plan can be paused ${maxPauses} time(s) and none are left`
+      );
+    }
+
+    if (pauseDaysLeft <= 0) {
+      throw new CustomError(
+        400,
+        `All ${maxPauseDays} pause days of this plan have been used`
+      );
+    }
+
+    if (days > pauseDaysLeft) {
+      throw new CustomError(
+        400,
+        `Only ${pauseDaysLeft} pause day(s) are left on this plan`
+      );
     }
 
-    const oldPlan = subscription.plan;
-    const newPrice = getSubscriptionPrice(newPlan);
+    const now = new Date();
+    const pauseDays = days || pauseDaysLeft;
+    const resumeBy = new Date(now.getTime() + pauseDays * 24 * 60 * 60 * 1000);
+
+    await subscription.pause(resumeBy);
 
-    // Create downgrade transaction (no immediate charge)
     const transaction = new Transaction({
       user: userId,
-      subscription: subscriptionId,
+      subscription: subscription._id,
       transactionId: Transaction.generateTransactionId(),
-      type: "SUBSCRIPTION_DOWNGRADED",
-      amount: 0, // No immediate charge for downgrade
-      plan: newPlan,
+      type: "SUBSCRIPTION_PAUSED",
+      amount: 0,
+      currency: subscription.currency,
+      plan: subscription.plan,
       status: "COMPLETED",
-      metadata: {
-        oldPlan,
-        newPlan,
-        effectiveDate: subscription.endDate, // Takes effect at next billing cycle
-        newPrice,
-      },
-      completedAt: new Date(),
+      completedAt: now,
     });
 
-    await transaction.save();
-
-    // Schedule the downgrade for next billing cycle
-    subscription.pendingPlanChange = {
-      newPlan,
-      newPrice,
-      effectiveDate: subscription.endDate,
-    };
+    await transaction.save({ session });
 
-    await subscription.save();
+    await session.commitTransaction();
 
     res.json({
       success: true,
-      message: "Subscription downgrade scheduled for next billing cycle",
-      subscription,
-      transaction,
-      effectiveDate: subscription.endDate,
+      message: `Subscription paused with ${remainingDays} day(s) left`,
+      data: {
+        subscription,
+        transaction,
+        frozenDays: remainingDays,
+        resumeBy,
+        pausesLeft: maxPauses - subscription.pauseCount,
+        pauseDaysLeft: pauseDaysLeft - pauseDays,
+      },
     });
   } catch (err) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     next(err);
+  } finally {
+    await session.endSession();
   }
 };
 
-// Cancel subscription
-const cancelSubscription = async (req, res, next) => {
+// Resume a paused subscription; the end date moves by the time spent paused
+const resumeSubscription = async (req, res, next) => {
+  const userId = req.user._id;
+
+  const session = await mongoose.startSession();
+
   try {
-    const { subscriptionId } = req.params;
-    const { reason, immediate = false } = req.body;
-    const userId = req.user._id;
+    await session.startTransaction();
 
-    const subscription = await Subscription.findOne({
-      _id: subscriptionId,
-      user: userId,
-      status: "ACTIVE",
-    });
+    const subscription = await findOwnSubscription(
+      req.params.id,
+      userId,
+      session
+    );
 
-    if (!subscription) {
-      throw new CustomError(404, "Active subscription not found");
+    if (subscription.status !== "PAUSED") {
+      throw new CustomError(400, "Subscription is not paused");
     }
 
+    await subscription.resume();
+
     const transaction = new Transaction({
       user: userId,
-      subscription: subscriptionId,
+      subscription: subscription._id,
       transactionId: Transaction.generateTransactionId(),
-      type: "SUBSCRIPTION_CANCELLED",
+      type: "SUBSCRIPTION_RESUMED",
       amount: 0,
+      currency: subscription.currency,
       plan: subscription.plan,
       status: "COMPLETED",
-      metadata: {
-        cancellationReason: reason,
-        immediate,
-        originalEndDate: subscription.endDate,
-      },
       completedAt: new Date(),
     });
 
-    await transaction.save();
-
-    if (immediate) {
-      subscription.status = "CANCELLED";
-      subscription.endDate = new Date();
-    } else {
-      subscription.cancelledAt = new Date();
-      subscription.cancellationReason = reason;
-      // Subscription remains active until end date
-    }
+    await transaction.save({ session });
 
-    await subscription.save();
+    await session.commitTransaction();
 
     res.json({
       success: true,
-      message: immediate
-        ? "Subscription cancelled immediately"
-        : "Subscription will end at the current billing cycle",
-      subscription,
-      transaction,
+      message: "Subscription resumed",
+      data: {
+        subscription,
+        transaction,
+        remainingDays: subscription.getDaysRemaining(),
+      },
     });
   } catch (err) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     next(err);
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -2328,7 +2765,10 @@ const renewSubscription = async (req, res, next) => {
     });
 
     // Reactivate subscription
-    const duration = getSubscriptionDuration(subscription.plan);
+    const duration = await getSubscriptionDuration(
+      subscription.plan,
+      subscription.planVersion
+    );
     subscription.status = "ACTIVE";
     subscription.startDate = new Date();
     subscription.endDate = new Date(
@@ -2351,11 +2791,12 @@ const renewSubscription = async (req, res, next) => {
 };
 
 const renewActiveSubscription = async (req, res, next) => {
-  console.log("[renewActiveSubscription SERVER]:", req.body);
   const {
     subscriptionId,
     newPlan,
+    couponCode,
     paymentMethod = "ADMIN_APPROVAL",
+    paymentMethodToken,
   } = req.body;
   const userId = req.user._id;
 
@@ -2366,10 +2807,12 @@ const renewActiveSubscription = async (req, res, next) => {
       throw new CustomError(400, "Please provide subscriptionId and newPlan");
     }
 
+    resolvePaymentMethod(paymentMethod, paymentMethodToken);
+
     await session.startTransaction();
 
     // Find the active subscription
-    const subscription = await Subscription.findById(subscriptionId).session(
+    let subscription = await Subscription.findById(subscriptionId).session(
       session
     );
 
@@ -2401,9 +2844,39 @@ const renewActiveSubscription = async (req, res, next) => {
       Math.ceil(remainingMs / (1000 * 60 * 60 * 24))
     );
 
-    // Get new plan duration and price
-    const newPlanDuration = getSubscriptionDuration(newPlan);
-    const newPlanPrice = getSubscriptionPrice(newPlan);
+    const location = await resolveTaxLocation({
+      billing: billingFromBody(req.body),
+      userId,
+      ipAddress: req.ip,
+    });
+    await saveBillingDetails(userId, location, session);
+
+    // Renewal terms honour grandfathered pricing on the current plan. The
+    // subscription renews in the currency it was sold in unless the buyer
+    // asks for another one.
+    const renewalTerms = await getRenewalTerms(
+      subscription,
+      newPlan,
+      await resolveBuyerCurrency({
+        requested: req.body.currency || subscription.currency,
+      })
+    );
+    const newPlanDuration = renewalTerms.duration;
+    const fx = await toTransactionFx(renewalTerms.currency);
+    const pricing = await quoteCoupon({
+      couponCode,
+      userId,
+      plan: newPlan,
+      amount: renewalTerms.price,
+      currency: renewalTerms.currency,
+      session,
+    });
+    const newPlanPrice = pricing.finalAmount;
+    const tax = await calculateTax({ amount: newPlanPrice, location });
+    const awaitingPayment = requiresProviderPayment(
+      paymentMethod,
+      tax.grossAmount
+    );
 
     // Calculate new end date (current end date + new plan duration)
     const newEndDate = new Date(currentEndDate);
@@ -2416,9 +2889,16 @@ const renewActiveSubscription = async (req, res, next) => {
       device: subscription.device || undefined, // Fix: use proper device ObjectId or undefined
       transactionId: Transaction.generateTransactionId(),
       type: "SUBSCRIPTION_RENEWAL",
-      amount: newPlanPrice,
+      amount: tax.grossAmount,
+      currency: renewalTerms.currency,
+      fx,
       plan: newPlan,
-      status: "COMPLETED", // Mark as completed for admin approval method
+      planVersion: renewalTerms.version,
+      renewalPricing: renewalTerms.pricing,
+      discount: toTransactionDiscount(pricing),
+      ...toTransactionTax(tax),
+      // Admin-approved renewals complete immediately, paid ones on payment
+      status: awaitingPayment ? "PENDING" : "COMPLETED",
       paymentMethod,
       processedAt: new Date(),
       subscriptionPeriod: {
@@ -2442,30 +2922,57 @@ const renewActiveSubscription = async (req, res, next) => {
 
     await renewalTransaction.save({ session });
 
-    // Update subscription with renewal details
-    subscription.endDate = newEndDate;
-    subscription.plan = newPlan; // Update to new plan
-    subscription.price = newPlanPrice; // Update to new plan price
-    subscription.updatedAt = now;
+    await redeemCoupon(pricing, {
+      userId,
+      plan: newPlan,
+      currency: renewalTerms.currency,
+      subscriptionId: subscription._id,
+      transactionId: renewalTransaction._id,
+      session,
+    });
 
-    // Add renewal history to subscription (optional)
-    if (!subscription.renewalHistory) {
-      subscription.renewalHistory = [];
-    }
+    // Paid renewals extend the subscription once the payment has succeeded
+    if (!awaitingPayment) {
+      // Update subscription with renewal details
+      subscription.endDate = newEndDate;
+      subscription.plan = newPlan; // Update to new plan
+      subscription.planVersion = renewalTerms.version;
+      subscription.price = newPlanPrice; // Update to new plan price
+      subscription.currency = renewalTerms.currency;
+      subscription.updatedAt = now;
+
+      // Add renewal history to subscription (optional)
+      if (!subscription.renewalHistory) {
+        subscription.renewalHistory = [];
+      }
 
-    subscription.renewalHistory.push({
-      renewedAt: now,
-      previousPlan: currentPlan,
-      newPlan: newPlan,
-      addedDuration: newPlanDuration,
-      transactionId: renewalTransaction.transactionId,
-      remainingDaysAtRenewal: remainingDays,
-    });
+      subscription.renewalHistory.push({
+        renewedAt: now,
+        previousPlan: currentPlan,
+        newPlan: newPlan,
+        addedDuration: newPlanDuration,
+        transactionId: renewalTransaction.transactionId,
+        remainingDaysAtRenewal: remainingDays,
+      });
 
-    await subscription.save({ session });
+      await subscription.save({ session });
+    }
 
     await session.commitTransaction();
 
+    let transaction = renewalTransaction;
+    if (!awaitingPayment) {
+      // Offline renewals are booked as owed until an admin confirms payment
+      await postToLedger(renewalTransaction);
+    } else {
+      ({ transaction } = await collectPurchasePayment(renewalTransaction, {
+        paymentMethodToken,
+        customer: { id: userId.toString(), email: subscription.email },
+      }));
+      subscription = await Subscription.findById(subscriptionId);
+    }
+    const renewalPaid = transaction.status === "COMPLETED";
+
     // Populate response data
     await subscription.populate([
       { path: "user", select: "username email phoneNumber" },
@@ -2473,7 +2980,9 @@ const renewActiveSubscription = async (req, res, next) => {
 
     res.json({
       success: true,
-      message: "Subscription renewed successfully",
+      message: renewalPaid
+        ? "Subscription renewed successfully"
+        : "Renewal will be applied once the payment is confirmed",
       data: {
         subscription: {
           id: subscription._id,
@@ -2482,6 +2991,7 @@ const renewActiveSubscription = async (req, res, next) => {
           startDate: subscription.startDate,
           endDate: subscription.endDate,
           price: subscription.price,
+          currency: subscription.currency,
           renewalDetails: {
             renewedAt: now,
             previousPlan: currentPlan,
@@ -2492,11 +3002,12 @@ const renewActiveSubscription = async (req, res, next) => {
           },
         },
         transaction: {
-          id: renewalTransaction._id,
-          transactionId: renewalTransaction.transactionId,
-          amount: renewalTransaction.amount,
-          status: renewalTransaction.status,
-          type: renewalTransaction.type,
+          id: transaction._id,
+          transactionId: transaction.transactionId,
+          amount: transaction.amount,
+          status: transaction.status,
+          type: transaction.type,
+          payment: toPaymentSummary(transaction),
         },
         summary: {
           planChanged: currentPlan !== newPlan,
@@ -2505,6 +3016,13 @@ const renewActiveSubscription = async (req, res, next) => {
             (newEndDate.getTime() - now.getTime()) / (1000 * 60 * 60 * 24)
           ),
           renewalCost: newPlanPrice,
+          originalCost: pricing.originalAmount,
+          discount: pricing.discountAmount,
+          couponCode: pricing.coupon?.code || null,
+          tax: toTaxSummary(tax),
+          total: tax.grossAmount,
+          planVersion: renewalTerms.version,
+          pricing: renewalTerms.pricing,
         },
       },
     });
@@ -2575,27 +3093,41 @@ const getRenewalOptions = async (req, res, next) => {
       Math.ceil(remainingMs / (1000 * 60 * 60 * 24))
     );
 
-    // Available renewal plans
-    const availablePlans = [
-      "mobile-v4-basic",
-      "mobile-v4-premium",
-      "mobile-v4-enterprise",
-      "mobile-v5-basic",
-      "mobile-v5-premium",
-      "full-suite-basic",
-      "full-suite-premium",
-    ];
-
-    const renewalOptions = availablePlans.map((plan) => {
-      const duration = getSubscriptionDuration(plan);
-      const price = getSubscriptionPrice(plan);
+    // Available renewal plans. A retired current plan stays renewable.
+    const availablePlans = await listPlans();
+    const currentPlanDetails = await getPlan(currentPlan, {
+      includeInactive: true,
+    });
+
+    if (!availablePlans.some((p) => p.planId === currentPlan)) {
+      availablePlans.unshift(currentPlanDetails);
+    }
+
+    // Quoted in the currency the subscription was sold in
+    const currentTerms = resolveRenewalTerms(
+      subscription,
+      currentPlanDetails,
+      subscription.currency
+    );
+
+    const renewalOptions = availablePlans.map((planDetails) => {
+      const plan = planDetails.planId;
+      const terms = resolveRenewalTerms(
+        subscription,
+        planDetails,
+        subscription.currency
+      );
       const newEndDate = new Date(currentEndDate);
-      newEndDate.setDate(newEndDate.getDate() + duration);
+      newEndDate.setDate(newEndDate.getDate() + terms.duration);
 
       return {
         plan,
-        duration: `${duration} days`,
-        price,
+        duration: `${terms.duration} days`,
+        price: terms.price,
+        currency: terms.currency,
+        planVersion: terms.version,
+        pricing: terms.pricing,
+        catalogPrice: priceIn(planDetails, terms.currency).price,
         newEndDate,
         totalDaysAfterRenewal: Math.ceil(
           (newEndDate.getTime() - now.getTime()) / (1000 * 60 * 60 * 24)
@@ -2616,11 +3148,17 @@ const getRenewalOptions = async (req, res, next) => {
           endDate: currentEndDate,
           remainingDays,
           status: subscription.status,
+          planVersion: subscription.planVersion || 1,
         },
         renewalOptions,
         summary: {
-          currentPlanPrice: getSubscriptionPrice(currentPlan),
-          currentPlanDuration: getSubscriptionDuration(currentPlan),
+          currentPlanPrice: currentTerms.price,
+          currentPlanDuration: currentTerms.duration,
+          pricing: currentTerms.pricing,
+          pricingMessage:
+            currentTerms.pricing === "GRANDFATHERED"
+              ? `Renewing ${currentPlan} keeps your original price from plan version ${currentTerms.version}.`
+              : `Renewing ${currentPlan} is charged at the current plan price.`,
           canRenew: true,
           renewalMessage: `Your subscription will be extended from ${currentEndDate.toLocaleDateString()} by the duration of your chosen plan.`,
         },
@@ -2655,17 +3193,25 @@ const getRenewalHistory = async (req, res, next) => {
       .sort({ createdAt: -1 })
       .limit(20);
 
+    // Retired plans still need their duration for older renewals
+    const planDurations = new Map(
+      (await listPlans({ includeInactive: true })).map((plan) => [
+        plan.planId,
+        plan.duration,
+      ])
+    );
+
     const renewalHistory = renewalTransactions.map((tx) => ({
       transactionId: tx.transactionId,
       renewedAt: tx.createdAt,
       plan: tx.plan,
       amount: tx.amount,
       duration:
-        tx.subscriptionPeriod?.duration || getSubscriptionDuration(tx.plan),
+        tx.subscriptionPeriod?.duration || planDurations.get(tx.plan),
       status: tx.status,
       previousPlan: tx.metadata?.previousPlan,
       addedDuration:
-        tx.metadata?.addedDuration || getSubscriptionDuration(tx.plan),
+        tx.metadata?.addedDuration || planDurations.get(tx.plan),
     }));
 
     res.json({
@@ -2776,22 +3322,31 @@ router.get("/:id/renewal-history", getRenewalHistory);
 */
 
 module.exports = {
+  previewPlanChange,
   upgradeSubscription,
   downgradeSubscription,
+  schedulePlanChange,
+  cancelScheduledPlanChange,
+  previewCancellation,
   cancelSubscription,
+  pauseSubscription,
+  resumeSubscription,
   renewSubscription,
   checkDeviceIsOnboarded,
   setupDeviceOtp,
+  verifyDeviceOtp,
   activateSubscription,
   newSubscription,
   addDeviceSubscription,
   addSubscriptionToMyDevice,
   getDeviceSubscriptionQueue,
   getDeviceSubscriptionSummary,
-  addSubscriptionToExistingDevice,
   getUserDevices,
   checkActiveSubscriptionStatus,
   renewActiveSubscription,
   getRenewalOptions,
   getRenewalHistory,
+  getSubscriptionPlans,
+  startTrial,
+  updateTrialConversion,
 };
@@ -0,0 +1,269 @@
+// controllers/taxController.js
+const TaxRate = require("../models/taxRate");
+const User = require("../models/user");
+const CustomError = require("../utils/customError");
+const { getPlanPrice } = require("../utils/planCatalog");
+const { quoteCoupon } = require("../utils/couponService");
+const {
+  billingFromBody,
+  normalizeTaxId,
+  resolveTaxLocation,
+  calculateTax,
+  toTaxSummary,
+} = require("../utils/taxService");
+const { resolveBuyerCurrency } = require("../utils/currencyService");
+
+// Where a rate applies identifies it, so only the terms can change
+const EDITABLE_FIELDS = [
+  "countryName",
+  "rate",
+  "pricesIncludeTax",
+  "reverseCharge",
+  "isActive",
+];
+
+const handleTaxRateError = (err, next) => {
+  if (err.code === 11000) {
+    next(
+      new CustomError(
+        400,
+        "A tax with this name already exists for this country and region"
+      )
+    );
+  } else if (err.name === "ValidationError") {
+    const messages = Object.values(err.errors).map((e) => e.message);
+    next(new CustomError(400, messages.join(", ")));
+  } else if (err.name === "CastError") {
+    next(new CustomError(400, "Invalid tax rate id"));
+  } else {
+    next(err);
+  }
+};
+
+// Price of a plan with tax for the caller, before checking out. Billing
+// details are optional and fall back to the saved ones or the IP location.
+const getTaxQuote = async (req, res, next) => {
+  try {
+    const { plan, couponCode } = req.body;
+
+    if (!plan) {
+      throw new CustomError(400, "Please provide plan");
+    }
+
+    const location = await resolveTaxLocation({
+      billing: billingFromBody(req.body),
+      userId: req.user._id,
+      ipAddress: req.ip,
+    });
+    const { price, currency } = await getPlanPrice(
+      plan,
+      await resolveBuyerCurrency({
+        requested: req.body.currency,
+        userId: req.user._id,
+        country: location.country,
+      })
+    );
+    const pricing = await quoteCoupon({
+      couponCode,
+      userId: req.user._id,
+      plan,
+      amount: price,
+      currency,
+    });
+    const tax = await calculateTax({ amount: pricing.finalAmount, location });
+
+    res.json({
+      success: true,
+      data: {
+        plan,
+        currency,
+        originalAmount: pricing.originalAmount,
+        discountAmount: pricing.discountAmount,
+        price: pricing.finalAmount,
+        tax: toTaxSummary(tax),
+        total: tax.grossAmount,
+        locationSource: location.source,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// List tax rates (?country=&active=true|false)
+const getTaxRates = async (req, res, next) => {
+  try {
+    const { country, active } = req.query;
+
+    const filter = {};
+    if (country) filter.country = String(country).toUpperCase();
+    if (active !== undefined) filter.isActive = active === "true";
+
+    const taxRates = await TaxRate.find(filter)
+      .sort({ country: 1, region: 1, name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { taxRates },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const createTaxRate = async (req, res, next) => {
+  try {
+    const { country, region, name } = req.body;
+
+    if (!country || !name || req.body.rate === undefined) {
+      throw new CustomError(400, "Please provide country, name and rate");
+    }
+
+    const fields = {
+      country,
+      region: region || null,
+      name,
+      createdBy: req.user._id.toString(),
+    };
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    }
+
+    const taxRate = await TaxRate.create(fields);
+
+    res.status(201).json({
+      success: true,
+      message: "Tax rate created successfully",
+      data: { taxRate },
+    });
+  } catch (err) {
+    handleTaxRateError(err, next);
+  }
+};
+
+// Changes apply to new purchases only; transactions keep the tax they were
+// charged
+const updateTaxRate = async (req, res, next) => {
+  try {
+    const taxRate = await TaxRate.findById(req.params.id);
+
+    if (!taxRate) {
+      throw new CustomError(404, "Tax rate not found");
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) taxRate[field] = req.body[field];
+    }
+
+    await taxRate.save();
+
+    res.json({
+      success: true,
+      message: "Tax rate updated successfully",
+      data: { taxRate },
+    });
+  } catch (err) {
+    handleTaxRateError(err, next);
+  }
+};
+
+const deleteTaxRate = async (req, res, next) => {
+  try {
+    const taxRate = await TaxRate.findByIdAndDelete(req.params.id);
+
+    if (!taxRate) {
+      throw new CustomError(404, "Tax rate not found");
+    }
+
+    res.json({
+      success: true,
+      message: "Tax rate deleted successfully",
+    });
+  } catch (err) {
+    handleTaxRateError(err, next);
+  }
+};
+
+// Try the rate table on an amount and location (admin only)
+const previewTax = async (req, res, next) => {
+  try {
+    const { country, region, taxId } = req.body;
+    const amount = Number(req.body.amount);
+
+    if (!(amount >= 0) || !country) {
+      throw new CustomError(400, "Please provide amount and country");
+    }
+
+    const tax = await calculateTax({
+      amount,
+      location: {
+        country: String(country).toUpperCase(),
+        region: region || null,
+        taxId: normalizeTaxId(taxId),
+        taxIdVerified: true,
+      },
+    });
+
+    res.json({
+      success: true,
+      data: { ...toTaxSummary(tax), grossAmount: tax.grossAmount },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Mark a user's saved tax ID as checked (or not) against the business
+// register, e.g. VIES for EU VAT numbers. Only verified IDs are reverse
+// charged.
+const setTaxIdVerification = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { verified } = req.body;
+
+    if (typeof verified !== "boolean") {
+      throw new CustomError(400, "Please provide verified as true or false");
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, "billing.taxId": { $nin: [null, ""] } },
+      {
+        $set: {
+          "billing.taxIdVerified": verified,
+          "billing.taxIdVerifiedAt": verified ? new Date() : null,
+          "billing.taxIdVerifiedBy": verified ? req.user._id.toString() : null,
+        },
+      },
+      { new: true }
+    )
+      .select("billing")
+      .lean();
+
+    if (!user) {
+      throw new CustomError(404, "No user with a saved tax ID found");
+    }
+
+    res.json({
+      success: true,
+      message: verified ? "Tax ID verified" : "Tax ID verification removed",
+      data: { billing: user.billing },
+    });
+  } catch (err) {
+    if (err.name === "CastError") {
+      next(new CustomError(400, "Invalid user id"));
+    } else {
+      next(err);
+    }
+  }
+};
+
+module.exports = {
+  getTaxQuote,
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+  previewTax,
+  setTaxIdVerification,
+};
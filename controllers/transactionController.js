@@ -3,6 +3,30 @@ const Transaction = require("../models/transaction");
 const Subscription = require("../models/subscription");
 const User = require("../models/user");
 const CustomError = require("../utils/customError");
+const {
+  REFUND_APPROVAL_THRESHOLD,
+  requestRefund,
+  approveRefund,
+  rejectRefund,
+} = require("../utils/refundService");
+const {
+  LEDGER_GROUPS,
+  postToLedger,
+  summarizeLedger,
+  getLedgerTotals,
+  getAccountBalances,
+  checkLedgerConsistency,
+} = require("../utils/ledger");
+const { getRevenueRecognition } = require("../utils/revenueRecognition");
+const { getInvoicePdf } = require("../utils/invoiceService");
+const { getTaxSummary } = require("../utils/taxService");
+const {
+  normalizeCurrency,
+  getReportingCurrency,
+  getExchangeRate,
+  toTransactionFx,
+  convertExpression,
+} = require("../utils/currencyService");
 
 // Get all transactions with filtering and pagination
 const getAllTransactions = async (req, res, next) => {
@@ -77,15 +101,25 @@ const getAllTransactions = async (req, res, next) => {
 
     const total = await Transaction.countDocuments(filter);
 
-    // Get summary statistics
+    // Get summary statistics, in the reporting currency
+    const currency = getReportingCurrency(req.query.currency);
+    const { rate: reportingRate } = await getExchangeRate(currency);
+    const reportingAmount = convertExpression("$amount", reportingRate);
     const stats = await Transaction.aggregate([
       { $match: filter },
       {
         $group: {
           _id: "$status",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
-          avgAmount: { $avg: "$amount" },
+          totalAmount: { $sum: reportingAmount },
+          avgAmount: { $avg: reportingAmount },
+        },
+      },
+      {
+        $addFields: {
+          currency,
+          totalAmount: { $round: ["$totalAmount", 2] },
+          avgAmount: { $round: ["$avgAmount", 2] },
         },
       },
     ]);
@@ -185,6 +219,37 @@ const getTransactionDetails = async (req, res, next) => {
   }
 };
 
+// Download the PDF invoice of a completed payment. Users can download their
+// own invoices, admins anyone's.
+const getTransactionInvoice = async (req, res, next) => {
+  try {
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      throw new CustomError(404, "Transaction not found");
+    }
+
+    if (
+      !["admin", "super_admin"].includes(req.user.role) &&
+      transaction.user.toString() !== req.user._id.toString()
+    ) {
+      throw new CustomError(403, "Access denied");
+    }
+
+    const { pdf, filename } = await getInvoicePdf(transaction);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename=${filename}`);
+    res.send(pdf);
+  } catch (err) {
+    if (err.name === "CastError") {
+      next(new CustomError(400, "Invalid transaction id"));
+    } else {
+      next(err);
+    }
+  }
+};
+
 // Get financial summary/dashboard
 const getFinancialSummary = async (req, res, next) => {
   try {
@@ -194,67 +259,35 @@ const getFinancialSummary = async (req, res, next) => {
       groupBy = "status", // status, type, plan, month
     } = req.query;
 
-    const dateRange = {};
+    // Amounts are converted to one currency at each transaction's own rate
+    const currency = getReportingCurrency(req.query.currency);
+    const { rate: reportingRate } = await getExchangeRate(currency);
+
+    const dateRange = { currency };
     if (startDate) dateRange.startDate = startDate;
     if (endDate) dateRange.endDate = endDate;
 
-    // Get general financial summary
-    const summary = await Transaction.getFinancialSummary(dateRange);
+    // Revenue figures come from the ledger, which only holds real money
+    // movements
+    const summary = await getLedgerTotals(dateRange);
+    const accounts = await getAccountBalances(dateRange);
 
     // Get revenue trends by month (last 12 months)
-    const monthlyRevenue = await Transaction.aggregate([
-      {
-        $match: {
-          createdAt: {
-            $gte: new Date(new Date().setMonth(new Date().getMonth() - 12)),
-            $lte: new Date(),
-          },
-          status: "COMPLETED",
-        },
-      },
-      {
-        $group: {
-          _id: {
-            year: { $year: "$createdAt" },
-            month: { $month: "$createdAt" },
-          },
-          totalRevenue: { $sum: "$amount" },
-          transactionCount: { $sum: 1 },
-          avgTransactionValue: { $avg: "$amount" },
-        },
-      },
-      {
-        $sort: { "_id.year": 1, "_id.month": 1 },
-      },
-    ]);
+    const monthlyRevenue = await summarizeLedger({
+      startDate: new Date(new Date().setMonth(new Date().getMonth() - 12)),
+      groupBy: LEDGER_GROUPS.month,
+      currency,
+    });
 
     // Get plan performance
-    const planPerformance = await Transaction.aggregate([
-      {
-        $match: {
-          status: "COMPLETED",
-          ...(startDate && endDate
-            ? {
-                createdAt: {
-                  $gte: new Date(startDate),
-                  $lte: new Date(endDate),
-                },
-              }
-            : {}),
-        },
-      },
-      {
-        $group: {
-          _id: "$plan",
-          totalRevenue: { $sum: "$amount" },
-          transactionCount: { $sum: 1 },
-          avgPrice: { $avg: "$amount" },
-        },
-      },
-      {
-        $sort: { totalRevenue: -1 },
-      },
-    ]);
+    const planPerformance = await summarizeLedger({
+      ...dateRange,
+      groupBy: LEDGER_GROUPS.plan,
+    });
+    planPerformance.sort((a, b) => b.netSales - a.netSales);
+
+    // Tax collected per jurisdiction, kept out of the revenue figures above
+    const tax = await getTaxSummary(dateRange);
 
     // Get daily transaction volume (last 30 days)
     const dailyVolume = await Transaction.aggregate([
@@ -273,7 +306,9 @@ const getFinancialSummary = async (req, res, next) => {
             day: { $dayOfMonth: "$createdAt" },
           },
           totalTransactions: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
+          totalAmount: {
+            $sum: convertExpression("$amount", reportingRate),
+          },
           completedTransactions: {
             $sum: { $cond: [{ $eq: ["$status", "COMPLETED"] }, 1, 0] },
           },
@@ -282,6 +317,9 @@ const getFinancialSummary = async (req, res, next) => {
           },
         },
       },
+      {
+        $addFields: { totalAmount: { $round: ["$totalAmount", 2] } },
+      },
       {
         $sort: { "_id.year": 1, "_id.month": 1, "_id.day": 1 },
       },
@@ -290,9 +328,12 @@ const getFinancialSummary = async (req, res, next) => {
     res.json({
       success: true,
       data: {
+        currency,
         summary,
+        accounts,
         monthlyRevenue,
         planPerformance,
+        tax,
         dailyVolume,
         lastUpdated: new Date(),
       },
@@ -302,6 +343,98 @@ const getFinancialSummary = async (req, res, next) => {
   }
 };
 
+// Ledger totals and per-account balances for a period (admin only)
+const getLedgerReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate, currency } = req.query;
+
+    const totals = await getLedgerTotals({ startDate, endDate, currency });
+    const balances = await getAccountBalances({ startDate, endDate, currency });
+
+    res.json({
+      success: true,
+      data: {
+        period: { startDate: startDate || null, endDate: endDate || null },
+        totals,
+        ...balances,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Recognized vs deferred revenue per plan for a month (admin only).
+// Query: month=YYYY-MM, defaults to the current month.
+const getRevenueRecognitionReport = async (req, res, next) => {
+  try {
+    const report = await getRevenueRecognition(
+      req.query.month,
+      req.query.currency
+    );
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Tax collected and refunded per country, region and tax for a period
+// (admin only)
+const getTaxReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate, currency } = req.query;
+
+    const report = await getTaxSummary({ startDate, endDate, currency });
+
+    res.json({
+      success: true,
+      data: {
+        period: { startDate: startDate || null, endDate: endDate || null },
+        ...report,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Compare the ledger with transactions (admin only)
+const getLedgerConsistency = async (req, res, next) => {
+  try {
+    const report = await checkLedgerConsistency();
+
+    res.json({
+      success: true,
+      message: report.consistent
+        ? "Ledger is consistent with transactions"
+        : "Ledger does not match transactions",
+      data: report,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Post missing journal entries, e.g. for transactions settled before the
+// ledger existed (admin only)
+const repairLedger = async (req, res, next) => {
+  try {
+    const report = await checkLedgerConsistency({ repair: true });
+
+    res.json({
+      success: true,
+      message: `Posted ${report.repaired} missing journal entries`,
+      data: report,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // Update transaction status (admin only)
 const updateTransactionStatus = async (req, res, next) => {
   try {
@@ -331,6 +464,7 @@ const updateTransactionStatus = async (req, res, next) => {
       processedAt: new Date(),
       adminNotes: notes,
     });
+    await postToLedger(transaction);
 
     res.json({
       success: true,
@@ -350,6 +484,7 @@ const createManualTransaction = async (req, res, next) => {
       subscriptionId,
       type,
       amount,
+      currency,
       plan,
       notes,
       paymentMethod = "ADMIN_APPROVAL",
@@ -368,6 +503,10 @@ const createManualTransaction = async (req, res, next) => {
     if (!user) throw new CustomError(404, "User not found");
     if (!subscription) throw new CustomError(404, "Subscription not found");
 
+    const transactionCurrency = normalizeCurrency(
+      currency || subscription.currency || "USD"
+    );
+
     // Create transaction
     const transactionId = Transaction.generateTransactionId();
 
@@ -378,6 +517,8 @@ const createManualTransaction = async (req, res, next) => {
       transactionId,
       type,
       amount: parseFloat(amount),
+      currency: transactionCurrency,
+      fx: await toTransactionFx(transactionCurrency),
       plan,
       paymentMethod,
       status: "COMPLETED",
@@ -391,6 +532,7 @@ const createManualTransaction = async (req, res, next) => {
     });
 
     await transaction.save();
+    await postToLedger(transaction);
 
     res.status(201).json({
       success: true,
@@ -402,10 +544,124 @@ const createManualTransaction = async (req, res, next) => {
   }
 };
 
+// Refund a payment in full or in part (admin only). Body: amount (optional,
+// defaults to everything still refundable), reason, subscriptionAction
+// (NONE | CANCEL | SHORTEN) and shortenByDays.
+const refundTransaction = async (req, res, next) => {
+  try {
+    const { amount, reason, subscriptionAction, shortenByDays } = req.body;
+
+    const payment = await Transaction.findById(req.params.id);
+    if (!payment) {
+      throw new CustomError(404, "Transaction not found");
+    }
+
+    const result = await requestRefund({
+      payment,
+      amount,
+      reason,
+      subscriptionAction,
+      shortenByDays,
+      admin: req.user,
+    });
+
+    const awaitingApproval = result.refund.status === "PENDING";
+
+    res.status(awaitingApproval ? 202 : 201).json({
+      success: true,
+      message: awaitingApproval
+        ? `Refunds above ${REFUND_APPROVAL_THRESHOLD} ${payment.currency} need super admin approval. The refund is pending.`
+        : "Refund issued successfully",
+      data: {
+        refund: result.refund,
+        payment: result.payment,
+        subscription: result.subscription,
+      },
+    });
+  } catch (err) {
+    if (err.name === "CastError") {
+      next(new CustomError(400, "Invalid transaction id"));
+    } else {
+      next(err);
+    }
+  }
+};
+
+// Refunds waiting for super admin approval
+const getPendingRefunds = async (req, res, next) => {
+  try {
+    const refunds = await Transaction.find({
+      type: "SUBSCRIPTION_REFUNDED",
+      status: "PENDING",
+    })
+      .populate("user", "username email")
+      .populate("previousTransaction", "transactionId type amount currency")
+      .populate("refund.requestedBy", "username email")
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { refunds, approvalThreshold: REFUND_APPROVAL_THRESHOLD },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Approve a pending refund (super admin only)
+const approvePendingRefund = async (req, res, next) => {
+  try {
+    const result = await approveRefund(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: "Refund approved and issued successfully",
+      data: {
+        refund: result.refund,
+        payment: result.payment,
+        subscription: result.subscription,
+      },
+    });
+  } catch (err) {
+    if (err.name === "CastError") {
+      next(new CustomError(400, "Invalid refund id"));
+    } else {
+      next(err);
+    }
+  }
+};
+
+// Reject a pending refund (super admin only)
+const rejectPendingRefund = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      throw new CustomError(400, "A rejection reason is required");
+    }
+
+    const refund = await rejectRefund(req.params.id, req.user, reason);
+
+    res.json({
+      success: true,
+      message: "Refund rejected",
+      data: { refund },
+    });
+  } catch (err) {
+    if (err.name === "CastError") {
+      next(new CustomError(400, "Invalid refund id"));
+    } else {
+      next(err);
+    }
+  }
+};
+
 // Get transaction analytics
 const getTransactionAnalytics = async (req, res, next) => {
   try {
     const { period = "30d" } = req.query;
+    const currency = getReportingCurrency(req.query.currency);
+    const { rate: reportingRate } = await getExchangeRate(currency);
 
     let startDate;
     const endDate = new Date();
@@ -476,10 +732,13 @@ const getTransactionAnalytics = async (req, res, next) => {
       {
         $group: {
           _id: "$plan",
-          revenue: { $sum: "$amount" },
+          revenue: { $sum: convertExpression("$amount", reportingRate) },
           count: { $sum: 1 },
         },
       },
+      {
+        $addFields: { revenue: { $round: ["$revenue", 2] } },
+      },
       {
         $sort: { revenue: -1 },
       },
@@ -518,6 +777,7 @@ const getTransactionAnalytics = async (req, res, next) => {
       data: {
         period,
         dateRange: { startDate, endDate },
+        currency,
         successRate: successRate[0] || {
           total: 0,
           completed: 0,
@@ -575,6 +835,7 @@ const exportTransactions = async (req, res, next) => {
         "Username",
         "Plan",
         "Amount",
+        "Currency",
         "Status",
         "Type",
         "Created At",
@@ -589,6 +850,7 @@ const exportTransactions = async (req, res, next) => {
           tx.user?.username || "",
           tx.plan,
           tx.amount,
+          tx.currency,
           tx.status,
           tx.type,
           tx.createdAt?.toISOString() || "",
@@ -625,10 +887,20 @@ const exportTransactions = async (req, res, next) => {
 };
 
 module.exports = {
+  refundTransaction,
+  getPendingRefunds,
+  approvePendingRefund,
+  rejectPendingRefund,
   getAllTransactions,
   getUserTransactions,
   getTransactionDetails,
+  getTransactionInvoice,
   getFinancialSummary,
+  getLedgerReport,
+  getRevenueRecognitionReport,
+  getTaxReport,
+  getLedgerConsistency,
+  repairLedger,
   updateTransactionStatus,
   createManualTransaction,
   getTransactionAnalytics,
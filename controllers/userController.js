@@ -4,10 +4,19 @@ const User = require("../models/user");
 const Device = require("../models/device");
 const Subscription = require("../models/subscription");
 const CustomError = require("../utils/customError");
+const { issueSessionTokens } = require("../utils/tokenService");
+const {
+  normalizeTaxId,
+  resolveCountryCode,
+} = require("../utils/taxService");
+const {
+  normalizeCurrency,
+  getExchangeRate,
+} = require("../utils/currencyService");
 const {
   getSubscriptionPrice,
   getSubscriptionDuration,
-} = require("../utils/helpers");
+} = require("../utils/planCatalog");
 
 // Helper function to generate random string for TOTP secret
 const generateRandomString = (length) => {
@@ -32,21 +41,15 @@ const getProfile = async (req, res, next) => {
       throw new CustomError(400, "Invalid credentials");
     }
 
-    // Create payload for JWT
-    const payload = {
-      user: {
-        id: user.id,
-      },
-    };
-
-    // Sign token
-    const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: "1h",
-    });
-
-    const refreshToken = jwt.sign(payload, process.env.REFRESH_SECRET, {
-      expiresIn: "30d",
-    });
+    // Re-issue tokens within the caller's current session
+    const { accessToken, refreshToken } = await issueSessionTokens(
+      user._id,
+      req.sessionId,
+      {
+        userAgent: req.get("User-Agent") || "Unknown",
+        ipAddress: req.ip || "Unknown",
+      }
+    );
 
     const userResponse = user.toObject();
     delete userResponse.password;
@@ -83,4 +86,109 @@ const getProfile = async (req, res, next) => {
   }
 };
 
-module.exports = { getProfile };
+// Billing details used to work out tax on purchases
+const getBillingDetails = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id.toString())
+      .select("billing")
+      .lean();
+
+    res.json({
+      success: true,
+      data: { billing: user?.billing || null },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Set the billing country, region, company name and tax ID. A tax ID makes
+// business purchases from abroad reverse charged where the rules allow it,
+// once an admin has verified it; changing it needs a new verification.
+const updateBillingDetails = async (req, res, next) => {
+  try {
+    const { country, region, taxId, companyName } = req.body;
+
+    if (!country) {
+      throw new CustomError(400, "Please provide the billing country");
+    }
+
+    const countryCode = await resolveCountryCode(country);
+    if (!countryCode) {
+      throw new CustomError(400, "Unknown billing country");
+    }
+
+    const current = await User.findById(req.user._id.toString())
+      .select("billing")
+      .lean();
+
+    const billing = {
+      country: countryCode,
+      region: region || null,
+      taxId: normalizeTaxId(taxId),
+      companyName: companyName || null,
+      updatedAt: new Date(),
+    };
+
+    const keepsVerification =
+      current?.billing?.taxIdVerified &&
+      !!billing.taxId &&
+      current.billing.taxId === billing.taxId &&
+      current.billing.country === billing.country;
+
+    billing.taxIdVerified = !!keepsVerification;
+    if (keepsVerification) {
+      billing.taxIdVerifiedAt = current.billing.taxIdVerifiedAt;
+      billing.taxIdVerifiedBy = current.billing.taxIdVerifiedBy;
+    }
+
+    await User.updateOne(
+      { _id: req.user._id.toString() },
+      { $set: { billing } }
+    );
+
+    res.json({
+      success: true,
+      message: "Billing details updated successfully",
+      data: { billing },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Set the currency plans are priced in for the user. It must have an
+// exchange rate; null goes back to the currency of the billing country.
+const updatePreferredCurrency = async (req, res, next) => {
+  try {
+    const { currency } = req.body;
+
+    if (currency === undefined) {
+      throw new CustomError(400, "Please provide currency");
+    }
+
+    const preferredCurrency = currency
+      ? (await getExchangeRate(normalizeCurrency(currency))).currency
+      : null;
+
+    await User.updateOne(
+      { _id: req.user._id.toString() },
+      { $set: { preferredCurrency } }
+    );
+
+    res.json({
+      success: true,
+      message: "Preferred currency updated successfully",
+      data: { preferredCurrency },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getProfile,
+  getBillingDetails,
+  updateBillingDetails,
+  updatePreferredCurrency,
+};
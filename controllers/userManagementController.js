@@ -0,0 +1,183 @@
+// controllers/userManagementController.js
+const CustomError = require("../utils/customError");
+const {
+  listUsers,
+  getUserDetails,
+  suspendUser,
+  unsuspendUser,
+  promoteUser,
+  demoteUser,
+  forcePasswordReset,
+  unlockUserLogin,
+  updateAdminInfo,
+} = require("../utils/userManagement");
+
+// List and search users (?search=&role=&isSuspended=&page=&limit=)
+const getUsers = async (req, res, next) => {
+  try {
+    const { search, role, isSuspended, page, limit } = req.query;
+
+    const result = await listUsers({ search, role, isSuspended, page, limit });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const getUserById = async (req, res, next) => {
+  try {
+    const user = await getUserDetails(req.params.userId);
+
+    res.json({
+      success: true,
+      data: { user },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const suspend = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const user = await suspendUser(req.params.userId, {
+      reason,
+      actor: req.user,
+    });
+
+    res.json({
+      success: true,
+      message: "User suspended successfully",
+      data: { user },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const unsuspend = async (req, res, next) => {
+  try {
+    const user = await unsuspendUser(req.params.userId, { actor: req.user });
+
+    res.json({
+      success: true,
+      message: "User unsuspended successfully",
+      data: { user },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const promote = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    const user = await promoteUser(req.params.userId, {
+      role,
+      actor: req.user,
+    });
+
+    res.json({
+      success: true,
+      message: `User promoted to ${user.role}`,
+      data: { user },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const demote = async (req, res, next) => {
+  try {
+    const user = await demoteUser(req.params.userId, { actor: req.user });
+
+    res.json({
+      success: true,
+      message: "User demoted to regular user",
+      data: { user },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const forceReset = async (req, res, next) => {
+  try {
+    const { user, emailSent } = await forcePasswordReset(req.params.userId, {
+      actor: req.user,
+    });
+
+    res.json({
+      success: true,
+      message: emailSent
+        ? "Password reset forced. The user has been emailed a reset link."
+        : "Password reset forced, but the reset email could not be sent.",
+      data: { user, emailSent },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Clear a failed-login lockout; pass { ipAddress } to also unblock an IP
+const unlockLogin = async (req, res, next) => {
+  try {
+    const { ipAddress } = req.body;
+
+    const { user, cleared } = await unlockUserLogin(req.params.userId, {
+      ipAddress,
+      actor: req.user,
+    });
+
+    res.json({
+      success: true,
+      message:
+        cleared > 0
+          ? "Login lockout cleared"
+          : "No active login lockout found for this user",
+      data: { userId: user._id, cleared },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const editAdminInfo = async (req, res, next) => {
+  try {
+    const { adminInfo } = req.body;
+
+    if (!adminInfo || typeof adminInfo !== "object") {
+      throw new CustomError(400, "adminInfo object is required");
+    }
+
+    const user = await updateAdminInfo(req.params.userId, adminInfo, {
+      actor: req.user,
+    });
+
+    res.json({
+      success: true,
+      message: "Admin info updated successfully",
+      data: { user },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  suspend,
+  unsuspend,
+  promote,
+  demote,
+  forceReset,
+  unlockLogin,
+  editAdminInfo,
+};
@@ -2,9 +2,50 @@
 const mongoose = require("mongoose");
 const Subscription = require("../models/subscription");
 const Transaction = require("../models/transaction");
-const { getSubscriptionDuration } = require("../utils/helpers");
+const User = require("../models/user");
+const {
+  getPlan,
+  getSubscriptionDuration,
+  getRenewalTerms,
+} = require("../utils/planCatalog");
+const {
+  resolveTaxLocation,
+  calculateTax,
+  toTransactionTax,
+} = require("../utils/taxService");
+const { toTransactionFx } = require("../utils/currencyService");
+const { collectPayment } = require("../utils/paymentService");
+const { postToLedger } = require("../utils/ledger");
+const {
+  sendTrialEndingEmail,
+  sendTrialEndedEmail,
+  sendPlanChangedEmail,
+  sendSubscriptionResumedEmail,
+} = require("../config/emailService");
 require("dotenv").config();
 
+// Days before the end of a trial to send the reminder email
+const TRIAL_REMINDER_DAYS = parseInt(process.env.TRIAL_REMINDER_DAYS) || 2;
+
+// Running (not yet converted) trials
+const RUNNING_TRIAL = { isTrial: true, convertedFromTrialAt: null };
+
+// Renewal payments still being collected: charged and waiting on the
+// provider, or failed and due a dunning retry. The period they pay for only
+// starts once they succeed, so the subscription must not expire meanwhile.
+const RENEWAL_IN_FLIGHT = {
+  type: "SUBSCRIPTION_RENEWAL",
+  previousTransaction: null,
+  $or: [
+    { status: "PENDING", paymentProvider: { $ne: null } },
+    {
+      status: "FAILED",
+      externalTransactionId: { $ne: null },
+      dunningStatus: { $in: [null, "SCHEDULED"] },
+    },
+  ],
+};
+
 class DailySubscriptionManager {
   constructor() {
     this.jobName = "Daily Subscription Check";
@@ -23,19 +64,40 @@ class DailySubscriptionManager {
     try {
       console.log(`🚀 Starting ${this.jobName} at ${startTime.toISOString()}`);
 
-      // Step 1: Expire due subscriptions
+      // Step 1: Remind users whose trials end soon
+      const trialReminderResults = await this.sendTrialReminders();
+
+      // Step 2: Convert or expire finished trials
+      const trialResults = await this.settleEndedTrials();
+
+      // Step 3: Resume subscriptions whose pause has run out
+      const resumedResults = await this.resumeEndedPauses();
+
+      // Step 4: Renew subscriptions ending today onto their scheduled plan
+      const planChangeResults = await this.applyScheduledPlanChanges();
+
+      // Step 5: Expire due subscriptions (paused ones keep their days)
       const expiredResults = await this.expireDueSubscriptions();
 
-      // Step 2: Activate next queued subscriptions
+      // Step 6: Activate next queued subscriptions
       const activatedResults = await this.activateNextQueuedSubscriptions();
 
-      // Step 3: Generate job summary
+      // Step 7: Generate job summary
       const summary = {
         jobStartTime: startTime,
         jobEndTime: new Date(),
+        trialReminders: trialReminderResults,
+        settledTrials: trialResults,
+        resumedSubscriptions: resumedResults,
+        planChanges: planChangeResults,
         expiredSubscriptions: expiredResults,
         activatedSubscriptions: activatedResults,
-        totalProcessed: expiredResults.length + activatedResults.length,
+        totalProcessed:
+          trialResults.length +
+          resumedResults.length +
+          planChangeResults.length +
+          expiredResults.length +
+          activatedResults.length,
       };
 
       console.log("✅ Daily subscription job completed successfully");
@@ -61,11 +123,29 @@ class DailySubscriptionManager {
       const endOfToday = new Date();
       endOfToday.setHours(23, 59, 59, 999);
 
-      const dueSubscriptions = await Subscription.find({
+      // Running trials are settled separately by settleEndedTrials
+      const endingSubscriptions = await Subscription.find({
         status: "ACTIVE",
         endDate: { $lte: endOfToday },
+        $nor: [RUNNING_TRIAL],
       }).session(session);
 
+      const renewing = await Transaction.distinct("subscription", {
+        ...RENEWAL_IN_FLIGHT,
+        subscription: { $in: endingSubscriptions.map((sub) => sub._id) },
+      }).session(session);
+      const renewingIds = new Set(renewing.map((id) => id.toString()));
+
+      const dueSubscriptions = endingSubscriptions.filter(
+        (sub) => !renewingIds.has(sub._id.toString())
+      );
+
+      if (renewingIds.size > 0) {
+        console.log(
+          `⏳ Keeping ${renewingIds.size} subscriptions whose renewal payment is in progress`
+        );
+      }
+
       console.log(
         `📅 Found ${dueSubscriptions.length} subscriptions due for expiration`
       );
@@ -143,8 +223,10 @@ class DailySubscriptionManager {
 
     try {
       // Get all unique IMEIs that have queued subscriptions
+      // Trials only start through device onboarding, never automatically
       const uniqueIMEIs = await Subscription.distinct("imei", {
         status: "QUEUED",
+        isTrial: { $ne: true },
       });
 
       console.log(
@@ -183,10 +265,11 @@ class DailySubscriptionManager {
     try {
       await session.startTransaction();
 
-      // Check if device already has an active subscription
+      // Check if device already has an active subscription. A paused one
+      // keeps the device until it resumes and runs out.
       const existingActive = await Subscription.findOne({
         imei,
-        status: "ACTIVE",
+        status: { $in: ["ACTIVE", "PAUSED"] },
       }).session(session);
 
       if (existingActive) {
@@ -201,6 +284,7 @@ class DailySubscriptionManager {
       const nextQueued = await Subscription.findOne({
         imei,
         status: "QUEUED",
+        isTrial: { $ne: true },
       })
         .sort({ queuePosition: 1, createdAt: 1 }) // Lowest queue position first, then FIFO
         .session(session);
@@ -212,7 +296,10 @@ class DailySubscriptionManager {
       }
 
       // Activate the subscription
-      const subscriptionDuration = getSubscriptionDuration(nextQueued.plan);
+      const subscriptionDuration = await getSubscriptionDuration(
+        nextQueued.plan,
+        nextQueued.planVersion
+      );
       const now = new Date();
 
       nextQueued.status = "ACTIVE";
@@ -280,6 +367,556 @@ class DailySubscriptionManager {
     }
   }
 
+  async sendTrialReminders() {
+    const reminded = [];
+    const now = new Date();
+    const reminderCutoff = new Date(
+      now.getTime() + TRIAL_REMINDER_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    const endingTrials = await Subscription.find({
+      ...RUNNING_TRIAL,
+      status: "ACTIVE",
+      trialEndsAt: { $gt: now, $lte: reminderCutoff },
+      trialReminderSentAt: null,
+    });
+
+    console.log(`⏳ Found ${endingTrials.length} trials ending soon`);
+
+    for (const trial of endingTrials) {
+      try {
+        const user = await User.findById(trial.user).select("username email");
+        const plan = await getPlan(trial.plan, { includeInactive: true });
+
+        await sendTrialEndingEmail(
+          user?.email || trial.email,
+          user?.username || "there",
+          trial.plan,
+          trial.trialEndsAt,
+          {
+            willConvert: trial.convertAtTrialEnd,
+            price: plan.price,
+            currency: plan.currency,
+          }
+        );
+
+        await Subscription.updateOne(
+          { _id: trial._id },
+          { $set: { trialReminderSentAt: new Date() } }
+        );
+
+        reminded.push({ subscriptionId: trial._id, user: trial.user });
+      } catch (error) {
+        // Not marked as sent, so tomorrow's run retries
+        console.error(
+          `❌ Failed to send trial reminder for ${trial._id}:`,
+          error
+        );
+      }
+    }
+
+    return reminded;
+  }
+
+  async settleEndedTrials() {
+    const settled = [];
+
+    // Same cut-off as expireDueSubscriptions
+    const endOfToday = new Date();
+    endOfToday.setHours(23, 59, 59, 999);
+
+    const endedTrials = await Subscription.find({
+      ...RUNNING_TRIAL,
+      status: "ACTIVE",
+      trialEndsAt: { $lte: endOfToday },
+    });
+
+    console.log(`📅 Found ${endedTrials.length} trials to settle`);
+
+    for (const trial of endedTrials) {
+      try {
+        const result = await this.settleTrial(trial._id);
+        if (result) {
+          settled.push(result);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to settle trial ${trial._id}:`, error);
+        // Continue with other trials even if one fails
+      }
+    }
+
+    return settled;
+  }
+
+  // Convert a finished trial to the paid plan (if the user opted in) or
+  // expire it. A conversion is sold like a renewal: the first paid period is
+  // charged through the provider and only starts once the payment succeeds.
+  async settleTrial(subscriptionId) {
+    const session = await mongoose.startSession();
+    let trial;
+    let transaction;
+    let converted = false;
+    let awaitingPayment = false;
+    let paymentOptions;
+
+    try {
+      await session.startTransaction();
+
+      trial = await Subscription.findOne({
+        _id: subscriptionId,
+        ...RUNNING_TRIAL,
+        status: "ACTIVE",
+      })
+        .select("+conversionPayment.paymentMethodToken")
+        .session(session);
+
+      if (!trial) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      const now = new Date();
+      const { paymentMethod, paymentMethodToken } =
+        trial.conversionPayment || {};
+
+      if (trial.convertAtTrialEnd) {
+        const terms = await getRenewalTerms(trial, trial.plan, trial.currency);
+        const location = await resolveTaxLocation({ userId: trial.user });
+        const tax = await calculateTax({ amount: terms.price, location });
+
+        awaitingPayment = tax.grossAmount > 0;
+        // Opted in before a payment method was required: nothing to charge
+        converted = !awaitingPayment || !!paymentMethodToken;
+
+        if (converted) {
+          const startDate = trial.endDate || trial.trialEndsAt;
+          const endDate = new Date(
+            startDate.getTime() + terms.duration * 24 * 60 * 60 * 1000
+          );
+
+          transaction = new Transaction({
+            user: trial.user,
+            subscription: trial._id,
+            transactionId: Transaction.generateTransactionId(),
+            type: "SUBSCRIPTION_RENEWAL",
+            amount: tax.grossAmount,
+            currency: terms.currency,
+            fx: await toTransactionFx(terms.currency),
+            plan: trial.plan,
+            planVersion: terms.version,
+            renewalPricing: terms.pricing,
+            ...toTransactionTax(tax),
+            status: awaitingPayment ? "PENDING" : "COMPLETED",
+            completedAt: awaitingPayment ? undefined : now,
+            paymentMethod,
+            processedAt: now,
+            subscriptionPeriod: {
+              startDate,
+              endDate,
+              duration: terms.duration,
+            },
+          });
+
+          await transaction.save({ session });
+
+          trial.convertedFromTrialAt = now;
+          trial.originalDuration = terms.duration;
+          paymentOptions = {
+            paymentMethodToken,
+            customer: { id: trial.user, email: trial.email },
+          };
+
+          if (awaitingPayment) {
+            await trial.save({ session });
+          } else {
+            trial.planVersion = terms.version;
+            trial.price = terms.price;
+            trial.currency = terms.currency;
+            await trial.renewSubscription(
+              trial.plan,
+              terms.duration,
+              transaction.transactionId
+            );
+          }
+        }
+      }
+
+      if (!converted) {
+        trial.status = "EXPIRED";
+        await trial.save({ session });
+
+        transaction = new Transaction({
+          user: trial.user,
+          subscription: trial._id,
+          transactionId: Transaction.generateTransactionId(),
+          type: "SUBSCRIPTION_EXPIRED",
+          amount: 0,
+          currency: trial.currency,
+          plan: trial.plan,
+          status: "COMPLETED",
+          paymentMethod: "FREE_TRIAL",
+          subscriptionPeriod: {
+            startDate: trial.startDate,
+            endDate: trial.trialEndsAt,
+            duration: trial.trialDays,
+          },
+        });
+
+        await transaction.save({ session });
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    if (converted && awaitingPayment) {
+      ({ transaction } = await collectPayment(transaction, paymentOptions));
+    } else if (converted) {
+      await postToLedger(transaction);
+    }
+
+    const result = {
+      subscriptionId: trial._id,
+      user: trial.user,
+      plan: trial.plan,
+      converted,
+      endDate: converted
+        ? transaction.subscriptionPeriod.endDate
+        : trial.trialEndsAt,
+      price: transaction.amount,
+      currency: transaction.currency,
+      status: transaction.status,
+      transactionId: transaction.transactionId,
+    };
+
+    console.log(
+      `${converted ? "💳 Converted" : "⏰ Expired"} trial ${trial._id} for IMEI ${trial.imei}`
+    );
+
+    try {
+      const user = await User.findById(result.user).select("username email");
+
+      if (user) {
+        await sendTrialEndedEmail(user.email, user.username, result.plan, {
+          converted: result.converted,
+          endDate: result.endDate,
+          price: result.price,
+          currency: result.currency,
+        });
+      }
+    } catch (emailError) {
+      console.error("Failed to send trial ended email:", emailError);
+    }
+
+    return result;
+  }
+
+  async resumeEndedPauses() {
+    const resumed = [];
+
+    const duePauses = await Subscription.find({
+      status: "PAUSED",
+      resumeBy: { $lte: new Date() },
+    });
+
+    console.log(`▶️ Found ${duePauses.length} pauses that have run out`);
+
+    for (const subscription of duePauses) {
+      try {
+        const result = await this.resumePausedSubscription(subscription._id);
+        if (result) {
+          resumed.push(result);
+        }
+      } catch (error) {
+        // Left paused; the next run tries again
+        console.error(`❌ Failed to resume ${subscription._id}:`, error);
+      }
+    }
+
+    return resumed;
+  }
+
+  // Resume a subscription whose pause ran out, restoring its frozen days
+  async resumePausedSubscription(subscriptionId) {
+    const session = await mongoose.startSession();
+    let subscription;
+    let transaction;
+
+    try {
+      await session.startTransaction();
+
+      subscription = await Subscription.findOne({
+        _id: subscriptionId,
+        status: "PAUSED",
+      }).session(session);
+
+      if (!subscription) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      await subscription.resume();
+
+      transaction = new Transaction({
+        user: subscription.user,
+        subscription: subscription._id,
+        transactionId: Transaction.generateTransactionId(),
+        type: "SUBSCRIPTION_RESUMED",
+        amount: 0,
+        currency: subscription.currency,
+        plan: subscription.plan,
+        status: "COMPLETED",
+        completedAt: new Date(),
+        adminNotes: "Resumed automatically: pause ended",
+      });
+
+      await transaction.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    const result = {
+      subscriptionId: subscription._id,
+      user: subscription.user,
+      plan: subscription.plan,
+      endDate: subscription.endDate,
+      transactionId: transaction.transactionId,
+    };
+
+    console.log(
+      `▶️ Resumed subscription ${subscription._id}, now ending ${subscription.endDate.toISOString()}`
+    );
+
+    try {
+      const user = await User.findById(subscription.user).select(
+        "username email"
+      );
+
+      await sendSubscriptionResumedEmail(
+        user?.email || subscription.email,
+        user?.username || "there",
+        { plan: subscription.plan, endDate: subscription.endDate }
+      );
+    } catch (emailError) {
+      console.error("Failed to send subscription resumed email:", emailError);
+    }
+
+    return result;
+  }
+
+  async applyScheduledPlanChanges() {
+    const applied = [];
+
+    // Same cut-off as expireDueSubscriptions, so these are renewed instead
+    const endOfToday = new Date();
+    endOfToday.setHours(23, 59, 59, 999);
+
+    const dueChanges = await Subscription.find({
+      status: "ACTIVE",
+      endDate: { $lte: endOfToday },
+      "pendingPlanChange.plan": { $ne: null },
+      $nor: [RUNNING_TRIAL],
+    });
+
+    console.log(`🔀 Found ${dueChanges.length} scheduled plan changes`);
+
+    for (const subscription of dueChanges) {
+      try {
+        const result = await this.applyScheduledPlanChange(subscription._id);
+        if (result) {
+          applied.push(result);
+        }
+      } catch (error) {
+        // Left scheduled; the subscription expires as usual if no renewal
+        // payment was started
+        console.error(
+          `❌ Failed to apply plan change for ${subscription._id}:`,
+          error
+        );
+      }
+    }
+
+    return applied;
+  }
+
+  // Renew a subscription at the end of its period onto the plan the user
+  // scheduled, at that plan's current price, charging the payment method
+  // saved with the change. The new period starts when the payment succeeds
+  // (dunning retries it); until then the subscription is kept from expiring.
+  async applyScheduledPlanChange(subscriptionId) {
+    const session = await mongoose.startSession();
+    let subscription;
+    let transaction;
+    let previousPlan;
+    let awaitingPayment;
+    let paymentOptions;
+
+    try {
+      await session.startTransaction();
+
+      subscription = await Subscription.findOne({
+        _id: subscriptionId,
+        status: "ACTIVE",
+        "pendingPlanChange.plan": { $ne: null },
+      })
+        .select("+pendingPlanChange.paymentMethodToken")
+        .session(session);
+
+      if (!subscription) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      const {
+        plan: newPlan,
+        paymentMethod,
+        paymentMethodToken,
+      } = subscription.pendingPlanChange;
+      previousPlan = subscription.plan;
+      paymentOptions = {
+        paymentMethodToken,
+        customer: { id: subscription.user, email: subscription.email },
+      };
+
+      const terms = await getRenewalTerms(
+        subscription,
+        newPlan,
+        subscription.currency
+      );
+      const location = await resolveTaxLocation({
+        userId: subscription.user,
+      });
+      const tax = await calculateTax({ amount: terms.price, location });
+      awaitingPayment = tax.grossAmount > 0;
+
+      // Changes scheduled before they had to be paid online have nothing to
+      // charge; the subscription ends as if none had been scheduled
+      if (awaitingPayment && !paymentMethodToken) {
+        subscription.pendingPlanChange = undefined;
+        await subscription.save({ session });
+        await session.commitTransaction();
+
+        console.log(
+          `⚠️ Dropped plan change for ${subscription._id}: no online payment method`
+        );
+        return null;
+      }
+
+      const now = new Date();
+      const startDate = subscription.endDate;
+      const endDate = new Date(
+        startDate.getTime() + terms.duration * 24 * 60 * 60 * 1000
+      );
+
+      transaction = new Transaction({
+        user: subscription.user,
+        subscription: subscription._id,
+        transactionId: Transaction.generateTransactionId(),
+        type: "SUBSCRIPTION_RENEWAL",
+        amount: tax.grossAmount,
+        currency: terms.currency,
+        fx: await toTransactionFx(terms.currency),
+        plan: newPlan,
+        planVersion: terms.version,
+        renewalPricing: terms.pricing,
+        ...toTransactionTax(tax),
+        status: awaitingPayment ? "PENDING" : "COMPLETED",
+        completedAt: awaitingPayment ? undefined : now,
+        paymentMethod,
+        processedAt: now,
+        subscriptionPeriod: {
+          startDate,
+          endDate,
+          duration: terms.duration,
+        },
+      });
+
+      await transaction.save({ session });
+
+      subscription.pendingPlanChange = undefined;
+
+      if (awaitingPayment) {
+        await subscription.save({ session });
+      } else {
+        subscription.planVersion = terms.version;
+        subscription.price = terms.price;
+        subscription.currency = terms.currency;
+        await subscription.renewSubscription(
+          newPlan,
+          terms.duration,
+          transaction.transactionId
+        );
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    if (awaitingPayment) {
+      ({ transaction } = await collectPayment(transaction, paymentOptions));
+    } else {
+      await postToLedger(transaction);
+    }
+
+    const result = {
+      subscriptionId: subscription._id,
+      user: subscription.user,
+      previousPlan,
+      newPlan: transaction.plan,
+      endDate: transaction.subscriptionPeriod.endDate,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      status: transaction.status,
+      transactionId: transaction.transactionId,
+    };
+
+    console.log(
+      `🔀 Moved subscription ${subscription._id} from ${previousPlan} to ${result.newPlan}`
+    );
+
+    try {
+      const user = await User.findById(subscription.user).select(
+        "username email"
+      );
+
+      await sendPlanChangedEmail(
+        user?.email || subscription.email,
+        user?.username || "there",
+        {
+          previousPlan,
+          newPlan: result.newPlan,
+          endDate: result.endDate,
+          amount: result.amount,
+          currency: result.currency,
+          paid: result.status === "COMPLETED",
+        }
+      );
+    } catch (emailError) {
+      console.error("Failed to send plan changed email:", emailError);
+    }
+
+    return result;
+  }
+
   async reorderDeviceQueue(imei, session) {
     try {
       // Get remaining queued subscriptions for this device
@@ -0,0 +1,392 @@
+// jobs/dunningJob.js
+const Subscription = require("../models/subscription");
+const Transaction = require("../models/transaction");
+const User = require("../models/user");
+const { releaseCoupon } = require("../utils/couponService");
+const {
+  PAYMENT_STATUS,
+  getPaymentProvider,
+  applyPaymentResult,
+} = require("../utils/paymentService");
+const {
+  sendPaymentFailedEmail,
+  sendPaymentRecoveredEmail,
+  sendSubscriptionSuspendedEmail,
+} = require("../config/emailService");
+require("dotenv").config();
+
+// Days after the original failure on which a payment is retried, e.g. "1,3,7"
+const DUNNING_RETRY_DAYS = (process.env.DUNNING_RETRY_DAYS || "1,3,7")
+  .split(",")
+  .map((day) => parseInt(day))
+  .filter((day) => day > 0)
+  .sort((a, b) => a - b);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Failed renewals charged through a provider are the payments we can retry
+const RETRYABLE_FAILURE = {
+  type: "SUBSCRIPTION_RENEWAL",
+  status: "FAILED",
+  externalTransactionId: { $exists: true, $ne: null },
+};
+
+class DunningManager {
+  constructor() {
+    this.jobName = "Dunning";
+    this.isRunning = false;
+  }
+
+  async executeDunning() {
+    if (this.isRunning) {
+      console.log("⚠️ Dunning job is already running, skipping...");
+      return;
+    }
+
+    this.isRunning = true;
+    const startTime = new Date();
+
+    try {
+      console.log(`🚀 Starting ${this.jobName} at ${startTime.toISOString()}`);
+
+      // Step 1: Put newly failed payments on the retry schedule
+      const enrolled = await this.enrolFailedPayments();
+
+      // Step 2: Retry payments whose next attempt is due
+      const retried = await this.retryDuePayments();
+
+      const summary = {
+        jobStartTime: startTime,
+        jobEndTime: new Date(),
+        retrySchedule: DUNNING_RETRY_DAYS,
+        enrolled,
+        retried,
+        recovered: retried.filter((r) => r.outcome === "RECOVERED").length,
+        suspended: retried.filter((r) => r.outcome === "EXHAUSTED").length,
+        cancelled: retried.filter((r) => r.outcome === "CANCELLED").length,
+      };
+
+      this.lastRun = summary.jobEndTime;
+      console.log("✅ Dunning job completed successfully");
+      console.log("📊 Job Summary:", JSON.stringify(summary, null, 2));
+
+      return summary;
+    } catch (error) {
+      console.error("❌ Dunning job failed:", error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  nextRetryDate(transaction) {
+    const failedAt = transaction.failedAt || transaction.updatedAt;
+    const days = DUNNING_RETRY_DAYS[transaction.retryCount];
+
+    return new Date(failedAt.getTime() + days * DAY_MS);
+  }
+
+  async enrolFailedPayments() {
+    const enrolled = [];
+
+    const failures = await Transaction.find({
+      ...RETRYABLE_FAILURE,
+      dunningStatus: null,
+    });
+
+    console.log(`💳 Found ${failures.length} failed payments to schedule`);
+
+    for (const transaction of failures) {
+      try {
+        const obsolete = await this.getObsoleteReason(transaction);
+        if (obsolete) {
+          await this.cancelDunning(transaction, obsolete);
+          continue;
+        }
+
+        transaction.dunningStatus = "SCHEDULED";
+        transaction.retryCount = 0;
+        transaction.nextRetryAt = this.nextRetryDate(transaction);
+        await transaction.save();
+
+        await this.notifyCustomer(transaction, "FAILED");
+
+        enrolled.push({
+          transactionId: transaction.transactionId,
+          nextRetryAt: transaction.nextRetryAt,
+        });
+      } catch (error) {
+        console.error(
+          `❌ Failed to schedule retries for ${transaction.transactionId}:`,
+          error
+        );
+      }
+    }
+
+    return enrolled;
+  }
+
+  async retryDuePayments() {
+    const results = [];
+
+    const due = await Transaction.find({
+      ...RETRYABLE_FAILURE,
+      dunningStatus: "SCHEDULED",
+      nextRetryAt: { $lte: new Date() },
+    }).sort({ nextRetryAt: 1 });
+
+    console.log(`🔁 Found ${due.length} payments due for a retry`);
+
+    for (const transaction of due) {
+      try {
+        results.push(await this.retryPayment(transaction));
+      } catch (error) {
+        console.error(
+          `❌ Failed to retry payment ${transaction.transactionId}:`,
+          error
+        );
+        // Continue with the other payments even if one fails
+      }
+    }
+
+    return results;
+  }
+
+  // Why retrying a failed renewal no longer makes sense, if it does not:
+  // the subscription has stopped or a later renewal has paid for it
+  async getObsoleteReason(transaction) {
+    const subscription = await Subscription.findById(transaction.subscription)
+      .select("status")
+      .lean();
+
+    if (!subscription || !["ACTIVE", "PAUSED"].includes(subscription.status)) {
+      return `subscription is ${subscription?.status || "deleted"}`;
+    }
+
+    const laterRenewal = await Transaction.exists({
+      subscription: transaction.subscription,
+      type: "SUBSCRIPTION_RENEWAL",
+      status: "COMPLETED",
+      previousTransaction: null,
+      createdAt: { $gt: transaction.createdAt },
+    });
+
+    return laterRenewal ? "a later renewal has been paid" : null;
+  }
+
+  async cancelDunning(transaction, reason) {
+    transaction.dunningStatus = "CANCELLED";
+    transaction.nextRetryAt = undefined;
+    await transaction.save();
+
+    await releaseCoupon(transaction._id);
+
+    console.log(
+      `🛑 Stopped retrying payment ${transaction.transactionId}: ${reason}`
+    );
+
+    return this.toResult(transaction, "CANCELLED");
+  }
+
+  async retryPayment(transaction) {
+    // Checked before every capture, so a stale renewal is never charged
+    const obsolete = await this.getObsoleteReason(transaction);
+    if (obsolete) {
+      return await this.cancelDunning(transaction, obsolete);
+    }
+
+    let result;
+
+    try {
+      const provider = getPaymentProvider(transaction.paymentProvider);
+      result = await provider.capture(transaction.externalTransactionId);
+    } catch (error) {
+      result = {
+        status: PAYMENT_STATUS.FAILED,
+        failureCode: "provider_error",
+        failureMessage: error.message,
+      };
+    }
+
+    const now = new Date();
+    transaction.retryCount += 1;
+    transaction.lastRetryAt = now;
+
+    if (result.status === PAYMENT_STATUS.SUCCEEDED) {
+      // Completes the transaction and applies the renewal
+      await applyPaymentResult(transaction, result, { from: "FAILED" });
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        {
+          $set: {
+            dunningStatus: "RECOVERED",
+            retryCount: transaction.retryCount,
+            lastRetryAt: now,
+          },
+          $unset: { nextRetryAt: 1 },
+        }
+      );
+
+      await this.notifyCustomer(transaction, "RECOVERED");
+      console.log(`🎉 Recovered payment ${transaction.transactionId}`);
+
+      return this.toResult(transaction, "RECOVERED");
+    }
+
+    transaction.errorDetails = {
+      code: result.failureCode || "payment_failed",
+      message: result.failureMessage || "Payment failed",
+    };
+
+    if (transaction.retryCount < DUNNING_RETRY_DAYS.length) {
+      transaction.nextRetryAt = this.nextRetryDate(transaction);
+      await transaction.save();
+
+      await this.notifyCustomer(transaction, "FAILED");
+
+      return this.toResult(transaction, "RETRY_SCHEDULED");
+    }
+
+    // Final attempt failed: give up and suspend the subscription
+    transaction.dunningStatus = "EXHAUSTED";
+    transaction.nextRetryAt = undefined;
+    await transaction.save();
+
+    await releaseCoupon(transaction._id);
+    await this.suspendSubscription(transaction);
+    await this.notifyCustomer(transaction, "EXHAUSTED");
+
+    console.log(
+      `⛔ Gave up on payment ${transaction.transactionId} after ${transaction.retryCount} retries`
+    );
+
+    return this.toResult(transaction, "EXHAUSTED");
+  }
+
+  async suspendSubscription(transaction) {
+    const subscription = await Subscription.findById(transaction.subscription);
+
+    if (
+      !subscription ||
+      !["ACTIVE", "PAUSED", "QUEUED"].includes(subscription.status)
+    ) {
+      return;
+    }
+
+    subscription.status = "SUSPENDED";
+    subscription.suspendedAt = new Date();
+    subscription.suspensionReason =
+      `Payment ${transaction.transactionId} failed after ` +
+      `${transaction.retryCount} retries`;
+    await subscription.save();
+  }
+
+  // Customer email for each dunning stage. Failures are logged, not thrown.
+  async notifyCustomer(transaction, stage) {
+    try {
+      const user = await User.findById(transaction.user).select(
+        "username email"
+      );
+
+      if (!user) {
+        return;
+      }
+
+      const details = {
+        amount: transaction.amount,
+        currency: transaction.currency,
+      };
+
+      if (stage === "RECOVERED") {
+        await sendPaymentRecoveredEmail(
+          user.email,
+          user.username,
+          transaction.plan,
+          details
+        );
+      } else if (stage === "EXHAUSTED") {
+        await sendSubscriptionSuspendedEmail(
+          user.email,
+          user.username,
+          transaction.plan,
+          details
+        );
+      } else {
+        await sendPaymentFailedEmail(
+          user.email,
+          user.username,
+          transaction.plan,
+          {
+            ...details,
+            reason: transaction.errorDetails?.message,
+            nextRetryAt: transaction.nextRetryAt,
+            attemptsLeft: DUNNING_RETRY_DAYS.length - transaction.retryCount,
+          }
+        );
+      }
+    } catch (emailError) {
+      console.error(
+        `Failed to send dunning email for ${transaction.transactionId}:`,
+        emailError
+      );
+    }
+  }
+
+  toResult(transaction, outcome) {
+    return {
+      transactionId: transaction.transactionId,
+      subscriptionId: transaction.subscription,
+      retryCount: transaction.retryCount,
+      nextRetryAt: transaction.nextRetryAt || null,
+      outcome,
+    };
+  }
+
+  // Method to run the job manually (for testing)
+  async runManual() {
+    console.log("🔧 Running dunning job manually...");
+    return await this.executeDunning();
+  }
+
+  // Method to check job status
+  getStatus() {
+    return {
+      jobName: this.jobName,
+      isRunning: this.isRunning,
+      lastRun: this.lastRun || null,
+      retrySchedule: DUNNING_RETRY_DAYS,
+    };
+  }
+}
+
+// Export singleton instance
+const dunningManager = new DunningManager();
+
+// Retries are due at day granularity, so checking hourly keeps them close
+// to schedule without hammering the provider
+const setupDunningJob = () => {
+  const cron = require("node-cron");
+
+  cron.schedule(
+    "15 * * * *",
+    async () => {
+      try {
+        await dunningManager.executeDunning();
+      } catch (error) {
+        console.error("❌ Scheduled dunning job failed:", error);
+      }
+    },
+    {
+      timezone: "UTC",
+    }
+  );
+
+  console.log("⏰ Dunning job scheduled hourly at minute 15");
+};
+
+module.exports = {
+  DUNNING_RETRY_DAYS,
+  DunningManager,
+  dunningManager,
+  setupDunningJob,
+};
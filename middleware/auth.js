@@ -1,6 +1,10 @@
 const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 const CustomError = require("../utils/customError");
 const User = require("../models/user");
+const Session = require("../models/session");
+const { recordAuditEntry } = require("../utils/auditLogger");
+const { resolveUserPermissions } = require("../utils/permissions");
 
 // module.exports = function (req, res, next) {
 //   // Get token from header
@@ -47,7 +51,7 @@ const auth = async (req, res, next) => {
 
       // Get user from database
       const user = await User.findById(decoded.user.id)
-        .select("-password")
+        .select("-password -passwordResetToken")
         .lean();
 
       // console.log("[Auth SERVER]:", user);
@@ -56,6 +60,48 @@ const auth = async (req, res, next) => {
         throw new CustomError(401, "User not found");
       }
 
+      if (user.isSuspended) {
+        throw new CustomError(403, "Account is suspended");
+      }
+
+      // Reject tokens issued before the last password change
+      if (
+        user.passwordChangedAt &&
+        decoded.iat < Math.floor(new Date(user.passwordChangedAt).getTime() / 1000)
+      ) {
+        throw new CustomError(
+          401,
+          "Password was changed recently. Please log in again."
+        );
+      }
+
+      // Tokens tied to a session stop working once the session is revoked
+      if (decoded.sid) {
+        const session = await Session.findById(decoded.sid)
+          .select("user revokedAt lastUsedAt")
+          .lean();
+
+        if (
+          !session ||
+          session.revokedAt ||
+          session.user !== user._id.toString()
+        ) {
+          throw new CustomError(401, "Session has been revoked");
+        }
+
+        // Record activity at most once a minute
+        if (Date.now() - new Date(session.lastUsedAt).getTime() > 60 * 1000) {
+          Session.updateOne(
+            { _id: session._id },
+            { $set: { lastUsedAt: new Date() } }
+          ).catch((error) =>
+            console.error("Failed to update session activity:", error)
+          );
+        }
+
+        req.sessionId = decoded.sid;
+      }
+
       // Add user and token to request
       req.user = user;
       req.token = token;
@@ -105,42 +151,14 @@ const requireAdmin = async (req, res, next) => {
       throw new CustomError(403, "Admin access required");
     }
 
-    // Optional: Check specific admin permissions
-    if (req.user.role === "admin" && req.user.adminInfo) {
-      // Ensure admin has necessary permissions based on the route
-      const routePath = req.route?.path || req.path;
-
-      // Example permission checks based on route
-      if (
-        routePath.includes("/approve") &&
-        !req.user.adminInfo.canApproveSubscriptions
-      ) {
-        throw new CustomError(
-          403,
-          "Insufficient permissions to approve subscriptions"
-        );
-      }
-
-      if (
-        routePath.includes("/analytics") &&
-        !req.user.adminInfo.canViewAnalytics
-      ) {
-        throw new CustomError(
-          403,
-          "Insufficient permissions to view analytics"
-        );
-      }
-
-      if (routePath.includes("/users") && !req.user.adminInfo.canManageUsers) {
-        throw new CustomError(403, "Insufficient permissions to manage users");
-      }
-    }
+    // Route-specific checks are declared with requirePermission()
+    req.permissions = await resolveUserPermissions(req.user);
 
     // Add admin info to request for use in controllers
     req.admin = {
       userId: req.user._id,
       role: req.user.role,
-      permissions: req.user.permissions || [],
+      permissions: req.permissions,
       accessLevel: req.user.adminInfo?.accessLevel || 1,
       canApprove: req.user.adminInfo?.canApproveSubscriptions || false,
       maxApprovalAmount: req.user.adminInfo?.maxApprovalAmount || 0,
@@ -187,7 +205,7 @@ const requireSuperAdmin = async (req, res, next) => {
 
 /**
  * Middleware to check specific permission
- * Usage: requirePermission('approve_subscriptions')
+ * Usage: requirePermission('subscriptions.approve')
  */
 const requirePermission = (permission) => {
   return async (req, res, next) => {
@@ -196,13 +214,13 @@ const requirePermission = (permission) => {
         throw new CustomError(401, "Authentication required");
       }
 
-      // Super admin has all permissions
-      if (req.user.role === "super_admin") {
-        return next();
+      // req.user is a lean object, so permissions are resolved here rather
+      // than through a model method
+      if (!req.permissions) {
+        req.permissions = await resolveUserPermissions(req.user);
       }
 
-      // Check if user has the specific permission
-      if (!req.user.hasPermission || !req.user.hasPermission(permission)) {
+      if (!req.permissions.includes(permission)) {
         throw new CustomError(403, `Permission required: ${permission}`);
       }
 
@@ -286,39 +304,95 @@ const requireAdminByEmail = async (req, res, next) => {
 };
 
 /**
- * Middleware to log admin actions for audit trail
+ * Middleware to load the target entity before a handler runs so the audit
+ * log can record a before/after diff
+ * Usage: auditTarget('Subscription', 'id')
+ */
+const auditTarget = (modelName, paramName = "id") => {
+  return async (req, res, next) => {
+    const entityId = req.params[paramName];
+
+    req.auditTarget = { entityType: modelName, entityId, before: null };
+
+    try {
+      if (entityId) {
+        req.auditTarget.before = await mongoose
+          .model(modelName)
+          .findById(entityId)
+          .lean();
+      }
+    } catch (err) {
+      // An invalid id is reported by the handler itself
+      console.warn(`⚠️ Audit snapshot failed for ${modelName} ${entityId}`);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Middleware to log admin actions for audit trail. The entry is written once
+ * the response has been sent, whichever way it was sent (json, send, end, or
+ * the error handler).
  */
 const logAdminAction = async (req, res, next) => {
-  // Store original res.json to intercept response
+  // Keep the JSON body, if any, to read its success flag
   const originalJson = res.json;
-
   res.json = function (data) {
-    // Log the admin action
-    console.log({
-      timestamp: new Date().toISOString(),
-      adminId: req.admin?.userId,
-      adminRole: req.admin?.role,
-      action: `${req.method} ${req.path}`,
-      ip: req.ip,
-      userAgent: req.get("User-Agent"),
-      body: req.method !== "GET" ? req.body : undefined,
-      success: data?.success !== false,
-    });
-
-    // TODO: Save to audit log database
-    // const AuditLog = require('../models/auditLog');
-    // AuditLog.create({
-    //   adminId: req.admin?.userId,
-    //   action: `${req.method} ${req.path}`,
-    //   details: { body: req.body, response: data },
-    //   ip: req.ip,
-    //   userAgent: req.get('User-Agent'),
-    // });
-
-    // Call original json method
+    res.locals.auditResponseBody = data;
     return originalJson.call(this, data);
   };
 
+  res.on("finish", () => {
+    const target = req.auditTarget || {
+      entityType: null,
+      entityId:
+        req.params.id || req.params.subscriptionId || req.params.userId || null,
+    };
+    const action = `${req.method} ${req.baseUrl}${req.route?.path || req.path}`;
+    const data = res.locals.auditResponseBody;
+
+    // Persist without delaying anything else
+    Promise.resolve()
+      .then(() =>
+        target.entityType && target.entityId
+          ? mongoose.model(target.entityType).findById(target.entityId).lean()
+          : null
+      )
+      .then((after) =>
+        recordAuditEntry({
+          actor: {
+            userId: (req.admin?.userId || req.user?._id)?.toString(),
+            role: req.admin?.role || req.user?.role,
+            email: req.user?.email,
+          },
+          action,
+          target: {
+            entityType: target.entityType,
+            entityId: target.entityId,
+          },
+          before: target.before,
+          after,
+          requestBody: req.method !== "GET" ? req.body : undefined,
+          statusCode: res.statusCode,
+          success: data?.success !== false && res.statusCode < 400,
+          ipAddress: req.ip,
+          userAgent: req.get("User-Agent"),
+        })
+      )
+      .catch((error) => {
+        // Enough to reconstruct the missing entry from the server logs
+        console.error(
+          `❌ Failed to write audit log entry for ${action} by ${
+            req.user?._id
+          } (status ${res.statusCode}, target ${target.entityType || "-"} ${
+            target.entityId || "-"
+          }):`,
+          error
+        );
+      });
+  });
+
   next();
 };
 
@@ -328,6 +402,7 @@ module.exports = {
   requirePermission,
   requireApprovalLimit,
   requireAdminByEmail,
+  auditTarget,
   logAdminAction,
   auth,
 };
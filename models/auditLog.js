@@ -0,0 +1,190 @@
+// models/auditLog.js
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const GENESIS_HASH = "0".repeat(64);
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    // Position in the hash chain (1-based, gapless)
+    sequence: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      index: true,
+    },
+    actor: {
+      userId: {
+        type: String,
+        ref: "User",
+        index: true,
+      },
+      role: String,
+      email: String,
+    },
+    // e.g. "PUT /queue/:id/approve"
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    target: {
+      entityType: String,
+      entityId: String,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Field-level changes: { field: { from, to } }
+    diff: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    requestBody: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    statusCode: Number,
+    success: Boolean,
+    ipAddress: String,
+    userAgent: String,
+    previousHash: {
+      type: String,
+      required: true,
+    },
+    hash: {
+      type: String,
+      required: true,
+    },
+  },
+  { versionKey: false }
+);
+
+AuditLogSchema.index({ "target.entityType": 1, "target.entityId": 1 });
+
+// Audit entries are append-only: block every update and delete path
+const rejectMutation = function (next) {
+  next(new Error("Audit log entries are append-only"));
+};
+
+AuditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+[
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  AuditLogSchema.pre(operation, rejectMutation);
+});
+
+["updateOne", "deleteOne"].forEach((operation) => {
+  AuditLogSchema.pre(operation, { document: true, query: true }, rejectMutation);
+});
+
+// Static method to compute the chained hash of an entry
+AuditLogSchema.statics.computeHash = function (entry) {
+  const actor = entry.actor || {};
+  const target = entry.target || {};
+
+  const payload = JSON.stringify([
+    entry.sequence,
+    new Date(entry.timestamp).toISOString(),
+    [actor.userId, actor.role, actor.email],
+    entry.action,
+    [target.entityType, target.entityId],
+    entry.before,
+    entry.after,
+    entry.diff,
+    entry.requestBody,
+    entry.statusCode,
+    entry.success,
+    entry.ipAddress,
+    entry.userAgent,
+    entry.previousHash,
+  ]);
+
+  return crypto.createHash("sha256").update(payload).digest("hex");
+};
+
+// Static method to append an entry to the end of the hash chain
+AuditLogSchema.statics.append = async function (data, maxAttempts = 5) {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const last = await this.findOne()
+      .sort({ sequence: -1 })
+      .select("sequence hash")
+      .lean();
+
+    const entry = new this({
+      ...data,
+      sequence: last ? last.sequence + 1 : 1,
+      timestamp: new Date(),
+      previousHash: last ? last.hash : GENESIS_HASH,
+    });
+    entry.hash = this.computeHash(entry.toObject());
+
+    try {
+      return await entry.save();
+    } catch (error) {
+      // Another writer took this sequence number - retry on the new tail
+      if (error.code === 11000 && attempt < maxAttempts) {
+        continue;
+      }
+      throw error;
+    }
+  }
+};
+
+// Static method to walk the chain and report the first tampered entry
+AuditLogSchema.statics.verifyChain = async function () {
+  let expectedPreviousHash = GENESIS_HASH;
+  let expectedSequence = 1;
+  let checked = 0;
+
+  const cursor = this.find().sort({ sequence: 1 }).lean().cursor();
+
+  for await (const entry of cursor) {
+    const problem =
+      entry.sequence !== expectedSequence
+        ? "Missing or out-of-order entry"
+        : entry.previousHash !== expectedPreviousHash
+        ? "Broken link to previous entry"
+        : entry.hash !== this.computeHash(entry)
+        ? "Entry contents do not match hash"
+        : null;
+
+    if (problem) {
+      return {
+        valid: false,
+        checked,
+        brokenAt: entry.sequence,
+        reason: problem,
+      };
+    }
+
+    expectedPreviousHash = entry.hash;
+    expectedSequence++;
+    checked++;
+  }
+
+  return { valid: true, checked, brokenAt: null, reason: null };
+};
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
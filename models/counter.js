@@ -0,0 +1,31 @@
+// models/counter.js
+const mongoose = require("mongoose");
+
+// Named sequences (e.g. invoice numbers). `_id` is the sequence name.
+const CounterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+// Static method to take the next number of a sequence atomically. Within
+// `session` the number is only used up if the transaction commits.
+CounterSchema.statics.next = async function (name, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return counter.seq;
+};
+
+module.exports = mongoose.model("Counter", CounterSchema);
@@ -0,0 +1,88 @@
+// models/coupon.js
+const mongoose = require("mongoose");
+
+const CouponSchema = new mongoose.Schema(
+  {
+    // Code customers type at checkout, stored upper-case
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]+$/, "Coupon code may only contain A-Z, 0-9, _ and -"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    discountType: {
+      type: String,
+      enum: ["PERCENTAGE", "FIXED"],
+      required: true,
+    },
+    // Percent off (0-100) or a fixed amount in `currency`
+    discountValue: {
+      type: Number,
+      required: true,
+      min: [0, "Discount cannot be negative"],
+    },
+    currency: {
+      type: String,
+      default: "USD",
+      uppercase: true,
+      trim: true,
+    },
+    // Plan ids the coupon applies to; empty means every plan
+    applicablePlans: {
+      type: [String],
+      default: [],
+    },
+    // null means unlimited
+    maxRedemptions: {
+      type: Number,
+      default: null,
+      min: [1, "Max redemptions must be at least 1"],
+    },
+    redemptionCount: {
+      type: Number,
+      default: 0,
+    },
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: [1, "Per-user limit must be at least 1"],
+    },
+    // Only customers without any previous purchase may use it
+    firstPurchaseOnly: {
+      type: Boolean,
+      default: false,
+    },
+    validFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    createdBy: {
+      type: String,
+      ref: "User",
+    },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+CouponSchema.pre("validate", function () {
+  if (this.discountType === "PERCENTAGE" && this.discountValue > 100) {
+    this.invalidate("discountValue", "Percentage discount cannot exceed 100");
+  }
+});
+
+module.exports = mongoose.model("Coupon", CouponSchema);
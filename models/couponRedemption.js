@@ -0,0 +1,66 @@
+// models/couponRedemption.js
+const mongoose = require("mongoose");
+
+// One use of a coupon on one purchase
+const CouponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: String,
+      ref: "User",
+      required: true,
+    },
+    // Which of the user's perUserLimit uses this is (1-based). Unique per
+    // coupon and user, so concurrent checkouts cannot take the same use.
+    slot: {
+      type: Number,
+    },
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    plan: {
+      type: String,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "USD",
+    },
+    originalAmount: {
+      type: Number,
+      required: true,
+    },
+    discountAmount: {
+      type: Number,
+      required: true,
+    },
+    finalAmount: {
+      type: Number,
+      required: true,
+    },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+CouponRedemptionSchema.index({ coupon: 1, user: 1 });
+// Redemptions made before slots existed have none and are not constrained
+CouponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $type: "number" } } }
+);
+CouponRedemptionSchema.index({ coupon: 1, createdAt: -1 });
+
+module.exports = mongoose.model("CouponRedemption", CouponRedemptionSchema);
@@ -18,10 +18,34 @@ const DeviceSchema = new mongoose.Schema(
       required: true,
       //   unique: true,
     },
+    // Replacement secret from re-enrollment, swapped in once verified
+    pendingTotpSecret: {
+      type: String,
+      default: null,
+    },
+    // Set by an admin to let the owner re-enroll without a code from the
+    // current authenticator (e.g. when it was lost); cleared once used
+    authenticatorResetAt: {
+      type: Date,
+      default: null,
+    },
+    authenticatorResetBy: {
+      type: String,
+      ref: "User",
+      default: null,
+    },
+    // Last accepted TOTP time step, used to reject replayed codes
+    lastTotpStep: {
+      type: Number,
+      default: 0,
+    },
     isOnboarded: {
       type: Boolean,
       default: false,
     },
+    onboardedAt: {
+      type: Date,
+    },
     deviceName: {
       type: String,
       required: true,
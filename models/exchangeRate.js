@@ -0,0 +1,38 @@
+// models/exchangeRate.js
+const mongoose = require("mongoose");
+
+// Locally maintained exchange rate of one currency against the rate base
+// currency (see utils/currencyService.js). Transactions copy the rate they
+// were priced at, so changing it never rewrites past figures.
+const ExchangeRateSchema = new mongoose.Schema(
+  {
+    // ISO 4217 code, e.g. "EUR"
+    currency: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a three-letter ISO code"],
+    },
+    // Units of this currency per one unit of the base currency
+    rate: {
+      type: Number,
+      required: true,
+      min: [0.000001, "Exchange rate must be positive"],
+    },
+    // ISO country codes whose buyers pay in this currency by default
+    countries: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    updatedBy: {
+      type: String,
+      ref: "User",
+    },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+module.exports = mongoose.model("ExchangeRate", ExchangeRateSchema);
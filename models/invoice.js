@@ -0,0 +1,121 @@
+// models/invoice.js
+const mongoose = require("mongoose");
+
+// Invoice issued for a completed payment. Buyer, seller and amounts are a
+// snapshot taken when the invoice is issued; invoices are never edited.
+const InvoiceSchema = new mongoose.Schema(
+  {
+    // Sequence behind the human readable invoice number
+    sequence: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: true,
+      unique: true,
+    },
+    transactionId: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: String,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+    },
+    seller: {
+      name: String,
+      address: String,
+      taxId: String,
+    },
+    buyer: {
+      name: String,
+      email: String,
+      phone: String,
+      imei: String,
+      deviceName: String,
+      companyName: String,
+      taxId: String,
+      country: String,
+    },
+    items: [
+      {
+        _id: false,
+        description: String,
+        quantity: Number,
+        unitPrice: Number,
+        amount: Number,
+      },
+    ],
+    period: {
+      startDate: Date,
+      endDate: Date,
+    },
+    currency: {
+      type: String,
+      default: "USD",
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+    },
+    discount: {
+      code: String,
+      amount: Number,
+    },
+    taxLines: [
+      {
+        _id: false,
+        name: String,
+        rate: Number,
+        amount: Number,
+        // Already part of the item prices rather than added on top
+        included: Boolean,
+        reverseCharge: Boolean,
+      },
+    ],
+    taxTotal: {
+      type: Number,
+      default: 0,
+    },
+    // Total excluding tax
+    netAmount: {
+      type: Number,
+    },
+    // The buyer accounts for the tax (business buyer abroad)
+    reverseCharge: {
+      type: Boolean,
+      default: false,
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    paymentMethod: {
+      type: String,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    paidAt: {
+      type: Date,
+    },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+module.exports = mongoose.model("Invoice", InvoiceSchema);
@@ -15,6 +15,8 @@ const ipSchema = new mongoose.Schema(
     city: String,
     region: String,
     country: String,
+    // ISO 3166-1 alpha-2 code of `country`
+    countryCode: String,
     latitude: Number,
     longitude: Number,
     isp: String,
@@ -0,0 +1,128 @@
+// models/journalEntry.js
+const mongoose = require("mongoose");
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// One side of a journal entry. A line is either a debit or a credit.
+const JournalLineSchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      enum: [
+        "cash",
+        "customer_receivable",
+        "deferred_revenue",
+        "revenue",
+        "refunds",
+        "tax_payable",
+      ],
+      required: true,
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Double-entry posting for one money movement on a Transaction. Entries are
+// never edited: corrections are posted as new entries. The unique
+// (transaction, kind) index makes posting the same movement twice a no-op.
+const JournalEntrySchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["SALE", "PAYMENT", "REFUND"],
+      required: true,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: true,
+    },
+    transactionId: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: String,
+      ref: "User",
+      index: true,
+    },
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+    },
+    plan: {
+      type: String,
+    },
+    currency: {
+      type: String,
+      default: "USD",
+    },
+    // Exchange rate of the transaction (units of `currency` per unit of the
+    // rate base currency), used to report entries in other currencies
+    fxRate: {
+      type: Number,
+      default: 1,
+    },
+    // Total of the debit (and so of the credit) side
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    lines: {
+      type: [JournalLineSchema],
+      validate: {
+        validator: (lines) => lines.length >= 2,
+        message: "A journal entry needs at least two lines",
+      },
+    },
+    description: {
+      type: String,
+    },
+    postedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+JournalEntrySchema.index({ transaction: 1, kind: 1 }, { unique: true });
+JournalEntrySchema.index({ postedAt: -1 });
+JournalEntrySchema.index({ "lines.account": 1, postedAt: -1 });
+
+// Refuse to store an entry whose debits and credits do not balance
+JournalEntrySchema.pre("validate", function (next) {
+  const debits = roundAmount(
+    this.lines.reduce((sum, line) => sum + line.debit, 0)
+  );
+  const credits = roundAmount(
+    this.lines.reduce((sum, line) => sum + line.credit, 0)
+  );
+
+  if (this.lines.some((line) => line.debit > 0 && line.credit > 0)) {
+    return next(new Error("A journal line cannot be both debit and credit"));
+  }
+
+  if (debits !== credits || debits !== roundAmount(this.amount)) {
+    return next(
+      new Error(
+        `Unbalanced journal entry: debits ${debits}, credits ${credits}`
+      )
+    );
+  }
+
+  next();
+});
+
+module.exports = mongoose.model("JournalEntry", JournalEntrySchema);
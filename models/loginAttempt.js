@@ -0,0 +1,54 @@
+// models/loginAttempt.js
+const mongoose = require("mongoose");
+
+// Failed-login counter for one account or one IP address
+const LoginAttemptSchema = new mongoose.Schema(
+  {
+    // "account:<userId>" or "ip:<address>"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ["ACCOUNT", "IP"],
+      required: true,
+    },
+    user: {
+      type: String,
+      ref: "User",
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedAt: {
+      type: Date,
+    },
+    // Exponential backoff: no attempts accepted before this time
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Counters are forgotten after a quiet period
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", LoginAttemptSchema);
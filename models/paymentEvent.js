@@ -0,0 +1,68 @@
+// models/paymentEvent.js
+const mongoose = require("mongoose");
+
+// Webhook events received from payment providers. The unique
+// (provider, eventId) index makes redelivered events no-ops.
+const PaymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    externalId: {
+      type: String,
+      index: true,
+    },
+    // Normalised PAYMENT_STATUS reported by the event
+    status: {
+      type: String,
+      enum: ["PENDING", "SUCCEEDED", "FAILED", "REFUNDED"],
+    },
+    amount: {
+      type: Number,
+    },
+    failureCode: {
+      type: String,
+    },
+    failureMessage: {
+      type: String,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    processingStatus: {
+      type: String,
+      enum: ["RECEIVED", "PROCESSED", "IGNORED", "FAILED"],
+      default: "RECEIVED",
+      index: true,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+PaymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+PaymentEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("PaymentEvent", PaymentEventSchema);
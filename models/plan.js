@@ -0,0 +1,221 @@
+// models/plan.js
+const mongoose = require("mongoose");
+
+// Price of a plan in one more currency, next to its base price
+const PlanPriceSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: [0, "Price cannot be negative"],
+    },
+  },
+  { _id: false }
+);
+
+// Commercial terms of one plan version. A new version is published whenever
+// price, currency or duration change; subscriptions keep a pointer to the
+// version they were sold under.
+const PlanVersionSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    prices: {
+      type: [PlanPriceSchema],
+      default: [],
+    },
+    duration: {
+      type: Number,
+      required: true,
+    },
+    // What subscribers on this version pay when they renew the same plan:
+    // their original terms, or whatever the plan currently costs
+    renewalPricing: {
+      type: String,
+      enum: ["GRANDFATHERED", "CURRENT"],
+      default: "GRANDFATHERED",
+    },
+    effectiveFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    supersededAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const PlanSchema = new mongoose.Schema(
+  {
+    // Stable identifier stored on subscriptions/transactions, e.g. "mobile-v4-basic"
+    planId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9-]+$/, "Plan id may only contain a-z, 0-9 and -"],
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: [0, "Price cannot be negative"],
+    },
+    currency: {
+      type: String,
+      default: "USD",
+      uppercase: true,
+      trim: true,
+    },
+    // Prices in other currencies. Buyers whose currency is not listed pay
+    // the base price above.
+    prices: {
+      type: [PlanPriceSchema],
+      default: [],
+    },
+    // Length of one subscription period in days
+    duration: {
+      type: Number,
+      required: true,
+      min: [1, "Duration must be at least 1 day"],
+    },
+    features: {
+      type: [String],
+      default: [],
+    },
+    tier: {
+      type: String,
+      enum: ["basic", "premium", "enterprise"],
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: ["mobile", "full-suite"],
+      required: true,
+    },
+    // Product generation, e.g. "v4", "v5", "latest"
+    productVersion: {
+      type: String,
+      trim: true,
+    },
+    // Inactive plans cannot be bought, but existing subscriptions keep working
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    // Length of the free trial in days; 0 means the plan has no trial
+    trialDays: {
+      type: Number,
+      default: 0,
+      min: [0, "Trial length cannot be negative"],
+    },
+    // How many times, and for how many days in total, a subscription on this
+    // plan can be paused. 0 pauses means it cannot be paused.
+    maxPauses: {
+      type: Number,
+      default: 2,
+      min: [0, "Pause limit cannot be negative"],
+    },
+    maxPauseDays: {
+      type: Number,
+      default: 30,
+      min: [0, "Pause length limit cannot be negative"],
+    },
+    // Current version; price/currency/prices/duration above mirror its terms
+    version: {
+      type: Number,
+      default: 1,
+    },
+    versions: {
+      type: [PlanVersionSchema],
+      default: [],
+    },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+const PRICING_FIELDS = ["price", "currency", "prices", "duration"];
+
+// One price per currency
+PlanSchema.pre("validate", function () {
+  const currencies = [this.currency, ...this.prices.map((p) => p.currency)];
+
+  if (new Set(currencies).size !== currencies.length) {
+    this.invalidate("prices", "A plan can only have one price per currency");
+  }
+});
+
+// New plans start with version 1 of their terms
+PlanSchema.pre("save", function () {
+  if (this.versions.length === 0) {
+    this.versions.push({
+      version: this.version,
+      price: this.price,
+      currency: this.currency,
+      prices: this.prices,
+      duration: this.duration,
+    });
+  }
+});
+
+// Instance method to check whether unsaved edits change the plan's terms
+PlanSchema.methods.hasPricingChanges = function () {
+  return !this.isNew && PRICING_FIELDS.some((field) => this.isModified(field));
+};
+
+// Instance method to publish the current prices and duration as a new
+// version, closing the previous one
+PlanSchema.methods.publishVersion = function () {
+  const now = new Date();
+  const previous = this.versions.find((v) => v.version === this.version);
+
+  if (previous) {
+    previous.supersededAt = now;
+  }
+
+  this.version += 1;
+  this.versions.push({
+    version: this.version,
+    price: this.price,
+    currency: this.currency,
+    prices: this.prices,
+    duration: this.duration,
+    effectiveFrom: now,
+  });
+
+  return this;
+};
+
+module.exports = mongoose.model("Plan", PlanSchema);
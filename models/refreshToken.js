@@ -0,0 +1,75 @@
+// models/refreshToken.js
+const mongoose = require("mongoose");
+
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: String,
+      required: true,
+      ref: "User",
+      index: true,
+    },
+    // Unique id embedded in the signed refresh JWT
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // All tokens descending from the same login share a family
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set when the token is exchanged for a new one (single use)
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["LOGOUT", "REUSE_DETECTED", "PASSWORD_CHANGED", "ADMIN", null],
+      default: null,
+    },
+    userAgent: {
+      type: String,
+    },
+    ipAddress: {
+      type: String,
+    },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+// Let MongoDB purge expired tokens automatically
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to revoke every token in a family (used on reuse detection)
+RefreshTokenSchema.statics.revokeFamily = function (family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method to revoke every active token belonging to a user
+RefreshTokenSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { user: userId.toString(), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model("RefreshToken", RefreshTokenSchema);
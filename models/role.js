@@ -0,0 +1,55 @@
+// models/role.js
+const mongoose = require("mongoose");
+
+const RoleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9_-]+$/, "Role name may only contain a-z, 0-9, _ and -"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Named permissions, e.g. "subscriptions.approve"
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    // adminInfo flag values applied to a user when this role is assigned
+    adminInfo: {
+      accessLevel: {
+        type: Number,
+        default: 1,
+      },
+      canApproveSubscriptions: {
+        type: Boolean,
+        default: false,
+      },
+      canViewAnalytics: {
+        type: Boolean,
+        default: false,
+      },
+      canManageUsers: {
+        type: Boolean,
+        default: false,
+      },
+      maxApprovalAmount: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // Built-in templates cannot be deleted
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+module.exports = mongoose.model("Role", RoleSchema);
@@ -0,0 +1,67 @@
+// models/session.js
+const mongoose = require("mongoose");
+
+// One login on one device. Access tokens carry the session id ("sid") and
+// refresh tokens belong to the session's token family.
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: String,
+      required: true,
+      ref: "User",
+      index: true,
+    },
+    // Refresh token family (see models/refreshToken.js)
+    family: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userAgent: {
+      type: String,
+    },
+    ipAddress: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["LOGOUT", "REUSE_DETECTED", "PASSWORD_CHANGED", "ADMIN", null],
+      default: null,
+    },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+// Let MongoDB purge expired sessions automatically
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to list a user's active sessions, most recent first
+SessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    user: userId.toString(),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session belonging to a user
+SessionSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { user: userId.toString(), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model("Session", SessionSchema);
@@ -1,5 +1,6 @@
 // models/subscription.js - Updated with renewal tracking fields
 const mongoose = require("mongoose");
+const Plan = require("./plan");
 
 const SubscriptionSchema = new mongoose.Schema(
   {
@@ -31,11 +32,20 @@ const SubscriptionSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Catalog version of the plan this subscription was sold under
+    planVersion: {
+      type: Number,
+    },
     price: {
       type: Number,
       default: 0,
       min: [0, "Subscription price cannot be negative"],
     },
+    // Currency `price` is in
+    currency: {
+      type: String,
+      default: "USD",
+    },
     cards: {
       type: [String],
       default: [],
@@ -57,16 +67,78 @@ const SubscriptionSchema = new mongoose.Schema(
           "PENDING",
           "QUEUED",
           "ACTIVE",
+          "PAUSED",
           "EXPIRED",
           "CANCELLED",
           "APPROVED",
+          "SUSPENDED",
         ],
         message:
-          "Status must be one of: PENDING, QUEUED, APPROVED, ACTIVE, EXPIRED, CANCELLED",
+          "Status must be one of: PENDING, QUEUED, APPROVED, ACTIVE, PAUSED, EXPIRED, CANCELLED, SUSPENDED",
       },
       required: [true, "Status is required"],
       default: "PENDING",
     },
+    // Provider payment for the purchase. Offline purchases (admin approval,
+    // free trials) are NOT_REQUIRED; PENDING/FAILED ones cannot be approved.
+    paymentStatus: {
+      type: String,
+      enum: ["NOT_REQUIRED", "PENDING", "PAID", "FAILED", "REFUNDED"],
+      default: "NOT_REQUIRED",
+    },
+    // Set when dunning gives up on a failed payment
+    suspendedAt: {
+      type: Date,
+    },
+    suspensionReason: {
+      type: String,
+    },
+    // Set when the user cancels. A subscription cancelled at the end of its
+    // period stays ACTIVE until endDate.
+    cancelledAt: {
+      type: Date,
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+    },
+    // Plan the user asked to move to when the current period ends. The daily
+    // job renews the subscription onto it, charging the saved provider token.
+    pendingPlanChange: {
+      plan: String,
+      paymentMethod: String,
+      paymentMethodToken: {
+        type: String,
+        select: false,
+      },
+      requestedAt: Date,
+    },
+    // Pausing freezes the days left: endDate is kept as it was when paused
+    // and moves by the time spent paused on resume. The plan limits how
+    // often (pauseCount) and for how long in total (pausedDays).
+    pausedAt: {
+      type: Date,
+    },
+    // The daily job resumes the subscription at this point
+    resumeBy: {
+      type: Date,
+    },
+    pauseCount: {
+      type: Number,
+      default: 0,
+    },
+    pausedDays: {
+      type: Number,
+      default: 0,
+    },
+    pauseHistory: [
+      {
+        _id: false,
+        pausedAt: Date,
+        resumedAt: Date,
+        days: Number,
+      },
+    ],
     // Admin tracking fields
     queuedBy: {
       type: String,
@@ -143,6 +215,39 @@ const SubscriptionSchema = new mongoose.Schema(
     originalDuration: {
       type: Number, // days
     },
+
+    // Free trial tracking. A trial activates like any other subscription
+    // but runs for trialDays and is settled by the daily job. isTrial stays
+    // set after conversion so the one-trial limit keeps holding.
+    isTrial: {
+      type: Boolean,
+      default: false,
+    },
+    trialDays: {
+      type: Number,
+    },
+    trialEndsAt: {
+      type: Date,
+    },
+    // Set by the user: continue on the paid plan when the trial ends,
+    // charged through the provider with conversionPayment
+    convertAtTrialEnd: {
+      type: Boolean,
+      default: false,
+    },
+    conversionPayment: {
+      paymentMethod: String,
+      paymentMethodToken: {
+        type: String,
+        select: false,
+      },
+    },
+    trialReminderSentAt: {
+      type: Date,
+    },
+    convertedFromTrialAt: {
+      type: Date,
+    },
   },
   { versionKey: false, timestamps: true }
 );
@@ -152,6 +257,29 @@ SubscriptionSchema.index({ imei: 1, status: 1, queuePosition: 1 });
 SubscriptionSchema.index({ status: 1, queuePosition: 1 });
 SubscriptionSchema.index({ user: 1, status: 1 });
 
+// One free trial per user and one per IMEI, ever
+SubscriptionSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { isTrial: true } }
+);
+SubscriptionSchema.index(
+  { imei: 1 },
+  { unique: true, partialFilterExpression: { isTrial: true } }
+);
+
+// Pin new subscriptions (and plan switches) to the plan's current version,
+// unless the caller already chose the version explicitly
+SubscriptionSchema.pre("save", async function () {
+  if (this.isModified("planVersion")) return;
+  if (!this.isNew && !this.isModified("plan")) return;
+
+  const plan = await Plan.findOne({ planId: this.plan })
+    .select("version")
+    .lean();
+
+  this.planVersion = plan?.version || 1;
+});
+
 // Static method to get next queue position for a device
 SubscriptionSchema.statics.getNextQueuePosition = async function (imei) {
   const lastQueued = await this.findOne({
@@ -182,11 +310,12 @@ SubscriptionSchema.statics.reorderDeviceQueue = async function (imei) {
   return queuedSubs.length;
 };
 
-// Static method to check if device has active subscription
+// Static method to check if device has active subscription. A paused one
+// still holds the device, so nothing queued starts in the meantime.
 SubscriptionSchema.statics.hasActiveSubscription = async function (imei) {
   const activeCount = await this.countDocuments({
     imei,
-    status: "ACTIVE",
+    status: { $in: ["ACTIVE", "PAUSED"] },
   });
 
   return activeCount > 0;
@@ -241,13 +370,46 @@ SubscriptionSchema.methods.renewSubscription = async function (
   return await this.save();
 };
 
-// NEW: Method to calculate total days remaining
+// Instance method to pause service until resumeBy at the latest
+SubscriptionSchema.methods.pause = async function (resumeBy) {
+  this.status = "PAUSED";
+  this.pausedAt = new Date();
+  this.resumeBy = resumeBy;
+  this.pauseCount = (this.pauseCount || 0) + 1;
+
+  return await this.save();
+};
+
+// Instance method to end a pause: the frozen days run again from now on
+SubscriptionSchema.methods.resume = async function () {
+  const now = new Date();
+  const pausedMs = Math.max(0, now.getTime() - this.pausedAt.getTime());
+
+  const days = Math.ceil(pausedMs / (1000 * 60 * 60 * 24));
+
+  this.pauseHistory.push({ pausedAt: this.pausedAt, resumedAt: now, days });
+  this.endDate = new Date(this.endDate.getTime() + pausedMs);
+  this.pausedDays = (this.pausedDays || 0) + days;
+  this.status = "ACTIVE";
+  this.pausedAt = undefined;
+  this.resumeBy = undefined;
+
+  return await this.save();
+};
+
+// Instance method to check if the purchase is still unpaid
+SubscriptionSchema.methods.isAwaitingPayment = function () {
+  return ["PENDING", "FAILED"].includes(this.paymentStatus);
+};
+
+// NEW: Method to calculate total days remaining. While paused these are the
+// days frozen at the time of pausing.
 SubscriptionSchema.methods.getDaysRemaining = function () {
-  if (!this.endDate || this.status !== "ACTIVE") {
+  if (!this.endDate || !["ACTIVE", "PAUSED"].includes(this.status)) {
     return 0;
   }
 
-  const now = new Date();
+  const now = this.status === "PAUSED" ? this.pausedAt : new Date();
   const remainingMs = Math.max(0, this.endDate.getTime() - now.getTime());
   return Math.ceil(remainingMs / (1000 * 60 * 60 * 24));
 };
@@ -0,0 +1,70 @@
+// models/taxRate.js
+const mongoose = require("mongoose");
+
+// One tax charged on sales to a country, or to a region of it. Country-wide
+// rates apply everywhere in the country; a regional rate with the same name
+// replaces the country-wide one in that region, other regional rates are
+// charged on top (e.g. a provincial sales tax next to a federal one).
+const TaxRateSchema = new mongoose.Schema(
+  {
+    // ISO 3166-1 alpha-2 code, e.g. "DE"
+    country: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{2}$/, "Country must be a two-letter ISO code"],
+    },
+    // Lets visitors whose location only has a country name be matched
+    countryName: {
+      type: String,
+      trim: true,
+    },
+    // Region code or name as it appears in billing details; null means the
+    // whole country
+    region: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    // Label shown on tax lines and invoices, e.g. "VAT" or "GST"
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Percent, e.g. 19 for 19%
+    rate: {
+      type: Number,
+      required: true,
+      min: [0, "Tax rate cannot be negative"],
+      max: [100, "Tax rate cannot exceed 100"],
+    },
+    // Whether catalog prices already include this tax (usual for consumer
+    // prices in VAT countries) or it is added on top
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false,
+    },
+    // Business buyers from another country who give a tax ID account for
+    // the tax themselves, so it is not charged
+    reverseCharge: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    createdBy: {
+      type: String,
+      ref: "User",
+    },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+TaxRateSchema.index({ country: 1, region: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("TaxRate", TaxRateSchema);
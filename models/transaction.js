@@ -41,6 +41,8 @@ const TransactionSchema = new mongoose.Schema(
         "SUBSCRIPTION_RENEWAL",
         "SUBSCRIPTION_UPGRADED",
         "SUBSCRIPTION_DOWNGRADED",
+        "SUBSCRIPTION_PAUSED",
+        "SUBSCRIPTION_RESUMED",
         "PAYMENT_PENDING",
         "PAYMENT_COMPLETED",
         "PAYMENT_FAILED",
@@ -53,6 +55,7 @@ const TransactionSchema = new mongoose.Schema(
       enum: [
         "PENDING",
         "QUEUED",
+        "PROCESSING",
         "COMPLETED",
         "FAILED",
         "CANCELLED",
@@ -73,11 +76,63 @@ const TransactionSchema = new mongoose.Schema(
       default: "USD",
       required: true,
     },
+    // Exchange rate when the transaction was priced: one unit of
+    // `fx.baseCurrency` was worth `fx.rate` units of `currency`. Reports
+    // convert with it rather than with today's rate.
+    fx: {
+      baseCurrency: String,
+      rate: Number,
+      rateDate: Date,
+    },
     plan: {
       type: String,
       required: true,
       index: true,
     },
+    // Catalog version the amount was priced from
+    planVersion: {
+      type: Number,
+    },
+    // Renewals only: whether grandfathered or current pricing was applied
+    renewalPricing: {
+      type: String,
+      enum: ["GRANDFATHERED", "CURRENT"],
+    },
+    // Coupon applied at checkout; `amount` above is after the discount
+    discount: {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+      },
+      code: String,
+      discountType: String,
+      discountValue: Number,
+      originalAmount: Number,
+      amount: Number,
+    },
+    // Tax on the purchase, worked out for the buyer's location. `amount`
+    // above is what was charged, tax included.
+    tax: {
+      country: String,
+      region: String,
+      taxId: String,
+      pricesIncludeTax: Boolean,
+      reverseCharge: Boolean,
+      netAmount: Number,
+      amount: Number,
+    },
+    taxLines: [
+      {
+        _id: false,
+        name: String,
+        rate: Number,
+        amount: Number,
+        country: String,
+        region: String,
+        included: Boolean,
+        reverseCharge: Boolean,
+      },
+    ],
 
     // Payment Information
     paymentMethod: {
@@ -100,6 +155,39 @@ const TransactionSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Refunds. On a payment: how much of it has been refunded so far. On a
+    // SUBSCRIPTION_REFUNDED transaction (linked through previousTransaction):
+    // what was requested and who approved it.
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refund: {
+      reason: String,
+      subscriptionAction: {
+        type: String,
+        enum: ["NONE", "CANCEL", "SHORTEN"],
+      },
+      shortenByDays: Number,
+      requestedBy: {
+        type: String,
+        ref: "User",
+      },
+      requiresApproval: Boolean,
+      approvedBy: {
+        type: String,
+        ref: "User",
+      },
+      approvedAt: Date,
+      rejectedBy: {
+        type: String,
+        ref: "User",
+      },
+      rejectedAt: Date,
+      rejectionReason: String,
+    },
+
     // Subscription Period
     subscriptionPeriod: {
       startDate: Date,
@@ -107,6 +195,22 @@ const TransactionSchema = new mongoose.Schema(
       duration: Number, // in days
     },
 
+    // Plan changes: how the new plan was prorated over the days left (see
+    // utils/prorationService.js); `amount` above is amountDue with tax.
+    // Cancellations keep the unused value of the days given up.
+    proration: {
+      fromPlan: String,
+      toPlan: String,
+      planPrice: Number, // full price of the new plan
+      periodStart: Date,
+      periodEnd: Date,
+      remainingDays: Number,
+      unusedCredit: Number,
+      newPlanCharge: Number,
+      amountDue: Number,
+      creditDays: Number, // downgrades: days of the new plan the credit buys
+    },
+
     // Admin Actions (for admin-processed transactions)
     processedBy: {
       type: String,
@@ -162,6 +266,27 @@ const TransactionSchema = new mongoose.Schema(
       message: String,
       stackTrace: String,
     },
+    failedAt: {
+      type: Date,
+    },
+
+    // Dunning: scheduled retries of a failed provider payment. CANCELLED
+    // once the subscription stops or a later renewal pays for it.
+    dunningStatus: {
+      type: String,
+      enum: ["SCHEDULED", "RECOVERED", "EXHAUSTED", "CANCELLED"],
+    },
+    retryCount: {
+      type: Number,
+      default: 0,
+    },
+    nextRetryAt: {
+      type: Date,
+      index: true,
+    },
+    lastRetryAt: {
+      type: Date,
+    },
 
     // Timestamps
     initiatedAt: {
@@ -300,50 +425,4 @@ TransactionSchema.statics.getUserTransactionHistory = async function(userId, opt
   };
 };
 
-// Static method for financial reporting
-TransactionSchema.statics.getFinancialSummary = async function(dateRange = {}) {
-  const { startDate, endDate } = dateRange;
-  const matchStage = {};
-  
-  if (startDate || endDate) {
-    matchStage.createdAt = {};
-    if (startDate) matchStage.createdAt.$gte = new Date(startDate);
-    if (endDate) matchStage.createdAt.$lte = new Date(endDate);
-  }
-  
-  const summary = await this.aggregate([
-    { $match: matchStage },
-    {
-      $group: {
-        _id: {
-          status: "$status",
-          type: "$type",
-          plan: "$plan",
-        },
-        count: { $sum: 1 },
-        totalAmount: { $sum: "$amount" },
-        avgAmount: { $avg: "$amount" },
-      },
-    },
-    {
-      $group: {
-        _id: "$_id.status",
-        transactions: {
-          $push: {
-            type: "$_id.type",
-            plan: "$_id.plan",
-            count: "$count",
-            totalAmount: "$totalAmount",
-            avgAmount: "$avgAmount",
-          },
-        },
-        totalTransactions: { $sum: "$count" },
-        totalRevenue: { $sum: "$totalAmount" },
-      },
-    },
-  ]);
-  
-  return summary;
-};
-
 module.exports = mongoose.model("Transaction", TransactionSchema);
\ No newline at end of file
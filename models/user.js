@@ -33,11 +33,41 @@ const UserSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Password reset fields (token is stored hashed)
+    passwordResetToken: {
+      type: String,
+      default: null,
+    },
+    passwordResetExpires: {
+      type: Date,
+      default: null,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
     // Account status
     isActive: {
       type: Boolean,
       default: false, // Will be set to true after email verification
     },
+    // Set by an admin; blocks login and API access until lifted
+    isSuspended: {
+      type: Boolean,
+      default: false,
+    },
+    suspendedAt: {
+      type: Date,
+      default: null,
+    },
+    suspendedBy: {
+      type: String,
+      ref: "User",
+      default: null,
+    },
+    suspensionReason: {
+      type: String,
+      default: null,
+    },
     // Additional user fields (if needed)
     phoneNumber: {
       type: String,
@@ -46,6 +76,33 @@ const UserSchema = new mongoose.Schema(
       deviceName: String,
       imei: String,
     },
+    // Billing details used to work out tax; captured at checkout or set on
+    // the profile
+    billing: {
+      // ISO 3166-1 alpha-2 code
+      country: String,
+      region: String,
+      taxId: String,
+      // Set by an admin once the tax ID is confirmed to belong to a
+      // registered business; only then are purchases reverse charged
+      taxIdVerified: {
+        type: Boolean,
+        default: false,
+      },
+      taxIdVerifiedAt: Date,
+      taxIdVerifiedBy: {
+        type: String,
+        ref: "User",
+      },
+      companyName: String,
+      updatedAt: Date,
+    },
+    // Currency the user wants to pay in, when plans are priced in it
+    preferredCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
     subscription: {
       plan: String,
       startDate: Date,
@@ -60,6 +117,16 @@ const UserSchema = new mongoose.Schema(
       enum: ["user", "admin", "super_admin", "guest"],
       default: "guest",
     },
+    // Name of the assigned admin Role (see models/role.js)
+    adminRole: {
+      type: String,
+      default: null,
+    },
+    // Extra permissions granted on top of the assigned role
+    permissions: {
+      type: [String],
+      default: [],
+    },
     encryptionCards: [
       {
         originalName: String,
@@ -71,6 +138,40 @@ const UserSchema = new mongoose.Schema(
         uploadedAt: Date,
       },
     ],
+    // TOTP authenticator enrollment (secrets and recovery code hashes are
+    // never returned unless explicitly selected)
+    authenticator: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation with a first valid code
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      enrolledAt: {
+        type: Date,
+      },
+      // Last accepted TOTP time step, used to reject replayed codes
+      lastUsedStep: {
+        type: Number,
+        default: 0,
+      },
+      recoveryCodes: {
+        type: [
+          {
+            codeHash: String,
+            usedAt: { type: Date, default: null },
+          },
+        ],
+        select: false,
+      },
+    },
     // Tracking fields
     lastLoginAt: {
       type: Date,
@@ -135,6 +236,7 @@ const UserSchema = new mongoose.Schema(
 
 // Index for email verification token lookup
 UserSchema.index({ emailVerificationToken: 1 });
+UserSchema.index({ passwordResetToken: 1 });
 
 // Method to check if verification token is valid
 UserSchema.methods.isVerificationTokenValid = function () {
@@ -163,6 +265,41 @@ UserSchema.methods.generateVerificationToken = function () {
   return token;
 };
 
+// Method to generate a password reset token. Only the SHA-256 hash is stored;
+// the raw token is returned so it can be emailed to the user.
+UserSchema.methods.generatePasswordResetToken = function () {
+  const crypto = require("crypto");
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.passwordResetToken = crypto
+    .createHash("sha256")
+    .update(token)
+    .digest("hex");
+  this.passwordResetExpires = Date.now() + 60 * 60 * 1000; // 1 hour
+
+  return token;
+};
+
+// Method to set a new (already hashed) password and clear any reset token
+UserSchema.methods.setPassword = function (hashedPassword) {
+  this.password = hashedPassword;
+  this.passwordResetToken = null;
+  this.passwordResetExpires = null;
+  this.passwordChangedAt = new Date();
+  return this;
+};
+
+// Static method to find user by an unexpired password reset token
+UserSchema.statics.findByValidPasswordResetToken = function (token) {
+  const crypto = require("crypto");
+  const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
+
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() },
+  });
+};
+
 // Static method to find user by verification token
 UserSchema.statics.findByValidVerificationToken = function (token) {
   return this.findOne({
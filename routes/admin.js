@@ -1,6 +1,14 @@
 const express = require("express");
 const router = express.Router();
-const { auth, requireAdmin } = require("../middleware/auth");
+const {
+  auth,
+  requireAdmin,
+  requireSuperAdmin,
+  requirePermission,
+  auditTarget,
+  logAdminAction,
+} = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
 const { cloudinaryUploadMiddleware } = require("../config/fileHandler");
 const {
   getPendingSubscriptions,
@@ -16,38 +24,367 @@ const {
   queueSubscriptionForUser,
   moveSubscriptionToQueue,
   getDeviceQueueStatus,
+  resetDeviceAuthenticator,
   bulkQueueOperations,
   getQueueDashboard,
 } = require("../controllers/adminController");
+const {
+  getAuditLogs,
+  exportAuditLogs,
+  verifyAuditLogChain,
+} = require("../controllers/auditLogController");
+const {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignUserRole,
+} = require("../controllers/roleController");
+const {
+  getUsers,
+  getUserById,
+  suspend,
+  unsuspend,
+  promote,
+  demote,
+  forceReset,
+  unlockLogin,
+  editAdminInfo,
+} = require("../controllers/userManagementController");
+const {
+  getPlans,
+  createPlan,
+  updatePlan,
+  updatePlanVersion,
+  deletePlan,
+} = require("../controllers/planController");
+const {
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getCouponRedemptions,
+  getCouponReport,
+} = require("../controllers/couponController");
+const {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+  previewTax,
+  setTaxIdVerification,
+} = require("../controllers/taxController");
+const {
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate,
+} = require("../controllers/exchangeRateController");
+const {
+  getPaymentEvents,
+  replayPaymentEvent,
+} = require("../controllers/paymentController");
 
 // Admin authentication middleware
 router.use(auth);
 router.use(requireAdmin);
 
+// Every admin request is recorded in the audit log
+router.use(logAdminAction);
+
 // Dashboard and statistics
-router.get("/dashboard", getAdminDashboard);
+router.get(
+  "/dashboard",
+  requirePermission(PERMISSIONS.DASHBOARD_VIEW),
+  getAdminDashboard
+);
 
 
 // Individual subscription actions
-router.put("/queue/:id/approve", approveSubscription);
-router.put("/queue/:id/reject", rejectSubscription);
-router.put("/queue/:id/position", updateQueuePosition);
+router.put(
+  "/queue/:id/approve",
+  requirePermission(PERMISSIONS.SUBSCRIPTIONS_APPROVE),
+  auditTarget("Subscription"),
+  approveSubscription
+);
+router.put(
+  "/queue/:id/reject",
+  requirePermission(PERMISSIONS.SUBSCRIPTIONS_APPROVE),
+  auditTarget("Subscription"),
+  rejectSubscription
+);
+router.put(
+  "/queue/:id/position",
+  requirePermission(PERMISSIONS.SUBSCRIPTIONS_MANAGE),
+  auditTarget("Subscription"),
+  updateQueuePosition
+);
 
 // Bulk operations
-router.post("/queue/bulk", bulkUpdateSubscriptions);
+router.post(
+  "/queue/bulk",
+  requirePermission(PERMISSIONS.SUBSCRIPTIONS_APPROVE),
+  bulkUpdateSubscriptions
+);
 
 // Queue dashboard and overview
-router.get("/queue/dashboard", getQueueDashboard);
+router.get(
+  "/queue/dashboard",
+  requirePermission(PERMISSIONS.SUBSCRIPTIONS_VIEW),
+  getQueueDashboard
+);
 // Device queue management
-router.get("/device/:imei", getDeviceQueueStatus);
+router.get(
+  "/device/:imei",
+  requirePermission(PERMISSIONS.SUBSCRIPTIONS_VIEW),
+  getDeviceQueueStatus
+);
+// Allow the owner to replace a lost device authenticator
+router.post(
+  "/device/:imei/reset-authenticator",
+  requirePermission(PERMISSIONS.SUBSCRIPTIONS_MANAGE),
+  resetDeviceAuthenticator
+);
 // Create new queued subscription for user
-router.post("/create", cloudinaryUploadMiddleware, queueSubscriptionForUser);
+router.post(
+  "/create",
+  requirePermission(PERMISSIONS.SUBSCRIPTIONS_MANAGE),
+  cloudinaryUploadMiddleware,
+  queueSubscriptionForUser
+);
 // Move existing subscription to queue
-router.put("/move/:subscriptionId", moveSubscriptionToQueue);
+router.put(
+  "/move/:subscriptionId",
+  requirePermission(PERMISSIONS.SUBSCRIPTIONS_MANAGE),
+  auditTarget("Subscription", "subscriptionId"),
+  moveSubscriptionToQueue
+);
 // Update queue position
-router.put("/position/:subscriptionId", updateQueuePosition);
+router.put(
+  "/position/:subscriptionId",
+  requirePermission(PERMISSIONS.SUBSCRIPTIONS_MANAGE),
+  auditTarget("Subscription", "subscriptionId"),
+  updateQueuePosition
+);
 // Bulk operations
-router.post("/bulk", bulkQueueOperations);
+router.post(
+  "/bulk",
+  requirePermission(PERMISSIONS.SUBSCRIPTIONS_MANAGE),
+  bulkQueueOperations
+);
+
+// User management
+router.get("/users", requirePermission(PERMISSIONS.USERS_MANAGE), getUsers);
+router.get(
+  "/users/:userId",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  getUserById
+);
+router.put(
+  "/users/:userId/suspend",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  auditTarget("User", "userId"),
+  suspend
+);
+router.put(
+  "/users/:userId/unsuspend",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  auditTarget("User", "userId"),
+  unsuspend
+);
+router.put(
+  "/users/:userId/promote",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  auditTarget("User", "userId"),
+  promote
+);
+router.put(
+  "/users/:userId/demote",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  auditTarget("User", "userId"),
+  demote
+);
+router.post(
+  "/users/:userId/force-password-reset",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  auditTarget("User", "userId"),
+  forceReset
+);
+router.post(
+  "/users/:userId/unlock",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  auditTarget("User", "userId"),
+  unlockLogin
+);
+router.put(
+  "/users/:userId/admin-info",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  auditTarget("User", "userId"),
+  editAdminInfo
+);
+
+// Subscription plan catalog
+router.get("/plans", requirePermission(PERMISSIONS.PLANS_MANAGE), getPlans);
+router.post("/plans", requirePermission(PERMISSIONS.PLANS_MANAGE), createPlan);
+router.put(
+  "/plans/:id",
+  requirePermission(PERMISSIONS.PLANS_MANAGE),
+  auditTarget("Plan"),
+  updatePlan
+);
+router.put(
+  "/plans/:id/versions/:version",
+  requirePermission(PERMISSIONS.PLANS_MANAGE),
+  auditTarget("Plan"),
+  updatePlanVersion
+);
+router.delete(
+  "/plans/:id",
+  requirePermission(PERMISSIONS.PLANS_MANAGE),
+  auditTarget("Plan"),
+  deletePlan
+);
+
+// Coupons and promo codes
+router.get(
+  "/coupons",
+  requirePermission(PERMISSIONS.COUPONS_MANAGE),
+  getCoupons
+);
+router.post(
+  "/coupons",
+  requirePermission(PERMISSIONS.COUPONS_MANAGE),
+  auditTarget("Coupon"),
+  createCoupon
+);
+router.get(
+  "/coupons/report",
+  requirePermission(PERMISSIONS.REPORTS_VIEW),
+  getCouponReport
+);
+router.get(
+  "/coupons/:id/redemptions",
+  requirePermission(PERMISSIONS.REPORTS_VIEW),
+  getCouponRedemptions
+);
+router.put(
+  "/coupons/:id",
+  requirePermission(PERMISSIONS.COUPONS_MANAGE),
+  auditTarget("Coupon"),
+  updateCoupon
+);
+router.delete(
+  "/coupons/:id",
+  requirePermission(PERMISSIONS.COUPONS_MANAGE),
+  auditTarget("Coupon"),
+  deleteCoupon
+);
+
+// Tax rates
+router.get(
+  "/tax-rates",
+  requirePermission(PERMISSIONS.TAXES_MANAGE),
+  getTaxRates
+);
+router.post(
+  "/tax-rates",
+  requirePermission(PERMISSIONS.TAXES_MANAGE),
+  createTaxRate
+);
+router.post(
+  "/tax-rates/preview",
+  requirePermission(PERMISSIONS.TAXES_MANAGE),
+  previewTax
+);
+router.put(
+  "/tax-rates/:id",
+  requirePermission(PERMISSIONS.TAXES_MANAGE),
+  auditTarget("TaxRate"),
+  updateTaxRate
+);
+router.delete(
+  "/tax-rates/:id",
+  requirePermission(PERMISSIONS.TAXES_MANAGE),
+  auditTarget("TaxRate"),
+  deleteTaxRate
+);
+router.put(
+  "/users/:userId/tax-id-verification",
+  requirePermission(PERMISSIONS.TAXES_MANAGE),
+  auditTarget("User", "userId"),
+  setTaxIdVerification
+);
+
+// Exchange rates, keyed by currency code
+router.get(
+  "/exchange-rates",
+  requirePermission(PERMISSIONS.CURRENCIES_MANAGE),
+  getExchangeRates
+);
+router.put(
+  "/exchange-rates/:currency",
+  requirePermission(PERMISSIONS.CURRENCIES_MANAGE),
+  setExchangeRate
+);
+router.delete(
+  "/exchange-rates/:currency",
+  requirePermission(PERMISSIONS.CURRENCIES_MANAGE),
+  deleteExchangeRate
+);
+
+// Payment provider webhook events
+router.get(
+  "/payments/events",
+  requirePermission(PERMISSIONS.TRANSACTIONS_VIEW),
+  getPaymentEvents
+);
+router.post(
+  "/payments/events/:id/replay",
+  requirePermission(PERMISSIONS.TRANSACTIONS_MANAGE),
+  auditTarget("PaymentEvent"),
+  replayPaymentEvent
+);
+
+// Roles and permissions
+router.get("/roles", requirePermission(PERMISSIONS.ROLES_MANAGE), getRoles);
+router.post("/roles", requirePermission(PERMISSIONS.ROLES_MANAGE), createRole);
+router.put(
+  "/roles/:id",
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  auditTarget("Role"),
+  updateRole
+);
+router.delete(
+  "/roles/:id",
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  auditTarget("Role"),
+  deleteRole
+);
+router.put(
+  "/users/:userId/role",
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  auditTarget("User", "userId"),
+  assignUserRole
+);
+
+// Audit log (super admin only)
+router.get(
+  "/audit-logs",
+  requireSuperAdmin,
+  requirePermission(PERMISSIONS.AUDIT_VIEW),
+  getAuditLogs
+);
+router.get(
+  "/audit-logs/export",
+  requireSuperAdmin,
+  requirePermission(PERMISSIONS.AUDIT_VIEW),
+  exportAuditLogs
+);
+router.get(
+  "/audit-logs/verify",
+  requireSuperAdmin,
+  requirePermission(PERMISSIONS.AUDIT_VIEW),
+  verifyAuditLogChain
+);
 
 
 module.exports = router;
@@ -6,9 +6,17 @@ const {
   login,
   verifyEmail,
   resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
   getUser,
   passUser,
+  refreshToken,
+  setupAuthenticator,
+  confirmAuthenticator,
+  resetRecoveryCodes,
   logout,
+  getSessions,
+  deleteSession,
 } = require("../controllers/authController");
 const { auth } = require("../middleware/auth");
 const { cloudinaryUploadMiddleware } = require("../config/fileHandler");
@@ -19,13 +27,32 @@ router.post("/create", cloudinaryUploadMiddleware, register);
 // Login route
 router.post("/login", login);
 
+// Token refresh (rotates the refresh token)
+router.post("/refresh", refreshToken);
+
 // Email verification routes
 router.post("/verify-email", verifyEmail);
 router.post("/resend-verification", resendVerificationEmail);
 
+// Password reset routes
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+
+// Logout ends the session of the refresh token in the body, so it works
+// after the access token has expired
+router.post("/logout", logout);
+
 // Protected routes
 router.get("/user", auth, getUser);
 router.get("/", auth, passUser);
-router.post("/logout", logout);
+
+// Session (logged-in device) management
+router.get("/sessions", auth, getSessions);
+router.delete("/sessions/:id", auth, deleteSession);
+
+// Authenticator (TOTP) enrollment
+router.post("/authenticator/setup", auth, setupAuthenticator);
+router.post("/authenticator/verify", auth, confirmAuthenticator);
+router.post("/authenticator/recovery-codes", auth, resetRecoveryCodes);
 
 module.exports = router;
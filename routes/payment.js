@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const { handlePaymentWebhook } = require("../controllers/paymentController");
+
+// Provider callbacks are authenticated by their signature, not a user token
+router.post("/webhooks/:provider", handlePaymentWebhook);
+
+module.exports = router;
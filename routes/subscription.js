@@ -2,14 +2,21 @@ const express = require("express");
 const router = express.Router();
 const { auth } = require("../middleware/auth");
 const {
-  //   upgradeSubscription,
-  //   downgradeSubscription,
-  //   cancelSubscription,
+  previewPlanChange,
+  upgradeSubscription,
+  downgradeSubscription,
+  schedulePlanChange,
+  cancelScheduledPlanChange,
+  previewCancellation,
+  cancelSubscription,
+  pauseSubscription,
+  resumeSubscription,
   //   renewSubscription,
   //   getSubscriptionStatus,
   //   getDeviceQueueStatus,
   checkDeviceIsOnboarded,
   setupDeviceOtp,
+  verifyDeviceOtp,
   activateSubscription,
   renewActiveSubscription,
   getRenewalOptions,
@@ -18,31 +25,55 @@ const {
   addDeviceSubscription,
   addSubscriptionToMyDevice,
   checkActiveSubscriptionStatus,
+  getSubscriptionPlans,
+  startTrial,
+  updateTrialConversion,
 } = require("../controllers/subscriptionController");
+const { validateCoupon } = require("../controllers/couponController");
+const { getTaxQuote } = require("../controllers/taxController");
 const { cloudinaryUploadMiddleware } = require("../config/fileHandler");
 
 
 // All routes require authentication
 router.use(auth);
 
+// Plan catalog
+router.get("/plans", getSubscriptionPlans);
+router.post("/coupons/validate", validateCoupon);
+router.post("/tax/quote", getTaxQuote);
+
 // Device management
 router.post("/check-device", checkDeviceIsOnboarded);
 router.post("/setup", setupDeviceOtp);
+router.post("/verify-device", verifyDeviceOtp);
 router.post("/activate", activateSubscription);
 router.post("/new-device", cloudinaryUploadMiddleware, addDeviceSubscription);
 router.post("/new", cloudinaryUploadMiddleware, addSubscriptionToMyDevice);
 
 
+// Free trials
+router.post("/trial", startTrial);
+router.put("/:id/trial", updateTrialConversion);
+
 // Subscription renewal endpoints
 router.get("/:id/renewal-options", getRenewalOptions);
 router.get("/active-status", checkActiveSubscriptionStatus);
 router.post("/:id/renew", renewActiveSubscription);
 router.get("/:id/renewal-history", getRenewalHistory);
 
-// // Subscription management
-// router.post("/:id/upgrade", upgradeSubscription);
-// router.post("/:id/downgrade", downgradeSubscription);
-// router.post("/:id/cancel", cancelSubscription);
+// Subscription management. Plan changes are prorated by day; previews show
+// the figures without changing anything.
+router.get("/:id/plan-change/preview", previewPlanChange);
+router.post("/:id/upgrade", upgradeSubscription);
+router.post("/:id/downgrade", downgradeSubscription);
+router.put("/:id/plan-change", schedulePlanChange);
+router.delete("/:id/plan-change", cancelScheduledPlanChange);
+router.get("/:id/cancel/preview", previewCancellation);
+router.post("/:id/cancel", cancelSubscription);
+
+// Pausing freezes the days left until resumed, within the plan's limits
+router.post("/:id/pause", pauseSubscription);
+router.post("/:id/resume", resumeSubscription);
 // router.post("/:id/renew", renewSubscription);
 
 // // Status checking
@@ -1,16 +1,34 @@
 // routes/transactions.js
 const express = require("express");
 const router = express.Router();
-const { auth, requireAdmin } = require("../middleware/auth");
+const {
+  auth,
+  requireAdmin,
+  requireSuperAdmin,
+  requirePermission,
+  auditTarget,
+  logAdminAction,
+} = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
 const {
   getAllTransactions,
   getUserTransactions,
   getTransactionDetails,
+  getTransactionInvoice,
   getFinancialSummary,
+  getLedgerReport,
+  getRevenueRecognitionReport,
+  getTaxReport,
+  getLedgerConsistency,
+  repairLedger,
   updateTransactionStatus,
   createManualTransaction,
   getTransactionAnalytics,
   exportTransactions,
+  refundTransaction,
+  getPendingRefunds,
+  approvePendingRefund,
+  rejectPendingRefund,
 } = require("../controllers/transactionController");
 
 // All routes require authentication
@@ -19,23 +37,110 @@ router.use(auth);
 // User routes - users can access their own transaction data
 router.get("/my-transactions", getUserTransactions);
 router.get("/:id", getTransactionDetails);
+router.get("/:id/invoice", getTransactionInvoice);
 
 // Admin-only routes
 router.use(requireAdmin);
 
 // Get all transactions with filtering (admin only)
-router.get("/", getAllTransactions);
+router.get(
+  "/",
+  requirePermission(PERMISSIONS.TRANSACTIONS_VIEW),
+  getAllTransactions
+);
 
 // Get specific user's transactions (admin only)
-router.get("/user/:userId", getUserTransactions);
+router.get(
+  "/user/:userId",
+  requirePermission(PERMISSIONS.TRANSACTIONS_VIEW),
+  getUserTransactions
+);
 
 // Financial reporting and analytics
-router.get("/reports/financial-summary", getFinancialSummary);
-router.get("/reports/analytics", getTransactionAnalytics);
-router.get("/reports/export", exportTransactions);
+router.get(
+  "/reports/financial-summary",
+  requirePermission(PERMISSIONS.REPORTS_VIEW),
+  getFinancialSummary
+);
+router.get(
+  "/reports/analytics",
+  requirePermission(PERMISSIONS.REPORTS_VIEW),
+  getTransactionAnalytics
+);
+router.get(
+  "/reports/ledger",
+  requirePermission(PERMISSIONS.REPORTS_VIEW),
+  getLedgerReport
+);
+router.get(
+  "/reports/revenue-recognition",
+  requirePermission(PERMISSIONS.REPORTS_VIEW),
+  getRevenueRecognitionReport
+);
+router.get(
+  "/reports/tax",
+  requirePermission(PERMISSIONS.REPORTS_VIEW),
+  getTaxReport
+);
+router.get(
+  "/reports/ledger/consistency",
+  requirePermission(PERMISSIONS.REPORTS_VIEW),
+  getLedgerConsistency
+);
+router.post(
+  "/ledger/repair",
+  requirePermission(PERMISSIONS.TRANSACTIONS_MANAGE),
+  logAdminAction,
+  repairLedger
+);
+router.get(
+  "/reports/export",
+  requirePermission(PERMISSIONS.TRANSACTIONS_EXPORT),
+  exportTransactions
+);
 
 // Transaction management
-router.put("/:id/status", updateTransactionStatus);
-router.post("/manual", createManualTransaction);
+router.put(
+  "/:id/status",
+  requirePermission(PERMISSIONS.TRANSACTIONS_MANAGE),
+  auditTarget("Transaction"),
+  logAdminAction,
+  updateTransactionStatus
+);
+
+// Refunds. Large refunds wait for a super admin to approve them.
+router.post(
+  "/:id/refund",
+  requirePermission(PERMISSIONS.TRANSACTIONS_MANAGE),
+  auditTarget("Transaction"),
+  logAdminAction,
+  refundTransaction
+);
+router.get(
+  "/refunds/pending",
+  requirePermission(PERMISSIONS.TRANSACTIONS_VIEW),
+  getPendingRefunds
+);
+router.post(
+  "/refunds/:id/approve",
+  requireSuperAdmin,
+  auditTarget("Transaction"),
+  logAdminAction,
+  approvePendingRefund
+);
+router.post(
+  "/refunds/:id/reject",
+  requireSuperAdmin,
+  auditTarget("Transaction"),
+  logAdminAction,
+  rejectPendingRefund
+);
+
+router.post(
+  "/manual",
+  requirePermission(PERMISSIONS.TRANSACTIONS_MANAGE),
+  logAdminAction,
+  createManualTransaction
+);
 
 module.exports = router;
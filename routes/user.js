@@ -5,6 +5,9 @@ const {
 //   login,
 //   getUser,
   getProfile,
+  getBillingDetails,
+  updateBillingDetails,
+  updatePreferredCurrency,
 } = require("../controllers/userController");
 const { auth } = require("../middleware/auth");
 
@@ -17,5 +20,8 @@ const { auth } = require("../middleware/auth");
 // router.post("/login", login);
 // router.get("/user", auth, getUser);
 router.get("/profile", auth, getProfile);
+router.get("/billing", auth, getBillingDetails);
+router.put("/billing", auth, updateBillingDetails);
+router.put("/currency", auth, updatePreferredCurrency);
 
 module.exports = router;
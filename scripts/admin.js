@@ -0,0 +1,106 @@
+// scripts/admin.js
+// Admin account management from the command line:
+//   node scripts/admin.js create <username> <email> <password> [role]
+//   node scripts/admin.js promote <email|username> [role]
+//   node scripts/admin.js list [role]
+// `create` falls back to ADMIN_USERNAME, ADMIN_EMAIL and ADMIN_PASSWORD from
+// the environment so `npm run setup` can run unattended.
+const mongoose = require("mongoose");
+require("dotenv").config();
+const {
+  createUser,
+  promoteUser,
+  listUsers,
+} = require("../utils/userManagement");
+
+const USAGE = `Usage:
+  node scripts/admin.js create <username> <email> <password> [admin|super_admin]
+  node scripts/admin.js promote <email|username> [admin|super_admin]
+  node scripts/admin.js list [role]`;
+
+const createAdmin = async ([
+  username = process.env.ADMIN_USERNAME,
+  email = process.env.ADMIN_EMAIL,
+  password = process.env.ADMIN_PASSWORD,
+  role = "admin",
+]) => {
+  if (!username || !email || !password) {
+    throw new Error(USAGE);
+  }
+
+  const user = await createUser({ username, email, password, role });
+  console.log(`✅ Created ${user.role} "${user.username}" (${user.email})`);
+};
+
+const promoteAdmin = async ([identifier, role = "admin"]) => {
+  if (!identifier) {
+    throw new Error(USAGE);
+  }
+
+  const user = await promoteUser(identifier, { role });
+  console.log(`✅ Promoted "${user.username}" (${user.email}) to ${user.role}`);
+};
+
+const listAdmins = async ([role]) => {
+  const roles = role ? [role] : ["admin", "super_admin"];
+  const rows = [];
+
+  for (const r of roles) {
+    const { users } = await listUsers({ role: r, limit: 1000 });
+    rows.push(...users);
+  }
+
+  if (rows.length === 0) {
+    console.log("No matching users found");
+    return;
+  }
+
+  console.table(
+    rows.map((user) => ({
+      id: user._id.toString(),
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      adminRole: user.adminRole || "",
+      suspended: !!user.isSuspended,
+    }))
+  );
+};
+
+const commands = {
+  create: createAdmin,
+  promote: promoteAdmin,
+  list: listAdmins,
+};
+
+const run = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  const handler = commands[command];
+
+  if (!handler) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    await handler(args);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+// Only run if this file is called directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  createAdmin,
+  promoteAdmin,
+  listAdmins,
+};
@@ -6,6 +6,18 @@ const logger = require("morgan");
 const connectDB = require("./config/database");
 const errorHandler = require("./middleware/errorHandler");
 const CustomError = require("./utils/customError");
+const {
+  auth,
+  requireAdmin,
+  requirePermission,
+  logAdminAction,
+} = require("./middleware/auth");
+const {
+  PERMISSIONS,
+  ensureRoleTemplates,
+} = require("./utils/permissions");
+const { ensureDefaultPlans } = require("./utils/planCatalog");
+const { getPaymentProvider } = require("./utils/paymentService");
 
 // Import routes
 const authRoutes = require("./routes/auth");
@@ -15,19 +27,37 @@ const deviceRoutes = require("./routes/device");
 const adminRoutes = require("./routes/admin");
 const transactionRoutes = require("./routes/transaction");
 const ipRoutes = require("./routes/ip");
+const paymentRoutes = require("./routes/payment");
 
 // Import daily job
 const {
   setupDailyJob,
   dailySubscriptionManager,
 } = require("./jobs/dailySubscriptionCheck");
+const { setupDunningJob, dunningManager } = require("./jobs/dunningJob");
 
 dotenv.config();
 
+// Refuse to start without a usable payment gateway, rather than failing (or
+// falling back to the mock one) on the first checkout
+try {
+  getPaymentProvider();
+} catch (error) {
+  console.error(`❌ Payment provider misconfigured: ${error.message}`);
+  process.exit(1);
+}
+
 const app = express();
 
 // Middleware
-app.use(express.json());
+// Keep the raw body around: payment webhook signatures are computed over it
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString("utf8");
+    },
+  })
+);
 
 // Production CORS configuration
 const allowedOrigins = [
@@ -63,6 +93,7 @@ app.get("/health", (req, res) => {
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || "development",
     jobStatus: dailySubscriptionManager.getStatus(),
+    dunningJobStatus: dunningManager.getStatus(),
   });
 });
 
@@ -72,31 +103,77 @@ app.get("/keep-alive", (req, res) => {
 });
 
 // Manual job trigger endpoint (admin only, for testing)
-app.post("/api/admin/trigger-daily-job", async (req, res) => {
-  try {
-    const result = await dailySubscriptionManager.runManual();
-    res.json({
-      success: true,
-      message: "Daily job executed successfully",
-      data: result,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Daily job execution failed",
-      error: error.message,
-    });
+app.post(
+  "/api/admin/trigger-daily-job",
+  auth,
+  requireAdmin,
+  requirePermission(PERMISSIONS.JOBS_RUN),
+  logAdminAction,
+  async (req, res) => {
+    try {
+      const result = await dailySubscriptionManager.runManual();
+      res.json({
+        success: true,
+        message: "Daily job executed successfully",
+        data: result,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Daily job execution failed",
+        error: error.message,
+      });
+    }
   }
-});
+);
+
+// Manual dunning run (admin only, for testing retry schedules)
+app.post(
+  "/api/admin/trigger-dunning-job",
+  auth,
+  requireAdmin,
+  requirePermission(PERMISSIONS.JOBS_RUN),
+  logAdminAction,
+  async (req, res) => {
+    try {
+      const result = await dunningManager.runManual();
+      res.json({
+        success: true,
+        message: "Dunning job executed successfully",
+        data: result,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Dunning job execution failed",
+        error: error.message,
+      });
+    }
+  }
+);
 
 // Connect to MongoDB and start daily job
 connectDB()
   .then(() => {
     console.log("✅ Database connected successfully");
 
+    // Make sure the built-in admin role templates exist
+    ensureRoleTemplates().catch((error) =>
+      console.error("❌ Failed to create role templates:", error)
+    );
+
+    // Seed the subscription plan catalog on a fresh database
+    ensureDefaultPlans().catch((error) =>
+      console.error("❌ Failed to seed subscription plans:", error)
+    );
+
     // Initialize daily subscription job
     setupDailyJob();
     console.log("✅ Daily subscription job initialized");
+
+    // Retry failed payments on the dunning schedule
+    setupDunningJob();
+    console.log("✅ Dunning job initialized");
   })
   .catch((error) => {
     console.error("❌ Database connection failed:", error);
@@ -111,6 +188,7 @@ app.use("/api/devices", deviceRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/transactions", transactionRoutes);
 app.use("/api/ip", ipRoutes);
+app.use("/api/payments", paymentRoutes);
 
 // 404 handler for undefined routes
 app.all("*", (req, res, next) => {
@@ -0,0 +1,130 @@
+// utils/auditLogger.js
+const AuditLog = require("../models/auditLog");
+
+// Request fields that must never be written to the audit log. Only secret
+// field names: generic ones like "code" would also hide coupon codes.
+const REDACTED_FIELDS = [
+  "password",
+  "refreshToken",
+  "totpCode",
+  "secret",
+  "totpSecret",
+  "currentCode",
+  "currentTotpCode",
+  "paymentMethodToken",
+];
+
+// Secrets stripped from entity snapshots before they are stored
+const SNAPSHOT_EXCLUDED_FIELDS = [
+  "password",
+  "passwordResetToken",
+  "emailVerificationToken",
+  "totpSecret",
+  "pendingTotpSecret",
+  "authenticator",
+];
+
+// Ignored when diffing snapshots - they change on every write
+const DIFF_IGNORED_FIELDS = ["updatedAt"];
+
+// Convert documents to plain JSON so hashes are stable once stored
+const toSnapshot = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const snapshot = JSON.parse(JSON.stringify(value));
+  for (const field of SNAPSHOT_EXCLUDED_FIELDS) {
+    delete snapshot[field];
+  }
+  return snapshot;
+};
+
+// Replace redacted fields at any depth, including inside arrays
+const redactValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([field, fieldValue]) => [
+      field,
+      REDACTED_FIELDS.includes(field) ? "[REDACTED]" : redactValue(fieldValue),
+    ])
+  );
+};
+
+const redactBody = (body) => {
+  if (!body || typeof body !== "object" || Object.keys(body).length === 0) {
+    return null;
+  }
+
+  return redactValue(toSnapshot(body));
+};
+
+// Field-level diff of two snapshots: { field: { from, to } }
+const diffSnapshots = (before, after) => {
+  if (!before && !after) {
+    return null;
+  }
+
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const field of fields) {
+    if (DIFF_IGNORED_FIELDS.includes(field)) continue;
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = {
+        from: from === undefined ? null : from,
+        to: to === undefined ? null : to,
+      };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+const recordAuditEntry = async ({
+  actor,
+  action,
+  target,
+  before,
+  after,
+  requestBody,
+  statusCode,
+  success,
+  ipAddress,
+  userAgent,
+}) => {
+  const beforeSnapshot = toSnapshot(before);
+  const afterSnapshot = toSnapshot(after);
+
+  return await AuditLog.append({
+    actor,
+    action,
+    target,
+    before: beforeSnapshot,
+    after: afterSnapshot,
+    diff: diffSnapshots(beforeSnapshot, afterSnapshot),
+    requestBody: redactBody(requestBody),
+    statusCode,
+    success,
+    ipAddress,
+    userAgent,
+  });
+};
+
+module.exports = {
+  recordAuditEntry,
+};
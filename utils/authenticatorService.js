@@ -0,0 +1,204 @@
+// utils/authenticatorService.js
+const crypto = require("crypto");
+const speakeasy = require("speakeasy");
+const QRCode = require("qrcode");
+const User = require("../models/user");
+const CustomError = require("./customError");
+
+const TOTP_STEP_SECONDS = 30;
+// Number of 30s steps accepted either side of "now" to allow for clock drift
+const TOTP_WINDOW = Number.isNaN(parseInt(process.env.TOTP_WINDOW, 10))
+  ? 1
+  : parseInt(process.env.TOTP_WINDOW, 10);
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => {
+  const normalized = code.replace(/[\s-]/g, "").toLowerCase();
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+};
+
+// Returns the raw codes (shown to the user once) and their hashes (stored)
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashed: codes.map((code) => ({
+      codeHash: hashRecoveryCode(code),
+      usedAt: null,
+    })),
+  };
+};
+
+// Returns the absolute time step the code matched, or null if it is invalid
+const matchTotpStep = (secret, code) => {
+  const result = speakeasy.totp.verifyDelta({
+    secret,
+    encoding: "base32",
+    token: String(code),
+    window: TOTP_WINDOW,
+    step: TOTP_STEP_SECONDS,
+  });
+
+  if (!result) {
+    return null;
+  }
+
+  return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + result.delta;
+};
+
+// Generate a new secret and QR code. The secret stays pending until the user
+// confirms it with a valid code, so an existing enrollment keeps working.
+// Replacing an enrollment needs a code from the current authenticator.
+const startEnrollment = async (user, currentCode) => {
+  await checkCurrentAuthenticator(user._id, currentCode);
+
+  const secret = speakeasy.generateSecret({
+    name: user.email,
+    issuer: "CRS",
+    length: 20,
+  });
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "authenticator.pendingSecret": secret.base32 } }
+  );
+
+  const qrCode = await QRCode.toDataURL(secret.otpauth_url);
+
+  return { qrCode, secret: secret.base32 };
+};
+
+// Confirm the pending secret and issue a fresh set of recovery codes
+const confirmEnrollment = async (userId, code, currentCode) => {
+  await checkCurrentAuthenticator(userId, currentCode);
+
+  const user = await User.findById(userId).select(
+    "+authenticator.pendingSecret"
+  );
+
+  if (!user || !user.authenticator || !user.authenticator.pendingSecret) {
+    throw new CustomError(400, "No authenticator setup in progress");
+  }
+
+  const step = matchTotpStep(user.authenticator.pendingSecret, code);
+  if (step === null) {
+    throw new CustomError(400, "Invalid authenticator code");
+  }
+
+  const { codes, hashed } = generateRecoveryCodes();
+
+  user.authenticator.secret = user.authenticator.pendingSecret;
+  user.authenticator.pendingSecret = undefined;
+  user.authenticator.enabled = true;
+  user.authenticator.enrolledAt = new Date();
+  user.authenticator.lastUsedStep = step;
+  user.authenticator.recoveryCodes = hashed;
+  await user.save();
+
+  return codes;
+};
+
+// Verify a TOTP code against the enrolled secret. A code is accepted at most
+// once: the matched step must be newer than the last one used.
+const verifyTotpCode = async (userId, code) => {
+  const user = await User.findById(userId)
+    .select("+authenticator.secret")
+    .lean();
+
+  if (!user || !user.authenticator || !user.authenticator.enabled) {
+    return false;
+  }
+
+  const step = matchTotpStep(user.authenticator.secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    { _id: userId, "authenticator.lastUsedStep": { $lt: step } },
+    { $set: { "authenticator.lastUsedStep": step } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Consume a one-time recovery code
+const useRecoveryCode = async (userId, code) => {
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      "authenticator.enabled": true,
+      "authenticator.recoveryCodes": {
+        $elemMatch: { codeHash: hashRecoveryCode(code), usedAt: null },
+      },
+    },
+    { $set: { "authenticator.recoveryCodes.$.usedAt": new Date() } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Accepts either a 6-digit TOTP code or a recovery code
+const verifyAuthenticatorCode = async (userId, code) => {
+  if (!code) {
+    return false;
+  }
+
+  if (/^\d{6}$/.test(String(code))) {
+    return await verifyTotpCode(userId, code);
+  }
+
+  return await useRecoveryCode(userId, String(code));
+};
+
+// Throw unless there is no enrolled authenticator or `code` is valid for
+// it, so a stolen session cannot swap in an authenticator of its own
+const checkCurrentAuthenticator = async (userId, code) => {
+  const user = await User.findById(userId).select("authenticator.enabled");
+
+  if (!user || !user.authenticator || !user.authenticator.enabled) {
+    return;
+  }
+
+  if (!code) {
+    throw new CustomError(
+      400,
+      "A code from your current authenticator is required"
+    );
+  }
+
+  const isValid = await verifyAuthenticatorCode(userId, code);
+  if (!isValid) {
+    throw new CustomError(400, "Invalid current authenticator code");
+  }
+};
+
+// Replace all recovery codes; requires a current TOTP code
+const regenerateRecoveryCodes = async (userId, code) => {
+  const isValid = await verifyTotpCode(userId, code);
+  if (!isValid) {
+    throw new CustomError(400, "Invalid authenticator code");
+  }
+
+  const { codes, hashed } = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { "authenticator.recoveryCodes": hashed } }
+  );
+
+  return codes;
+};
+
+module.exports = {
+  matchTotpStep,
+  startEnrollment,
+  confirmEnrollment,
+  verifyAuthenticatorCode,
+  regenerateRecoveryCodes,
+};
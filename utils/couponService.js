@@ -0,0 +1,258 @@
+// utils/couponService.js
+const Coupon = require("../models/coupon");
+const CouponRedemption = require("../models/couponRedemption");
+const Transaction = require("../models/transaction");
+const CustomError = require("./customError");
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const calculateDiscount = (coupon, amount) => {
+  const discount =
+    coupon.discountType === "PERCENTAGE"
+      ? (amount * coupon.discountValue) / 100
+      : coupon.discountValue;
+
+  return roundAmount(Math.min(discount, amount));
+};
+
+// Price a purchase, applying `couponCode` if one was given. Throws 400 when
+// the code cannot be used for this user/plan; nothing is redeemed yet.
+const quoteCoupon = async ({
+  couponCode,
+  userId,
+  plan,
+  amount,
+  currency = "USD",
+  session = null,
+}) => {
+  const quote = {
+    coupon: null,
+    originalAmount: amount,
+    discountAmount: 0,
+    finalAmount: amount,
+  };
+
+  if (!couponCode) {
+    return quote;
+  }
+
+  const coupon = await Coupon.findOne({
+    code: String(couponCode).trim().toUpperCase(),
+  }).session(session);
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    throw new CustomError(400, "Invalid coupon code");
+  }
+
+  if (coupon.validFrom && coupon.validFrom > now) {
+    throw new CustomError(400, "This coupon is not valid yet");
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw new CustomError(400, "This coupon has expired");
+  }
+
+  if (
+    coupon.applicablePlans.length > 0 &&
+    !coupon.applicablePlans.includes(plan)
+  ) {
+    throw new CustomError(
+      400,
+      "This coupon does not apply to the selected plan"
+    );
+  }
+
+  if (coupon.discountType === "FIXED" && coupon.currency !== currency) {
+    throw new CustomError(
+      400,
+      `This coupon can only be used for ${coupon.currency} purchases`
+    );
+  }
+
+  if (
+    coupon.maxRedemptions !== null &&
+    coupon.redemptionCount >= coupon.maxRedemptions
+  ) {
+    throw new CustomError(400, "This coupon has reached its redemption limit");
+  }
+
+  if (userId) {
+    const userRedemptions = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      user: userId.toString(),
+    }).session(session);
+
+    if (userRedemptions >= coupon.perUserLimit) {
+      throw new CustomError(400, "You have already used this coupon");
+    }
+
+    if (coupon.firstPurchaseOnly) {
+      // A free trial is not a purchase, so converting trials still qualify
+      const previousPurchase = await Transaction.exists({
+        user: userId.toString(),
+        status: { $nin: ["FAILED", "CANCELLED"] },
+        paymentMethod: { $ne: "FREE_TRIAL" },
+        amount: { $gt: 0 },
+      }).session(session);
+
+      if (previousPurchase) {
+        throw new CustomError(
+          400,
+          "This coupon is only valid on your first purchase"
+        );
+      }
+    }
+  }
+
+  const discountAmount = calculateDiscount(coupon, amount);
+
+  return {
+    coupon,
+    originalAmount: amount,
+    discountAmount,
+    finalAmount: roundAmount(amount - discountAmount),
+  };
+};
+
+// The first of the user's perUserLimit uses of `coupon` that is still free,
+// or null when all are taken
+const findFreeSlot = async (coupon, userId, session) => {
+  const redemptions = await CouponRedemption.find({
+    coupon: coupon._id,
+    user: userId.toString(),
+  })
+    .select("slot")
+    .session(session)
+    .lean();
+
+  if (redemptions.length >= coupon.perUserLimit) {
+    return null;
+  }
+
+  const taken = new Set(redemptions.map((redemption) => redemption.slot));
+  for (let slot = 1; slot <= coupon.perUserLimit; slot++) {
+    if (!taken.has(slot)) {
+      return slot;
+    }
+  }
+  return null;
+};
+
+// Record the redemption of a quoted coupon. Claims a redemption atomically
+// so concurrent checkouts cannot exceed maxRedemptions, and one of the
+// user's numbered slots so they cannot exceed perUserLimit either.
+const redeemCoupon = async (
+  quote,
+  {
+    userId,
+    plan,
+    currency = "USD",
+    subscriptionId,
+    transactionId,
+    session = null,
+  }
+) => {
+  if (!quote?.coupon) {
+    return null;
+  }
+
+  const claimed = await Coupon.updateOne(
+    {
+      _id: quote.coupon._id,
+      isActive: true,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } },
+      ],
+    },
+    { $inc: { redemptionCount: 1 } },
+    { session }
+  );
+
+  if (claimed.modifiedCount !== 1) {
+    throw new CustomError(400, "This coupon has reached its redemption limit");
+  }
+
+  try {
+    const slot = await findFreeSlot(quote.coupon, userId, session);
+    if (slot === null) {
+      throw new CustomError(400, "You have already used this coupon");
+    }
+
+    const [redemption] = await CouponRedemption.create(
+      [
+        {
+          coupon: quote.coupon._id,
+          code: quote.coupon.code,
+          user: userId.toString(),
+          slot,
+          subscription: subscriptionId,
+          transaction: transactionId,
+          plan,
+          currency,
+          originalAmount: quote.originalAmount,
+          discountAmount: quote.discountAmount,
+          finalAmount: quote.finalAmount,
+        },
+      ],
+      { session }
+    );
+
+    return redemption;
+  } catch (error) {
+    // Inside a transaction the caller's abort undoes the claim
+    if (!session) {
+      await Coupon.updateOne(
+        { _id: quote.coupon._id },
+        { $inc: { redemptionCount: -1 } }
+      );
+    }
+
+    // The slot was taken by a concurrent checkout (a write conflict when
+    // both are still in their transactions)
+    if (error.code === 11000 || error.code === 112) {
+      throw new CustomError(400, "You have already used this coupon");
+    }
+    throw error;
+  }
+};
+
+// Undo the redemption made for a purchase that was never paid for
+const releaseCoupon = async (transactionId) => {
+  const redemption = await CouponRedemption.findOneAndDelete({
+    transaction: transactionId,
+  });
+
+  if (redemption) {
+    await Coupon.updateOne(
+      { _id: redemption.coupon },
+      { $inc: { redemptionCount: -1 } }
+    );
+  }
+
+  return redemption;
+};
+
+// Discount details stored on the Transaction (undefined without a coupon)
+const toTransactionDiscount = (quote) => {
+  if (!quote?.coupon) {
+    return undefined;
+  }
+
+  return {
+    coupon: quote.coupon._id,
+    code: quote.coupon.code,
+    discountType: quote.coupon.discountType,
+    discountValue: quote.coupon.discountValue,
+    originalAmount: quote.originalAmount,
+    amount: quote.discountAmount,
+  };
+};
+
+module.exports = {
+  quoteCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  toTransactionDiscount,
+};
@@ -0,0 +1,109 @@
+// utils/currencyService.js
+const ExchangeRate = require("../models/exchangeRate");
+const User = require("../models/user");
+const CustomError = require("./customError");
+
+// Exchange rates are quoted against this currency; it has no row in the
+// rate table
+const RATE_BASE_CURRENCY = "USD";
+
+// Currency a code is valid as, upper-case; throws 400 otherwise
+const normalizeCurrency = (currency) => {
+  const code = String(currency || "")
+    .trim()
+    .toUpperCase();
+
+  if (!/^[A-Z]{3}$/.test(code)) {
+    throw new CustomError(400, "Currency must be a three-letter ISO code");
+  }
+
+  return code;
+};
+
+// Currency reports are shown in when none is asked for
+const getReportingCurrency = (requested) =>
+  normalizeCurrency(
+    requested || process.env.REPORTING_CURRENCY || RATE_BASE_CURRENCY
+  );
+
+// Units of `currency` per one unit of the rate base currency
+const getExchangeRate = async (currency) => {
+  const code = normalizeCurrency(currency);
+
+  if (code === RATE_BASE_CURRENCY) {
+    return { currency: code, rate: 1, updatedAt: null };
+  }
+
+  const exchangeRate = await ExchangeRate.findOne({ currency: code }).lean();
+
+  if (!exchangeRate) {
+    throw new CustomError(400, `No exchange rate is set for ${code}`);
+  }
+
+  return exchangeRate;
+};
+
+// Exchange rate stored on a Transaction in `currency`
+const toTransactionFx = async (currency) => {
+  const { rate, updatedAt } = await getExchangeRate(currency);
+
+  return {
+    baseCurrency: RATE_BASE_CURRENCY,
+    rate,
+    rateDate: updatedAt || new Date(),
+  };
+};
+
+/**
+ * Aggregation expression converting `amount` (an expression over a document
+ * in its own currency) to the reporting currency, using the rate stored at
+ * `rateField`. `reportingRate` is the reporting currency's current rate;
+ * documents without a stored rate are taken to be in the base currency.
+ */
+const convertExpression = (amount, reportingRate, rateField = "$fx.rate") => ({
+  $multiply: [
+    amount,
+    { $divide: [reportingRate, { $ifNull: [rateField, 1] }] },
+  ],
+});
+
+/**
+ * Currency a buyer pays in, from the first of:
+ *   1. the currency asked for with the request
+ *   2. the user's preferred currency
+ *   3. the currency used in their country (rate table `countries`)
+ * null when none applies, meaning the plan's base currency.
+ */
+const resolveBuyerCurrency = async ({ requested, userId, country } = {}) => {
+  if (requested) {
+    return normalizeCurrency(requested);
+  }
+
+  const user = userId
+    ? await User.findById(userId.toString()).select("preferredCurrency").lean()
+    : null;
+  if (user?.preferredCurrency) {
+    return user.preferredCurrency;
+  }
+
+  if (country) {
+    const exchangeRate = await ExchangeRate.findOne({ countries: country })
+      .select("currency")
+      .lean();
+    if (exchangeRate) {
+      return exchangeRate.currency;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  RATE_BASE_CURRENCY,
+  normalizeCurrency,
+  getReportingCurrency,
+  getExchangeRate,
+  toTransactionFx,
+  convertExpression,
+  resolveBuyerCurrency,
+};
@@ -0,0 +1,370 @@
+// utils/invoiceService.js
+const mongoose = require("mongoose");
+const Invoice = require("../models/invoice");
+const Counter = require("../models/counter");
+const Subscription = require("../models/subscription");
+const User = require("../models/user");
+const CustomError = require("./customError");
+const { SALE_TYPES } = require("./ledger");
+const { getPlan } = require("./planCatalog");
+const { PdfDocument, PAGE_WIDTH } = require("./pdfDocument");
+
+const INVOICE_SEQUENCE = "invoice";
+
+// Attempts at issuing an invoice when concurrent issues conflict on the
+// sequence
+const MAX_ISSUE_ATTEMPTS = 3;
+
+const ITEM_LABELS = {
+  SUBSCRIPTION_CREATED: "Subscription",
+  SUBSCRIPTION_RENEWAL: "Subscription renewal",
+  SUBSCRIPTION_UPGRADED: "Plan upgrade",
+  SUBSCRIPTION_DOWNGRADED: "Plan change",
+};
+
+const getSeller = () => ({
+  name: process.env.INVOICE_SELLER_NAME || "CRS Platform",
+  address: process.env.INVOICE_SELLER_ADDRESS,
+  taxId: process.env.INVOICE_SELLER_TAX_ID,
+});
+
+// e.g. INV-000042
+const formatInvoiceNumber = (sequence) =>
+  `INV-${String(sequence).padStart(6, "0")}`;
+
+// Purchases that were actually paid; free trials and lifecycle rows are not
+// invoiced
+const isInvoiceable = (transaction) =>
+  SALE_TYPES.includes(transaction.type) &&
+  ["COMPLETED", "REFUNDED"].includes(transaction.status) &&
+  !transaction.previousTransaction &&
+  transaction.paymentMethod !== "FREE_TRIAL";
+
+const planName = async (planId) => {
+  try {
+    return (await getPlan(planId, { includeInactive: true })).name;
+  } catch (error) {
+    return planId;
+  }
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const buildInvoice = async (transaction) => {
+  const user = await User.findById(transaction.user).select(
+    "username email phoneNumber billing"
+  );
+  const subscription = await Subscription.findById(
+    transaction.subscription
+  ).select("email phone imei deviceName startDate endDate");
+
+  const tax = transaction.tax || {};
+  const taxLines = (transaction.taxLines || []).map((line) => ({
+    name: line.name,
+    rate: line.rate,
+    amount: line.amount,
+    included: line.included,
+    reverseCharge: line.reverseCharge,
+  }));
+  const netAmount = tax.netAmount ?? transaction.amount;
+
+  // Item price before any tax added on top. Reverse-charged buyers do not
+  // pay tax that is included in catalog prices, so for them the price is
+  // shown without it.
+  const price = roundAmount(
+    netAmount +
+      taxLines
+        .filter((line) => line.included && !line.reverseCharge)
+        .reduce((sum, line) => sum + line.amount, 0)
+  );
+  const listPrice = transaction.discount?.originalAmount;
+  const discountAmount = transaction.discount?.amount || 0;
+  const subtotal =
+    listPrice > discountAmount
+      ? roundAmount((listPrice * price) / (listPrice - discountAmount))
+      : price;
+
+  const period = transaction.subscriptionPeriod?.startDate
+    ? transaction.subscriptionPeriod
+    : subscription || {};
+
+  return {
+    transaction: transaction._id,
+    transactionId: transaction.transactionId,
+    user: transaction.user,
+    subscription: transaction.subscription,
+    seller: getSeller(),
+    buyer: {
+      name: user?.username,
+      email: user?.email || subscription?.email,
+      phone: user?.phoneNumber || subscription?.phone,
+      imei: subscription?.imei,
+      deviceName: subscription?.deviceName,
+      companyName: user?.billing?.companyName,
+      taxId: tax.taxId,
+      country: tax.country,
+    },
+    items: [
+      {
+        description: `${ITEM_LABELS[transaction.type]}: ${await planName(
+          transaction.plan
+        )}`,
+        quantity: 1,
+        unitPrice: subtotal,
+        amount: subtotal,
+      },
+    ],
+    period: {
+      startDate: period.startDate,
+      endDate: period.endDate,
+    },
+    currency: transaction.currency,
+    subtotal,
+    discount: discountAmount
+      ? {
+          code: transaction.discount.code,
+          amount: roundAmount(subtotal - price),
+        }
+      : undefined,
+    taxLines,
+    taxTotal: tax.amount || 0,
+    netAmount,
+    reverseCharge: !!tax.reverseCharge,
+    total: transaction.amount,
+    paymentMethod: transaction.paymentMethod,
+    paidAt: transaction.completedAt,
+  };
+};
+
+// The invoice of a completed payment, issued with the next number the
+// first time it is asked for
+const getOrCreateInvoice = async (transaction) => {
+  const existing = await Invoice.findOne({ transaction: transaction._id });
+  if (existing) {
+    return existing;
+  }
+
+  if (!isInvoiceable(transaction)) {
+    throw new CustomError(
+      400,
+      "Invoices are only issued for completed subscription payments"
+    );
+  }
+
+  const data = await buildInvoice(transaction);
+
+  for (let attempt = 1; ; attempt++) {
+    const session = await mongoose.startSession();
+
+    try {
+      // The number is taken in the same transaction as the insert, so a
+      // failed insert does not leave a gap in the sequence
+      await session.startTransaction();
+
+      const sequence = await Counter.next(INVOICE_SEQUENCE, session);
+      const [invoice] = await Invoice.create(
+        [{ ...data, sequence, invoiceNumber: formatInvoiceNumber(sequence) }],
+        { session }
+      );
+
+      await session.commitTransaction();
+      return invoice;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+
+      // Issued concurrently for the same payment: use that invoice
+      if (error.code === 11000) {
+        const issued = await Invoice.findOne({ transaction: transaction._id });
+        if (issued) {
+          return issued;
+        }
+      }
+
+      // Another invoice took the next number at the same time
+      if (
+        error.hasErrorLabel?.("TransientTransactionError") &&
+        attempt < MAX_ISSUE_ATTEMPTS
+      ) {
+        continue;
+      }
+
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+};
+
+const formatMoney = (amount, currency) =>
+  `${Number(amount || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })} ${currency}`;
+
+const formatDate = (date) => (date ? date.toISOString().slice(0, 10) : "-");
+
+const renderInvoicePdf = (invoice) => {
+  const doc = new PdfDocument();
+  const left = 50;
+  const right = PAGE_WIDTH - 50;
+  const money = (amount) => formatMoney(amount, invoice.currency);
+
+  doc.text(left, 70, "INVOICE", { size: 22, bold: true });
+
+  const sellerLines = [
+    ...(invoice.seller.address || "").split("\n"),
+    invoice.seller.taxId && `Tax ID: ${invoice.seller.taxId}`,
+  ].filter(Boolean);
+
+  doc.text(right, 60, invoice.seller.name, {
+    size: 12,
+    bold: true,
+    align: "right",
+  });
+  sellerLines.forEach((line, index) => {
+    doc.text(right, 74 + index * 14, line, { size: 9, align: "right" });
+  });
+
+  let y = 130;
+  const details = [
+    ["Invoice number", invoice.invoiceNumber],
+    ["Issue date", formatDate(invoice.issuedAt)],
+    ["Paid on", formatDate(invoice.paidAt)],
+    ["Transaction", invoice.transactionId],
+    ["Payment method", invoice.paymentMethod],
+  ];
+  details.forEach(([label, value], index) => {
+    doc.text(left, y + index * 15, `${label}:`, { size: 9, bold: true });
+    doc.text(left + 90, y + index * 15, value || "-", { size: 9 });
+  });
+
+  const { buyer } = invoice;
+  const device = buyer.imei
+    ? `${buyer.deviceName || "Device"} (IMEI ${buyer.imei})`
+    : buyer.deviceName;
+  const buyerLines = [
+    buyer.companyName,
+    buyer.name,
+    buyer.email,
+    buyer.phone,
+    device,
+    buyer.taxId && `Tax ID: ${buyer.taxId}`,
+  ].filter(Boolean);
+
+  doc.text(330, y, "Bill to", { size: 9, bold: true });
+  buyerLines.forEach((line, index) => {
+    doc.text(330, y + (index + 1) * 15, line, { size: 9 });
+  });
+
+  // Line items
+  y = 250;
+  doc.text(left, y, "Description", { size: 9, bold: true });
+  doc.text(290, y, "Period", { size: 9, bold: true });
+  doc.text(420, y, "Qty", { size: 9, bold: true, align: "right" });
+  doc.text(right, y, "Amount", { size: 9, bold: true, align: "right" });
+  doc.line(left, y + 6, right, y + 6);
+
+  const periodText = `${formatDate(invoice.period?.startDate)} to ${formatDate(
+    invoice.period?.endDate
+  )}`;
+  for (const item of invoice.items) {
+    y += 20;
+    doc.text(left, y, item.description, { size: 9 });
+    doc.text(290, y, periodText, { size: 9 });
+    doc.text(420, y, String(item.quantity), { size: 9, align: "right" });
+    doc.text(right, y, money(item.amount), { size: 9, align: "right" });
+  }
+  doc.line(left, y + 8, right, y + 8);
+
+  // Totals
+  const totals = [["Subtotal", money(invoice.subtotal)]];
+  if (invoice.discount?.amount) {
+    totals.push([
+      `Discount (${invoice.discount.code})`,
+      `-${money(invoice.discount.amount)}`,
+    ]);
+  }
+  if (invoice.taxLines.length > 0) {
+    totals.push(["Total excl. tax", money(invoice.netAmount)]);
+    for (const tax of invoice.taxLines) {
+      const note = tax.reverseCharge
+        ? ", reverse charge"
+        : tax.included
+        ? ", included"
+        : "";
+      totals.push([`${tax.name} (${tax.rate}%${note})`, money(tax.amount)]);
+    }
+  } else {
+    totals.push(["Tax", money(0)]);
+  }
+
+  y += 28;
+  for (const [label, value] of totals) {
+    doc.text(420, y, label, { size: 9, align: "right" });
+    doc.text(right, y, value, { size: 9, align: "right" });
+    y += 15;
+  }
+  doc.line(330, y - 8, right, y - 8);
+  y += 4;
+  doc.text(420, y, "Total paid", { size: 11, bold: true, align: "right" });
+  doc.text(right, y, money(invoice.total), {
+    size: 11,
+    bold: true,
+    align: "right",
+  });
+
+  if (invoice.reverseCharge) {
+    doc.text(
+      left,
+      y + 40,
+      "Reverse charge: tax to be accounted for by the recipient.",
+      { size: 9 }
+    );
+  }
+
+  doc.text(left, 780, `Thank you for choosing ${invoice.seller.name}.`, {
+    size: 9,
+  });
+
+  return doc.toBuffer();
+};
+
+// Invoice and its PDF for a completed payment
+const getInvoicePdf = async (transaction) => {
+  const invoice = await getOrCreateInvoice(transaction);
+
+  return {
+    invoice,
+    pdf: renderInvoicePdf(invoice),
+    filename: `${invoice.invoiceNumber}.pdf`,
+  };
+};
+
+// Nodemailer attachments carrying the invoice of a payment. Emails go out
+// without it rather than fail when the invoice cannot be produced.
+const getInvoiceAttachments = async (transaction) => {
+  if (!transaction || !isInvoiceable(transaction)) {
+    return [];
+  }
+
+  try {
+    const { pdf, filename } = await getInvoicePdf(transaction);
+    return [{ filename, content: pdf, contentType: "application/pdf" }];
+  } catch (error) {
+    console.error(
+      `Failed to create invoice for ${transaction.transactionId}:`,
+      error
+    );
+    return [];
+  }
+};
+
+module.exports = {
+  isInvoiceable,
+  getOrCreateInvoice,
+  renderInvoicePdf,
+  getInvoicePdf,
+  getInvoiceAttachments,
+};
@@ -0,0 +1,520 @@
+// utils/ledger.js
+const JournalEntry = require("../models/journalEntry");
+const Transaction = require("../models/transaction");
+const {
+  getReportingCurrency,
+  getExchangeRate,
+  convertExpression,
+} = require("./currencyService");
+
+const ACCOUNTS = {
+  CASH: "cash",
+  RECEIVABLE: "customer_receivable",
+  DEFERRED_REVENUE: "deferred_revenue",
+  REVENUE: "revenue",
+  REFUNDS: "refunds",
+  TAX_PAYABLE: "tax_payable",
+};
+
+// Accounts whose balance grows with debits; the rest grow with credits
+const DEBIT_NORMAL_ACCOUNTS = [
+  ACCOUNTS.CASH,
+  ACCOUNTS.RECEIVABLE,
+  ACCOUNTS.REFUNDS,
+];
+
+// Purchases that bring money in. Lifecycle rows (activated, queued, expired)
+// and PAYMENT_* log rows repeat the purchase amount but move no money.
+const SALE_TYPES = [
+  "SUBSCRIPTION_CREATED",
+  "SUBSCRIPTION_RENEWAL",
+  "SUBSCRIPTION_UPGRADED",
+  "SUBSCRIPTION_DOWNGRADED",
+];
+
+// A sale stays on the books when it is later refunded; the refund is a
+// separate movement
+const SALE_FILTER = {
+  type: { $in: SALE_TYPES },
+  status: { $in: ["COMPLETED", "REFUNDED"] },
+  amount: { $gt: 0 },
+  previousTransaction: null,
+};
+
+const REFUND_FILTER = {
+  type: "SUBSCRIPTION_REFUNDED",
+  status: "COMPLETED",
+  amount: { $gt: 0 },
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// In-memory versions of SALE_FILTER and REFUND_FILTER
+const isSale = (transaction) =>
+  SALE_TYPES.includes(transaction.type) &&
+  ["COMPLETED", "REFUNDED"].includes(transaction.status) &&
+  transaction.amount > 0 &&
+  !transaction.previousTransaction;
+
+const isRefund = (transaction) =>
+  transaction.type === "SUBSCRIPTION_REFUNDED" &&
+  transaction.status === "COMPLETED" &&
+  transaction.amount > 0;
+
+const line = (account, side, amount) => ({
+  account,
+  debit: side === "debit" ? amount : 0,
+  credit: side === "credit" ? amount : 0,
+});
+
+// Tax included in a transaction's amount, owed to the tax authorities
+const taxOf = (transaction) =>
+  Math.min(roundAmount(transaction.tax?.amount || 0), transaction.amount);
+
+// Whether the money for a sale has actually been received: settled by a
+// payment provider, or confirmed by an admin for offline methods. Until
+// then the sale stays owed in the receivable account.
+const isPaid = (transaction) =>
+  Boolean(transaction.paymentProvider || transaction.processedBy);
+
+// The journal entries a transaction should have, as { kind, lines }.
+// Subscriptions are paid up front, so a sale is owed service and is
+// credited to deferred revenue rather than revenue. Tax collected is not
+// revenue and goes to tax payable. The cash side of a sale is only posted
+// once it is paid, dated when it was confirmed.
+const expectedEntries = (transaction) => {
+  const amount = roundAmount(transaction.amount);
+  const tax = taxOf(transaction);
+  const net = roundAmount(amount - tax);
+  const taxLines = (side) =>
+    tax > 0 ? [line(ACCOUNTS.TAX_PAYABLE, side, tax)] : [];
+
+  if (isSale(transaction)) {
+    const sale = {
+      kind: "SALE",
+      description: `${transaction.type} ${transaction.plan}`,
+      lines: [
+        line(ACCOUNTS.RECEIVABLE, "debit", amount),
+        line(ACCOUNTS.DEFERRED_REVENUE, "credit", net),
+        ...taxLines("credit"),
+      ],
+    };
+
+    if (!isPaid(transaction)) {
+      return [sale];
+    }
+
+    return [
+      sale,
+      {
+        kind: "PAYMENT",
+        description: `Payment via ${transaction.paymentMethod}`,
+        postedAt: transaction.paymentProvider
+          ? transaction.completedAt
+          : transaction.processedAt,
+        lines: [
+          line(ACCOUNTS.CASH, "debit", amount),
+          line(ACCOUNTS.RECEIVABLE, "credit", amount),
+        ],
+      },
+    ];
+  }
+
+  if (isRefund(transaction)) {
+    return [
+      {
+        kind: "REFUND",
+        description: transaction.refund?.reason || "Refund",
+        lines: [
+          line(ACCOUNTS.REFUNDS, "debit", net),
+          ...taxLines("debit"),
+          line(ACCOUNTS.CASH, "credit", amount),
+        ],
+      },
+    ];
+  }
+
+  return [];
+};
+
+// Post the journal entries for a settled transaction. Transactions that move
+// no money post nothing, and entries already posted are skipped, so this is
+// safe to call on every status change.
+const postTransaction = async (transaction) => {
+  const posted = [];
+
+  for (const { postedAt, ...entry } of expectedEntries(transaction)) {
+    try {
+      posted.push(
+        await JournalEntry.create({
+          ...entry,
+          transaction: transaction._id,
+          transactionId: transaction.transactionId,
+          user: transaction.user,
+          subscription: transaction.subscription,
+          plan: transaction.plan,
+          currency: transaction.currency,
+          fxRate: transaction.fx?.rate || 1,
+          amount: roundAmount(transaction.amount),
+          postedAt:
+            postedAt ||
+            transaction.completedAt ||
+            transaction.processedAt ||
+            new Date(),
+        })
+      );
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  return posted;
+};
+
+// postTransaction for request flows: the money has already moved, so a
+// ledger failure is logged and left for the consistency check to repair
+const postToLedger = async (transaction) => {
+  try {
+    return await postTransaction(transaction);
+  } catch (error) {
+    console.error(
+      `❌ Failed to post ${transaction.transactionId} to the ledger:`,
+      error
+    );
+    return [];
+  }
+};
+
+const postedAtFilter = ({ startDate, endDate } = {}) => {
+  if (!startDate && !endDate) {
+    return {};
+  }
+
+  const postedAt = {};
+  if (startDate) postedAt.$gte = new Date(startDate);
+  if (endDate) postedAt.$lte = new Date(endDate);
+
+  return { postedAt };
+};
+
+// Common `groupBy` values for summarizeLedger
+const LEDGER_GROUPS = {
+  plan: "$plan",
+  kind: "$kind",
+  currency: "$currency",
+  month: {
+    year: { $year: "$postedAt" },
+    month: { $month: "$postedAt" },
+  },
+  day: {
+    year: { $year: "$postedAt" },
+    month: { $month: "$postedAt" },
+    day: { $dayOfMonth: "$postedAt" },
+  },
+};
+
+// Stage converting each unwound line to the currency whose rate is
+// `reportingRate`, at the rate stored on its entry
+const convertLines = (reportingRate) => ({
+  $addFields: {
+    "lines.debit": convertExpression("$lines.debit", reportingRate, "$fxRate"),
+    "lines.credit": convertExpression(
+      "$lines.credit",
+      reportingRate,
+      "$fxRate"
+    ),
+  },
+});
+
+const sumLines = (account, side) => ({
+  $sum: {
+    $cond: [{ $eq: ["$lines.account", account] }, `$lines.${side}`, 0],
+  },
+});
+
+/**
+ * Ledger totals for a period in `currency` (the reporting currency by
+ * default), optionally grouped (`groupBy` is a $group _id expression over
+ * journal entry fields, e.g. "$plan"). Per group:
+ *   sales       credited to deferred revenue by SALE entries (excl. tax)
+ *   refunds     debited to the refunds account (excl. tax)
+ *   netSales    sales - refunds
+ *   taxCollected, taxRefunded, netTax  movements on tax payable
+ *   cashIn, cashOut, netCash  movements on the cash account
+ */
+const summarizeLedger = async ({
+  startDate,
+  endDate,
+  groupBy = null,
+  currency,
+} = {}) => {
+  const { rate } = await getExchangeRate(getReportingCurrency(currency));
+
+  const groups = await JournalEntry.aggregate([
+    { $match: postedAtFilter({ startDate, endDate }) },
+    { $unwind: "$lines" },
+    convertLines(rate),
+    {
+      $group: {
+        _id: groupBy,
+        sales: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$kind", "SALE"] },
+                  { $eq: ["$lines.account", ACCOUNTS.DEFERRED_REVENUE] },
+                ],
+              },
+              "$lines.credit",
+              0,
+            ],
+          },
+        },
+        refunds: sumLines(ACCOUNTS.REFUNDS, "debit"),
+        taxCollected: sumLines(ACCOUNTS.TAX_PAYABLE, "credit"),
+        taxRefunded: sumLines(ACCOUNTS.TAX_PAYABLE, "debit"),
+        cashIn: sumLines(ACCOUNTS.CASH, "debit"),
+        cashOut: sumLines(ACCOUNTS.CASH, "credit"),
+        entries: { $addToSet: "$_id" },
+      },
+    },
+    {
+      $project: {
+        sales: { $round: ["$sales", 2] },
+        refunds: { $round: ["$refunds", 2] },
+        netSales: { $round: [{ $subtract: ["$sales", "$refunds"] }, 2] },
+        taxCollected: { $round: ["$taxCollected", 2] },
+        taxRefunded: { $round: ["$taxRefunded", 2] },
+        netTax: {
+          $round: [{ $subtract: ["$taxCollected", "$taxRefunded"] }, 2],
+        },
+        cashIn: { $round: ["$cashIn", 2] },
+        cashOut: { $round: ["$cashOut", 2] },
+        netCash: { $round: [{ $subtract: ["$cashIn", "$cashOut"] }, 2] },
+        entryCount: { $size: "$entries" },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return groups;
+};
+
+// Ungrouped summarizeLedger, with zeros when nothing was posted
+const getLedgerTotals = async ({ startDate, endDate, currency } = {}) => {
+  const [totals] = await summarizeLedger({ startDate, endDate, currency });
+  const { _id, ...figures } = totals || {};
+
+  return {
+    currency: getReportingCurrency(currency),
+    sales: 0,
+    refunds: 0,
+    netSales: 0,
+    taxCollected: 0,
+    taxRefunded: 0,
+    netTax: 0,
+    cashIn: 0,
+    cashOut: 0,
+    netCash: 0,
+    entryCount: 0,
+    ...figures,
+  };
+};
+
+// Debit, credit and balance per account (a trial balance) in `currency`.
+// Balances are signed towards each account's normal side.
+const getAccountBalances = async ({ startDate, endDate, currency } = {}) => {
+  const reportingCurrency = getReportingCurrency(currency);
+  const { rate } = await getExchangeRate(reportingCurrency);
+
+  const totals = await JournalEntry.aggregate([
+    { $match: postedAtFilter({ startDate, endDate }) },
+    { $unwind: "$lines" },
+    convertLines(rate),
+    {
+      $group: {
+        _id: "$lines.account",
+        debit: { $sum: "$lines.debit" },
+        credit: { $sum: "$lines.credit" },
+      },
+    },
+  ]);
+
+  const byAccount = new Map(totals.map((total) => [total._id, total]));
+
+  const accounts = Object.values(ACCOUNTS).map((account) => {
+    const { debit = 0, credit = 0 } = byAccount.get(account) || {};
+    const debitNormal = DEBIT_NORMAL_ACCOUNTS.includes(account);
+    const balance = debitNormal ? debit - credit : credit - debit;
+
+    return {
+      account,
+      normalSide: debitNormal ? "debit" : "credit",
+      debit: roundAmount(debit),
+      credit: roundAmount(credit),
+      balance: roundAmount(balance),
+    };
+  });
+
+  const totalDebit = roundAmount(accounts.reduce((s, a) => s + a.debit, 0));
+  const totalCredit = roundAmount(accounts.reduce((s, a) => s + a.credit, 0));
+
+  return {
+    currency: reportingCurrency,
+    accounts,
+    totalDebit,
+    totalCredit,
+    balanced: totalDebit === totalCredit,
+  };
+};
+
+// Group a cursor's documents into arrays of `size`, so lookups against
+// the other collection can be batched without loading everything at once
+async function* inBatches(cursor, size = 500) {
+  let batch = [];
+  for await (const doc of cursor) {
+    batch.push(doc);
+    if (batch.length === size) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length) {
+    yield batch;
+  }
+}
+
+/**
+ * Compare the journal with the Transactions it is derived from and report:
+ *   missing     entries a settled transaction should have but does not
+ *   mismatched  entries whose amount differs from their transaction
+ *   orphaned    entries whose transaction is gone or no longer moves money
+ *   unbalanced  entries whose debits and credits differ
+ * With `repair: true` missing entries are posted. The others need a person
+ * to look at them, since entries are never edited in place.
+ * Both collections are streamed in batches, so memory stays flat however
+ * large the journal grows.
+ */
+const checkLedgerConsistency = async ({ repair = false } = {}) => {
+  const report = {
+    checkedTransactions: 0,
+    checkedEntries: 0,
+    missing: [],
+    mismatched: [],
+    orphaned: [],
+    unbalanced: [],
+    repaired: 0,
+  };
+
+  const transactions = Transaction.find({
+    $or: [SALE_FILTER, REFUND_FILTER],
+  }).cursor();
+
+  for await (const batch of inBatches(transactions)) {
+    const entries = await JournalEntry.find({
+      transaction: { $in: batch.map((transaction) => transaction._id) },
+    })
+      .select("transaction kind amount")
+      .lean();
+    const entriesByKey = new Map(
+      entries.map((entry) => [`${entry.transaction}:${entry.kind}`, entry])
+    );
+
+    for (const transaction of batch) {
+      report.checkedTransactions += 1;
+      let missingEntry = false;
+
+      for (const expected of expectedEntries(transaction)) {
+        const entry = entriesByKey.get(`${transaction._id}:${expected.kind}`);
+
+        if (!entry) {
+          missingEntry = true;
+          report.missing.push({
+            transactionId: transaction.transactionId,
+            kind: expected.kind,
+            amount: transaction.amount,
+          });
+        } else if (entry.amount !== roundAmount(transaction.amount)) {
+          report.mismatched.push({
+            transactionId: transaction.transactionId,
+            kind: entry.kind,
+            entryAmount: entry.amount,
+            transactionAmount: transaction.amount,
+          });
+        }
+      }
+
+      if (missingEntry && repair) {
+        report.repaired += (await postTransaction(transaction)).length;
+      }
+    }
+  }
+
+  const entries = JournalEntry.find({})
+    .select("transaction transactionId kind amount lines")
+    .lean()
+    .cursor();
+
+  for await (const batch of inBatches(entries)) {
+    const sources = await Transaction.find({
+      _id: { $in: batch.map((entry) => entry.transaction) },
+      $or: [SALE_FILTER, REFUND_FILTER],
+    }).lean();
+    const expectedKinds = new Map(
+      sources.map((transaction) => [
+        String(transaction._id),
+        expectedEntries(transaction).map((expected) => expected.kind),
+      ])
+    );
+
+    for (const entry of batch) {
+      report.checkedEntries += 1;
+
+      const kinds = expectedKinds.get(String(entry.transaction)) || [];
+      if (!kinds.includes(entry.kind)) {
+        report.orphaned.push({
+          transactionId: entry.transactionId,
+          kind: entry.kind,
+          amount: entry.amount,
+        });
+      }
+
+      const debits = roundAmount(entry.lines.reduce((s, l) => s + l.debit, 0));
+      const credits = roundAmount(
+        entry.lines.reduce((s, l) => s + l.credit, 0)
+      );
+      if (debits !== credits) {
+        report.unbalanced.push({
+          transactionId: entry.transactionId,
+          kind: entry.kind,
+          debits,
+          credits,
+        });
+      }
+    }
+  }
+
+  report.consistent =
+    report.missing.length === report.repaired &&
+    report.mismatched.length === 0 &&
+    report.orphaned.length === 0 &&
+    report.unbalanced.length === 0;
+  report.checkedAt = new Date();
+
+  return report;
+};
+
+module.exports = {
+  ACCOUNTS,
+  LEDGER_GROUPS,
+  SALE_TYPES,
+  postTransaction,
+  postToLedger,
+  summarizeLedger,
+  getLedgerTotals,
+  getAccountBalances,
+  checkLedgerConsistency,
+};
@@ -0,0 +1,250 @@
+// utils/loginProtection.js
+const LoginAttempt = require("../models/loginAttempt");
+const CustomError = require("./customError");
+const { sendAccountLockedEmail } = require("../config/emailService");
+
+const MAX_ACCOUNT_ATTEMPTS =
+  parseInt(process.env.LOGIN_MAX_ACCOUNT_ATTEMPTS) || 5;
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_BACKOFF_SECONDS = 300;
+// Failure counters are forgotten after this long without a failure
+const ATTEMPT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const accountKey = (userId) => `account:${userId}`;
+const ipKey = (ipAddress) => `ip:${ipAddress}`;
+
+// 1s, 2s, 4s, 8s ... capped at MAX_BACKOFF_SECONDS
+const getBackoffSeconds = (failedCount) =>
+  Math.min(Math.pow(2, failedCount - 1), MAX_BACKOFF_SECONDS);
+
+const assertRecordAllows = (record, now) => {
+  if (!record) return;
+
+  if (record.lockedUntil && record.lockedUntil > now) {
+    const minutes = Math.ceil((record.lockedUntil - now) / 60000);
+    throw new CustomError(
+      429,
+      `Too many failed login attempts. Try again in ${minutes} minute(s).`
+    );
+  }
+
+  if (record.nextAttemptAt && record.nextAttemptAt > now) {
+    const seconds = Math.ceil((record.nextAttemptAt - now) / 1000);
+    throw new CustomError(
+      429,
+      `Too many failed login attempts. Please wait ${seconds} second(s) before trying again.`
+    );
+  }
+};
+
+// Set the lock on a counter that has used up its attempts; only the request
+// that actually sets it reports justLocked
+const lockRecord = async (record, now) => {
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+  const locked = await LoginAttempt.updateOne(
+    { _id: record._id, lockedUntil: null },
+    { $set: { lockedUntil } }
+  );
+
+  if (locked.modifiedCount === 1) {
+    record.lockedUntil = lockedUntil;
+    return { justLocked: true, lockedUntil };
+  }
+  return { justLocked: false };
+};
+
+// Count the attempt before the password is checked so parallel guesses
+// cannot all pass a stale read. The $inc is atomic, so each request gets its
+// own position and at most maxAttempts of them are let through.
+const reserveAttempt = async (key, type, maxAttempts, details) => {
+  const now = new Date();
+
+  // A lock that has run out starts a fresh count
+  await LoginAttempt.updateOne(
+    { key, lockedUntil: { $lte: now } },
+    { $set: { failedCount: 0, lockedUntil: null, nextAttemptAt: null } }
+  );
+
+  const record = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failedCount: 1 },
+      $set: { expiresAt: new Date(now.getTime() + ATTEMPT_WINDOW_MS) },
+      $setOnInsert: { type, ...details },
+    },
+    { upsert: true, new: true }
+  ).lean();
+
+  const attempt = { key, maxAttempts, record, refused: true };
+
+  if (record.failedCount > maxAttempts) {
+    Object.assign(attempt, await lockRecord(record, now));
+    return attempt;
+  }
+
+  if (
+    (record.lockedUntil && record.lockedUntil > now) ||
+    (record.nextAttemptAt && record.nextAttemptAt > now)
+  ) {
+    // Refused requests are not guesses, so give the slot back
+    await LoginAttempt.updateOne(
+      { _id: record._id },
+      { $inc: { failedCount: -1 } }
+    );
+    return attempt;
+  }
+
+  // Hold the next request back by the backoff for this position
+  const nextAttemptAt = new Date(
+    now.getTime() + getBackoffSeconds(record.failedCount) * 1000
+  );
+  await LoginAttempt.updateOne(
+    { _id: record._id },
+    { $max: { nextAttemptAt } }
+  );
+
+  attempt.refused = false;
+  attempt.previousNextAttemptAt = record.nextAttemptAt || null;
+  attempt.nextAttemptAt = nextAttemptAt;
+  return attempt;
+};
+
+// Undo a reservation for an attempt that turned out not to be a failure
+const releaseAttempt = async (attempt) => {
+  await LoginAttempt.updateOne(
+    { key: attempt.key, failedCount: { $gt: 0 } },
+    { $inc: { failedCount: -1 } }
+  );
+  // Restore the backoff unless a later attempt has moved it since
+  await LoginAttempt.updateOne(
+    { key: attempt.key, nextAttemptAt: attempt.nextAttemptAt },
+    { $set: { nextAttemptAt: attempt.previousNextAttemptAt } }
+  );
+};
+
+const warnLocked = async (type, { ipAddress, user }, lockedUntil) => {
+  if (type === "IP") {
+    console.warn(`⚠️ Login blocked for IP ${ipAddress} after repeated failures`);
+    return;
+  }
+
+  console.warn(`🔒 Account ${user.email} locked after repeated failures`);
+
+  try {
+    await sendAccountLockedEmail(user.email, user.username, lockedUntil);
+  } catch (emailError) {
+    console.error("Failed to send account locked email:", emailError);
+  }
+};
+
+// Reserves an attempt against the IP and, when known, the account. Throws 429
+// if either is locked out or still backing off; otherwise returns the
+// reservation to settle with recordFailedLogin or releaseLoginAttempt.
+const reserveLoginAttempt = async ({ ipAddress, user }) => {
+  const counters = [
+    {
+      type: "IP",
+      key: ipKey(ipAddress),
+      max: MAX_IP_ATTEMPTS,
+      details: { ipAddress },
+    },
+  ];
+  if (user) {
+    counters.push({
+      type: "ACCOUNT",
+      key: accountKey(user._id),
+      max: MAX_ACCOUNT_ATTEMPTS,
+      details: { user: user._id.toString(), ipAddress },
+    });
+  }
+
+  const reservation = { ipAddress, user, attempts: [] };
+
+  for (const { type, key, max, details } of counters) {
+    const attempt = await reserveAttempt(key, type, max, details);
+    attempt.type = type;
+
+    if (attempt.refused) {
+      if (attempt.justLocked) {
+        await warnLocked(type, reservation, attempt.lockedUntil);
+      }
+      await releaseLoginAttempt(reservation);
+      assertRecordAllows(attempt.record, new Date());
+      // Over the limit while the lock is held by a concurrent request
+      throw new CustomError(
+        429,
+        "Too many failed login attempts. Please try again later."
+      );
+    }
+
+    reservation.attempts.push(attempt);
+  }
+
+  return reservation;
+};
+
+// The reserved attempt failed: keep it counted and lock once the limit is hit
+const recordFailedLogin = async (reservation) => {
+  const now = new Date();
+
+  for (const attempt of reservation.attempts) {
+    await LoginAttempt.updateOne(
+      { key: attempt.key },
+      { $set: { lastFailedAt: now } }
+    );
+
+    if (attempt.record.failedCount < attempt.maxAttempts) continue;
+
+    const { justLocked, lockedUntil } = await lockRecord(attempt.record, now);
+    if (justLocked) {
+      await warnLocked(attempt.type, reservation, lockedUntil);
+    }
+  }
+};
+
+// The reserved attempt did not fail (success or a non-credential refusal)
+const releaseLoginAttempt = async (reservation) => {
+  for (const attempt of reservation.attempts) {
+    await releaseAttempt(attempt);
+  }
+};
+
+// Successful login clears the account counter (the IP counter decays on its
+// own so one valid account cannot be used to reset it)
+const clearFailedLogins = async (userId) => {
+  await LoginAttempt.deleteOne({ key: accountKey(userId) });
+};
+
+// Admin override: lift an account lock and optionally an IP block
+const unlockLogin = async ({ userId, ipAddress }) => {
+  const keys = [accountKey(userId)];
+  if (ipAddress) keys.push(ipKey(ipAddress));
+
+  const result = await LoginAttempt.deleteMany({ key: { $in: keys } });
+  return result.deletedCount;
+};
+
+const getLoginLockStatus = async (userId) => {
+  const record = await LoginAttempt.findOne({ key: accountKey(userId) }).lean();
+  const now = new Date();
+
+  return {
+    failedCount: record?.failedCount || 0,
+    lastFailedAt: record?.lastFailedAt || null,
+    isLocked: !!(record?.lockedUntil && record.lockedUntil > now),
+    lockedUntil:
+      record?.lockedUntil && record.lockedUntil > now
+        ? record.lockedUntil
+        : null,
+  };
+};
+
+module.exports = {
+  reserveLoginAttempt,
+  recordFailedLogin,
+  releaseLoginAttempt,
+  clearFailedLogins,
+  unlockLogin,
+  getLoginLockStatus,
+};
@@ -0,0 +1,213 @@
+// utils/mockPaymentProvider.js
+const CustomError = require("./customError");
+const {
+  PaymentProvider,
+  PAYMENT_STATUS,
+  signWebhookPayload,
+  verifyWebhookSignature,
+} = require("./paymentProvider");
+
+// Deterministic in-process gateway for development and tests. The outcome of
+// a payment is chosen by its payment method token:
+//   mock_success            captured immediately
+//   mock_declined           capture fails with card_declined, every time
+//   mock_insufficient_funds first capture fails, a retry succeeds
+//   mock_pending            stays PENDING until a webhook settles it
+// State is kept in memory and is lost on restart. Webhooks are signed with
+// MOCK_WEBHOOK_SECRET in the X-Mock-Signature header.
+const MOCK_TOKENS = [
+  "mock_success",
+  "mock_declined",
+  "mock_insufficient_funds",
+  "mock_pending",
+];
+
+// Webhook event types and the payment state they move an intent to
+const MOCK_EVENTS = {
+  "payment.pending": PAYMENT_STATUS.PENDING,
+  "payment.succeeded": PAYMENT_STATUS.SUCCEEDED,
+  "payment.failed": PAYMENT_STATUS.FAILED,
+  "payment.refunded": PAYMENT_STATUS.REFUNDED,
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class MockPaymentProvider extends PaymentProvider {
+  constructor() {
+    super("mock");
+    this.intents = new Map();
+  }
+
+  getIntent(externalId) {
+    const intent = this.intents.get(externalId);
+
+    if (!intent) {
+      throw new CustomError(404, `Unknown mock payment: ${externalId}`);
+    }
+
+    return intent;
+  }
+
+  toResult(intent) {
+    return {
+      externalId: intent.externalId,
+      status: intent.status,
+      amount: intent.amount,
+      currency: intent.currency,
+      amountRefunded: intent.amountRefunded,
+      failureCode: intent.failureCode,
+      failureMessage: intent.failureMessage,
+    };
+  }
+
+  async createIntent({
+    amount,
+    currency = "USD",
+    reference,
+    paymentMethodToken,
+  }) {
+    if (!MOCK_TOKENS.includes(paymentMethodToken)) {
+      throw new CustomError(
+        400,
+        `Unknown mock payment token. Use one of: ${MOCK_TOKENS.join(", ")}`
+      );
+    }
+
+    const externalId = `mock_pi_${reference}`;
+
+    // One intent per reference, like an idempotency key
+    if (!this.intents.has(externalId)) {
+      this.intents.set(externalId, {
+        externalId,
+        amount,
+        currency,
+        token: paymentMethodToken,
+        status: PAYMENT_STATUS.PENDING,
+        amountRefunded: 0,
+        refunds: [],
+      });
+    }
+
+    return this.toResult(this.intents.get(externalId));
+  }
+
+  async capture(externalId) {
+    const intent = this.getIntent(externalId);
+    const retryable =
+      intent.status === PAYMENT_STATUS.FAILED &&
+      intent.token === "mock_insufficient_funds";
+
+    if (intent.status !== PAYMENT_STATUS.PENDING && !retryable) {
+      return this.toResult(intent);
+    }
+
+    if (intent.token === "mock_success" || retryable) {
+      intent.status = PAYMENT_STATUS.SUCCEEDED;
+      intent.failureCode = undefined;
+      intent.failureMessage = undefined;
+    } else if (intent.token === "mock_insufficient_funds") {
+      intent.status = PAYMENT_STATUS.FAILED;
+      intent.failureCode = "insufficient_funds";
+      intent.failureMessage = "Your card has insufficient funds";
+    } else if (intent.token === "mock_declined") {
+      intent.status = PAYMENT_STATUS.FAILED;
+      intent.failureCode = "card_declined";
+      intent.failureMessage = "Your card was declined";
+    }
+
+    return this.toResult(intent);
+  }
+
+  async refund(externalId, { amount, reason } = {}) {
+    const intent = this.getIntent(externalId);
+
+    if (intent.status !== PAYMENT_STATUS.SUCCEEDED) {
+      throw new CustomError(400, "Only captured payments can be refunded");
+    }
+
+    const refundable = roundAmount(intent.amount - intent.amountRefunded);
+    const refundAmount = amount === undefined ? refundable : amount;
+
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw new CustomError(
+        400,
+        `Refund amount must be between 0 and ${refundable}`
+      );
+    }
+
+    const refundId = `mock_re_${externalId}_${intent.refunds.length + 1}`;
+    intent.refunds.push({ refundId, amount: refundAmount, reason });
+    intent.amountRefunded = roundAmount(intent.amountRefunded + refundAmount);
+
+    if (intent.amountRefunded >= intent.amount) {
+      intent.status = PAYMENT_STATUS.REFUNDED;
+    }
+
+    return {
+      refundId,
+      externalId,
+      status: PAYMENT_STATUS.SUCCEEDED,
+      amount: refundAmount,
+    };
+  }
+
+  async getStatus(externalId) {
+    return this.toResult(this.getIntent(externalId));
+  }
+
+  getWebhookSecret() {
+    const secret = process.env.MOCK_WEBHOOK_SECRET;
+
+    if (!secret) {
+      throw new CustomError(500, "MOCK_WEBHOOK_SECRET is not configured");
+    }
+
+    return secret;
+  }
+
+  // Signature header for a local test event, so events can be sent with curl
+  signWebhook(rawBody, timestamp) {
+    return signWebhookPayload(this.getWebhookSecret(), rawBody, timestamp);
+  }
+
+  // Events look like
+  // { id, type, data: { externalId, amount, failureCode, failureMessage } }
+  async parseWebhook(rawBody, headers = {}) {
+    verifyWebhookSignature({
+      secret: this.getWebhookSecret(),
+      payload: rawBody,
+      header: headers["x-mock-signature"],
+    });
+
+    let event;
+    try {
+      event = JSON.parse(rawBody);
+    } catch (error) {
+      throw new CustomError(400, "Invalid webhook payload");
+    }
+
+    const status = MOCK_EVENTS[event?.type];
+
+    if (!event.id || !status || !event.data?.externalId) {
+      throw new CustomError(400, "Unsupported webhook event");
+    }
+
+    // Keep the in-memory state in line with what the event reports
+    const intent = this.intents.get(event.data.externalId);
+    if (intent) {
+      intent.status = status;
+    }
+
+    return {
+      eventId: event.id,
+      type: event.type,
+      externalId: event.data.externalId,
+      status,
+      amount: event.data.amount,
+      failureCode: event.data.failureCode,
+      failureMessage: event.data.failureMessage,
+    };
+  }
+}
+
+module.exports = MockPaymentProvider;
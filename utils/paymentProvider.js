@@ -0,0 +1,160 @@
+// utils/paymentProvider.js
+const crypto = require("crypto");
+const CustomError = require("./customError");
+
+// Normalised payment states that every provider maps its own states onto
+const PAYMENT_STATUS = {
+  PENDING: "PENDING",
+  SUCCEEDED: "SUCCEEDED",
+  FAILED: "FAILED",
+  REFUNDED: "REFUNDED",
+};
+
+// Payment methods that are settled without a provider
+const OFFLINE_PAYMENT_METHODS = ["ADMIN_APPROVAL", "FREE_TRIAL"];
+
+// Signed webhooks older than this are rejected to stop replay attacks
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+// HMAC-SHA256 over "<timestamp>.<raw body>", hex encoded
+const computeWebhookSignature = (secret, timestamp, payload) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+
+// Signature header value for a payload, e.g. "t=1700000000,v1=ab12..."
+const signWebhookPayload = (
+  secret,
+  payload,
+  timestamp = Math.floor(Date.now() / 1000)
+) => `t=${timestamp},v1=${computeWebhookSignature(secret, timestamp, payload)}`;
+
+// Verify a "t=<unix seconds>,v1=<hex hmac>" signature header. Throws 401.
+const verifyWebhookSignature = ({ secret, payload, header }) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.trim().split("="))
+  );
+  const timestamp = parseInt(parts.t);
+
+  if (!timestamp || !parts.v1) {
+    throw new CustomError(401, "Missing webhook signature");
+  }
+
+  const age = Math.abs(Date.now() / 1000 - timestamp);
+  if (age > WEBHOOK_TOLERANCE_SECONDS) {
+    throw new CustomError(401, "Webhook signature has expired");
+  }
+
+  const expected = Buffer.from(
+    computeWebhookSignature(secret, timestamp, payload)
+  );
+  const received = Buffer.from(parts.v1);
+
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    throw new CustomError(401, "Invalid webhook signature");
+  }
+};
+
+/**
+ * Interface for payment gateways. Amounts are in major units (e.g. 12.5)
+ * with an ISO currency code, and every result carries a PAYMENT_STATUS.
+ * `reference` is our transactionId, so providers can make intents
+ * idempotent per transaction.
+ */
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // ({ amount, currency, reference, paymentMethodToken, customer })
+  //   -> { externalId, status }
+  async createIntent() {
+    throw this.notImplemented("createIntent");
+  }
+
+  // (externalId) -> { externalId, status, amount, failureCode, failureMessage }
+  async capture() {
+    throw this.notImplemented("capture");
+  }
+
+  // (externalId, { amount, reason }) -> { refundId, externalId, status, amount }
+  async refund() {
+    throw this.notImplemented("refund");
+  }
+
+  // (externalId) -> { externalId, status, amount, amountRefunded }
+  async getStatus() {
+    throw this.notImplemented("getStatus");
+  }
+
+  // (rawBody, headers)
+  //   -> { eventId, type, externalId, status, amount, failureCode,
+  //        failureMessage }
+  // Must verify the request signature and throw 401 when it does not match.
+  async parseWebhook() {
+    throw this.notImplemented("parseWebhook");
+  }
+
+  notImplemented(method) {
+    return new Error(
+      `${this.name} payment provider does not implement ${method}`
+    );
+  }
+}
+
+const providers = new Map();
+
+const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+const hasPaymentProvider = (name) => providers.has(name);
+
+// Environments where the in-memory mock gateway may take payments
+const MOCK_PROVIDER_ENVIRONMENTS = ["development", "test"];
+
+// The configured provider (PAYMENT_PROVIDER), or a named one. There is no
+// default: without a real gateway every online payment would go through
+// the mock one and succeed.
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    throw new CustomError(500, "PAYMENT_PROVIDER is not set");
+  }
+
+  if (
+    name === "mock" &&
+    !MOCK_PROVIDER_ENVIRONMENTS.includes(process.env.NODE_ENV)
+  ) {
+    throw new CustomError(
+      500,
+      `The mock payment provider is only available when NODE_ENV is ${MOCK_PROVIDER_ENVIRONMENTS.join(
+        " or "
+      )}`
+    );
+  }
+
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new CustomError(500, `Payment provider "${name}" is not configured`);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  PAYMENT_STATUS,
+  OFFLINE_PAYMENT_METHODS,
+  PaymentProvider,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  registerPaymentProvider,
+  hasPaymentProvider,
+  getPaymentProvider,
+};
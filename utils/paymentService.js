@@ -0,0 +1,481 @@
+// utils/paymentService.js
+const Transaction = require("../models/transaction");
+const Subscription = require("../models/subscription");
+const User = require("../models/user");
+const CustomError = require("./customError");
+const MockPaymentProvider = require("./mockPaymentProvider");
+const { releaseCoupon } = require("./couponService");
+const { postToLedger } = require("./ledger");
+const { getInvoiceAttachments } = require("./invoiceService");
+const { applyPlanChange } = require("./prorationService");
+const { sendSubscriptionApprovedEmail } = require("../config/emailService");
+const {
+  PAYMENT_STATUS,
+  OFFLINE_PAYMENT_METHODS,
+  registerPaymentProvider,
+  getPaymentProvider,
+} = require("./paymentProvider");
+
+registerPaymentProvider(new MockPaymentProvider());
+
+// Methods a customer can pick at checkout; FREE_TRIAL is only set by startTrial
+const CHECKOUT_PAYMENT_METHODS = Transaction.schema
+  .path("paymentMethod")
+  .enumValues.filter((method) => method !== "FREE_TRIAL");
+
+// Online methods are charged with the token the client got from the
+// provider; without one there is nothing to charge
+const assertPaymentMethodToken = (paymentMethod, paymentMethodToken) => {
+  if (
+    !OFFLINE_PAYMENT_METHODS.includes(paymentMethod) &&
+    (!paymentMethodToken || typeof paymentMethodToken !== "string")
+  ) {
+    throw new CustomError(
+      400,
+      `A paymentMethodToken is required to pay by ${paymentMethod}`
+    );
+  }
+};
+
+// Validate the payment method chosen at checkout
+const resolvePaymentMethod = (
+  paymentMethod = "ADMIN_APPROVAL",
+  paymentMethodToken
+) => {
+  if (!CHECKOUT_PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new CustomError(
+      400,
+      `Invalid payment method. Must be one of: ${CHECKOUT_PAYMENT_METHODS.join(
+        ", "
+      )}`
+    );
+  }
+
+  assertPaymentMethodToken(paymentMethod, paymentMethodToken);
+
+  return paymentMethod;
+};
+
+// Validate the payment method of a payment nobody reviews (self-service
+// plan changes, scheduled renewals): it has to go through the provider
+const resolveProviderPaymentMethod = (paymentMethod, paymentMethodToken) => {
+  const providerMethods = CHECKOUT_PAYMENT_METHODS.filter(
+    (method) => !OFFLINE_PAYMENT_METHODS.includes(method)
+  );
+
+  if (!providerMethods.includes(paymentMethod)) {
+    throw new CustomError(
+      400,
+      `This payment is charged online. Payment method must be one of: ${providerMethods.join(
+        ", "
+      )}`
+    );
+  }
+
+  assertPaymentMethodToken(paymentMethod, paymentMethodToken);
+
+  return paymentMethod;
+};
+
+// Whether a purchase has to be paid through the provider before it counts
+const requiresProviderPayment = (paymentMethod, amount) =>
+  !OFFLINE_PAYMENT_METHODS.includes(paymentMethod) && amount > 0;
+
+// Record a payment state change as a PAYMENT_* transaction linked to the
+// purchase it belongs to
+const logPaymentTransaction = async (purchase, type, status, extra = {}) => {
+  const paymentTransaction = await Transaction.create({
+    user: purchase.user,
+    subscription: purchase.subscription,
+    device: purchase.device,
+    transactionId: Transaction.generateTransactionId(),
+    type,
+    status,
+    amount: purchase.amount,
+    currency: purchase.currency,
+    fx: purchase.fx,
+    plan: purchase.plan,
+    paymentMethod: purchase.paymentMethod,
+    paymentProvider: purchase.paymentProvider,
+    previousTransaction: purchase._id,
+    completedAt: status === "COMPLETED" ? new Date() : undefined,
+    ...extra,
+  });
+
+  await Transaction.updateOne(
+    { _id: purchase._id },
+    { $push: { relatedTransactions: paymentTransaction._id } }
+  );
+
+  return paymentTransaction;
+};
+
+// A paid purchase no longer waits for an admin: it is approved the way an
+// admin approves one, and the user starts it on the onboarded device with a
+// device code (activateSubscription), at the duration of its plan version
+const approvePaidSubscription = async (subscription, transaction) => {
+  const now = new Date();
+
+  subscription.status = "QUEUED";
+  subscription.queuedAt = now;
+  subscription.reviewedAt = now;
+  subscription.adminNotes = "Approved automatically: payment received";
+  await subscription.save();
+
+  try {
+    const user = await User.findById(subscription.user).select("username");
+    await sendSubscriptionApprovedEmail(
+      subscription.email,
+      user?.username || "there",
+      subscription.plan,
+      subscription._id,
+      await getInvoiceAttachments(transaction)
+    );
+  } catch (emailError) {
+    console.error("Failed to send subscription approved email:", emailError);
+  }
+};
+
+// A paid renewal covers the subscription, so earlier failed renewals must
+// not be retried (and charged) by dunning any more
+const cancelSupersededRetries = async (renewal) => {
+  const superseded = await Transaction.find({
+    subscription: renewal.subscription,
+    type: "SUBSCRIPTION_RENEWAL",
+    status: "FAILED",
+    dunningStatus: { $in: [null, "SCHEDULED"] },
+    createdAt: { $lt: renewal.createdAt },
+  }).select("_id");
+
+  for (const { _id } of superseded) {
+    await Transaction.updateOne(
+      { _id },
+      { $set: { dunningStatus: "CANCELLED" }, $unset: { nextRetryAt: 1 } }
+    );
+    await releaseCoupon(_id);
+  }
+};
+
+// Side effects of a successful payment on the purchased subscription
+const fulfilPayment = async (transaction) => {
+  const subscription = await Subscription.findById(transaction.subscription);
+
+  if (!subscription) {
+    return;
+  }
+
+  subscription.totalPaid = (subscription.totalPaid || 0) + transaction.amount;
+
+  if (transaction.type === "SUBSCRIPTION_RENEWAL") {
+    await cancelSupersededRetries(transaction);
+
+    // The extension is only granted once the renewal has been paid for
+    subscription.planVersion = transaction.planVersion;
+    subscription.price = transaction.amount;
+    await subscription.renewSubscription(
+      transaction.plan,
+      transaction.subscriptionPeriod.duration,
+      transaction.transactionId
+    );
+    return;
+  }
+
+  if (transaction.type === "SUBSCRIPTION_UPGRADED") {
+    // The subscription moves to the new plan once the difference is paid,
+    // provided it is still where the quote left it. Otherwise (renewed,
+    // paused, cancelled, changed plan meanwhile) the price no longer holds
+    // and the payment is given back.
+    const { proration } = transaction;
+    const unchanged =
+      subscription.status === "ACTIVE" &&
+      subscription.plan === proration.fromPlan &&
+      subscription.endDate?.getTime() === proration.periodEnd.getTime();
+
+    if (!unchanged) {
+      // Required here: refundService depends on this module
+      const { refundUndeliverablePayment } = require("./refundService");
+      await refundUndeliverablePayment(
+        transaction,
+        "Subscription changed before the upgrade payment settled"
+      );
+      return;
+    }
+
+    applyPlanChange(subscription, transaction);
+    await subscription.save();
+    return;
+  }
+
+  subscription.paymentStatus = "PAID";
+
+  if (subscription.status === "PENDING") {
+    await approvePaidSubscription(subscription, transaction);
+  } else {
+    await subscription.save();
+  }
+};
+
+// Side effects of a failed payment: unpaid purchases are cancelled and any
+// coupon they used is given back. Failed renewals are left to dunning,
+// which releases the coupon if it gives up; a failed upgrade leaves the
+// subscription on its current plan.
+const failPayment = async (transaction) => {
+  if (
+    ["SUBSCRIPTION_RENEWAL", "SUBSCRIPTION_UPGRADED"].includes(
+      transaction.type
+    )
+  ) {
+    return;
+  }
+
+  await releaseCoupon(transaction._id);
+
+  const subscription = await Subscription.findById(transaction.subscription);
+
+  if (!subscription || subscription.paymentStatus === "PAID") {
+    return;
+  }
+
+  subscription.paymentStatus = "FAILED";
+  if (subscription.status === "PENDING") {
+    subscription.status = "CANCELLED";
+    subscription.adminNotes = "Cancelled automatically: payment failed";
+  }
+  await subscription.save();
+};
+
+// Note once that a purchase is waiting on the provider
+const logPendingPayment = async (purchase) => {
+  const alreadyLogged = await Transaction.exists({
+    previousTransaction: purchase._id,
+    type: "PAYMENT_PENDING",
+  });
+
+  if (!alreadyLogged) {
+    await logPaymentTransaction(purchase, "PAYMENT_PENDING", "PENDING");
+  }
+};
+
+// Settle a PENDING transaction from a provider result. Safe to call more
+// than once for the same payment: only the first call changes anything.
+// Dunning retries settle FAILED transactions by passing `from: "FAILED"`.
+const applyPaymentResult = async (
+  transaction,
+  result,
+  { from = "PENDING" } = {}
+) => {
+  let update;
+
+  if (result.status === PAYMENT_STATUS.SUCCEEDED) {
+    update = { status: "COMPLETED", completedAt: new Date() };
+  } else if (result.status === PAYMENT_STATUS.FAILED) {
+    update = {
+      status: "FAILED",
+      failedAt: new Date(),
+      errorDetails: {
+        code: result.failureCode || "payment_failed",
+        message: result.failureMessage || "Payment failed",
+      },
+    };
+  } else {
+    if (result.status === PAYMENT_STATUS.PENDING) {
+      await logPendingPayment(transaction);
+    }
+    return transaction;
+  }
+
+  // Claim the transaction atomically so concurrent settlement (e.g. capture
+  // and a webhook) cannot apply the side effects twice
+  const settled = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: from },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!settled) {
+    return Transaction.findById(transaction._id);
+  }
+
+  if (settled.status === "COMPLETED") {
+    await logPaymentTransaction(settled, "PAYMENT_COMPLETED", "COMPLETED");
+    await postToLedger(settled);
+    await fulfilPayment(settled);
+  } else {
+    await logPaymentTransaction(settled, "PAYMENT_FAILED", "FAILED", {
+      errorDetails: settled.errorDetails,
+    });
+    await failPayment(settled);
+  }
+
+  return settled;
+};
+
+// An admin approving an offline (ADMIN_APPROVAL) purchase confirms that it
+// was paid, so its PENDING purchase transaction completes here
+const confirmOfflinePayment = async (subscriptionId, adminId) => {
+  const now = new Date();
+  const purchase = await Transaction.findOneAndUpdate(
+    {
+      subscription: subscriptionId,
+      type: "SUBSCRIPTION_CREATED",
+      status: "PENDING",
+      paymentProvider: null,
+      previousTransaction: null,
+    },
+    {
+      $set: {
+        status: "COMPLETED",
+        completedAt: now,
+        processedBy: adminId,
+        processedAt: now,
+      },
+    },
+    { new: true }
+  );
+
+  if (purchase) {
+    await postToLedger(purchase);
+  }
+
+  return purchase;
+};
+
+// Apply a stored webhook event to the transaction it refers to. Settlement
+// is idempotent, so events can be replayed safely.
+const processPaymentEvent = async (event) => {
+  event.attempts = (event.attempts || 0) + 1;
+
+  try {
+    const transaction = await Transaction.findOne({
+      paymentProvider: event.provider,
+      externalTransactionId: event.externalId,
+    });
+
+    if (!transaction) {
+      event.processingStatus = "IGNORED";
+      event.lastError = "No transaction found for this payment";
+    } else if (event.status === PAYMENT_STATUS.REFUNDED) {
+      event.processingStatus = "IGNORED";
+      event.lastError = "Refund events are not handled";
+      event.transaction = transaction._id;
+    } else {
+      if (
+        event.amount !== undefined &&
+        event.amount !== null &&
+        event.amount !== transaction.amount
+      ) {
+        throw new Error(
+          `Amount mismatch: event ${event.amount}, ` +
+            `transaction ${transaction.amount}`
+        );
+      }
+
+      await applyPaymentResult(transaction, {
+        status: event.status,
+        failureCode: event.failureCode,
+        failureMessage: event.failureMessage,
+      });
+
+      event.processingStatus = "PROCESSED";
+      event.lastError = undefined;
+      event.transaction = transaction._id;
+    }
+
+    event.processedAt = new Date();
+  } catch (error) {
+    console.error(`❌ Failed to process payment event ${event.eventId}:`, error);
+    event.processingStatus = "FAILED";
+    event.lastError = error.message;
+  }
+
+  return await event.save();
+};
+
+// Charge a PENDING transaction through the configured provider
+const collectPayment = async (
+  transaction,
+  { paymentMethodToken, customer } = {}
+) => {
+  let result;
+
+  try {
+    // Resolved here so a configuration error settles the transaction as
+    // FAILED instead of leaving it PENDING
+    const provider = getPaymentProvider();
+    const intent = await provider.createIntent({
+      amount: transaction.amount,
+      currency: transaction.currency,
+      reference: transaction.transactionId,
+      paymentMethodToken,
+      customer,
+    });
+
+    await Transaction.updateOne(
+      { _id: transaction._id },
+      {
+        $set: {
+          paymentProvider: provider.name,
+          externalTransactionId: intent.externalId,
+        },
+      }
+    );
+    transaction.paymentProvider = provider.name;
+    transaction.externalTransactionId = intent.externalId;
+
+    result =
+      intent.status === PAYMENT_STATUS.PENDING
+        ? await provider.capture(intent.externalId)
+        : intent;
+  } catch (error) {
+    console.error(
+      `❌ Payment error for transaction ${transaction.transactionId}:`,
+      error
+    );
+    result = {
+      status: PAYMENT_STATUS.FAILED,
+      failureCode: "provider_error",
+      failureMessage: error.message,
+    };
+  }
+
+  const settled = await applyPaymentResult(transaction, result);
+
+  return { transaction: settled, result };
+};
+
+// Collect payment for a checkout; throws 402 when the payment is declined
+const collectPurchasePayment = async (transaction, options) => {
+  const payment = await collectPayment(transaction, options);
+
+  if (payment.result.status === PAYMENT_STATUS.FAILED) {
+    throw new CustomError(
+      402,
+      `Payment failed: ${payment.result.failureMessage || "declined"}`
+    );
+  }
+
+  return payment;
+};
+
+// Payment details returned to the client
+const toPaymentSummary = (transaction) => ({
+  method: transaction.paymentMethod,
+  provider: transaction.paymentProvider || null,
+  externalTransactionId: transaction.externalTransactionId || null,
+  status: transaction.status,
+});
+
+module.exports = {
+  PAYMENT_STATUS,
+  getPaymentProvider,
+  logPaymentTransaction,
+  resolvePaymentMethod,
+  resolveProviderPaymentMethod,
+  requiresProviderPayment,
+  applyPaymentResult,
+  confirmOfflinePayment,
+  processPaymentEvent,
+  collectPayment,
+  collectPurchasePayment,
+  toPaymentSummary,
+};
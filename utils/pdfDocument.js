@@ -0,0 +1,153 @@
+// utils/pdfDocument.js
+
+// Minimal PDF writer for generated documents such as invoices: A4 pages with
+// text in the standard Helvetica fonts and straight lines. Coordinates are in
+// points from the top-left corner of the page.
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Approximate Helvetica glyph widths (1/1000 em) for right-aligned text
+const GLYPH_WIDTHS = {
+  " ": 278,
+  ".": 278,
+  ",": 278,
+  ":": 278,
+  "-": 333,
+  "(": 333,
+  ")": 333,
+  "/": 278,
+  "%": 889,
+  i: 222,
+  l: 222,
+  j: 222,
+  t: 278,
+  f: 278,
+  r: 333,
+  I: 278,
+  m: 833,
+  w: 722,
+  M: 833,
+  W: 944,
+};
+
+const toLatin1 = (text) => String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+
+const escapeText = (text) =>
+  toLatin1(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+
+const glyphWidth = (char) => {
+  if (GLYPH_WIDTHS[char]) return GLYPH_WIDTHS[char];
+  if (/[A-Z]/.test(char)) return 667;
+  if (/[a-z]/.test(char)) return 500;
+  return 556; // digits and everything else
+};
+
+const textWidth = (text, size, bold) => {
+  const units = [...toLatin1(text)].reduce(
+    (sum, char) => sum + glyphWidth(char),
+    0
+  );
+  return (units * size * (bold ? 1.05 : 1)) / 1000;
+};
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+class PdfDocument {
+  constructor() {
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    return this;
+  }
+
+  // Options: size (pt), bold, align ("left" or "right" of x)
+  text(x, y, text, { size = 10, bold = false, align = "left" } = {}) {
+    const left = align === "right" ? x - textWidth(text, size, bold) : x;
+
+    this.page.push(
+      `BT /${bold ? "F2" : "F1"} ${size} Tf ` +
+        `${formatNumber(left)} ${formatNumber(PAGE_HEIGHT - y)} Td ` +
+        `(${escapeText(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.page.push(
+      `${width} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ` +
+        `${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`
+    );
+    return this;
+  }
+
+  // Serialise to a PDF 1.4 file
+  toBuffer() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalog = addObject(null);
+    const pagesObject = addObject(null);
+    const regular = addObject(
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica " +
+        "/Encoding /WinAnsiEncoding >>"
+    );
+    const bold = addObject(
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold " +
+        "/Encoding /WinAnsiEncoding >>"
+    );
+
+    const pageRefs = this.pages.map((commands) => {
+      const stream = commands.join("\n");
+      const content = addObject(
+        `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\n` +
+          `stream\n${stream}\nendstream`
+      );
+
+      return addObject(
+        `<< /Type /Page /Parent ${pagesObject} 0 R ` +
+          `/MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> ` +
+          `/Contents ${content} 0 R >>`
+      );
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObject} 0 R >>`;
+    const kids = pageRefs.map((ref) => `${ref} 0 R`).join(" ");
+    objects[pagesObject - 1] =
+      `<< /Type /Pages /Kids [${kids}] /Count ${pageRefs.length} >>`;
+
+    let output = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, "latin1");
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, "latin1");
+    output +=
+      `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+      offsets
+        .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+        .join("") +
+      `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\n` +
+      `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, "latin1");
+  }
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  PdfDocument,
+};
@@ -0,0 +1,185 @@
+// utils/permissions.js
+const Role = require("../models/role");
+
+// Every permission that can be granted to an admin
+const PERMISSIONS = {
+  DASHBOARD_VIEW: "dashboard.view",
+  SUBSCRIPTIONS_VIEW: "subscriptions.view",
+  SUBSCRIPTIONS_APPROVE: "subscriptions.approve",
+  SUBSCRIPTIONS_MANAGE: "subscriptions.manage",
+  TRANSACTIONS_VIEW: "transactions.view",
+  TRANSACTIONS_MANAGE: "transactions.manage",
+  TRANSACTIONS_EXPORT: "transactions.export",
+  REPORTS_VIEW: "reports.view",
+  PLANS_MANAGE: "plans.manage",
+  COUPONS_MANAGE: "coupons.manage",
+  TAXES_MANAGE: "taxes.manage",
+  CURRENCIES_MANAGE: "currencies.manage",
+  USERS_MANAGE: "users.manage",
+  ROLES_MANAGE: "roles.manage",
+  AUDIT_VIEW: "audit.view",
+  JOBS_RUN: "jobs.run",
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// What an admin without an assigned role could already do before roles
+// existed, so existing admin accounts keep working
+const BASE_ADMIN_PERMISSIONS = [
+  PERMISSIONS.DASHBOARD_VIEW,
+  PERMISSIONS.SUBSCRIPTIONS_VIEW,
+  PERMISSIONS.SUBSCRIPTIONS_MANAGE,
+  PERMISSIONS.TRANSACTIONS_VIEW,
+  PERMISSIONS.TRANSACTIONS_MANAGE,
+  PERMISSIONS.TRANSACTIONS_EXPORT,
+  PERMISSIONS.REPORTS_VIEW,
+];
+
+// Legacy adminInfo flags and the permissions they grant
+const ADMIN_INFO_FLAG_PERMISSIONS = {
+  canApproveSubscriptions: [PERMISSIONS.SUBSCRIPTIONS_APPROVE],
+  canViewAnalytics: [PERMISSIONS.REPORTS_VIEW, PERMISSIONS.DASHBOARD_VIEW],
+  canManageUsers: [PERMISSIONS.USERS_MANAGE],
+};
+
+// Built-in role templates. Assigning one sets the user's adminInfo flags too.
+const ROLE_TEMPLATES = [
+  {
+    name: "support",
+    description: "Read-only access to subscriptions and transactions",
+    permissions: [
+      PERMISSIONS.DASHBOARD_VIEW,
+      PERMISSIONS.SUBSCRIPTIONS_VIEW,
+      PERMISSIONS.TRANSACTIONS_VIEW,
+    ],
+    adminInfo: {
+      accessLevel: 1,
+      canApproveSubscriptions: false,
+      canViewAnalytics: false,
+      canManageUsers: false,
+      maxApprovalAmount: 0,
+    },
+  },
+  {
+    name: "approver",
+    description: "Reviews, approves and queues subscriptions",
+    permissions: [
+      PERMISSIONS.DASHBOARD_VIEW,
+      PERMISSIONS.SUBSCRIPTIONS_VIEW,
+      PERMISSIONS.SUBSCRIPTIONS_APPROVE,
+      PERMISSIONS.SUBSCRIPTIONS_MANAGE,
+      PERMISSIONS.TRANSACTIONS_VIEW,
+    ],
+    adminInfo: {
+      accessLevel: 2,
+      canApproveSubscriptions: true,
+      canViewAnalytics: false,
+      canManageUsers: false,
+      maxApprovalAmount: 500,
+    },
+  },
+  {
+    name: "finance",
+    description: "Manages transactions and financial reporting",
+    permissions: [
+      PERMISSIONS.DASHBOARD_VIEW,
+      PERMISSIONS.TRANSACTIONS_VIEW,
+      PERMISSIONS.TRANSACTIONS_MANAGE,
+      PERMISSIONS.TRANSACTIONS_EXPORT,
+      PERMISSIONS.REPORTS_VIEW,
+      PERMISSIONS.TAXES_MANAGE,
+      PERMISSIONS.CURRENCIES_MANAGE,
+    ],
+    adminInfo: {
+      accessLevel: 2,
+      canApproveSubscriptions: false,
+      canViewAnalytics: true,
+      canManageUsers: false,
+      maxApprovalAmount: 0,
+    },
+  },
+  {
+    name: "manager",
+    description: "Full day-to-day administration including user management",
+    permissions: [
+      PERMISSIONS.DASHBOARD_VIEW,
+      PERMISSIONS.SUBSCRIPTIONS_VIEW,
+      PERMISSIONS.SUBSCRIPTIONS_APPROVE,
+      PERMISSIONS.SUBSCRIPTIONS_MANAGE,
+      PERMISSIONS.TRANSACTIONS_VIEW,
+      PERMISSIONS.TRANSACTIONS_MANAGE,
+      PERMISSIONS.TRANSACTIONS_EXPORT,
+      PERMISSIONS.REPORTS_VIEW,
+      PERMISSIONS.PLANS_MANAGE,
+      PERMISSIONS.COUPONS_MANAGE,
+      PERMISSIONS.TAXES_MANAGE,
+      PERMISSIONS.CURRENCIES_MANAGE,
+      PERMISSIONS.USERS_MANAGE,
+    ],
+    adminInfo: {
+      accessLevel: 5,
+      canApproveSubscriptions: true,
+      canViewAnalytics: true,
+      canManageUsers: true,
+      maxApprovalAmount: 5000,
+    },
+  },
+];
+
+// Create any missing built-in roles (existing ones are left untouched)
+const ensureRoleTemplates = async () => {
+  for (const template of ROLE_TEMPLATES) {
+    await Role.updateOne(
+      { name: template.name },
+      { $setOnInsert: { ...template, isSystem: true } },
+      { upsert: true }
+    );
+  }
+};
+
+const getRoleDefinition = async (roleName) => {
+  const role = await Role.findOne({ name: roleName }).lean();
+  return role || ROLE_TEMPLATES.find((t) => t.name === roleName) || null;
+};
+
+// Effective permissions for a (plain, lean-loaded) user object
+const resolveUserPermissions = async (user) => {
+  if (!user) {
+    return [];
+  }
+
+  if (user.role === "super_admin") {
+    return ALL_PERMISSIONS;
+  }
+
+  if (user.role !== "admin") {
+    return [];
+  }
+
+  const permissions = new Set(user.permissions || []);
+
+  if (user.adminRole) {
+    const role = await getRoleDefinition(user.adminRole);
+    (role?.permissions || []).forEach((p) => permissions.add(p));
+  } else {
+    BASE_ADMIN_PERMISSIONS.forEach((p) => permissions.add(p));
+  }
+
+  for (const [flag, granted] of Object.entries(ADMIN_INFO_FLAG_PERMISSIONS)) {
+    if (user.adminInfo?.[flag]) {
+      granted.forEach((p) => permissions.add(p));
+    }
+  }
+
+  return [...permissions];
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ADMIN_INFO_FLAG_PERMISSIONS,
+  ROLE_TEMPLATES,
+  ensureRoleTemplates,
+  getRoleDefinition,
+  resolveUserPermissions,
+};
@@ -0,0 +1,284 @@
+// utils/planCatalog.js
+const Plan = require("../models/plan");
+const CustomError = require("./customError");
+
+// Seed data for an empty catalog - the collection is the source of truth
+const DEFAULT_PLANS = [
+  {
+    planId: "mobile-v4-basic",
+    name: "Mobile V4 Basic",
+    price: 1249.99,
+    duration: 30,
+    features: [
+      "Basic mobile encryption",
+      "30-day subscription",
+      "Standard support",
+      "Single device",
+    ],
+    category: "mobile",
+    productVersion: "v4",
+    tier: "basic",
+    sortOrder: 1,
+  },
+  {
+    planId: "mobile-v4-premium",
+    name: "Mobile V4 Premium",
+    price: 1425.49,
+    duration: 60,
+    features: [
+      "Premium mobile encryption",
+      "60-day subscription",
+      "Priority support",
+      "Single device",
+      "Advanced security features",
+    ],
+    category: "mobile",
+    productVersion: "v4",
+    tier: "premium",
+    sortOrder: 2,
+  },
+  {
+    planId: "mobile-v4-enterprise",
+    name: "Mobile V4 Enterprise",
+    price: 1999.99,
+    duration: 90,
+    features: [
+      "Enterprise mobile encryption",
+      "90-day subscription",
+      "24/7 support",
+      "Single device",
+      "Advanced security features",
+      "Custom configuration",
+    ],
+    category: "mobile",
+    productVersion: "v4",
+    tier: "enterprise",
+    sortOrder: 3,
+  },
+  {
+    planId: "mobile-v5-basic",
+    name: "Mobile V5 Basic",
+    price: 2395.49,
+    duration: 30,
+    features: [
+      "Latest mobile encryption",
+      "30-day subscription",
+      "Standard support",
+      "Single device",
+      "Enhanced security",
+    ],
+    category: "mobile",
+    productVersion: "v5",
+    tier: "basic",
+    sortOrder: 4,
+  },
+  {
+    planId: "mobile-v5-premium",
+    name: "Mobile V5 Premium",
+    price: 2629.99,
+    duration: 60,
+    features: [
+      "Latest premium mobile encryption",
+      "60-day subscription",
+      "Priority support",
+      "Single device",
+      "Advanced security features",
+      "Real-time monitoring",
+    ],
+    category: "mobile",
+    productVersion: "v5",
+    tier: "premium",
+    sortOrder: 5,
+  },
+  {
+    planId: "full-suite-basic",
+    name: "Full Suite Basic",
+    price: 2789.99,
+    duration: 60,
+    features: [
+      "Complete encryption suite",
+      "60-day subscription",
+      "Standard support",
+      "Multi-platform support",
+      "Basic analytics",
+    ],
+    category: "full-suite",
+    productVersion: "latest",
+    tier: "basic",
+    sortOrder: 6,
+  },
+  {
+    planId: "full-suite-premium",
+    name: "Full Suite Premium",
+    price: 3145.49,
+    duration: 90,
+    features: [
+      "Complete premium encryption suite",
+      "90-day subscription",
+      "24/7 priority support",
+      "Multi-platform support",
+      "Advanced analytics",
+      "Custom integrations",
+      "Dedicated account manager",
+    ],
+    category: "full-suite",
+    productVersion: "latest",
+    tier: "premium",
+    sortOrder: 7,
+  },
+];
+
+// Insert any default plans that are missing (existing plans are untouched)
+const ensureDefaultPlans = async () => {
+  for (const plan of DEFAULT_PLANS) {
+    await Plan.updateOne(
+      { planId: plan.planId },
+      { $setOnInsert: plan },
+      { upsert: true }
+    );
+  }
+
+  // Plans created before versioning get their current terms as version 1
+  await Plan.updateMany({ "versions.0": { $exists: false } }, [
+    {
+      $set: {
+        version: 1,
+        versions: [
+          {
+            version: 1,
+            price: "$price",
+            currency: "$currency",
+            duration: "$duration",
+            renewalPricing: "GRANDFATHERED",
+            effectiveFrom: "$createdAt",
+            supersededAt: null,
+          },
+        ],
+      },
+    },
+  ]);
+};
+
+// Look up a plan. By default only purchasable (active) plans are returned;
+// pass includeInactive for existing subscriptions on retired plans.
+const getPlan = async (planId, { includeInactive = false } = {}) => {
+  const filter = { planId };
+  if (!includeInactive) filter.isActive = true;
+
+  const plan = planId ? await Plan.findOne(filter).lean() : null;
+
+  if (!plan) {
+    throw new CustomError(400, `Unknown subscription plan: ${planId}`);
+  }
+
+  return plan;
+};
+
+const listPlans = async ({ includeInactive = false } = {}) => {
+  const filter = includeInactive ? {} : { isActive: true };
+  return await Plan.find(filter).sort({ sortOrder: 1, planId: 1 }).lean();
+};
+
+const getSubscriptionPrice = async (planId) => {
+  const plan = await getPlan(planId, { includeInactive: true });
+  return plan.price;
+};
+
+// Price of a plan or plan version in `currency`, or its base price when it
+// is not priced in that currency. Returns { price, currency }.
+const priceIn = (terms, currency) => {
+  const price =
+    currency &&
+    currency !== terms.currency &&
+    (terms.prices || []).find((p) => p.currency === currency);
+
+  return price
+    ? { price: price.price, currency: price.currency }
+    : { price: terms.price, currency: terms.currency };
+};
+
+const getPlanPrice = async (planId, currency) => {
+  const plan = await getPlan(planId, { includeInactive: true });
+  return priceIn(plan, currency);
+};
+
+// Duration in days
+// Length of a plan's period in days. Subscriptions pinned to a plan version
+// pass it to get that version's duration.
+const getSubscriptionDuration = async (planId, version = null) => {
+  const plan = await getPlan(planId, { includeInactive: true });
+  const pinned =
+    version && (plan.versions || []).find((v) => v.version === version);
+
+  return pinned ? pinned.duration : plan.duration;
+};
+
+// Terms a subscription renews at on a plan (a plan object from the catalog).
+// Renewing the same plan honours the version the subscription was sold
+// under when that version is grandfathered; anything else is current pricing.
+// Prices are in `currency` where the terms offer it.
+const resolveRenewalTerms = (subscription, plan, currency) => {
+  const current = {
+    planId: plan.planId,
+    version: plan.version || 1,
+    ...priceIn(plan, currency),
+    duration: plan.duration,
+    pricing: "CURRENT",
+  };
+
+  if (plan.planId !== subscription.plan) {
+    return current;
+  }
+
+  // Subscriptions sold before versioning were sold under version 1
+  const pinnedVersion = subscription.planVersion || 1;
+  const pinned = (plan.versions || []).find((v) => v.version === pinnedVersion);
+
+  if (!pinned || pinned.renewalPricing !== "GRANDFATHERED") {
+    return current;
+  }
+
+  return {
+    planId: plan.planId,
+    version: pinned.version,
+    ...priceIn(pinned, currency),
+    duration: pinned.duration,
+    pricing: pinned.version === current.version ? "CURRENT" : "GRANDFATHERED",
+  };
+};
+
+// Switching to another plan requires it to be on sale; a subscriber may keep
+// renewing a retired plan they already have
+const getRenewalTerms = async (
+  subscription,
+  planId = subscription.plan,
+  currency = null
+) => {
+  const plan = await getPlan(planId, {
+    includeInactive: planId === subscription.plan,
+  });
+
+  return resolveRenewalTerms(subscription, plan, currency);
+};
+
+// Pause limits of a plan. Plans saved before pausing existed get the
+// schema defaults.
+const getPauseLimits = (plan) => ({
+  maxPauses: plan.maxPauses ?? Plan.schema.path("maxPauses").defaultValue,
+  maxPauseDays:
+    plan.maxPauseDays ?? Plan.schema.path("maxPauseDays").defaultValue,
+});
+
+module.exports = {
+  DEFAULT_PLANS,
+  ensureDefaultPlans,
+  getPlan,
+  listPlans,
+  getSubscriptionPrice,
+  priceIn,
+  getPlanPrice,
+  getSubscriptionDuration,
+  resolveRenewalTerms,
+  getRenewalTerms,
+  getPauseLimits,
+};
@@ -0,0 +1,324 @@
+// utils/prorationService.js
+const Transaction = require("../models/transaction");
+const CustomError = require("./customError");
+const { SALE_TYPES } = require("./ledger");
+const { getPlan, priceIn } = require("./planCatalog");
+const { getExchangeRate } = require("./currencyService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PLAN_CHANGE_TYPES = ["SUBSCRIPTION_UPGRADED", "SUBSCRIPTION_DOWNGRADED"];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Days are counted in UTC, as in revenue recognition: the day a period
+// starts is the first day of service
+const dayIndex = (date) => Math.floor(new Date(date).getTime() / DAY_MS);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Price a payment was charged at, i.e. its amount without the tax added on
+// top. Included taxes are part of the price.
+const pricePaid = (payment) =>
+  payment.amount -
+  (payment.taxLines || [])
+    .filter((line) => !line.included)
+    .reduce((sum, line) => sum + line.amount, 0);
+
+// Share of a payment that has not been refunded
+const unrefundedShare = (payment) =>
+  payment.amount
+    ? Math.max(0, 1 - (payment.refundedAmount || 0) / payment.amount)
+    : 1;
+
+/**
+ * A pause pushes back the days of a period that were still to come, so a
+ * period paid for before a pause is served in two parts around it. Pauses
+ * before the payment are already in its dates.
+ */
+const splitAroundPauses = (period, pauses) => {
+  let segments = [
+    { ...period, start: new Date(period.start), end: new Date(period.end) },
+  ];
+
+  for (const { pausedAt, resumedAt } of pauses) {
+    if (pausedAt < period.recordedAt) {
+      continue;
+    }
+
+    const pausedMs = resumedAt - pausedAt;
+    const shift = (date) => new Date(date.getTime() + pausedMs);
+
+    segments = segments.flatMap((segment) => {
+      if (segment.end <= pausedAt) {
+        return [segment];
+      }
+      if (segment.start >= pausedAt) {
+        return [
+          { ...segment, start: shift(segment.start), end: shift(segment.end) },
+        ];
+      }
+
+      const servedShare =
+        (pausedAt - segment.start) / (segment.end - segment.start);
+      return [
+        { ...segment, end: pausedAt, value: segment.value * servedShare },
+        {
+          ...segment,
+          start: resumedAt,
+          end: shift(segment.end),
+          value: segment.value * (1 - servedShare),
+        },
+      ];
+    });
+  }
+
+  return segments;
+};
+
+/**
+ * What the subscription's remaining service was paid for, as periods with a
+ * value each:
+ *   - every paid purchase, renewal and plan change, over its service period
+ *     less any pauses since
+ *   - for subscriptions sold before transactions were kept, the current
+ *     price over the last plan duration
+ * Values are converted to `currency` at the rate each payment was made at.
+ */
+const loadPaidPeriods = async (subscription, currency, session = null) => {
+  const payments = await Transaction.find({
+    subscription: subscription._id,
+    type: { $in: SALE_TYPES },
+    status: { $in: ["COMPLETED", "REFUNDED"] },
+    previousTransaction: null,
+  })
+    .session(session)
+    .lean();
+
+  const { rate } = await getExchangeRate(currency);
+  const convert = async (amount, payment) => {
+    if (payment.currency === currency) {
+      return amount;
+    }
+    const paymentRate =
+      payment.fx?.rate || (await getExchangeRate(payment.currency)).rate;
+    return (amount * rate) / paymentRate;
+  };
+
+  const periods = [];
+
+  for (const payment of payments) {
+    if (PLAN_CHANGE_TYPES.includes(payment.type) && payment.proration) {
+      // A plan change carries the value of the new plan for the days it
+      // covers, whether paid in cash or with credit from the old plan
+      periods.push({
+        start: payment.proration.periodStart,
+        end: payment.proration.periodEnd,
+        value: await convert(
+          payment.proration.newPlanCharge * unrefundedShare(payment),
+          payment
+        ),
+        recordedAt: payment.completedAt || payment.createdAt,
+      });
+    } else if (payment.amount > 0) {
+      const period = payment.subscriptionPeriod || {};
+      const start =
+        payment.type === "SUBSCRIPTION_CREATED" || !period.startDate
+          ? subscription.startDate
+          : period.startDate;
+      const duration =
+        period.duration ||
+        (await getPlan(payment.plan, { includeInactive: true })).duration;
+
+      if (!start) {
+        continue;
+      }
+
+      periods.push({
+        start,
+        end: period.endDate || addDays(new Date(start), duration),
+        value: await convert(
+          pricePaid(payment) * unrefundedShare(payment),
+          payment
+        ),
+        recordedAt: payment.completedAt || payment.createdAt,
+      });
+    }
+  }
+
+  const pauses = [...(subscription.pauseHistory || [])].sort(
+    (a, b) => a.pausedAt - b.pausedAt
+  );
+  const served = periods.flatMap((period) =>
+    splitAroundPauses(period, pauses)
+  );
+
+  // The current end date already includes any pauses
+  if (served.length === 0 && subscription.price > 0 && subscription.endDate) {
+    const { duration } = await getPlan(subscription.plan, {
+      includeInactive: true,
+    });
+    served.push({
+      start: addDays(subscription.endDate, -duration),
+      end: subscription.endDate,
+      value: await convert(subscription.price, subscription),
+      recordedAt: subscription.createdAt,
+    });
+  }
+
+  return served;
+};
+
+/**
+ * Value of the service left from `at` on, crediting each paid period by day.
+ * Where periods overlap the latest one wins: a plan change replaces what the
+ * days it covers were worth before.
+ */
+const unusedValue = (periods, at) => {
+  let uncovered = [[dayIndex(at), Infinity]];
+  let value = 0;
+
+  const latestFirst = [...periods].sort((a, b) => b.recordedAt - a.recordedAt);
+
+  for (const period of latestFirst) {
+    const start = dayIndex(period.start);
+    const end = dayIndex(period.end);
+    const dailyValue = period.value / Math.max(1, end - start);
+    const remaining = [];
+
+    for (const [from, to] of uncovered) {
+      const overlapFrom = Math.max(from, start);
+      const overlapTo = Math.min(to, end);
+
+      if (overlapTo <= overlapFrom) {
+        remaining.push([from, to]);
+        continue;
+      }
+
+      value += dailyValue * (overlapTo - overlapFrom);
+      if (from < overlapFrom) remaining.push([from, overlapFrom]);
+      if (overlapTo < to) remaining.push([overlapTo, to]);
+    }
+
+    uncovered = remaining;
+  }
+
+  return roundAmount(value);
+};
+
+// Unused value of a subscription at `at`, in `currency` (the subscription's
+// own by default)
+const getUnusedValue = async (
+  subscription,
+  { at = new Date(), currency = subscription.currency || "USD", session } = {}
+) => {
+  const periods = await loadPaidPeriods(subscription, currency, session);
+  return unusedValue(periods, at);
+};
+
+/**
+ * Prorated switch of an active subscription to `newPlan` at `at`. The unused
+ * value of the current plan is credited by day against the new plan's price
+ * for the same days:
+ *   unusedCredit   what the days left are worth on the current plan
+ *   newPlanCharge  what the same days cost on the new plan
+ *   amountDue      newPlanCharge - unusedCredit, before tax
+ * A negative amountDue is a downgrade; its credit buys `creditDays` of the
+ * new plan instead of being paid out, moving the end date (periodEnd).
+ */
+const quotePlanChange = async ({
+  subscription,
+  newPlan,
+  at = new Date(),
+  session = null,
+}) => {
+  if (subscription.status !== "ACTIVE" || !subscription.endDate) {
+    throw new CustomError(400, "Only active subscriptions can change plan");
+  }
+
+  if (newPlan === subscription.plan) {
+    throw new CustomError(400, "The subscription is already on this plan");
+  }
+
+  const plan = await getPlan(newPlan);
+  const { price, currency } = priceIn(plan, subscription.currency);
+  const dailyPrice = price / plan.duration;
+
+  const remainingDays = Math.max(
+    0,
+    dayIndex(subscription.endDate) - dayIndex(at)
+  );
+  if (remainingDays === 0) {
+    throw new CustomError(
+      400,
+      "The subscription ends today; renew it on the new plan instead"
+    );
+  }
+
+  const unusedCredit = await getUnusedValue(subscription, {
+    at,
+    currency,
+    session,
+  });
+  let newPlanCharge = roundAmount(dailyPrice * remainingDays);
+  let periodEnd = subscription.endDate;
+  let creditDays = null;
+
+  if (newPlanCharge < unusedCredit) {
+    creditDays = dailyPrice > 0 ? Math.floor(unusedCredit / dailyPrice) : 0;
+    newPlanCharge = roundAmount(dailyPrice * creditDays);
+    periodEnd = addDays(at, creditDays);
+  }
+
+  return {
+    fromPlan: subscription.plan,
+    toPlan: plan.planId,
+    planVersion: plan.version || 1,
+    planPrice: price,
+    currency,
+    periodStart: at,
+    periodEnd,
+    remainingDays,
+    unusedCredit,
+    newPlanCharge,
+    amountDue: roundAmount(Math.max(0, newPlanCharge - unusedCredit)),
+    creditDays,
+  };
+};
+
+// Whether a quote moves to a more expensive plan (something to pay)
+const isUpgrade = (quote) => quote.creditDays === null;
+
+// Proration details for API responses
+const toProrationSummary = (quote) => ({
+  fromPlan: quote.fromPlan,
+  toPlan: quote.toPlan,
+  currency: quote.currency,
+  remainingDays: quote.remainingDays,
+  unusedCredit: quote.unusedCredit,
+  newPlanCharge: quote.newPlanCharge,
+  amountDue: quote.amountDue,
+  creditDays: quote.creditDays,
+  newEndDate: quote.periodEnd,
+});
+
+// Put a subscription on the plan of a completed plan change transaction
+const applyPlanChange = (subscription, transaction) => {
+  const { proration } = transaction;
+
+  subscription.plan = transaction.plan;
+  subscription.planVersion = transaction.planVersion;
+  subscription.price = proration.planPrice;
+  subscription.currency = transaction.currency;
+  subscription.endDate = proration.periodEnd;
+};
+
+module.exports = {
+  PLAN_CHANGE_TYPES,
+  splitAroundPauses,
+  getUnusedValue,
+  quotePlanChange,
+  isUpgrade,
+  toProrationSummary,
+  applyPlanChange,
+};
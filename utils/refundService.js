@@ -0,0 +1,360 @@
+// utils/refundService.js
+const Transaction = require("../models/transaction");
+const Subscription = require("../models/subscription");
+const CustomError = require("./customError");
+const { getPaymentProvider } = require("./paymentService");
+const { postToLedger } = require("./ledger");
+const { refundTax } = require("./taxService");
+
+// Refunds above this amount need a super admin to approve them
+const REFUND_APPROVAL_THRESHOLD =
+  parseFloat(process.env.REFUND_APPROVAL_THRESHOLD) || 100;
+
+// Payments a refund can be issued against. Activation rows only repeat the
+// amount of the purchase they belong to, so they are not refundable.
+const REFUNDABLE_TYPES = [
+  "SUBSCRIPTION_CREATED",
+  "SUBSCRIPTION_RENEWAL",
+  "SUBSCRIPTION_UPGRADED",
+];
+
+const SUBSCRIPTION_ACTIONS = ["NONE", "CANCEL", "SHORTEN"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Amount still refundable on a payment, counting refunds awaiting approval
+const getRefundableAmount = async (payment) => {
+  const [pending] = await Transaction.aggregate([
+    {
+      $match: {
+        previousTransaction: payment._id,
+        type: "SUBSCRIPTION_REFUNDED",
+        status: "PENDING",
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+
+  return roundAmount(
+    payment.amount - (payment.refundedAmount || 0) - (pending?.total || 0)
+  );
+};
+
+// Cancel or shorten the subscription a refund was issued for
+const applySubscriptionAction = async (payment, refundTransaction) => {
+  const { subscriptionAction, shortenByDays } = refundTransaction.refund;
+
+  if (!subscriptionAction || subscriptionAction === "NONE") {
+    return null;
+  }
+
+  const subscription = await Subscription.findById(payment.subscription);
+
+  if (!subscription) {
+    return null;
+  }
+
+  const now = new Date();
+
+  if (subscriptionAction === "CANCEL") {
+    subscription.status = "CANCELLED";
+    if (!subscription.endDate || subscription.endDate > now) {
+      subscription.endDate = now;
+    }
+  } else if (subscription.endDate) {
+    subscription.endDate = new Date(
+      subscription.endDate.getTime() - shortenByDays * DAY_MS
+    );
+
+    // Nothing left of the period: the daily job would expire it anyway
+    if (subscription.status === "ACTIVE" && subscription.endDate <= now) {
+      subscription.status = "EXPIRED";
+    }
+  }
+
+  subscription.adminNotes = `${subscription.adminNotes || ""} Refund ${
+    refundTransaction.transactionId
+  }: ${refundTransaction.refund.reason}`.trim();
+
+  return await subscription.save();
+};
+
+// Pay out an approved refund through the original provider (if any), then
+// update the payment and the subscription
+const executeRefund = async (payment, refundTransaction) => {
+  // Reserve the amount first so concurrent refunds cannot exceed the payment
+  const reserved = await Transaction.findOneAndUpdate(
+    {
+      _id: payment._id,
+      refundedAmount: {
+        $lte: roundAmount(payment.amount - refundTransaction.amount),
+      },
+    },
+    { $inc: { refundedAmount: refundTransaction.amount } },
+    { new: true }
+  );
+
+  if (!reserved) {
+    refundTransaction.status = "FAILED";
+    refundTransaction.errorDetails = {
+      code: "refund_exceeds_payment",
+      message: "Refund exceeds the refundable amount",
+    };
+    await refundTransaction.save();
+
+    throw new CustomError(400, "Refund exceeds the refundable amount");
+  }
+
+  if (payment.paymentProvider && payment.externalTransactionId) {
+    try {
+      const provider = getPaymentProvider(payment.paymentProvider);
+      const result = await provider.refund(payment.externalTransactionId, {
+        amount: refundTransaction.amount,
+        reason: refundTransaction.refund.reason,
+      });
+
+      refundTransaction.paymentProvider = provider.name;
+      refundTransaction.externalTransactionId = result.refundId;
+    } catch (error) {
+      await Transaction.updateOne(
+        { _id: payment._id },
+        { $inc: { refundedAmount: -refundTransaction.amount } }
+      );
+
+      refundTransaction.status = "FAILED";
+      refundTransaction.errorDetails = {
+        code: "refund_failed",
+        message: error.message,
+      };
+      await refundTransaction.save();
+
+      throw new CustomError(502, `Refund failed: ${error.message}`);
+    }
+  }
+
+  refundTransaction.status = "COMPLETED";
+  refundTransaction.completedAt = new Date();
+  await refundTransaction.save();
+  await postToLedger(refundTransaction);
+
+  const fullyRefunded = reserved.refundedAmount >= reserved.amount;
+  if (fullyRefunded) {
+    reserved.status = "REFUNDED";
+    await reserved.save();
+  }
+
+  const subscription = await applySubscriptionAction(
+    reserved,
+    refundTransaction
+  );
+
+  // Only refunding the purchase itself makes the subscription unpaid
+  if (fullyRefunded && reserved.type === "SUBSCRIPTION_CREATED") {
+    await Subscription.updateOne(
+      { _id: reserved.subscription },
+      { $set: { paymentStatus: "REFUNDED" } }
+    );
+  }
+
+  return { payment: reserved, refund: refundTransaction, subscription };
+};
+
+// Create a refund against a payment. Refunds that take the payment's total
+// refunds over the threshold, requested by anyone but a super admin, wait in
+// PENDING for approval.
+const requestRefund = async ({
+  payment,
+  amount,
+  reason,
+  subscriptionAction = "NONE",
+  shortenByDays,
+  admin,
+}) => {
+  if (!REFUNDABLE_TYPES.includes(payment.type)) {
+    throw new CustomError(
+      400,
+      `${payment.type} transactions cannot be refunded`
+    );
+  }
+
+  if (payment.status !== "COMPLETED") {
+    throw new CustomError(400, "Only completed payments can be refunded");
+  }
+
+  if (!reason) {
+    throw new CustomError(400, "A refund reason is required");
+  }
+
+  if (!SUBSCRIPTION_ACTIONS.includes(subscriptionAction)) {
+    throw new CustomError(
+      400,
+      `subscriptionAction must be one of: ${SUBSCRIPTION_ACTIONS.join(", ")}`
+    );
+  }
+
+  const refundable = await getRefundableAmount(payment);
+  const refundAmount =
+    amount === undefined ? refundable : roundAmount(parseFloat(amount));
+
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    throw new CustomError(
+      400,
+      `Refund amount must be greater than 0 and at most ${refundable}`
+    );
+  }
+
+  // Shorten pro rata to the share of the payment being refunded by default
+  let shortenDays;
+  if (subscriptionAction === "SHORTEN") {
+    const periodDays = payment.subscriptionPeriod?.duration || 0;
+    shortenDays =
+      shortenByDays !== undefined
+        ? parseInt(shortenByDays)
+        : Math.floor((periodDays * refundAmount) / payment.amount);
+
+    if (!(shortenDays > 0)) {
+      throw new CustomError(
+        400,
+        "shortenByDays must be a positive number of days"
+      );
+    }
+  }
+
+  // The threshold applies to everything refunded on the payment, so a large
+  // refund cannot be split into several small ones to skip approval.
+  // Refunded and pending amounts are what is no longer refundable.
+  const totalRefund = roundAmount(payment.amount - refundable + refundAmount);
+  const requiresApproval =
+    admin.role !== "super_admin" && totalRefund > REFUND_APPROVAL_THRESHOLD;
+
+  const refundTransaction = await createRefundTransaction(payment, {
+    amount: refundAmount,
+    requestedBy: admin._id.toString(),
+    refund: {
+      reason,
+      subscriptionAction,
+      shortenByDays: shortenDays,
+      requestedBy: admin._id.toString(),
+      requiresApproval,
+    },
+  });
+
+  if (requiresApproval) {
+    return { payment, refund: refundTransaction, subscription: null };
+  }
+
+  return await executeRefund(payment, refundTransaction);
+};
+
+// Give back what is left of a payment whose purchase could not be delivered,
+// e.g. an upgrade paid for after the subscription had changed. Issued by the
+// system, so it needs no approval and leaves the subscription as it is.
+const refundUndeliverablePayment = async (payment, reason) => {
+  const refundTransaction = await createRefundTransaction(payment, {
+    amount: roundAmount(payment.amount - (payment.refundedAmount || 0)),
+    refund: { reason, subscriptionAction: "NONE", requiresApproval: false },
+  });
+
+  return await executeRefund(payment, refundTransaction);
+};
+
+// Record a PENDING refund against a payment
+const createRefundTransaction = async (
+  payment,
+  { amount, requestedBy, refund }
+) => {
+  const refundTransaction = await Transaction.create({
+    user: payment.user,
+    subscription: payment.subscription,
+    device: payment.device,
+    transactionId: Transaction.generateTransactionId(),
+    type: "SUBSCRIPTION_REFUNDED",
+    status: "PENDING",
+    amount,
+    currency: payment.currency,
+    // Refunded at the rate the payment was taken at
+    fx: payment.fx,
+    ...refundTax(payment, amount),
+    plan: payment.plan,
+    paymentMethod: payment.paymentMethod,
+    previousTransaction: payment._id,
+    processedBy: requestedBy,
+    processedAt: new Date(),
+    refund,
+  });
+
+  await Transaction.updateOne(
+    { _id: payment._id },
+    { $push: { relatedTransactions: refundTransaction._id } }
+  );
+
+  return refundTransaction;
+};
+
+// Move a PENDING refund to `status` atomically, so that of two concurrent
+// approvals (or an approval and a rejection) only one goes ahead
+const claimPendingRefund = async (refundId, status) => {
+  const refundTransaction = await Transaction.findOneAndUpdate(
+    { _id: refundId, type: "SUBSCRIPTION_REFUNDED", status: "PENDING" },
+    { $set: { status } },
+    { new: true }
+  );
+
+  if (refundTransaction) {
+    return refundTransaction;
+  }
+
+  const exists = await Transaction.exists({
+    _id: refundId,
+    type: "SUBSCRIPTION_REFUNDED",
+  });
+
+  if (!exists) {
+    throw new CustomError(404, "Refund not found");
+  }
+
+  throw new CustomError(
+    400,
+    "Only pending refunds can be approved or rejected"
+  );
+};
+
+// Super admin approval of a refund over the threshold
+const approveRefund = async (refundId, admin) => {
+  const refundTransaction = await claimPendingRefund(refundId, "PROCESSING");
+  const payment = await Transaction.findById(
+    refundTransaction.previousTransaction
+  );
+
+  if (!payment) {
+    refundTransaction.status = "FAILED";
+    await refundTransaction.save();
+    throw new CustomError(404, "Refunded payment not found");
+  }
+
+  refundTransaction.refund.approvedBy = admin._id.toString();
+  refundTransaction.refund.approvedAt = new Date();
+
+  return await executeRefund(payment, refundTransaction);
+};
+
+const rejectRefund = async (refundId, admin, rejectionReason) => {
+  const refundTransaction = await claimPendingRefund(refundId, "CANCELLED");
+
+  refundTransaction.refund.rejectedBy = admin._id.toString();
+  refundTransaction.refund.rejectedAt = new Date();
+  refundTransaction.refund.rejectionReason = rejectionReason;
+
+  return await refundTransaction.save();
+};
+
+module.exports = {
+  REFUND_APPROVAL_THRESHOLD,
+  getRefundableAmount,
+  requestRefund,
+  refundUndeliverablePayment,
+  approveRefund,
+  rejectRefund,
+};
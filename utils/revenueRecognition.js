@@ -0,0 +1,365 @@
+// utils/revenueRecognition.js
+const JournalEntry = require("../models/journalEntry");
+const Transaction = require("../models/transaction");
+const Subscription = require("../models/subscription");
+const CustomError = require("./customError");
+const { ACCOUNTS } = require("./ledger");
+const { listPlans } = require("./planCatalog");
+const { splitAroundPauses } = require("./prorationService");
+const {
+  getReportingCurrency,
+  getExchangeRate,
+} = require("./currencyService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Subscriptions in these states will not use any more of what was paid
+const ENDED_STATUSES = ["CANCELLED", "EXPIRED"];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Days are counted in UTC, so a day of service belongs to one month only
+const dayIndex = (date) => Math.floor(date.getTime() / DAY_MS);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Stands in for the end of a pause that is still running: nothing of a
+// period is served after the pause started
+const OPEN_PAUSE_END = new Date(Date.UTC(9999, 0, 1));
+
+// Pauses of a subscription in the order they happened, for splitAroundPauses
+const pausesOf = (subscription) => {
+  const pauses = [...(subscription?.pauseHistory || [])];
+
+  if (subscription?.status === "PAUSED" && subscription.pausedAt) {
+    pauses.push({ pausedAt: subscription.pausedAt, resumedAt: OPEN_PAUSE_END });
+  }
+
+  return pauses.sort((a, b) => a.pausedAt - b.pausedAt);
+};
+
+// Days of service delivered in `segments` before `to`
+const servedDays = (segments, to) =>
+  segments.reduce(
+    (days, segment) =>
+      days +
+      Math.max(
+        0,
+        dayIndex(to < segment.end ? to : segment.end) -
+          dayIndex(segment.start)
+      ),
+    0
+  );
+
+// First instant of a "YYYY-MM" month and of the month after it (UTC)
+const parseMonth = (month = new Date().toISOString().slice(0, 7)) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(month);
+  const year = match && parseInt(match[1]);
+  const monthIndex = match && parseInt(match[2]) - 1;
+
+  if (!match || monthIndex < 0 || monthIndex > 11) {
+    throw new CustomError(400, "month must be in YYYY-MM format");
+  }
+
+  return {
+    month,
+    start: new Date(Date.UTC(year, monthIndex, 1)),
+    end: new Date(Date.UTC(year, monthIndex + 1, 1)),
+  };
+};
+
+/**
+ * Service period a sale pays for. Renewals and plan changes carry their own
+ * subscriptionPeriod (a renewal starts where the previous period ends). The
+ * first purchase runs from the subscription's start for the plan duration,
+ * and has not started while the subscription waits in the queue.
+ */
+const servicePeriod = (payment, subscription, planDurations) => {
+  const period = payment.subscriptionPeriod || {};
+
+  const duration = period.duration || planDurations.get(payment.plan) || 0;
+
+  if (payment.type !== "SUBSCRIPTION_CREATED" && period.startDate) {
+    return {
+      start: period.startDate,
+      end: period.endDate || addDays(period.startDate, duration),
+    };
+  }
+
+  const start = subscription?.startDate;
+  if (!start) {
+    return { start: null, end: null };
+  }
+
+  return { start, end: addDays(start, duration) };
+};
+
+// When service stopped before the end of the period (cancellation, expiry
+// or a shortened subscription). What is still deferred then is recognized
+// at that point, since nothing more is owed. A paused subscription has not
+// stopped: its end date only moves when it resumes.
+const serviceEndedAt = (subscription, end) => {
+  if (!subscription || subscription.status === "PAUSED") {
+    return null;
+  }
+
+  const stoppedAt =
+    subscription.endDate ||
+    (ENDED_STATUSES.includes(subscription.status)
+      ? subscription.updatedAt
+      : null);
+
+  return stoppedAt && (!end || stoppedAt < end) ? stoppedAt : null;
+};
+
+/**
+ * Recognition state of one sale just before `date`:
+ *   recognized  revenue earned so far, net of refunds that exceeded what
+ *               was still deferred
+ *   deferred    paid for but not yet delivered
+ *   refunded    refunded so far
+ * Deferred revenue is released evenly per day of service, i.e. per day in
+ * the sale's segments (its period split around pauses). A refund first
+ * reduces what is still deferred; the unearned remainder is then spread over
+ * the days left.
+ */
+const stateAt = (sale, date) => {
+  const state = { recognized: 0, deferred: 0, refunded: 0 };
+
+  if (sale.postedAt >= date) {
+    return state;
+  }
+
+  state.deferred = sale.amount;
+
+  const totalDays =
+    sale.segments.length > 0
+      ? Math.max(1, servedDays(sale.segments, OPEN_PAUSE_END))
+      : 0;
+  let accruedDays = 0;
+
+  const accrueTo = (to) => {
+    if (sale.segments.length === 0 || state.deferred <= 0) {
+      return;
+    }
+
+    const days = Math.min(servedDays(sale.segments, to), totalDays);
+
+    if (days > accruedDays) {
+      const portion =
+        (state.deferred * (days - accruedDays)) / (totalDays - accruedDays);
+      state.recognized += portion;
+      state.deferred -= portion;
+      accruedDays = days;
+    }
+  };
+
+  for (const event of sale.events) {
+    if (event.at >= date) {
+      break;
+    }
+
+    accrueTo(event.at);
+
+    if (event.type === "REFUND") {
+      const fromDeferred = Math.min(event.amount, state.deferred);
+      state.deferred -= fromDeferred;
+      state.recognized -= event.amount - fromDeferred;
+      state.refunded += event.amount;
+    } else {
+      state.recognized += state.deferred;
+      state.deferred = 0;
+    }
+  }
+
+  accrueTo(date);
+
+  return state;
+};
+
+// What a SALE entry credited to deferred revenue, i.e. the sale without tax
+const deferredAmount = (entry) =>
+  entry.lines
+    .filter((line) => line.account === ACCOUNTS.DEFERRED_REVENUE)
+    .reduce((sum, line) => sum + line.credit, 0);
+
+// Sales posted to the ledger before `until`, with their service period and
+// the refunds and early ends that change how they are recognized. Amounts
+// are converted to the currency whose rate is `reportingRate`, at the rate
+// each sale and refund was made at.
+const loadSales = async (until, reportingRate) => {
+  const entries = await JournalEntry.find({
+    kind: "SALE",
+    postedAt: { $lt: until },
+  })
+    .select("transaction lines plan postedAt fxRate")
+    .lean();
+
+  const paymentIds = entries.map((entry) => entry.transaction);
+
+  const payments = await Transaction.find({ _id: { $in: paymentIds } })
+    .select("type plan subscription subscriptionPeriod")
+    .lean();
+  const paymentsById = new Map(
+    payments.map((payment) => [payment._id.toString(), payment])
+  );
+
+  const subscriptions = await Subscription.find({
+    _id: { $in: payments.map((payment) => payment.subscription) },
+  })
+    .select("status startDate endDate updatedAt pausedAt pauseHistory")
+    .lean();
+  const subscriptionsById = new Map(
+    subscriptions.map((subscription) => [
+      subscription._id.toString(),
+      subscription,
+    ])
+  );
+
+  const refunds = await Transaction.find({
+    type: "SUBSCRIPTION_REFUNDED",
+    status: "COMPLETED",
+    previousTransaction: { $in: paymentIds },
+    completedAt: { $lt: until },
+  })
+    .select("previousTransaction amount tax fx completedAt")
+    .lean();
+
+  // Retired plans still need their duration for older sales
+  const planDurations = new Map(
+    (await listPlans({ includeInactive: true })).map((plan) => [
+      plan.planId,
+      plan.duration,
+    ])
+  );
+
+  return entries
+    .filter((entry) => paymentsById.has(entry.transaction.toString()))
+    .map((entry) => {
+      const payment = paymentsById.get(entry.transaction.toString());
+      const subscription = subscriptionsById.get(
+        payment.subscription.toString()
+      );
+      const { start, end } = servicePeriod(
+        payment,
+        subscription,
+        planDurations
+      );
+      const segments = start
+        ? splitAroundPauses(
+            { start, end, recordedAt: entry.postedAt },
+            pausesOf(subscription)
+          )
+        : [];
+      const endedAt = serviceEndedAt(
+        subscription,
+        segments.length > 0 ? segments[segments.length - 1].end : end
+      );
+
+      const events = refunds
+        .filter(
+          (refund) =>
+            refund.previousTransaction.toString() === payment._id.toString()
+        )
+        .map((refund) => ({
+          type: "REFUND",
+          at: refund.completedAt,
+          // Tax given back is not revenue
+          amount:
+            ((refund.amount - (refund.tax?.amount || 0)) * reportingRate) /
+            (refund.fx?.rate || 1),
+        }));
+      if (endedAt) {
+        events.push({ type: "END", at: endedAt });
+      }
+      events.sort((a, b) => a.at - b.at);
+
+      return {
+        plan: entry.plan || payment.plan,
+        amount: (deferredAmount(entry) * reportingRate) / (entry.fxRate || 1),
+        postedAt: entry.postedAt,
+        segments,
+        events,
+      };
+    });
+};
+
+/**
+ * Recognized vs deferred revenue for one month, per plan, as a roll-forward:
+ *   closingDeferred = openingDeferred + billings - recognized - refunds
+ * Amounts exclude tax, which is never revenue, and are in `currency` (the
+ * reporting currency by default).
+ * `month` is "YYYY-MM" (UTC), defaulting to the current month.
+ */
+const getRevenueRecognition = async (month, currency) => {
+  const period = parseMonth(month);
+  const reportingCurrency = getReportingCurrency(currency);
+  const { rate: reportingRate } = await getExchangeRate(reportingCurrency);
+  const sales = await loadSales(period.end, reportingRate);
+
+  const emptyRow = () => ({
+    openingDeferred: 0,
+    billings: 0,
+    recognized: 0,
+    refunds: 0,
+    closingDeferred: 0,
+    sales: 0,
+  });
+
+  const byPlan = new Map();
+  const totals = emptyRow();
+
+  for (const sale of sales) {
+    const opening = stateAt(sale, period.start);
+    const closing = stateAt(sale, period.end);
+
+    // Fully recognized before this month and not refunded since
+    if (
+      sale.postedAt < period.start &&
+      roundAmount(opening.deferred) === 0 &&
+      closing.refunded === opening.refunded
+    ) {
+      continue;
+    }
+
+    if (!byPlan.has(sale.plan)) {
+      byPlan.set(sale.plan, emptyRow());
+    }
+
+    for (const row of [byPlan.get(sale.plan), totals]) {
+      row.openingDeferred += opening.deferred;
+      row.billings += sale.postedAt >= period.start ? sale.amount : 0;
+      row.recognized += closing.recognized - opening.recognized;
+      row.refunds += closing.refunded - opening.refunded;
+      row.closingDeferred += closing.deferred;
+      row.sales += 1;
+    }
+  }
+
+  const rounded = (row) => ({
+    openingDeferred: roundAmount(row.openingDeferred),
+    billings: roundAmount(row.billings),
+    recognized: roundAmount(row.recognized),
+    refunds: roundAmount(row.refunds),
+    closingDeferred: roundAmount(row.closingDeferred),
+    sales: row.sales,
+  });
+
+  const plans = [...byPlan.entries()]
+    .map(([plan, row]) => ({ plan, ...rounded(row) }))
+    .sort((a, b) => b.recognized - a.recognized);
+
+  return {
+    month: period.month,
+    periodStart: period.start,
+    periodEnd: period.end,
+    currency: reportingCurrency,
+    plans,
+    totals: rounded(totals),
+    generatedAt: new Date(),
+  };
+};
+
+module.exports = {
+  getRevenueRecognition,
+};
@@ -0,0 +1,480 @@
+// utils/taxService.js
+const TaxRate = require("../models/taxRate");
+const Transaction = require("../models/transaction");
+const User = require("../models/user");
+const Ip = require("../models/ip");
+const CustomError = require("./customError");
+const { SALE_TYPES } = require("./ledger");
+const {
+  getReportingCurrency,
+  getExchangeRate,
+  convertExpression,
+} = require("./currencyService");
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Country and region names are matched regardless of case
+const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+
+// Country the seller is established in (ISO code). Reverse charge only
+// applies to business buyers outside of it.
+const getSellerCountry = () =>
+  (process.env.TAX_SELLER_COUNTRY || "").trim().toUpperCase() || null;
+
+// Tax IDs are stored without spaces, dots and dashes, upper-case
+const normalizeTaxId = (taxId) => {
+  if (!taxId) {
+    return null;
+  }
+
+  const normalized = String(taxId).replace(/[\s.-]/g, "").toUpperCase();
+
+  if (!/^[A-Z0-9]{4,20}$/.test(normalized)) {
+    throw new CustomError(400, "Invalid tax ID");
+  }
+
+  return normalized;
+};
+
+// ISO code for a country given as a code or as a name known to the rate
+// table; null when it cannot be resolved
+const resolveCountryCode = async (country) => {
+  if (!country) {
+    return null;
+  }
+
+  const value = String(country).trim();
+  if (/^[A-Za-z]{2}$/.test(value)) {
+    return value.toUpperCase();
+  }
+
+  const rate = await TaxRate.findOne({ countryName: value })
+    .collation(CASE_INSENSITIVE)
+    .select("country")
+    .lean();
+
+  return rate?.country || null;
+};
+
+// Whether `taxId` is the one on the user's profile for `country` and an
+// admin has checked that it belongs to a registered business
+const isVerifiedTaxId = (user, country, taxId) =>
+  !!taxId &&
+  !!user?.billing?.taxIdVerified &&
+  user.billing.taxId === taxId &&
+  user.billing.country === country;
+
+/**
+ * Where a buyer is taxed, from the first source that names a country:
+ *   1. billing details given with the request
+ *   2. billing details saved on the user
+ *   3. the location recorded for the request's IP address
+ * Returns { country, region, taxId, taxIdVerified, companyName, source }.
+ */
+const resolveTaxLocation = async ({ billing = {}, userId, ipAddress } = {}) => {
+  const taxId = normalizeTaxId(billing.taxId);
+  const user = userId
+    ? await User.findById(userId.toString()).select("billing").lean()
+    : null;
+
+  if (billing.country) {
+    const country = await resolveCountryCode(billing.country);
+    if (!country) {
+      throw new CustomError(400, "Unknown billing country");
+    }
+
+    return {
+      country,
+      region: billing.region || null,
+      taxId,
+      taxIdVerified: isVerifiedTaxId(user, country, taxId),
+      companyName: billing.companyName || null,
+      source: "BILLING",
+    };
+  }
+
+  if (user?.billing?.country) {
+    const profileTaxId = taxId || user.billing.taxId || null;
+
+    return {
+      country: user.billing.country,
+      region: user.billing.region || null,
+      taxId: profileTaxId,
+      taxIdVerified: isVerifiedTaxId(user, user.billing.country, profileTaxId),
+      companyName: billing.companyName || user.billing.companyName || null,
+      source: "PROFILE",
+    };
+  }
+
+  const ipRecord = ipAddress
+    ? await Ip.findOne({ ip: ipAddress })
+        .select("countryCode country region")
+        .lean()
+    : null;
+  const country =
+    ipRecord?.countryCode?.toUpperCase() ||
+    (await resolveCountryCode(ipRecord?.country));
+
+  return {
+    country,
+    region: country ? ipRecord.region || null : null,
+    taxId,
+    taxIdVerified: false,
+    companyName: billing.companyName || null,
+    source: country ? "IP" : null,
+  };
+};
+
+// Billing details sent with a checkout (flat fields, so multipart forms can
+// carry them too)
+const billingFromBody = (body = {}) => ({
+  country: body.billingCountry,
+  region: body.billingRegion,
+  taxId: body.taxId,
+  companyName: body.companyName,
+});
+
+// Active rates for a location. A regional rate replaces the country-wide
+// rate with the same name.
+const getApplicableRates = async (country, region) => {
+  if (!country) {
+    return [];
+  }
+
+  const rates = await TaxRate.find({
+    country,
+    isActive: true,
+    region: { $in: region ? [null, region] : [null] },
+  })
+    .collation(CASE_INSENSITIVE)
+    .sort({ name: 1 })
+    .lean();
+
+  return rates.filter(
+    (rate) =>
+      rate.region ||
+      !rates.some(
+        (other) =>
+          other.region && other.name.toLowerCase() === rate.name.toLowerCase()
+      )
+  );
+};
+
+// Split `total` over `weights` in proportion, putting the rounding remainder
+// on the last share so the shares add up exactly
+const splitAmount = (total, weights) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  let allocated = 0;
+
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) {
+      return roundAmount(total - allocated);
+    }
+    const share = weightSum ? roundAmount((total * weight) / weightSum) : 0;
+    allocated += share;
+    return share;
+  });
+};
+
+/**
+ * Tax on a price of `amount` for a buyer at `location`:
+ *   netAmount    price excluding tax
+ *   taxAmount    tax charged
+ *   grossAmount  what the buyer pays (netAmount + taxAmount)
+ *   lines        one per tax, with what it adds
+ * Rates with pricesIncludeTax are taken out of `amount`; the others are
+ * added on top. Reverse-charged taxes are listed with a zero amount, and an
+ * included one is taken off the price since the buyer will not pay it.
+ * Reverse charge needs a tax ID verified by an admin; one the buyer merely
+ * typed in is charged tax as usual.
+ */
+const calculateTax = async ({ amount, location = {} }) => {
+  const {
+    country = null,
+    region = null,
+    taxId = null,
+    taxIdVerified = false,
+  } = location;
+  const rates = await getApplicableRates(country, region);
+  const sellerCountry = getSellerCountry();
+
+  const reverseCharged = (rate) =>
+    rate.reverseCharge &&
+    !!taxId &&
+    taxIdVerified &&
+    !!sellerCountry &&
+    country !== sellerCountry;
+
+  const included = rates.filter((rate) => rate.pricesIncludeTax);
+  const includedRate = included.reduce((sum, rate) => sum + rate.rate, 0);
+  const netAmount = roundAmount(amount / (1 + includedRate / 100));
+
+  // Included taxes are split so that net + included tax is exactly `amount`
+  const includedShares = splitAmount(
+    roundAmount(amount - netAmount),
+    included.map((rate) => rate.rate)
+  );
+
+  const lines = rates.map((rate) => {
+    const taxAmount = rate.pricesIncludeTax
+      ? includedShares[included.indexOf(rate)]
+      : roundAmount((netAmount * rate.rate) / 100);
+    const isReverseCharged = reverseCharged(rate);
+
+    return {
+      name: rate.name,
+      rate: rate.rate,
+      amount: isReverseCharged ? 0 : taxAmount,
+      country: rate.country,
+      region: rate.region,
+      included: rate.pricesIncludeTax,
+      reverseCharge: isReverseCharged,
+    };
+  });
+
+  const taxAmount = roundAmount(
+    lines.reduce((sum, line) => sum + line.amount, 0)
+  );
+
+  return {
+    country,
+    region,
+    taxId,
+    pricesIncludeTax: included.length > 0,
+    reverseCharge: lines.some((line) => line.reverseCharge),
+    netAmount,
+    taxAmount,
+    grossAmount: roundAmount(netAmount + taxAmount),
+    lines,
+  };
+};
+
+// Tax details stored on the Transaction; its `amount` is quote.grossAmount
+const toTransactionTax = (quote) => ({
+  tax: {
+    country: quote.country,
+    region: quote.region,
+    taxId: quote.taxId,
+    pricesIncludeTax: quote.pricesIncludeTax,
+    reverseCharge: quote.reverseCharge,
+    netAmount: quote.netAmount,
+    amount: quote.taxAmount,
+  },
+  taxLines: quote.lines,
+});
+
+// Tax summary for API responses
+const toTaxSummary = (quote) => ({
+  country: quote.country,
+  region: quote.region,
+  pricesIncludeTax: quote.pricesIncludeTax,
+  reverseCharge: quote.reverseCharge,
+  netAmount: quote.netAmount,
+  taxAmount: quote.taxAmount,
+  lines: quote.lines.map(({ name, rate, amount, included, reverseCharge }) => ({
+    name,
+    rate,
+    amount,
+    included,
+    reverseCharge,
+  })),
+});
+
+// Keep billing details given at checkout (a location from
+// resolveTaxLocation) for the next purchase
+const saveBillingDetails = async (userId, location, session = null) => {
+  if (!userId || location.source !== "BILLING") {
+    return;
+  }
+
+  // Sub-fields only, so an admin's tax ID verification survives a checkout
+  // that resends the same tax ID and country (see resolveTaxLocation)
+  const update = {
+    $set: {
+      "billing.country": location.country,
+      "billing.region": location.region,
+      "billing.taxId": location.taxId,
+      "billing.companyName": location.companyName,
+      "billing.updatedAt": new Date(),
+    },
+  };
+
+  if (!location.taxIdVerified) {
+    update.$set["billing.taxIdVerified"] = false;
+    update.$unset = {
+      "billing.taxIdVerifiedAt": "",
+      "billing.taxIdVerifiedBy": "",
+    };
+  }
+
+  await User.updateOne({ _id: userId.toString() }, update, { session });
+};
+
+// The share of a payment's tax that a refund of `refundAmount` gives back,
+// as fields for the refund Transaction. Shares are worked out on the running
+// refunded total, so refunding a payment in full gives back all of its tax
+// however it was split.
+const refundTax = (payment, refundAmount) => {
+  const paymentTax = payment.tax?.amount || 0;
+
+  if (!paymentTax || !payment.amount) {
+    return {};
+  }
+
+  const refundedBefore = payment.refundedAmount || 0;
+  const shareOf = (amount, refunded) =>
+    roundAmount((amount * Math.min(refunded, payment.amount)) / payment.amount);
+  const refundShare = (amount) =>
+    roundAmount(
+      shareOf(amount, refundedBefore + refundAmount) -
+        shareOf(amount, refundedBefore)
+    );
+
+  const taxAmount = refundShare(paymentTax);
+
+  return {
+    tax: {
+      country: payment.tax.country,
+      region: payment.tax.region,
+      taxId: payment.tax.taxId,
+      pricesIncludeTax: payment.tax.pricesIncludeTax,
+      reverseCharge: payment.tax.reverseCharge,
+      netAmount: roundAmount(refundAmount - taxAmount),
+      amount: taxAmount,
+    },
+    taxLines: (payment.taxLines || []).map((line) => ({
+      name: line.name,
+      rate: line.rate,
+      amount: refundShare(line.amount),
+      country: line.country,
+      region: line.region,
+      included: line.included,
+      reverseCharge: line.reverseCharge,
+    })),
+  };
+};
+
+/**
+ * Tax collected and refunded per jurisdiction and tax, for payments and
+ * refunds completed in the period:
+ *   taxableAmount  net amount of the sales the tax was charged on
+ *   collected, refunded, net
+ * Rows are in the currency the tax was charged in; totals are converted to
+ * `currency` (the reporting currency by default) at each transaction's rate.
+ * Reverse-charged lines are reported separately with zero amounts.
+ */
+const getTaxSummary = async ({ startDate, endDate, currency } = {}) => {
+  const reportingCurrency = getReportingCurrency(currency);
+  const { rate: reportingRate } = await getExchangeRate(reportingCurrency);
+
+  const match = {
+    $or: [
+      {
+        type: { $in: SALE_TYPES },
+        status: { $in: ["COMPLETED", "REFUNDED"] },
+        previousTransaction: null,
+      },
+      { type: "SUBSCRIPTION_REFUNDED", status: "COMPLETED" },
+    ],
+    "taxLines.0": { $exists: true },
+  };
+  if (startDate || endDate) {
+    match.completedAt = {};
+    if (startDate) match.completedAt.$gte = new Date(startDate);
+    if (endDate) match.completedAt.$lte = new Date(endDate);
+  }
+
+  const isRefund = { $eq: ["$type", "SUBSCRIPTION_REFUNDED"] };
+
+  const jurisdictions = await Transaction.aggregate([
+    { $match: match },
+    { $unwind: "$taxLines" },
+    {
+      $group: {
+        _id: {
+          country: "$taxLines.country",
+          region: "$taxLines.region",
+          name: "$taxLines.name",
+          rate: "$taxLines.rate",
+          currency: "$currency",
+          reverseCharge: "$taxLines.reverseCharge",
+        },
+        taxableAmount: {
+          $sum: { $cond: [isRefund, 0, "$tax.netAmount"] },
+        },
+        collected: {
+          $sum: { $cond: [isRefund, 0, "$taxLines.amount"] },
+        },
+        refunded: {
+          $sum: { $cond: [isRefund, "$taxLines.amount", 0] },
+        },
+        reportingCollected: {
+          $sum: {
+            $cond: [
+              isRefund,
+              0,
+              convertExpression("$taxLines.amount", reportingRate),
+            ],
+          },
+        },
+        reportingRefunded: {
+          $sum: {
+            $cond: [
+              isRefund,
+              convertExpression("$taxLines.amount", reportingRate),
+              0,
+            ],
+          },
+        },
+        sales: { $sum: { $cond: [isRefund, 0, 1] } },
+        refunds: { $sum: { $cond: [isRefund, 1, 0] } },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        country: "$_id.country",
+        region: "$_id.region",
+        name: "$_id.name",
+        rate: "$_id.rate",
+        currency: "$_id.currency",
+        reverseCharge: "$_id.reverseCharge",
+        taxableAmount: { $round: ["$taxableAmount", 2] },
+        collected: { $round: ["$collected", 2] },
+        refunded: { $round: ["$refunded", 2] },
+        net: { $round: [{ $subtract: ["$collected", "$refunded"] }, 2] },
+        sales: 1,
+        refunds: 1,
+        reportingCollected: 1,
+        reportingRefunded: 1,
+      },
+    },
+    { $sort: { country: 1, region: 1, name: 1, rate: 1 } },
+  ]);
+
+  const totals = { collected: 0, refunded: 0, net: 0 };
+  for (const row of jurisdictions) {
+    totals.collected += row.reportingCollected;
+    totals.refunded += row.reportingRefunded;
+    delete row.reportingCollected;
+    delete row.reportingRefunded;
+  }
+  totals.net = roundAmount(totals.collected - totals.refunded);
+  totals.collected = roundAmount(totals.collected);
+  totals.refunded = roundAmount(totals.refunded);
+
+  return { currency: reportingCurrency, jurisdictions, totals };
+};
+
+module.exports = {
+  normalizeTaxId,
+  resolveCountryCode,
+  resolveTaxLocation,
+  billingFromBody,
+  calculateTax,
+  toTransactionTax,
+  toTaxSummary,
+  saveBillingDetails,
+  refundTax,
+  getTaxSummary,
+};
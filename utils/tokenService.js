@@ -0,0 +1,240 @@
+// utils/tokenService.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/refreshToken");
+const Session = require("../models/session");
+const CustomError = require("./customError");
+
+const ACCESS_TOKEN_EXPIRY = "12h";
+const REFRESH_TOKEN_EXPIRY_DAYS = 30;
+const REFRESH_TOKEN_EXPIRY_MS = REFRESH_TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+
+// Sign a refresh token and persist its record so it can be rotated/revoked
+const createRefreshToken = async (userId, family, requestMetadata = {}) => {
+  const jti = crypto.randomBytes(16).toString("hex");
+
+  const refreshToken = jwt.sign(
+    { user: { id: userId.toString() }, jti, family },
+    process.env.REFRESH_SECRET,
+    { expiresIn: `${REFRESH_TOKEN_EXPIRY_DAYS}d` }
+  );
+
+  const record = await RefreshToken.create({
+    user: userId.toString(),
+    jti,
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRY_MS),
+    userAgent: requestMetadata.userAgent,
+    ipAddress: requestMetadata.ipAddress,
+  });
+
+  return { refreshToken, record };
+};
+
+const signAccessToken = (userId, sessionId) => {
+  const payload = {
+    user: {
+      id: userId.toString(),
+    },
+    sid: sessionId ? sessionId.toString() : undefined,
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRY,
+  });
+};
+
+// Start a new session with its own token family and issue an access/refresh pair
+const issueAuthTokens = async (userId, requestMetadata = {}) => {
+  const family = crypto.randomBytes(16).toString("hex");
+
+  const session = await Session.create({
+    user: userId.toString(),
+    family,
+    userAgent: requestMetadata.userAgent,
+    ipAddress: requestMetadata.ipAddress,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRY_MS),
+  });
+
+  const { refreshToken } = await createRefreshToken(
+    userId,
+    family,
+    requestMetadata
+  );
+
+  return {
+    accessToken: signAccessToken(userId, session._id),
+    refreshToken,
+    sessionId: session._id,
+  };
+};
+
+// Issue a fresh pair inside an existing session (falls back to a new session
+// if it is gone or revoked)
+const issueSessionTokens = async (userId, sessionId, requestMetadata = {}) => {
+  const session = sessionId
+    ? await Session.findOne({
+        _id: sessionId,
+        user: userId.toString(),
+        revokedAt: null,
+      })
+    : null;
+
+  if (!session) {
+    return await issueAuthTokens(userId, requestMetadata);
+  }
+
+  const { refreshToken } = await createRefreshToken(
+    userId,
+    session.family,
+    requestMetadata
+  );
+
+  return {
+    accessToken: signAccessToken(userId, session._id),
+    refreshToken,
+    sessionId: session._id,
+  };
+};
+
+// Revoke a session and every refresh token in its family
+const revokeSession = async (session, reason) => {
+  await Session.updateOne(
+    { _id: session._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await RefreshToken.revokeFamily(session.family, reason);
+};
+
+// Exchange a refresh token for a new pair. Each refresh token is single use;
+// presenting one that was already used revokes its whole family.
+const rotateRefreshToken = async (token, requestMetadata = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.REFRESH_SECRET);
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw new CustomError(401, "Refresh token has expired");
+    }
+    throw new CustomError(401, "Invalid refresh token");
+  }
+
+  if (!decoded.jti || !decoded.family) {
+    throw new CustomError(401, "Invalid refresh token");
+  }
+
+  // Claim the token atomically so concurrent requests cannot both use it
+  const record = await RefreshToken.findOneAndUpdate(
+    {
+      jti: decoded.jti,
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!record) {
+    const existing = await RefreshToken.findOne({ jti: decoded.jti });
+
+    if (!existing) {
+      throw new CustomError(401, "Invalid refresh token");
+    }
+
+    if (existing.usedAt || existing.revokedAt) {
+      // A used or revoked token was presented again - treat the family as stolen
+      await RefreshToken.revokeFamily(existing.family, "REUSE_DETECTED");
+      await Session.updateOne(
+        { family: existing.family, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "REUSE_DETECTED" } }
+      );
+      console.warn(
+        `⚠️ Refresh token reuse detected for user ${existing.user}, family ${existing.family} revoked`
+      );
+      throw new CustomError(401, "Refresh token has been revoked");
+    }
+
+    throw new CustomError(401, "Refresh token has expired");
+  }
+
+  // Refresh tokens issued before sessions existed get a session on first use
+  const session = await Session.findOneAndUpdate(
+    { family: record.family },
+    {
+      $set: {
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRY_MS),
+        ipAddress: requestMetadata.ipAddress,
+        userAgent: requestMetadata.userAgent,
+      },
+      $setOnInsert: { user: record.user },
+    },
+    { upsert: true, new: true }
+  );
+
+  if (session.revokedAt) {
+    await RefreshToken.revokeFamily(record.family, session.revokedReason);
+    throw new CustomError(401, "Session has been revoked");
+  }
+
+  const { refreshToken, record: nextRecord } = await createRefreshToken(
+    record.user,
+    record.family,
+    requestMetadata
+  );
+
+  record.replacedBy = nextRecord.jti;
+  await record.save();
+
+  return {
+    userId: record.user,
+    accessToken: signAccessToken(record.user, session._id),
+    refreshToken,
+    sessionId: session._id,
+  };
+};
+
+// End the session a refresh token belongs to (logout). Expired tokens are
+// accepted, since they may still be the client's only proof of the session.
+// Returns the id of the user it belonged to.
+const revokeRefreshTokenSession = async (token, reason = "LOGOUT") => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.REFRESH_SECRET, {
+      ignoreExpiration: true,
+    });
+  } catch (error) {
+    throw new CustomError(401, "Invalid refresh token");
+  }
+
+  if (!decoded.jti || !decoded.family) {
+    throw new CustomError(401, "Invalid refresh token");
+  }
+
+  const session = await Session.findOne({ family: decoded.family });
+  if (session) {
+    await revokeSession(session, reason);
+  } else {
+    await RefreshToken.revokeFamily(decoded.family, reason);
+  }
+
+  return decoded.user.id;
+};
+
+// End every session a user has (logout everywhere, password change, admin)
+const revokeUserRefreshTokens = async (userId, reason = "LOGOUT") => {
+  await Session.revokeAllForUser(userId, reason);
+  return await RefreshToken.revokeAllForUser(userId, reason);
+};
+
+module.exports = {
+  issueAuthTokens,
+  issueSessionTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeRefreshTokenSession,
+  revokeUserRefreshTokens,
+  signAccessToken,
+};
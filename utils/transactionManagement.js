@@ -2,7 +2,18 @@
 const Transaction = require("../models/transaction");
 const Subscription = require("../models/subscription");
 const User = require("../models/user");
-const { getSubscriptionDuration } = require("./helpers");
+const {
+  LEDGER_GROUPS,
+  summarizeLedger,
+  getLedgerTotals,
+  getAccountBalances,
+} = require("./ledger");
+const { getTaxSummary } = require("./taxService");
+const {
+  getReportingCurrency,
+  getExchangeRate,
+  convertExpression,
+} = require("./currencyService");
 
 // Process expired subscriptions
 const processExpiredSubscriptions = async () => {
@@ -49,133 +60,6 @@ const processExpiredSubscriptions = async () => {
   }
 };
 
-// Process pending plan changes
-const processPendingPlanChanges = async () => {
-  try {
-    console.log("🔄 Processing pending plan changes...");
-
-    const subscriptionsWithPendingChanges = await Subscription.find({
-      "pendingPlanChange.effectiveDate": { $lte: new Date() },
-      status: "ACTIVE"
-    });
-
-    console.log(`📊 Found ${subscriptionsWithPendingChanges.length} pending plan changes`);
-
-    for (const subscription of subscriptionsWithPendingChanges) {
-      const { newPlan, newPrice } = subscription.pendingPlanChange;
-
-      // Create plan change transaction
-      const transaction = new Transaction({
-        user: subscription.user,
-        subscription: subscription._id,
-        transactionId: Transaction.generateTransactionId(),
-        type: "SUBSCRIPTION_DOWNGRADED",
-        amount: newPrice,
-        plan: newPlan,
-        status: "COMPLETED",
-        completedAt: new Date(),
-        metadata: {
-          oldPlan: subscription.plan,
-          newPlan,
-          planChangeEffective: new Date()
-        }
-      });
-
-      await transaction.save();
-
-      // Apply plan change
-      subscription.plan = newPlan;
-      subscription.price = newPrice;
-      subscription.pendingPlanChange = undefined;
-
-      // Extend subscription based on new plan
-      const newDuration = getSubscriptionDuration(newPlan);
-      subscription.endDate = new Date(Date.now() + newDuration * 24 * 60 * 60 * 1000);
-
-      await subscription.save();
-
-      console.log(`✅ Applied plan change for subscription ${subscription._id}`);
-    }
-
-    return { processed: subscriptionsWithPendingChanges.length };
-  } catch (error) {
-    console.error("❌ Error processing pending plan changes:", error);
-    throw error;
-  }
-};
-
-// Retry failed transactions
-const retryFailedTransactions = async () => {
-  try {
-    console.log("🔄 Retrying failed transactions...");
-
-    // Find failed payment transactions from last 7 days
-    const failedTransactions = await Transaction.find({
-      status: "FAILED",
-      type: { $in: ["PAYMENT_PENDING", "PAYMENT_FAILED"] },
-      createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
-      retryCount: { $lt: 3 } // Max 3 retry attempts
-    });
-
-    console.log(`📊 Found ${failedTransactions.length} failed transactions to retry`);
-
-    for (const transaction of failedTransactions) {
-      try {
-        // This would integrate with your payment processor
-        const retryResult = await retryPaymentProcessing(transaction);
-
-        if (retryResult.success) {
-          await transaction.updateStatus("COMPLETED", {
-            type: "PAYMENT_COMPLETED",
-            completedAt: new Date(),
-            retryCount: (transaction.retryCount || 0) + 1
-          });
-
-          // Activate associated subscription if needed
-          const subscription = await Subscription.findById(transaction.subscription);
-          if (subscription && subscription.status === "PENDING") {
-            subscription.status = "ACTIVE";
-            subscription.startDate = new Date();
-            subscription.endDate = new Date(
-              Date.now() + getSubscriptionDuration(subscription.plan) * 24 * 60 * 60 * 1000
-            );
-            await subscription.save();
-          }
-
-          console.log(`✅ Retry successful for transaction ${transaction.transactionId}`);
-        } else {
-          // Update retry count
-          transaction.retryCount = (transaction.retryCount || 0) + 1;
-          transaction.metadata = {
-            ...transaction.metadata,
-            lastRetryAt: new Date(),
-            lastRetryError: retryResult.error
-          };
-          await transaction.save();
-
-          console.log(`❌ Retry failed for transaction ${transaction.transactionId}`);
-        }
-      } catch (error) {
-        console.error(`❌ Error retrying transaction ${transaction.transactionId}:`, error);
-      }
-    }
-
-    return { processed: failedTransactions.length };
-  } catch (error) {
-    console.error("❌ Error retrying failed transactions:", error);
-    throw error;
-  }
-};
-
-// Mock payment retry function - replace with actual payment processor
-const retryPaymentProcessing = async (transaction) => {
-  // This would integrate with Stripe, PayPal, etc.
-  return {
-    success: Math.random() > 0.5, // 50% success rate for demo
-    error: "Payment method declined"
-  };
-};
-
 // Generate transaction reports
 const generateDailyTransactionReport = async () => {
   try {
@@ -301,58 +185,40 @@ const reconcileTransactions = async () => {
   }
 };
 
-// Generate financial report
-const generateFinancialReport = async (startDate, endDate) => {
+// Generate financial report, with amounts in `currency` (the reporting
+// currency by default)
+const generateFinancialReport = async (startDate, endDate, currency) => {
   try {
+    const reportingCurrency = getReportingCurrency(currency);
+    const { rate: reportingRate } = await getExchangeRate(reportingCurrency);
+    const range = { startDate, endDate, currency: reportingCurrency };
+
     const dateFilter = {};
     if (startDate) dateFilter.$gte = new Date(startDate);
     if (endDate) dateFilter.$lte = new Date(endDate);
 
-    const matchStage = dateFilter.length > 0 ? { createdAt: dateFilter } : {};
+    const matchStage =
+      Object.keys(dateFilter).length > 0 ? { createdAt: dateFilter } : {};
 
-    // Revenue summary
-    const revenueSummary = await Transaction.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: "$status",
-          totalAmount: { $sum: "$amount" },
-          transactionCount: { $sum: 1 },
-          avgAmount: { $avg: "$amount" },
-        },
-      },
-    ]);
+    // Money figures come from the ledger
+    const revenueSummary = await getLedgerTotals(range);
+    const accounts = await getAccountBalances(range);
 
     // Plan performance
-    const planPerformance = await Transaction.aggregate([
-      { $match: { ...matchStage, status: "COMPLETED" } },
-      {
-        $group: {
-          _id: "$plan",
-          revenue: { $sum: "$amount" },
-          count: { $sum: 1 },
-          avgPrice: { $avg: "$amount" },
-        },
-      },
-      { $sort: { revenue: -1 } },
-    ]);
+    const planPerformance = await summarizeLedger({
+      ...range,
+      groupBy: LEDGER_GROUPS.plan,
+    });
+    planPerformance.sort((a, b) => b.netSales - a.netSales);
 
     // Monthly trends
-    const monthlyTrends = await Transaction.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: {
-            year: { $year: "$createdAt" },
-            month: { $month: "$createdAt" },
-            status: "$status",
-          },
-          amount: { $sum: "$amount" },
-          count: { $sum: 1 },
-        },
-      },
-      { $sort: { "_id.year": 1, "_id.month": 1 } },
-    ]);
+    const monthlyTrends = await summarizeLedger({
+      ...range,
+      groupBy: LEDGER_GROUPS.month,
+    });
+
+    // Tax per jurisdiction, not part of the revenue figures
+    const tax = await getTaxSummary(range);
 
     // Transaction type breakdown
     const typeBreakdown = await Transaction.aggregate([
@@ -361,17 +227,23 @@ const generateFinancialReport = async (startDate, endDate) => {
         $group: {
           _id: "$type",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
+          totalAmount: {
+            $sum: convertExpression("$amount", reportingRate),
+          },
         },
       },
+      { $addFields: { totalAmount: { $round: ["$totalAmount", 2] } } },
       { $sort: { count: -1 } },
     ]);
 
     return {
       reportPeriod: { startDate, endDate },
+      currency: reportingCurrency,
       revenueSummary,
+      accounts,
       planPerformance,
       monthlyTrends,
+      tax,
       typeBreakdown,
       generatedAt: new Date(),
     };
@@ -562,8 +434,6 @@ module.exports = {
   exportTransactionData,
   
     processExpiredSubscriptions,
-    processPendingPlanChanges,
-    retryFailedTransactions,
     generateDailyTransactionReport
   
 };
@@ -0,0 +1,391 @@
+// utils/userManagement.js
+// Admin user-management operations shared by the admin API and scripts/admin.js
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const User = require("../models/user");
+const CustomError = require("./customError");
+const { revokeUserRefreshTokens } = require("./tokenService");
+const { sendPasswordResetEmail } = require("../config/emailService");
+const { unlockLogin, getLoginLockStatus } = require("./loginProtection");
+const {
+  ADMIN_INFO_FLAG_PERMISSIONS,
+  resolveUserPermissions,
+} = require("./permissions");
+
+const ADMIN_ROLES = ["admin", "super_admin"];
+const EDITABLE_ADMIN_INFO_FIELDS = [
+  "employeeId",
+  "department",
+  "accessLevel",
+  "canApproveSubscriptions",
+  "canViewAnalytics",
+  "canManageUsers",
+  "maxApprovalAmount",
+];
+const PUBLIC_USER_FIELDS =
+  "-password -emailVerificationToken -passwordResetToken -encryptionCards";
+
+const toPublicUser = (user) => {
+  const userObject = user.toObject ? user.toObject() : { ...user };
+  delete userObject.password;
+  delete userObject.emailVerificationToken;
+  delete userObject.passwordResetToken;
+  delete userObject.encryptionCards;
+  return userObject;
+};
+
+// Find by id, email or username (the CLI passes email/username)
+const findUser = async (identifier) => {
+  const query = /^[a-f0-9]{24}$/i.test(identifier)
+    ? { _id: identifier }
+    : { $or: [{ email: identifier }, { username: identifier }] };
+
+  const user = await User.findOne(query);
+
+  if (!user) {
+    throw new CustomError(404, "User not found");
+  }
+
+  return user;
+};
+
+// Guard against admins acting on themselves or on higher-privileged accounts
+const assertCanManage = (actor, target) => {
+  if (!actor) return; // CLI runs with full privileges
+
+  if (actor._id.toString() === target._id.toString()) {
+    throw new CustomError(400, "You cannot perform this action on yourself");
+  }
+
+  if (actor.role === "super_admin") return;
+
+  if (target.role === "super_admin") {
+    throw new CustomError(403, "Only a super admin can manage a super admin");
+  }
+
+  if (
+    ADMIN_ROLES.includes(target.role) &&
+    (target.adminInfo?.accessLevel || 0) > (actor.adminInfo?.accessLevel || 0)
+  ) {
+    throw new CustomError(
+      403,
+      "You cannot manage an admin with a higher access level"
+    );
+  }
+};
+
+const listUsers = async ({
+  search,
+  role,
+  isSuspended,
+  page = 1,
+  limit = 20,
+} = {}) => {
+  // Query strings can arrive as objects (?role[$ne]=x); only plain values
+  // may reach the filter
+  for (const [name, value] of Object.entries({ search, role })) {
+    if (value !== undefined && typeof value !== "string") {
+      throw new CustomError(400, `${name} must be a string`);
+    }
+  }
+  if (
+    isSuspended !== undefined &&
+    ![true, false, "true", "false"].includes(isSuspended)
+  ) {
+    throw new CustomError(400, "isSuspended must be true or false");
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+
+  const filter = {};
+
+  if (search) {
+    const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    filter.$or = [
+      { username: { $regex: escaped, $options: "i" } },
+      { email: { $regex: escaped, $options: "i" } },
+      { name: { $regex: escaped, $options: "i" } },
+      { phoneNumber: { $regex: escaped, $options: "i" } },
+    ];
+  }
+  if (role) filter.role = role;
+  if (isSuspended !== undefined) {
+    filter.isSuspended = isSuspended === true || isSuspended === "true";
+  }
+
+  const users = await User.find(filter)
+    .select(PUBLIC_USER_FIELDS)
+    .sort({ createdAt: -1 })
+    .skip((pageNum - 1) * limitNum)
+    .limit(limitNum)
+    .lean();
+
+  const total = await User.countDocuments(filter);
+
+  return {
+    users,
+    pagination: {
+      currentPage: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      totalItems: total,
+      itemsPerPage: limitNum,
+      hasNext: pageNum < Math.ceil(total / limitNum),
+      hasPrev: pageNum > 1,
+    },
+  };
+};
+
+const getUserDetails = async (identifier) => {
+  const user = await findUser(identifier);
+
+  return {
+    ...toPublicUser(user),
+    loginStatus: await getLoginLockStatus(user._id),
+  };
+};
+
+// Create a verified, active account - used to bootstrap admins
+const createUser = async ({ username, email, password, role = "admin" }) => {
+  if (!username || !email || !password) {
+    throw new CustomError(400, "Username, email and password are required");
+  }
+
+  if (password.length < 8) {
+    throw new CustomError(400, "Password must be at least 8 characters long");
+  }
+
+  if (!User.schema.path("role").enumValues.includes(role)) {
+    throw new CustomError(400, `Invalid role: ${role}`);
+  }
+
+  const existing = await User.findOne({ $or: [{ email }, { username }] });
+  if (existing) {
+    throw new CustomError(400, "A user with this email or username exists");
+  }
+
+  const salt = await bcrypt.genSalt(12);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  const user = await User.create({
+    username,
+    email,
+    password: hashedPassword,
+    role,
+    isEmailVerified: true,
+    isActive: true,
+  });
+
+  return toPublicUser(user);
+};
+
+const suspendUser = async (identifier, { reason, actor } = {}) => {
+  const user = await findUser(identifier);
+  assertCanManage(actor, user);
+
+  if (user.isSuspended) {
+    throw new CustomError(400, "User is already suspended");
+  }
+
+  user.isSuspended = true;
+  user.suspendedAt = new Date();
+  user.suspendedBy = actor ? actor._id.toString() : null;
+  user.suspensionReason = reason || null;
+  user.isOnline = false;
+  await user.save();
+
+  // End existing sessions immediately
+  await revokeUserRefreshTokens(user._id, "ADMIN");
+
+  return toPublicUser(user);
+};
+
+const unsuspendUser = async (identifier, { actor } = {}) => {
+  const user = await findUser(identifier);
+  assertCanManage(actor, user);
+
+  if (!user.isSuspended) {
+    throw new CustomError(400, "User is not suspended");
+  }
+
+  user.isSuspended = false;
+  user.suspendedAt = null;
+  user.suspendedBy = null;
+  user.suspensionReason = null;
+  await user.save();
+
+  return toPublicUser(user);
+};
+
+const promoteUser = async (identifier, { role = "admin", actor } = {}) => {
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new CustomError(
+      400,
+      `Can only promote to: ${ADMIN_ROLES.join(", ")}`
+    );
+  }
+
+  if (role === "super_admin" && actor && actor.role !== "super_admin") {
+    throw new CustomError(
+      403,
+      "Only a super admin can promote to super admin"
+    );
+  }
+
+  const user = await findUser(identifier);
+  assertCanManage(actor, user);
+
+  if (user.role === role) {
+    throw new CustomError(400, `User is already ${role}`);
+  }
+
+  user.role = role;
+  await user.save();
+
+  return toPublicUser(user);
+};
+
+// Demote back to a regular user and clear any admin grants
+const demoteUser = async (identifier, { actor } = {}) => {
+  const user = await findUser(identifier);
+  assertCanManage(actor, user);
+
+  if (!ADMIN_ROLES.includes(user.role)) {
+    throw new CustomError(400, "User is not an admin");
+  }
+
+  user.role = "user";
+  user.adminRole = null;
+  user.permissions = [];
+  user.adminInfo.canApproveSubscriptions = false;
+  user.adminInfo.canViewAnalytics = false;
+  user.adminInfo.canManageUsers = false;
+  user.adminInfo.maxApprovalAmount = 0;
+  await user.save();
+
+  return toPublicUser(user);
+};
+
+// Invalidate the current password and sessions, then email a reset link
+const forcePasswordReset = async (identifier, { actor } = {}) => {
+  const user = await findUser(identifier);
+  assertCanManage(actor, user);
+
+  const salt = await bcrypt.genSalt(12);
+  const unusablePassword = await bcrypt.hash(
+    crypto.randomBytes(32).toString("hex"),
+    salt
+  );
+
+  user.setPassword(unusablePassword);
+  const resetToken = user.generatePasswordResetToken();
+  user.isOnline = false;
+  await user.save();
+
+  await revokeUserRefreshTokens(user._id, "PASSWORD_CHANGED");
+
+  let emailSent = true;
+  try {
+    await sendPasswordResetEmail(user.email, resetToken, user.username);
+  } catch (emailError) {
+    emailSent = false;
+    console.error("Failed to send forced password reset email:", emailError);
+  }
+
+  return { user: toPublicUser(user), emailSent };
+};
+
+// Lift a failed-login lockout (and optionally the block on an IP address)
+const unlockUserLogin = async (identifier, { ipAddress, actor } = {}) => {
+  const user = await findUser(identifier);
+  assertCanManage(actor, user);
+  const cleared = await unlockLogin({ userId: user._id, ipAddress });
+
+  return { user: toPublicUser(user), cleared };
+};
+
+// Admins below super admin can only hand out what they hold themselves: an
+// access level and approval limit up to their own, and flags whose
+// permissions they already have
+const assertWithinActorGrants = async (actor, updates) => {
+  if (!actor || actor.role === "super_admin") return;
+
+  const actorLevel = actor.adminInfo?.accessLevel || 0;
+  if (
+    updates.accessLevel !== undefined &&
+    !(Number(updates.accessLevel) <= actorLevel)
+  ) {
+    throw new CustomError(
+      403,
+      `accessLevel cannot exceed your own (${actorLevel})`
+    );
+  }
+
+  const actorLimit = actor.adminInfo?.maxApprovalAmount || 0;
+  if (
+    updates.maxApprovalAmount !== undefined &&
+    !(Number(updates.maxApprovalAmount) <= actorLimit)
+  ) {
+    throw new CustomError(
+      403,
+      `maxApprovalAmount cannot exceed your own (${actorLimit})`
+    );
+  }
+
+  const actorPermissions = await resolveUserPermissions(actor);
+  for (const [flag, granted] of Object.entries(ADMIN_INFO_FLAG_PERMISSIONS)) {
+    if (
+      updates[flag] &&
+      !granted.every((permission) => actorPermissions.includes(permission))
+    ) {
+      throw new CustomError(
+        403,
+        `You cannot grant ${flag} without holding its permissions`
+      );
+    }
+  }
+};
+
+const updateAdminInfo = async (identifier, updates = {}, { actor } = {}) => {
+  const user = await findUser(identifier);
+  assertCanManage(actor, user);
+
+  if (!ADMIN_ROLES.includes(user.role)) {
+    throw new CustomError(400, "adminInfo can only be edited for admins");
+  }
+
+  const unknown = Object.keys(updates).filter(
+    (field) => !EDITABLE_ADMIN_INFO_FIELDS.includes(field)
+  );
+  if (unknown.length > 0) {
+    throw new CustomError(
+      400,
+      `Unknown adminInfo fields: ${unknown.join(", ")}`
+    );
+  }
+
+  await assertWithinActorGrants(actor, updates);
+
+  for (const field of EDITABLE_ADMIN_INFO_FIELDS) {
+    if (updates[field] !== undefined) {
+      user.adminInfo[field] = updates[field];
+    }
+  }
+
+  await user.save();
+
+  return toPublicUser(user);
+};
+
+module.exports = {
+  listUsers,
+  getUserDetails,
+  createUser,
+  suspendUser,
+  unsuspendUser,
+  promoteUser,
+  demoteUser,
+  forcePasswordReset,
+  unlockUserLogin,
+  updateAdminInfo,
+};